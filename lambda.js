@@ -1,6 +1,8 @@
 // lambda.js - Lambda handler for your Express app
 const serverlessExpress = require("@codegenie/serverless-express");
 const app = require("./app"); // Your existing Express app
+const processingJobService = require("./src/services/processing-job-service");
+const { PROCESSING_JOB_EVENT_SOURCE } = processingJobService;
 
 // Configure for Lambda environment
 if (
@@ -82,6 +84,15 @@ if (
 }
 
 // Create the serverless express handler
-const handler = serverlessExpress({ app });
+const expressHandler = serverlessExpress({ app });
+
+// Processing jobs dispatched by this function come back as async invocations
+const handler = async (event, context) => {
+  if (event?.source === PROCESSING_JOB_EVENT_SOURCE) {
+    return await processingJobService.handleInvocation(event);
+  }
+
+  return expressHandler(event, context);
+};
 
 module.exports = { handler };
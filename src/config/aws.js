@@ -2,6 +2,7 @@ const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
 const { S3Client } = require("@aws-sdk/client-s3");
 const { TextractClient } = require("@aws-sdk/client-textract");
+const { LambdaClient } = require("@aws-sdk/client-lambda");
 
 const clientConfig = {
   // region: process.env.AWS_DEFAULT_REGION,
@@ -19,9 +20,12 @@ const s3Client = new S3Client(clientConfig);
 
 const textractClient = new TextractClient(clientConfig);
 
+const lambdaClient = new LambdaClient(clientConfig);
+
 module.exports = {
   dynamoClient,
   docClient,
   s3Client,
   textractClient,
+  lambdaClient,
 };
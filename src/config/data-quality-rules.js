@@ -0,0 +1,112 @@
+/**
+ * Plausibility rules for extracted drilling values, in canonical units
+ * (see utilities/units). Overrides can be given as JSON in
+ * DATA_QUALITY_RULES, e.g.
+ *   {"ranges":{"avgROP":{"max":800}},"consistency":{"footage_split":{"tolerance":0.1}}}
+ * Range overrides are merged per field and consistency overrides per rule
+ * id; `"enabled": false` switches a rule off.
+ *
+ * ranges:      { min, max, severity, byHoleSize: [{ maxHoleSize, min, max }] }
+ *              The first byHoleSize band whose maxHoleSize is >= the run's
+ *              hole size replaces min/max.
+ * consistency: sum        fields add up to `equals` (field or number)
+ *              difference fields[0] - fields[1] equals `equals`
+ *              lessThan   `field` is below `than`
+ *              `tolerance` is relative when `relative`, else absolute.
+ * severity:    "error" (default for ranges) drops the value from
+ *              aggregations; "warning" (default for consistency) only
+ *              flags it.
+ */
+const DEFAULT_RULES = {
+  ranges: {
+    holeSize: { min: 2.875, max: 36 },
+    motorOD: { min: 1.5, max: 11.25 },
+    statorFit: { min: -0.1, max: 0.1 },
+    tfa: { min: 0.05, max: 3 },
+    depthIn: { min: 0, max: 45000 },
+    depthOut: { min: 0, max: 45000 },
+    totalDrilled: { min: 0, max: 25000 },
+    slideFootage: { min: 0, max: 25000 },
+    rotaryFootage: { min: 0, max: 25000 },
+    avgROP: {
+      min: 0,
+      max: 1000,
+      byHoleSize: [
+        { maxHoleSize: 6.75, max: 400 },
+        { maxHoleSize: 9.875, max: 700 },
+      ],
+    },
+    slideROP: { min: 0, max: 600 },
+    rotROP: { min: 0, max: 1200 },
+    slidePercent: { min: 0, max: 100 },
+    rotaryPercent: { min: 0, max: 100 },
+    drillingHours: { min: 0, max: 600 },
+    circulationHours: { min: 0, max: 600 },
+    wob: { min: 0, max: 120 },
+    diffPress: { min: 0, max: 2500 },
+    maxDiffPress: { min: 0, max: 3500 },
+    flowRate: {
+      min: 20,
+      max: 1800,
+      byHoleSize: [
+        { maxHoleSize: 6.75, max: 450 },
+        { maxHoleSize: 9.875, max: 900 },
+      ],
+    },
+    rpm: { min: 0, max: 400 },
+  },
+  consistency: {
+    footage_split: {
+      type: "sum",
+      fields: ["slideFootage", "rotaryFootage"],
+      equals: "totalDrilled",
+      tolerance: 0.05,
+      relative: true,
+    },
+    percent_split: {
+      type: "sum",
+      fields: ["slidePercent", "rotaryPercent"],
+      equals: 100,
+      tolerance: 2,
+    },
+    depth_interval: {
+      type: "difference",
+      fields: ["depthOut", "depthIn"],
+      equals: "totalDrilled",
+      tolerance: 0.05,
+      relative: true,
+    },
+    motor_fits_hole: {
+      type: "lessThan",
+      field: "motorOD",
+      than: "holeSize",
+    },
+  },
+};
+
+function loadOverrides() {
+  if (!process.env.DATA_QUALITY_RULES) return {};
+
+  try {
+    return JSON.parse(process.env.DATA_QUALITY_RULES);
+  } catch (error) {
+    console.warn(
+      "⚠️ Ignoring invalid DATA_QUALITY_RULES JSON:",
+      error.message
+    );
+    return {};
+  }
+}
+
+function mergeRules(defaults, overrides = {}) {
+  const merged = {};
+  for (const group of ["ranges", "consistency"]) {
+    merged[group] = { ...defaults[group] };
+    for (const [name, rule] of Object.entries(overrides[group] || {})) {
+      merged[group][name] = { ...merged[group][name], ...rule };
+    }
+  }
+  return merged;
+}
+
+module.exports = mergeRules(DEFAULT_RULES, loadOverrides());
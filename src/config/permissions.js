@@ -0,0 +1,69 @@
+/**
+ * Permissions granted to each role. Routes declare what they need with
+ * requirePermission / requireSelfOrPermission (middlewares/authentication);
+ * services only use hasPermission for checks that depend on the data, such
+ * as who owns a document.
+ */
+const PERMISSIONS = {
+  CHAT_USE: "chat:use",
+  DOCUMENTS_VIEW: "documents:view",
+  DOCUMENTS_UPLOAD: "documents:upload",
+  // Own documents; documents:delete:all for anyone's
+  DOCUMENTS_DELETE: "documents:delete",
+  DOCUMENTS_DELETE_ALL: "documents:delete:all",
+  WELLS_MANAGE: "wells:manage",
+  // Own query counts and token usage; analytics:view:all for anyone's
+  ANALYTICS_VIEW: "analytics:view",
+  ANALYTICS_VIEW_ALL: "analytics:view:all",
+  USERS_VIEW_ALL: "users:view:all",
+  // Create, update and delete users, their sessions and MFA, MFA policy
+  USERS_MANAGE: "users:manage",
+  ALIASES_MANAGE: "aliases:manage",
+  COLLECTIONS_VIEW: "collections:view",
+  COLLECTIONS_MANAGE: "collections:manage",
+  // Service metrics and processing stats
+  SYSTEM_VIEW: "system:view",
+  // Clearing in-memory caches
+  SYSTEM_MANAGE: "system:manage",
+};
+
+const USER_PERMISSIONS = [
+  PERMISSIONS.CHAT_USE,
+  PERMISSIONS.DOCUMENTS_VIEW,
+  PERMISSIONS.DOCUMENTS_UPLOAD,
+  PERMISSIONS.DOCUMENTS_DELETE,
+  PERMISSIONS.WELLS_MANAGE,
+  PERMISSIONS.ANALYTICS_VIEW,
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  PERMISSIONS.DOCUMENTS_DELETE_ALL,
+  PERMISSIONS.ANALYTICS_VIEW_ALL,
+  PERMISSIONS.USERS_VIEW_ALL,
+  PERMISSIONS.COLLECTIONS_VIEW,
+  PERMISSIONS.SYSTEM_VIEW,
+];
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  moderator: MODERATOR_PERMISSIONS,
+  user: USER_PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(user, permission) {
+  return Boolean(user) && permissionsFor(user.Role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionsFor,
+  hasPermission,
+};
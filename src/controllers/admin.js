@@ -30,6 +30,18 @@ class Controllers {
   async getTotalUserQueries(req, res) {
     return await this.service.getTotalUserQueries(req, res);
   }
+
+  async getUserSessions(req, res) {
+    return await this.service.getUserSessions(req, res);
+  }
+
+  async revokeUserSession(req, res) {
+    return await this.service.revokeUserSession(req, res);
+  }
+
+  async revokeAllUserSessions(req, res) {
+    return await this.service.revokeAllUserSessions(req, res);
+  }
 }
 
 module.exports = new Controllers();
@@ -0,0 +1,31 @@
+class Controllers {
+  constructor() {
+    this.service = require("../services/alias-service");
+  }
+
+  async create(req, res) {
+    return await this.service.createAlias(req, res);
+  }
+
+  async list(req, res) {
+    return await this.service.listAliases(req, res);
+  }
+
+  async get(req, res) {
+    return await this.service.getAlias(req, res);
+  }
+
+  async update(req, res) {
+    return await this.service.updateAlias(req, res);
+  }
+
+  async remove(req, res) {
+    return await this.service.deleteAlias(req, res);
+  }
+
+  async backfill(req, res) {
+    return await this.service.startBackfill(req, res);
+  }
+}
+
+module.exports = new Controllers();
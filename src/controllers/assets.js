@@ -0,0 +1,15 @@
+class Controllers {
+  constructor() {
+    this.service = require("../services/asset-service");
+  }
+
+  async list(req, res) {
+    return await this.service.listAssets(req, res);
+  }
+
+  async history(req, res) {
+    return await this.service.getAssetHistory(req, res);
+  }
+}
+
+module.exports = new Controllers();
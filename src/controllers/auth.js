@@ -1,16 +1,49 @@
 class Controllers {
   constructor() {
     this.service = require("../services/auth-service");
+    this.passwordService = require("../services/password-service");
   }
 
   async signIn(req, res) {
     return await this.service.signIn(req, res);
   }
 
+  async refresh(req, res) {
+    return await this.service.refresh(req, res);
+  }
+
   async signOut(req, res) {
     return await this.service.signOut(req, res);
   }
 
+  async completeMfaChallenge(req, res) {
+    return await this.service.completeMfaChallenge(req, res);
+  }
+
+  async getSessions(req, res) {
+    return await this.service.getSessions(req, res);
+  }
+
+  async deleteSession(req, res) {
+    return await this.service.deleteSession(req, res);
+  }
+
+  async deleteAllSessions(req, res) {
+    return await this.service.deleteAllSessions(req, res);
+  }
+
+  async forgotPassword(req, res) {
+    return await this.passwordService.forgotPassword(req, res);
+  }
+
+  async resetPassword(req, res) {
+    return await this.passwordService.resetPassword(req, res);
+  }
+
+  async changePassword(req, res) {
+    return await this.passwordService.changePassword(req, res);
+  }
+
   async healthCheck(req, res) {
     return await this.service.healthCheck(req, res);
   }
@@ -0,0 +1,27 @@
+class Controllers {
+  constructor() {
+    this.service = require("../services/conversation-service");
+  }
+
+  async create(req, res) {
+    return await this.service.createConversation(req, res);
+  }
+
+  async list(req, res) {
+    return await this.service.listConversations(req, res);
+  }
+
+  async get(req, res) {
+    return await this.service.getConversation(req, res);
+  }
+
+  async rename(req, res) {
+    return await this.service.renameConversation(req, res);
+  }
+
+  async delete(req, res) {
+    return await this.service.deleteConversation(req, res);
+  }
+}
+
+module.exports = new Controllers();
@@ -0,0 +1,43 @@
+class Controllers {
+  constructor() {
+    this.service = require("../services/mfa-service");
+  }
+
+  async getStatus(req, res) {
+    return await this.service.getStatus(req, res);
+  }
+
+  async setup(req, res) {
+    return await this.service.setup(req, res);
+  }
+
+  async setupFromChallenge(req, res) {
+    return await this.service.setupFromChallenge(req, res);
+  }
+
+  async verify(req, res) {
+    return await this.service.verify(req, res);
+  }
+
+  async regenerateBackupCodes(req, res) {
+    return await this.service.regenerateBackupCodes(req, res);
+  }
+
+  async disable(req, res) {
+    return await this.service.disable(req, res);
+  }
+
+  async getPolicy(req, res) {
+    return await this.service.getPolicy(req, res);
+  }
+
+  async updatePolicy(req, res) {
+    return await this.service.updatePolicy(req, res);
+  }
+
+  async resetUserMfa(req, res) {
+    return await this.service.resetUserMfa(req, res);
+  }
+}
+
+module.exports = new Controllers();
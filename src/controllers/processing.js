@@ -7,6 +7,10 @@ class Controllers {
     return await this.service.processUploadedPdf(req, res);
   }
 
+  async getJob(req, res) {
+    return await this.service.getJob(req, res);
+  }
+
   async getMetrics(req, res) {
     return await this.service.getMetrics(req, res);
   }
@@ -0,0 +1,15 @@
+class Controllers {
+  constructor() {
+    this.service = require("../services/run-service");
+  }
+
+  async list(req, res) {
+    return await this.service.listRuns(req, res);
+  }
+
+  async aggregate(req, res) {
+    return await this.service.aggregateRuns(req, res);
+  }
+}
+
+module.exports = new Controllers();
@@ -0,0 +1,11 @@
+class Controllers {
+  constructor() {
+    this.service = require("../services/table-service");
+  }
+
+  async list(req, res) {
+    return await this.service.getFileTables(req, res);
+  }
+}
+
+module.exports = new Controllers();
@@ -0,0 +1,55 @@
+class Controllers {
+  constructor() {
+    this.service = require("../services/well-service");
+  }
+
+  async createWell(req, res) {
+    return await this.service.createWell(req, res);
+  }
+
+  async listWells(req, res) {
+    return await this.service.listWells(req, res);
+  }
+
+  async getWell(req, res) {
+    return await this.service.getWell(req, res);
+  }
+
+  async updateWell(req, res) {
+    return await this.service.updateWell(req, res);
+  }
+
+  async removeWell(req, res) {
+    return await this.service.deleteWell(req, res);
+  }
+
+  async createJob(req, res) {
+    return await this.service.createJob(req, res);
+  }
+
+  async listJobs(req, res) {
+    return await this.service.listJobs(req, res);
+  }
+
+  async getJob(req, res) {
+    return await this.service.getJob(req, res);
+  }
+
+  async updateJob(req, res) {
+    return await this.service.updateJob(req, res);
+  }
+
+  async removeJob(req, res) {
+    return await this.service.deleteJob(req, res);
+  }
+
+  async getAssignment(req, res) {
+    return await this.service.getFileAssignment(req, res);
+  }
+
+  async updateAssignment(req, res) {
+    return await this.service.updateFileAssignment(req, res);
+  }
+}
+
+module.exports = new Controllers();
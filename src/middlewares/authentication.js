@@ -2,6 +2,9 @@ const { GetCommand } = require("@aws-sdk/lib-dynamodb");
 const jwt = require("jsonwebtoken");
 const { docClient } = require("../config/aws");
 const { handlers } = require("../utilities/handlers");
+const authService = require("../services/auth-service");
+const sanitizeUser = require("../utilities/sanitize-user");
+const { permissionsFor } = require("../config/permissions");
 
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 
@@ -79,7 +82,8 @@ const authenticate = async (req, res, next) => {
     // Support both common JWT payload structures
     const userId = decoded.userId || decoded._id || decoded.id || decoded.sub;
 
-    if (!userId) {
+    // Sign-in challenge tokens only work on the MFA challenge route
+    if (!userId || decoded.purpose) {
       return handlers.response.unauthorized({
         res,
         message: "Invalid token payload",
@@ -90,37 +94,25 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Fetch user from database
-    const existingUser = await getUserById(userId);
+    // Check the session server-side so sign-out and revocation take
+    // effect before the token expires
+    const session = await authService.validateSession(decoded.sid, userId);
 
-    if (!existingUser) {
+    if (!session.valid) {
       return handlers.response.unauthorized({
         res,
-        message: "User not found or access revoked",
+        message: session.reason,
         data: {
-          error: "USER_NOT_FOUND",
-          details:
-            "The user associated with this token no longer exists or has been deactivated",
-        },
-      });
-    }
-
-    // Check if user is active (if IsActive field exists)
-    if (existingUser.hasOwnProperty("IsActive") && !existingUser.IsActive) {
-      return handlers.response.unauthorized({
-        res,
-        message: "Account has been deactivated",
-        data: {
-          error: "ACCOUNT_DEACTIVATED",
-          details:
-            "This user account has been deactivated. Please contact support.",
+          error: session.error,
+          details: session.error.startsWith("SESSION_")
+            ? "This session has ended. Please sign in again."
+            : "The user associated with this token no longer exists or has been deactivated",
         },
       });
     }
 
     // Attach user to request object (remove sensitive data)
-    const { Password, ...safeUser } = existingUser;
-    req.user = safeUser;
+    req.user = sanitizeUser(session.user);
 
     // Add token info for potential use in routes
     req.tokenInfo = {
@@ -143,63 +135,35 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-/**
- * Optional middleware to check if user is admin
- */
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return handlers.response.unauthorized({
-      res,
-      message: "Authentication required",
-    });
-  }
-
-  if (req.user.Role !== "admin") {
-    return handlers.response.failed({
-      res,
-      message: "Insufficient permissions: Admin access required",
-      statusCode: 403,
-      data: {
-        error: "INSUFFICIENT_PERMISSIONS",
-        requiredRole: "admin",
-        currentRole: req.user.Role,
-      },
-    });
-  }
-
-  next();
-};
+const insufficientPermissions = (req, res, requiredPermissions) =>
+  handlers.response.unauthorized({
+    res,
+    message: "Insufficient permissions",
+    data: {
+      error: "INSUFFICIENT_PERMISSIONS",
+      requiredPermissions,
+      currentRole: req.user.Role,
+    },
+  });
 
 /**
- * Optional middleware to check specific roles
+ * Middleware to check that the user's role grants every listed permission
+ * (see config/permissions)
  */
-const requireRole = allowedRoles => {
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
-      return handlers.response.unauthorized({
+      return handlers.response.unauthenticated({
         res,
         message: "Authentication required",
       });
     }
 
-    const userRole = req.user.Role;
-    const rolesArray = Array.isArray(allowedRoles)
-      ? allowedRoles
-      : [allowedRoles];
+    const granted = permissionsFor(req.user.Role);
+    const missing = permissions.filter(p => !granted.includes(p));
 
-    if (!rolesArray.includes(userRole)) {
-      return handlers.response.failed({
-        res,
-        message: `Insufficient permissions: Required role(s): ${rolesArray.join(
-          ", "
-        )}`,
-        statusCode: 403,
-        data: {
-          error: "INSUFFICIENT_PERMISSIONS",
-          requiredRoles: rolesArray,
-          currentRole: userRole,
-        },
-      });
+    if (missing.length > 0) {
+      return insufficientPermissions(req, res, missing);
     }
 
     next();
@@ -207,41 +171,31 @@ const requireRole = allowedRoles => {
 };
 
 /**
- * Middleware to check if user can access resource (self or admin)
+ * Middleware for /users/:userId resources: users reach their own, anyone
+ * else needs the permission
  */
-const requireSelfOrAdmin = (req, res, next) => {
-  if (!req.user) {
-    return handlers.response.unauthorized({
-      res,
-      message: "Authentication required",
-    });
-  }
+const requireSelfOrPermission = permission => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return handlers.response.unauthenticated({
+        res,
+        message: "Authentication required",
+      });
+    }
 
-  const { userId } = req.params;
-  const isAdmin = req.user.Role === "admin";
-  const isSelf = req.user.UserId === userId;
+    if (req.user.UserId === req.params.userId) return next();
 
-  if (!isAdmin && !isSelf) {
-    return handlers.response.failed({
-      res,
-      message:
-        "Unauthorized: You can only access your own resources or be an admin",
-      statusCode: 403,
-      data: {
-        error: "ACCESS_DENIED",
-        details:
-          "You can only access your own resources unless you have admin privileges",
-      },
-    });
-  }
+    if (!permissionsFor(req.user.Role).includes(permission)) {
+      return insufficientPermissions(req, res, [permission]);
+    }
 
-  next();
+    next();
+  };
 };
 
 module.exports = {
   authenticate,
-  requireAdmin,
-  requireRole,
-  requireSelfOrAdmin,
+  requirePermission,
+  requireSelfOrPermission,
   getUserById, // Export for potential reuse
 };
@@ -1,40 +1,146 @@
 const router = require("express").Router();
 
 const controller = require("../controllers/admin");
-const { authenticate } = require("../middlewares/authentication");
+const aliasController = require("../controllers/aliases");
+const mfaController = require("../controllers/mfa");
+const {
+  authenticate,
+  requirePermission,
+  requireSelfOrPermission,
+} = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
 
-router.post("/users", authenticate, controller.createUser.bind(controller));
+router.post(
+  "/users",
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  controller.createUser.bind(controller)
+);
 
-router.get("/users", authenticate, controller.getAllUsers.bind(controller));
+router.get(
+  "/users",
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_VIEW_ALL),
+  controller.getAllUsers.bind(controller)
+);
 
 router.get(
   "/users/:userId",
   authenticate,
+  requireSelfOrPermission(PERMISSIONS.USERS_VIEW_ALL),
   controller.getUserById.bind(controller)
 );
 
 router.put(
   "/users/:userId",
   authenticate,
+  requireSelfOrPermission(PERMISSIONS.USERS_MANAGE),
   controller.updateUser.bind(controller)
 );
 
 router.delete(
   "/users/:userId",
   authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   controller.deleteUser.bind(controller)
 );
 
 router.get(
   "/users/:userId/files",
   authenticate,
+  requireSelfOrPermission(PERMISSIONS.USERS_VIEW_ALL),
   controller.getUserFiles.bind(controller)
 );
 
 router.get(
   "/users/:userId/queries",
   authenticate,
+  requireSelfOrPermission(PERMISSIONS.ANALYTICS_VIEW_ALL),
   controller.getTotalUserQueries.bind(controller)
 );
 
+router.get(
+  "/users/:userId/sessions",
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  controller.getUserSessions.bind(controller)
+);
+
+router.delete(
+  "/users/:userId/sessions",
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  controller.revokeAllUserSessions.bind(controller)
+);
+
+router.delete(
+  "/users/:userId/sessions/:sessionId",
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  controller.revokeUserSession.bind(controller)
+);
+
+router.delete(
+  "/users/:userId/mfa",
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  mfaController.resetUserMfa.bind(mfaController)
+);
+
+router.get(
+  "/mfa/policy",
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  mfaController.getPolicy.bind(mfaController)
+);
+
+router.put(
+  "/mfa/policy",
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  mfaController.updatePolicy.bind(mfaController)
+);
+
+router.post(
+  "/aliases",
+  authenticate,
+  requirePermission(PERMISSIONS.ALIASES_MANAGE),
+  aliasController.create.bind(aliasController)
+);
+
+router.get(
+  "/aliases",
+  authenticate,
+  requirePermission(PERMISSIONS.ALIASES_MANAGE),
+  aliasController.list.bind(aliasController)
+);
+
+router.post(
+  "/aliases/backfill",
+  authenticate,
+  requirePermission(PERMISSIONS.ALIASES_MANAGE),
+  aliasController.backfill.bind(aliasController)
+);
+
+router.get(
+  "/aliases/:aliasId",
+  authenticate,
+  requirePermission(PERMISSIONS.ALIASES_MANAGE),
+  aliasController.get.bind(aliasController)
+);
+
+router.put(
+  "/aliases/:aliasId",
+  authenticate,
+  requirePermission(PERMISSIONS.ALIASES_MANAGE),
+  aliasController.update.bind(aliasController)
+);
+
+router.delete(
+  "/aliases/:aliasId",
+  authenticate,
+  requirePermission(PERMISSIONS.ALIASES_MANAGE),
+  aliasController.remove.bind(aliasController)
+);
+
 module.exports = router;
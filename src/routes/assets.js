@@ -0,0 +1,19 @@
+const router = require("express").Router();
+
+const controller = require("../controllers/assets");
+const { requirePermission } = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
+
+router.get(
+  "/",
+  requirePermission(PERMISSIONS.DOCUMENTS_VIEW),
+  controller.list.bind(controller)
+);
+
+router.get(
+  "/:serial",
+  requirePermission(PERMISSIONS.DOCUMENTS_VIEW),
+  controller.history.bind(controller)
+);
+
+module.exports = router;
@@ -1,12 +1,77 @@
 const router = require("express").Router();
 
 const controller = require("../controllers/auth");
-const { authenticate } = require("../middlewares/authentication");
+const mfaController = require("../controllers/mfa");
+const {
+  authenticate,
+  requirePermission,
+} = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
 
 router.post("/signin", controller.signIn.bind(controller));
 
+router.post("/mfa/challenge", controller.completeMfaChallenge.bind(controller));
+
+router.post(
+  "/mfa/challenge/setup",
+  mfaController.setupFromChallenge.bind(mfaController)
+);
+
+router.post("/refresh", controller.refresh.bind(controller));
+
 router.post("/signout", authenticate, controller.signOut.bind(controller));
 
-router.get("/health", authenticate, controller.healthCheck.bind(controller));
+router.get("/sessions", authenticate, controller.getSessions.bind(controller));
+
+router.delete(
+  "/sessions",
+  authenticate,
+  controller.deleteAllSessions.bind(controller)
+);
+
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  controller.deleteSession.bind(controller)
+);
+
+router.post("/password/forgot", controller.forgotPassword.bind(controller));
+
+router.post("/password/reset", controller.resetPassword.bind(controller));
+
+router.post(
+  "/password/change",
+  authenticate,
+  controller.changePassword.bind(controller)
+);
+
+router.get("/mfa", authenticate, mfaController.getStatus.bind(mfaController));
+
+router.post(
+  "/mfa/setup",
+  authenticate,
+  mfaController.setup.bind(mfaController)
+);
+
+router.post(
+  "/mfa/verify",
+  authenticate,
+  mfaController.verify.bind(mfaController)
+);
+
+router.post(
+  "/mfa/backup-codes",
+  authenticate,
+  mfaController.regenerateBackupCodes.bind(mfaController)
+);
+
+router.delete("/mfa", authenticate, mfaController.disable.bind(mfaController));
+
+router.get(
+  "/health",
+  authenticate,
+  requirePermission(PERMISSIONS.SYSTEM_VIEW),
+  controller.healthCheck.bind(controller)
+);
 
 module.exports = router;
@@ -1,9 +1,19 @@
 const router = require("express").Router();
 
 const controller = require("../controllers/charts");
+const { requirePermission } = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
 
-router.get("/queries/count", controller.getTotalQueries.bind(controller));
+router.get(
+  "/queries/count",
+  requirePermission(PERMISSIONS.ANALYTICS_VIEW),
+  controller.getTotalQueries.bind(controller)
+);
 
-router.get("/openai/usage", controller.getUsage.bind(controller));
+router.get(
+  "/openai/usage",
+  requirePermission(PERMISSIONS.ANALYTICS_VIEW),
+  controller.getUsage.bind(controller)
+);
 
 module.exports = router;
@@ -1,17 +1,74 @@
 const router = require("express").Router();
 
 const controller = require("../controllers/chat");
+const conversationController = require("../controllers/conversation");
+const { requirePermission } = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
 
-router.post("/search", controller.search.bind(controller));
+router.post(
+  "/search",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  controller.search.bind(controller)
+);
 
-router.get("/", controller.chats.bind(controller));
+router.get(
+  "/",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  controller.chats.bind(controller)
+);
 
-router.delete("/all", controller.delete.bind(controller));
+router.delete(
+  "/all",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  controller.delete.bind(controller)
+);
 
-router.get("/count", controller.count.bind(controller));
+router.get(
+  "/count",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  controller.count.bind(controller)
+);
 
-router.get("/metrics", controller.getMetrics.bind(controller));
+router.get(
+  "/metrics",
+  requirePermission(PERMISSIONS.SYSTEM_VIEW),
+  controller.getMetrics.bind(controller)
+);
 
-router.post("/clear-cache", controller.clearCache.bind(controller));
+router.post(
+  "/clear-cache",
+  requirePermission(PERMISSIONS.SYSTEM_MANAGE),
+  controller.clearCache.bind(controller)
+);
+
+router.post(
+  "/conversations",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  conversationController.create.bind(conversationController)
+);
+
+router.get(
+  "/conversations",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  conversationController.list.bind(conversationController)
+);
+
+router.get(
+  "/conversations/:conversationId",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  conversationController.get.bind(conversationController)
+);
+
+router.patch(
+  "/conversations/:conversationId",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  conversationController.rename.bind(conversationController)
+);
+
+router.delete(
+  "/conversations/:conversationId",
+  requirePermission(PERMISSIONS.CHAT_USE),
+  conversationController.delete.bind(conversationController)
+);
 
 module.exports = router;
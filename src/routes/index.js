@@ -7,6 +7,10 @@ const chatRoutes = require("../routes/chat");
 const qdrantRoutes = require("../routes/qdrant");
 const chartRoutes = require("../routes/charts");
 const processingRoutes = require("../routes/processing");
+const runRoutes = require("../routes/runs");
+const wellRoutes = require("../routes/wells");
+const jobRoutes = require("../routes/jobs");
+const assetRoutes = require("../routes/assets");
 const { authenticate } = require("../middlewares/authentication");
 
 app.use("/auth", authRoutes);
@@ -15,6 +19,10 @@ app.use("/s3", authenticate, uploadRoutes);
 app.use("/chats", authenticate, chatRoutes);
 app.use("/qdrant", authenticate, qdrantRoutes);
 app.use("/charts", authenticate, chartRoutes);
+app.use("/runs", authenticate, runRoutes);
+app.use("/wells", authenticate, wellRoutes);
+app.use("/jobs", authenticate, jobRoutes);
+app.use("/assets", authenticate, assetRoutes);
 app.use("/processing", processingRoutes);
 
 module.exports = app;
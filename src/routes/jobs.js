@@ -0,0 +1,37 @@
+const router = require("express").Router();
+
+const controller = require("../controllers/wells");
+const { requirePermission } = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
+
+router.post(
+  "/",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.createJob.bind(controller)
+);
+
+router.get(
+  "/",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.listJobs.bind(controller)
+);
+
+router.get(
+  "/:jobId",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.getJob.bind(controller)
+);
+
+router.put(
+  "/:jobId",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.updateJob.bind(controller)
+);
+
+router.delete(
+  "/:jobId",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.removeJob.bind(controller)
+);
+
+module.exports = router;
@@ -1,19 +1,37 @@
 const router = require("express").Router();
 
 const controller = require("../controllers/processing");
-const { authenticate } = require("../middlewares/authentication");
+const {
+  authenticate,
+  requirePermission,
+} = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
 
 router.post(
   "/pdf",
   authenticate,
+  requirePermission(PERMISSIONS.DOCUMENTS_UPLOAD),
   controller.processUploadedPdf.bind(controller)
 );
 
-router.get("/metrics", authenticate, controller.getMetrics.bind(controller));
+router.get(
+  "/jobs/:jobId",
+  authenticate,
+  requirePermission(PERMISSIONS.DOCUMENTS_VIEW),
+  controller.getJob.bind(controller)
+);
+
+router.get(
+  "/metrics",
+  authenticate,
+  requirePermission(PERMISSIONS.SYSTEM_VIEW),
+  controller.getMetrics.bind(controller)
+);
 
 router.post(
   "/clear-caches",
   authenticate,
+  requirePermission(PERMISSIONS.SYSTEM_MANAGE),
   controller.clearCaches.bind(controller)
 );
 
@@ -22,6 +40,7 @@ router.get("/health", controller.healthCheck.bind(controller));
 router.get(
   "/stats",
   authenticate,
+  requirePermission(PERMISSIONS.SYSTEM_VIEW),
   controller.getProcessingStats.bind(controller)
 );
 
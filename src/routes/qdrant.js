@@ -1,13 +1,24 @@
 const router = require("express").Router();
 
 const controller = require("../controllers/qdrant");
+const { requirePermission } = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
 
-router.get("/collections", controller.getCollections.bind(controller));
+router.get(
+  "/collections",
+  requirePermission(PERMISSIONS.COLLECTIONS_VIEW),
+  controller.getCollections.bind(controller)
+);
 
-router.post("/collections", controller.createCollection.bind(controller));
+router.post(
+  "/collections",
+  requirePermission(PERMISSIONS.COLLECTIONS_MANAGE),
+  controller.createCollection.bind(controller)
+);
 
 router.delete(
   "/collections/:collectionName",
+  requirePermission(PERMISSIONS.COLLECTIONS_MANAGE),
   controller.deleteCollection.bind(controller)
 );
 
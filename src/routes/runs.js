@@ -0,0 +1,19 @@
+const router = require("express").Router();
+
+const controller = require("../controllers/runs");
+const { requirePermission } = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
+
+router.get(
+  "/",
+  requirePermission(PERMISSIONS.DOCUMENTS_VIEW),
+  controller.list.bind(controller)
+);
+
+router.get(
+  "/aggregate",
+  requirePermission(PERMISSIONS.DOCUMENTS_VIEW),
+  controller.aggregate.bind(controller)
+);
+
+module.exports = router;
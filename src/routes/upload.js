@@ -3,17 +3,52 @@ const upload = require("../middlewares/multer");
 const router = require("express").Router();
 
 const controller = require("../controllers/upload");
+const tableController = require("../controllers/table");
+const wellController = require("../controllers/wells");
+const { requirePermission } = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
 
 router.post(
   "/upload",
+  requirePermission(PERMISSIONS.DOCUMENTS_UPLOAD),
   upload.array("files"),
   controller.uploadFilesToS3.bind(controller)
 );
 
-router.get("/files", controller.getUploadedFiles.bind(controller));
+router.get(
+  "/files",
+  requirePermission(PERMISSIONS.DOCUMENTS_VIEW),
+  controller.getUploadedFiles.bind(controller)
+);
 
-router.delete("/", controller.deleteFileFromS3AndQdrant.bind(controller));
+router.get(
+  "/files/:fileId/tables",
+  requirePermission(PERMISSIONS.DOCUMENTS_VIEW),
+  tableController.list.bind(tableController)
+);
 
-router.get("/health", controller.healthCheck.bind(controller));
+router.get(
+  "/files/:fileId/assignment",
+  requirePermission(PERMISSIONS.DOCUMENTS_VIEW),
+  wellController.getAssignment.bind(wellController)
+);
+
+router.put(
+  "/files/:fileId/assignment",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  wellController.updateAssignment.bind(wellController)
+);
+
+router.delete(
+  "/",
+  requirePermission(PERMISSIONS.DOCUMENTS_DELETE),
+  controller.deleteFileFromS3AndQdrant.bind(controller)
+);
+
+router.get(
+  "/health",
+  requirePermission(PERMISSIONS.SYSTEM_VIEW),
+  controller.healthCheck.bind(controller)
+);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const router = require("express").Router();
+
+const controller = require("../controllers/wells");
+const { requirePermission } = require("../middlewares/authentication");
+const { PERMISSIONS } = require("../config/permissions");
+
+router.post(
+  "/",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.createWell.bind(controller)
+);
+
+router.get(
+  "/",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.listWells.bind(controller)
+);
+
+router.get(
+  "/:wellId",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.getWell.bind(controller)
+);
+
+router.put(
+  "/:wellId",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.updateWell.bind(controller)
+);
+
+router.delete(
+  "/:wellId",
+  requirePermission(PERMISSIONS.WELLS_MANAGE),
+  controller.removeWell.bind(controller)
+);
+
+module.exports = router;
@@ -10,6 +10,13 @@ const hashPassword = require("../utilities/hash-password");
 const { docClient } = require("../config/aws");
 const { handlers } = require("../utilities/handlers");
 const parseDateRange = require("../utilities/parse-date-range");
+const sanitizeUser = require("../utilities/sanitize-user");
+const authService = require("./auth-service");
+const {
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+} = require("../config/permissions");
 
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 const EMAIL_GSI_NAME = "EmailIndex";
@@ -17,20 +24,10 @@ const USER_ID_GSI_NAME = "UserIdIndex";
 
 class UserService {
   /**
-   * Create a new user (Admin only)
+   * Create a new user (users:manage)
    */
   async createUser(req, res) {
     try {
-      const adminUser = req.user;
-
-      if (!this.isAdmin(adminUser)) {
-        return handlers.response.failed({
-          res,
-          message: "Unauthorized: Only admins can create users",
-          statusCode: 403,
-        });
-      }
-
       const { email, password, role = "user", firstName, lastName } = req.body;
 
       const validation = this.validateUserInput({ email, password });
@@ -74,7 +71,7 @@ class UserService {
       await this.putUser(newUser);
 
       // Remove password from response
-      const { Password, ...userResponse } = newUser;
+      const userResponse = sanitizeUser(newUser);
 
       return handlers.response.success({
         res,
@@ -97,7 +94,6 @@ class UserService {
   async getUserById(req, res) {
     try {
       const { userId } = req.params;
-      const requestingUser = req.user;
 
       if (!userId) {
         return handlers.response.failed({
@@ -107,18 +103,6 @@ class UserService {
         });
       }
 
-      console.log(requestingUser);
-      console.log(userId);
-
-      // Users can only view their own profile unless they're admin
-      if (!this.isAdmin(requestingUser) && requestingUser.UserId !== userId) {
-        return handlers.response.unauthorized({
-          res,
-          message: "Unauthorized: You can only view your own profile",
-          statusCode: 403,
-        });
-      }
-
       const user = await this.findUserById(userId);
 
       if (!user) {
@@ -130,7 +114,7 @@ class UserService {
       }
 
       // Remove password from response
-      const { Password, ...userResponse } = user;
+      const userResponse = sanitizeUser(user);
 
       return handlers.response.success({
         res,
@@ -147,20 +131,10 @@ class UserService {
   }
 
   /**
-   * Get all users (Admin only)
+   * Get all users (users:view:all)
    */
   async getAllUsers(req, res) {
     try {
-      const adminUser = req.user;
-
-      if (!this.isAdmin(adminUser)) {
-        return handlers.response.failed({
-          res,
-          message: "Unauthorized: Only admins can view all users",
-          statusCode: 403,
-        });
-      }
-
       const { page = 1, limit = 10, role, isActive } = req.query;
       const pageNum = parseInt(page);
       const limitNum = parseInt(limit);
@@ -197,7 +171,7 @@ class UserService {
       const users = result.Items || [];
 
       // Remove passwords from all users
-      const sanitizedUsers = users.map(({ Password, ...user }) => user);
+      const sanitizedUsers = users.map(sanitizeUser);
 
       // Simple pagination (for better performance, consider using DynamoDB pagination)
       const startIndex = (pageNum - 1) * limitNum;
@@ -243,15 +217,6 @@ class UserService {
         });
       }
 
-      // Users can only update their own profile unless they're admin
-      if (!this.isAdmin(requestingUser) && requestingUser.UserId !== userId) {
-        return handlers.response.failed({
-          res,
-          message: "Unauthorized: You can only update your own profile",
-          statusCode: 403,
-        });
-      }
-
       const existingUser = await this.findUserById(userId);
       if (!existingUser) {
         return handlers.response.failed({
@@ -347,8 +312,13 @@ class UserService {
 
       const result = await docClient.send(new UpdateCommand(updateParams));
 
+      // A new password or a deactivation ends the user's current session
+      if (convertedUpdates.Password || convertedUpdates.IsActive === false) {
+        await authService.revokeAllSessions(userId);
+      }
+
       // Remove password from response
-      const { Password, ...updatedUser } = result.Attributes;
+      const updatedUser = sanitizeUser(result.Attributes);
 
       return handlers.response.success({
         res,
@@ -381,15 +351,6 @@ class UserService {
         });
       }
 
-      // Only admins can delete users
-      if (!this.isAdmin(requestingUser)) {
-        return handlers.response.failed({
-          res,
-          message: "Unauthorized: Only admins can delete users",
-          statusCode: 403,
-        });
-      }
-
       // Prevent admin from deleting themselves
       if (requestingUser.UserId === userId) {
         return handlers.response.failed({
@@ -418,6 +379,7 @@ class UserService {
       } else {
         // Soft delete
         await this.softDeleteUser(userId);
+        await authService.revokeAllSessions(userId);
         return handlers.response.success({
           res,
           message: "User deactivated successfully",
@@ -438,7 +400,6 @@ class UserService {
   async getUserFiles(req, res) {
     try {
       const { userId } = req.params;
-      const requestingUser = req.user;
 
       if (!userId) {
         return handlers.response.failed({
@@ -448,15 +409,6 @@ class UserService {
         });
       }
 
-      // Users can only view their own files unless they're admin
-      if (!this.isAdmin(requestingUser) && requestingUser.UserId !== userId) {
-        return handlers.response.failed({
-          res,
-          message: "Unauthorized: You can only view your own files",
-          statusCode: 403,
-        });
-      }
-
       const command = new QueryCommand({
         TableName: TABLE_NAME,
         IndexName: USER_ID_GSI_NAME,
@@ -495,7 +447,6 @@ class UserService {
     try {
       const { startDate, endDate } = req.query;
       const { userId } = req.params;
-      const requestingUser = req.user;
 
       if (!userId) {
         return handlers.response.failed({
@@ -505,15 +456,6 @@ class UserService {
         });
       }
 
-      // Users can only view their own stats unless they're admin
-      if (!this.isAdmin(requestingUser) && requestingUser.UserId !== userId) {
-        return handlers.response.failed({
-          res,
-          message: "Unauthorized: You can only view your own statistics",
-          statusCode: 403,
-        });
-      }
-
       const { fromDate, toDate } = parseDateRange(startDate, endDate);
 
       const params = {
@@ -562,6 +504,116 @@ class UserService {
     }
   }
 
+  /**
+   * GET /users/:userId/sessions - a user's signed-in devices
+   */
+  async getUserSessions(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await this.findUserById(userId);
+      if (!user) {
+        return handlers.response.unavailable({
+          res,
+          message: "User not found",
+        });
+      }
+
+      const sessions = await authService.listUserSessions(userId);
+
+      return handlers.response.success({
+        res,
+        message: "Sessions retrieved successfully",
+        data: {
+          userId,
+          sessions: sessions.map(session =>
+            authService.formatSession(session, req.tokenInfo?.decoded?.sid)
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Get user sessions error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to retrieve sessions",
+      });
+    }
+  }
+
+  /**
+   * DELETE /users/:userId/sessions/:sessionId - sign one device out
+   */
+  async revokeUserSession(req, res) {
+    try {
+      const { userId, sessionId } = req.params;
+
+      const revoked = await authService.revokeSession(userId, sessionId);
+      if (!revoked) {
+        return handlers.response.unavailable({
+          res,
+          message: "Session not found",
+        });
+      }
+
+      handlers.logger.security({
+        message: "Session revoked by admin",
+        userId,
+        sessionId,
+        adminId: req.user.UserId,
+      });
+
+      return handlers.response.success({
+        res,
+        message: "Session revoked successfully",
+        data: { userId, sessionId },
+      });
+    } catch (error) {
+      console.error("Revoke user session error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to revoke session",
+      });
+    }
+  }
+
+  /**
+   * DELETE /users/:userId/sessions - sign a user out everywhere
+   */
+  async revokeAllUserSessions(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await this.findUserById(userId);
+      if (!user) {
+        return handlers.response.unavailable({
+          res,
+          message: "User not found",
+        });
+      }
+
+      const revoked = await authService.revokeAllSessions(userId);
+
+      handlers.logger.security({
+        message: "All sessions revoked by admin",
+        userId,
+        revoked,
+        adminId: req.user.UserId,
+      });
+
+      return handlers.response.success({
+        res,
+        message: "All sessions revoked successfully",
+        data: { userId, revoked },
+      });
+    } catch (error) {
+      console.error("Revoke user sessions error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to revoke sessions",
+      });
+    }
+  }
+
   // Helper methods
   async getUserByEmail(email) {
     const command = new QueryCommand({
@@ -628,13 +680,8 @@ class UserService {
     await docClient.send(new DeleteCommand(deleteParams));
   }
 
-  isAdmin(user) {
-    return user && user.Role === "admin";
-  }
-
   validateRole(role) {
-    const validRoles = ["admin", "user", "moderator"];
-    return validRoles.includes(role) ? role : "user";
+    return ROLES.includes(role) ? role : "user";
   }
 
   validateUserInput({ email, password }) {
@@ -666,7 +713,7 @@ class UserService {
   getAllowedUpdates(requestingUser, targetUserId) {
     const baseUpdates = ["firstName", "lastName", "FirstName", "LastName"];
 
-    if (this.isAdmin(requestingUser)) {
+    if (hasPermission(requestingUser, PERMISSIONS.USERS_MANAGE)) {
       return [
         ...baseUpdates,
         "email",
@@ -680,9 +727,10 @@ class UserService {
       ];
     }
 
-    // Non-admin users can only update their own basic info and password
+    // Non-admin users can only update their own basic info; their password
+    // goes through /auth/password/change, which checks the current one
     if (requestingUser.UserId === targetUserId) {
-      return [...baseUpdates, "password", "Password"];
+      return baseUpdates;
     }
 
     return [];
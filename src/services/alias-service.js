@@ -0,0 +1,478 @@
+const { docClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const {
+  PutCommand,
+  GetCommand,
+  DeleteCommand,
+  QueryCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+const {
+  ALIAS_FIELDS,
+  setAliasDictionary,
+  canonicalize,
+  aliasKey,
+} = require("../utilities/entity-aliases");
+const {
+  scrollEmbeddings,
+  setEmbeddingsPayload,
+} = require("../utilities/qdrant-functions");
+const { setSparsePayloadByIds } = require("../utilities/sparse-index");
+const processingJobService = require("./processing-job-service");
+
+const ALIAS_BACKFILL_JOB = "alias_backfill";
+const ALIAS_PARTITION = "ALIAS";
+
+/**
+ * Admin-managed alias dictionary, stored as ALIAS#<id> items under one
+ * ALIAS partition so it loads with a single query. Each entry maps the
+ * spellings of one motor make, stator vendor or bit to a canonical name.
+ * The dictionary is cached in memory and refreshed every few minutes, so
+ * edits made on another instance show up without a restart.
+ */
+class AliasService {
+  constructor() {
+    this.tableName = process.env.DYNAMODB_TABLE_NAME;
+    this.CACHE_TTL_MS = Number(process.env.ALIAS_CACHE_TTL_MS) || 5 * 60 * 1000;
+    this.MAX_ALIASES = 100;
+    this.BACKFILL_PAGE_SIZE = 256;
+    this.DEFAULT_COLLECTION = "document_embeddings";
+
+    this.loadedAt = 0;
+    this.loading = null;
+
+    processingJobService.registerHandler(
+      ALIAS_BACKFILL_JOB,
+      this.runBackfill.bind(this)
+    );
+  }
+
+  /**
+   * Load the dictionary unless the cached copy is still fresh. Failures keep
+   * the previous dictionary; normalization is best effort.
+   */
+  async ensureLoaded() {
+    if (Date.now() - this.loadedAt < this.CACHE_TTL_MS) return;
+    if (!this.loading) {
+      this.loading = this.loadDictionary()
+        .catch(error =>
+          console.warn("⚠️ Failed to load alias dictionary:", error.message)
+        )
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    await this.loading;
+  }
+
+  async loadDictionary() {
+    const items = await this.queryAliases();
+    setAliasDictionary(items.map(item => this.formatAlias(item)));
+    this.loadedAt = Date.now();
+    console.log(`📖 Alias dictionary loaded: ${items.length} entries`);
+    return items;
+  }
+
+  /**
+   * POST /aliases
+   */
+  async createAlias(req, res) {
+    try {
+      const input = this.validateInput(req.body);
+      if (input.error) {
+        return handlers.response.failed({ res, message: input.error });
+      }
+
+      const conflict = await this.findConflict(input);
+      if (conflict) {
+        return handlers.response.failed({
+          res,
+          message: `'${conflict.name}' is already an alias of '${conflict.entry.Canonical}'`,
+          code: 409,
+        });
+      }
+
+      const aliasId = uuidv4();
+      const now = new Date().toISOString();
+      const item = {
+        PK: ALIAS_PARTITION,
+        SK: `ALIAS#${aliasId}`,
+        EntityType: "Alias",
+        AliasId: aliasId,
+        Field: input.field,
+        Canonical: input.canonical,
+        Aliases: input.aliases,
+        CreatedBy: req.user?.UserId || null,
+        CreatedAt: now,
+        UpdatedAt: now,
+      };
+
+      await docClient.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(SK)",
+        })
+      );
+      await this.loadDictionary();
+
+      return handlers.response.success({
+        res,
+        message: "Alias created successfully",
+        data: this.formatAlias(item),
+        code: 201,
+      });
+    } catch (error) {
+      console.error("❌ Create alias error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to create alias",
+      });
+    }
+  }
+
+  /**
+   * GET /aliases?field=motorMake
+   */
+  async listAliases(req, res) {
+    try {
+      const { field } = req.query || {};
+      const items = await this.queryAliases();
+
+      const aliases = items
+        .filter(item => !field || item.Field === field)
+        .map(item => this.formatAlias(item))
+        .sort(
+          (a, b) =>
+            a.field.localeCompare(b.field) ||
+            a.canonical.localeCompare(b.canonical)
+        );
+
+      return handlers.response.success({
+        res,
+        message: "Aliases fetched successfully",
+        data: { aliases, count: aliases.length, fields: ALIAS_FIELDS },
+      });
+    } catch (error) {
+      console.error("❌ List aliases error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch aliases",
+      });
+    }
+  }
+
+  async getAlias(req, res) {
+    try {
+      const item = await this.findAlias(req.params.aliasId);
+      if (!item) {
+        return handlers.response.unavailable({
+          res,
+          message: "Alias not found",
+        });
+      }
+
+      return handlers.response.success({
+        res,
+        message: "Alias fetched successfully",
+        data: this.formatAlias(item),
+      });
+    } catch (error) {
+      console.error("❌ Get alias error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch alias",
+      });
+    }
+  }
+
+  /**
+   * PUT /aliases/:aliasId - replace the canonical name and/or alias list
+   */
+  async updateAlias(req, res) {
+    try {
+      const existing = await this.findAlias(req.params.aliasId);
+      if (!existing) {
+        return handlers.response.unavailable({
+          res,
+          message: "Alias not found",
+        });
+      }
+
+      const input = this.validateInput({
+        field: existing.Field,
+        canonical: req.body?.canonical ?? existing.Canonical,
+        aliases: req.body?.aliases ?? existing.Aliases,
+      });
+      if (input.error) {
+        return handlers.response.failed({ res, message: input.error });
+      }
+
+      const conflict = await this.findConflict(input, existing.AliasId);
+      if (conflict) {
+        return handlers.response.failed({
+          res,
+          message: `'${conflict.name}' is already an alias of '${conflict.entry.Canonical}'`,
+          code: 409,
+        });
+      }
+
+      const item = {
+        ...existing,
+        Canonical: input.canonical,
+        Aliases: input.aliases,
+        UpdatedBy: req.user?.UserId || null,
+        UpdatedAt: new Date().toISOString(),
+      };
+
+      await docClient.send(
+        new PutCommand({ TableName: this.tableName, Item: item })
+      );
+      await this.loadDictionary();
+
+      return handlers.response.success({
+        res,
+        message: "Alias updated successfully",
+        data: this.formatAlias(item),
+      });
+    } catch (error) {
+      console.error("❌ Update alias error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to update alias",
+      });
+    }
+  }
+
+  async deleteAlias(req, res) {
+    try {
+      const existing = await this.findAlias(req.params.aliasId);
+      if (!existing) {
+        return handlers.response.unavailable({
+          res,
+          message: "Alias not found",
+        });
+      }
+
+      await docClient.send(
+        new DeleteCommand({
+          TableName: this.tableName,
+          Key: { PK: existing.PK, SK: existing.SK },
+        })
+      );
+      await this.loadDictionary();
+
+      return handlers.response.success({
+        res,
+        message: "Alias deleted successfully",
+        data: { id: existing.AliasId },
+      });
+    } catch (error) {
+      console.error("❌ Delete alias error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to delete alias",
+      });
+    }
+  }
+
+  /**
+   * POST /aliases/backfill - queue a job that re-normalizes the alias fields
+   * of existing Qdrant payloads; poll it at /processing/jobs/:jobId
+   */
+  async startBackfill(req, res) {
+    try {
+      const collectionName =
+        req.body?.collectionName || this.DEFAULT_COLLECTION;
+
+      const job = await processingJobService.enqueue({
+        jobType: ALIAS_BACKFILL_JOB,
+        userId: req.user.UserId,
+        input: { collectionName },
+      });
+
+      return handlers.response.success({
+        res,
+        message: "Alias backfill queued",
+        data: {
+          jobId: job.JobId,
+          status: job.Status,
+          statusUrl: `/processing/jobs/${job.JobId}`,
+        },
+        code: 202,
+      });
+    } catch (error) {
+      console.error("❌ Start alias backfill error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to start alias backfill",
+      });
+    }
+  }
+
+  /**
+   * Job handler: walk the collection and rewrite alias fields whose stored
+   * value is not canonical, in both the dense collection and its BM25
+   * companion. Points needing the same change are updated together.
+   */
+  async runBackfill({ collectionName = this.DEFAULT_COLLECTION }, progress) {
+    await progress.update("loading_dictionary", 2);
+    await this.loadDictionary();
+
+    let offset = null;
+    let scanned = 0;
+    let updated = 0;
+    let pages = 0;
+
+    do {
+      const page = await scrollEmbeddings({
+        collectionName,
+        withPayload: { include: ALIAS_FIELDS },
+        limit: this.BACKFILL_PAGE_SIZE,
+        offset,
+      });
+
+      const changes = new Map(); // serialized patch -> { payload, pointIds }
+      for (const point of page.points) {
+        const patch = {};
+        for (const field of ALIAS_FIELDS) {
+          const value = point.payload?.[field];
+          const canonical = canonicalize(field, value);
+          if (typeof value === "string" && canonical !== value) {
+            patch[field] = canonical;
+          }
+        }
+        if (!Object.keys(patch).length) continue;
+
+        const key = JSON.stringify(patch);
+        if (!changes.has(key)) {
+          changes.set(key, { payload: patch, pointIds: [] });
+        }
+        changes.get(key).pointIds.push(point.id);
+      }
+
+      for (const { payload, pointIds } of changes.values()) {
+        await setEmbeddingsPayload({ collectionName, pointIds, payload });
+        // Hybrid search filters the BM25 companion on the same fields
+        await setSparsePayloadByIds(collectionName, pointIds, payload);
+        updated += pointIds.length;
+      }
+
+      scanned += page.points.length;
+      offset = page.nextOffset;
+      pages++;
+
+      // The collection size isn't known up front; creep towards 95%
+      await progress.update("normalizing", Math.min(95, 5 + pages * 2));
+    } while (offset != null);
+
+    console.log(
+      `📖 Alias backfill on ${collectionName}: ${updated}/${scanned} points updated`
+    );
+
+    return { collectionName, scannedPoints: scanned, updatedPoints: updated };
+  }
+
+  /**
+   * @returns {{field: string, canonical: string, aliases: string[]}|{error: string}}
+   */
+  validateInput({ field, canonical, aliases = [] } = {}) {
+    if (!ALIAS_FIELDS.includes(field)) {
+      return { error: `Invalid field. Use one of: ${ALIAS_FIELDS.join(", ")}` };
+    }
+    if (typeof canonical !== "string" || !canonical.trim()) {
+      return { error: "Canonical name is required" };
+    }
+    if (!Array.isArray(aliases) || aliases.some(a => typeof a !== "string")) {
+      return { error: "Aliases must be an array of strings" };
+    }
+    if (aliases.length > this.MAX_ALIASES) {
+      return { error: `At most ${this.MAX_ALIASES} aliases per entry` };
+    }
+
+    const name = canonical.trim().replace(/\s+/g, " ");
+    const seen = new Set([aliasKey(name)]);
+    const cleaned = [];
+    for (const alias of aliases) {
+      const trimmed = alias.trim().replace(/\s+/g, " ");
+      const key = aliasKey(trimmed);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      cleaned.push(trimmed);
+    }
+
+    return { field, canonical: name, aliases: cleaned };
+  }
+
+  /**
+   * First name of the input that another entry of the same field already claims
+   */
+  async findConflict({ field, canonical, aliases }, ignoreAliasId = null) {
+    const items = await this.queryAliases();
+    const claimed = new Map();
+
+    for (const item of items) {
+      if (item.Field !== field || item.AliasId === ignoreAliasId) continue;
+      for (const name of [item.Canonical, ...(item.Aliases || [])]) {
+        claimed.set(aliasKey(name), item);
+      }
+    }
+
+    for (const name of [canonical, ...aliases]) {
+      const entry = claimed.get(aliasKey(name));
+      if (entry) return { name, entry };
+    }
+    return null;
+  }
+
+  async findAlias(aliasId) {
+    if (!aliasId) return null;
+
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { PK: ALIAS_PARTITION, SK: `ALIAS#${aliasId}` },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  async queryAliases() {
+    const items = [];
+    let lastEvaluatedKey = null;
+
+    do {
+      const params = {
+        TableName: this.tableName,
+        KeyConditionExpression: "PK = :pk AND begins_with(SK, :prefix)",
+        ExpressionAttributeValues: {
+          ":pk": ALIAS_PARTITION,
+          ":prefix": "ALIAS#",
+        },
+      };
+
+      if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+
+      const result = await docClient.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return items;
+  }
+
+  formatAlias(item) {
+    return {
+      id: item.AliasId,
+      field: item.Field,
+      canonical: item.Canonical,
+      aliases: item.Aliases || [],
+      createdAt: item.CreatedAt,
+      updatedAt: item.UpdatedAt,
+    };
+  }
+}
+
+module.exports = new AliasService();
+module.exports.ALIAS_BACKFILL_JOB = ALIAS_BACKFILL_JOB;
@@ -0,0 +1,336 @@
+const { docClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const { QueryCommand } = require("@aws-sdk/lib-dynamodb");
+const { ASSET_TYPES, serialKey } = require("../utilities/asset-records");
+const {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  convertField,
+  unitFor,
+  resolveUnitSystem,
+} = require("../utilities/units");
+const runService = require("./run-service");
+const wellService = require("./well-service");
+
+/**
+ * Equipment history by serial number. AssetUsage items (saved with the
+ * runs, see runService.saveRuns) link a serial to a run; hours, footage,
+ * well and outcome are read from the run itself so reassignments and
+ * alias changes show up in the history.
+ */
+class AssetService {
+  constructor() {
+    this.tableName = process.env.DYNAMODB_TABLE_NAME;
+    this.MAX_QUERY_PAGES = 20;
+    this.DEFAULT_LIMIT = 100;
+    this.MAX_LIMIT = 1000;
+  }
+
+  /**
+   * GET /assets?assetType=motor&minDrillingHours=150 - every serial with
+   * cumulative hours and footage, highest drilling hours first
+   */
+  async listAssets(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const query = req.query || {};
+
+      const unitSystem = resolveUnitSystem(query.unitSystem);
+      if (!unitSystem) {
+        return handlers.response.failed({
+          res,
+          message: `Invalid unitSystem. Use one of: ${UNIT_SYSTEMS.join(", ")}`,
+        });
+      }
+      if (query.assetType && !ASSET_TYPES.includes(query.assetType)) {
+        return handlers.response.failed({
+          res,
+          message: `Invalid assetType. Use one of: ${ASSET_TYPES.join(", ")}`,
+        });
+      }
+
+      const minDrillingHours = Number(query.minDrillingHours);
+      const limit = Math.min(
+        Number(query.limit) || this.DEFAULT_LIMIT,
+        this.MAX_LIMIT
+      );
+      const search = serialKey(query.q);
+
+      const usages = (await this.queryUsages(userId)).filter(
+        usage =>
+          (!query.assetType || usage.AssetType === query.assetType) &&
+          (!search || usage.SerialKey.includes(search))
+      );
+      const histories = await this.buildHistories(userId, usages);
+
+      const assets = histories
+        .map(history => this.summarize(history, unitSystem))
+        .filter(
+          asset =>
+            !Number.isFinite(minDrillingHours) ||
+            asset.totals.drillingHours >= minDrillingHours
+        )
+        .sort(
+          (a, b) =>
+            b.totals.drillingHours - a.totals.drillingHours ||
+            b.totals.runs - a.totals.runs
+        );
+
+      return handlers.response.success({
+        res,
+        message: "Assets fetched successfully",
+        data: {
+          assets: assets.slice(0, limit),
+          metadata: {
+            count: Math.min(assets.length, limit),
+            total: assets.length,
+            hasMore: assets.length > limit,
+            unitSystem,
+            units: this.units(unitSystem),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("❌ List assets error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch assets",
+      });
+    }
+  }
+
+  /**
+   * GET /assets/:serial - every run the tool was used on, oldest first,
+   * with the hours accumulated up to each run
+   */
+  async getAssetHistory(req, res) {
+    try {
+      const userId = req.user?.UserId;
+
+      const unitSystem = resolveUnitSystem(req.query?.unitSystem);
+      if (!unitSystem) {
+        return handlers.response.failed({
+          res,
+          message: `Invalid unitSystem. Use one of: ${UNIT_SYSTEMS.join(", ")}`,
+        });
+      }
+
+      const key = serialKey(req.params.serial);
+      const usages = key ? await this.queryUsages(userId, key) : [];
+      const [history] = await this.buildHistories(userId, usages);
+      if (!history) {
+        return handlers.response.unavailable({
+          res,
+          message: "No runs found for this serial number",
+        });
+      }
+
+      return handlers.response.success({
+        res,
+        message: "Asset history fetched successfully",
+        data: {
+          ...this.summarize(history, unitSystem),
+          history: this.presentRuns(history.runs, unitSystem),
+          unitSystem,
+          units: this.units(unitSystem),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Get asset history error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch asset history",
+      });
+    }
+  }
+
+  /**
+   * Group usages by serial and join them with their runs and wells.
+   * Usages whose run no longer exists are skipped.
+   * @returns {Promise<Array<{serialKey: string, runs: Array}>>}
+   */
+  async buildHistories(userId, usages) {
+    if (!usages.length) return [];
+
+    const [runs, wells] = await Promise.all([
+      runService.findRuns(userId),
+      wellService.queryUserItems(userId, "Well"),
+    ]);
+    const runsById = new Map(runs.map(run => [run.id, run]));
+    const wellNames = new Map(wells.map(well => [well.WellId, well.Name]));
+
+    const histories = new Map();
+    for (const usage of usages) {
+      const run = runsById.get(usage.RunId);
+      if (!run) continue;
+
+      if (!histories.has(usage.SerialKey)) {
+        histories.set(usage.SerialKey, {
+          serialKey: usage.SerialKey,
+          runs: [],
+        });
+      }
+      histories.get(usage.SerialKey).runs.push({
+        run,
+        usage,
+        wellName: wellNames.get(run.wellId) || run.wellName || null,
+      });
+    }
+
+    for (const history of histories.values()) {
+      history.runs.sort((a, b) =>
+        String(a.run.runDate || a.run.createdAt).localeCompare(
+          String(b.run.runDate || b.run.createdAt)
+        )
+      );
+    }
+
+    return [...histories.values()];
+  }
+
+  /**
+   * Identity and cumulative totals of one serial. The latest usage with a
+   * description names the tool; run sheets often only give the serial.
+   */
+  summarize({ serialKey: key, runs }, unitSystem = DEFAULT_UNIT_SYSTEM) {
+    const latest = runs[runs.length - 1];
+    const described = [...runs]
+      .reverse()
+      .find(entry => entry.usage.Description);
+    const totals = this.accumulate(runs.map(entry => entry.run));
+    const wells = new Set(
+      runs.map(entry => entry.run.wellId || entry.wellName).filter(Boolean)
+    );
+
+    return {
+      serialNumber: latest.usage.SerialNumber,
+      serialKey: key,
+      assetType: latest.usage.AssetType,
+      description: described?.usage.Description || null,
+      totals: {
+        runs: runs.length,
+        wells: wells.size,
+        drillingHours: this.round(totals.drillingHours),
+        circulationHours: this.round(totals.circulationHours),
+        footage: this.round(
+          convertField("totalDrilled", totals.footage, unitSystem)
+        ),
+      },
+      firstRunDate: runs[0].run.runDate || null,
+      lastRunDate: latest.run.runDate || null,
+      lastWellName: latest.wellName,
+      lastOutcome: latest.run.pullReason || null,
+    };
+  }
+
+  /**
+   * History entries with running totals, in the given unit system
+   */
+  presentRuns(runs, unitSystem = DEFAULT_UNIT_SYSTEM) {
+    const totals = { drillingHours: 0, circulationHours: 0 };
+
+    return runs.map(({ run, usage, wellName }) => {
+      totals.drillingHours += run.drillingHours || 0;
+      totals.circulationHours += run.circulationHours || 0;
+
+      return {
+        runId: run.id,
+        fileId: run.fileId,
+        fileName: run.fileName,
+        documentType: run.documentType,
+        wellId: run.wellId,
+        wellName,
+        jobId: run.jobId,
+        runNumber: run.runNumber || null,
+        runDate: run.runDate || null,
+        section: run.section || null,
+        holeSize: this.convert("holeSize", run.holeSize, unitSystem),
+        drillingHours: run.drillingHours ?? null,
+        circulationHours: run.circulationHours ?? null,
+        footage: this.convert("totalDrilled", run.totalDrilled, unitSystem),
+        avgROP: this.convert("avgROP", run.avgROP, unitSystem),
+        outcome: run.pullReason || null,
+        component: {
+          description: usage.Description || null,
+          ...(usage.Od != null && { od: usage.Od }),
+          ...(usage.Length != null && { length: usage.Length }),
+        },
+        cumulative: {
+          drillingHours: this.round(totals.drillingHours),
+          circulationHours: this.round(totals.circulationHours),
+        },
+      };
+    });
+  }
+
+  accumulate(runs) {
+    return runs.reduce(
+      (totals, run) => ({
+        drillingHours: totals.drillingHours + (run.drillingHours || 0),
+        circulationHours: totals.circulationHours + (run.circulationHours || 0),
+        footage: totals.footage + (run.totalDrilled || 0),
+      }),
+      { drillingHours: 0, circulationHours: 0, footage: 0 }
+    );
+  }
+
+  units(unitSystem) {
+    return {
+      hours: unitFor("drillingHours", unitSystem),
+      footage: unitFor("totalDrilled", unitSystem),
+      holeSize: unitFor("holeSize", unitSystem),
+      avgROP: unitFor("avgROP", unitSystem),
+    };
+  }
+
+  convert(field, value, unitSystem) {
+    return value == null ? null : convertField(field, value, unitSystem);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * A user's AssetUsage items: one serial via the item key, or all of them
+   * through the UserIdIndex
+   */
+  async queryUsages(userId, key = null) {
+    const items = [];
+    let lastEvaluatedKey = null;
+    let pages = 0;
+
+    do {
+      const params = key
+        ? {
+            TableName: this.tableName,
+            KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+            ExpressionAttributeValues: {
+              ":pk": `ASSET#${key}`,
+              ":sk": `USER#${userId}#RUN#`,
+            },
+          }
+        : {
+            TableName: this.tableName,
+            IndexName: "UserIdIndex",
+            KeyConditionExpression: "UserId = :userId",
+            FilterExpression: "EntityType = :entityType",
+            ExpressionAttributeValues: {
+              ":userId": userId,
+              ":entityType": "AssetUsage",
+            },
+          };
+
+      if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+
+      const result = await docClient.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey && pages < this.MAX_QUERY_PAGES);
+
+    return items;
+  }
+}
+
+module.exports = new AssetService();
@@ -1,7 +1,28 @@
-const { QueryCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
 const comparePassword = require("../utilities/compare-password");
 const generateToken = require("../utilities/generate-token");
+const {
+  REFRESH_COOKIE,
+  createRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  accessTokenExpiry,
+  createChallengeToken,
+  verifyChallengeToken,
+  describeDevice,
+  setRefreshCookie,
+  clearAuthCookies,
+} = require("../utilities/session-tokens");
 const { handlers } = require("../utilities/handlers");
+const sanitizeUser = require("../utilities/sanitize-user");
+const mfaService = require("./mfa-service");
 const { docClient } = require("../config/aws");
 const { ScanCommand } = require("@aws-sdk/client-dynamodb");
 
@@ -15,6 +36,9 @@ class AuthService {
       parseInt(process.env.LOCKOUT_DURATION) || 15 * 60 * 1000; // 15 minutes
     this.sessionTimeout =
       parseInt(process.env.SESSION_TIMEOUT) || 24 * 60 * 60 * 1000; // 24 hours
+    // LastSeenAt is written at most this often per session
+    this.lastSeenInterval = 5 * 60 * 1000;
+    this.MAX_QUERY_PAGES = 20;
   }
 
   // Input validation and sanitization
@@ -48,13 +72,7 @@ class AuthService {
   }
 
   _sanitizeUserData(user) {
-    const {
-      Password,
-      SessionToken,
-      LoginAttempts,
-      LockedUntil,
-      ...sanitizedUser
-    } = user;
+    const { LoginAttempts, LockedUntil, ...sanitizedUser } = sanitizeUser(user);
     return sanitizedUser;
   }
 
@@ -156,31 +174,13 @@ class AuthService {
         });
       }
 
-      // Successful login - reset failed attempts and generate token
-      const token = generateToken({ _id: user.UserId, res });
-      const sessionExpiry = new Date(Date.now() + this.sessionTimeout);
-
-      await this._handleSuccessfulLogin(user.PK, token, sessionExpiry);
-
-      handlers.logger.success({
-        message: "Successful sign-in",
-        userId: user.UserId,
-        email: normalizedEmail,
-        ip: clientIP,
-      });
-
-      // Return sanitized user data
-      const sanitizedUser = this._sanitizeUserData(user);
+      // With MFA enabled, or required for the role, the sign-in finishes
+      // at POST /auth/mfa/challenge
+      if (user.MfaEnabled || (await mfaService.isRequiredFor(user))) {
+        return this._mfaChallengeResponse(user, res);
+      }
 
-      return handlers.response.success({
-        res,
-        message: "Sign-in successful",
-        data: {
-          user: sanitizedUser,
-          token,
-          expiresAt: sessionExpiry.toISOString(),
-        },
-      });
+      return await this._completeSignIn(user, req, res);
     } catch (error) {
       console.error(error);
 
@@ -213,7 +213,7 @@ class AuthService {
         Limit: 1,
         // Only fetch necessary fields for initial lookup
         ProjectionExpression:
-          "PK, SK, UserId, Email, Password, LoginAttempts, LockedUntil, #Role, #Status, CreatedAt",
+          "PK, SK, UserId, Email, Password, LoginAttempts, LockedUntil, MfaEnabled, #Role, #Status, CreatedAt",
         ExpressionAttributeNames: {
           "#Email": "Email",
           "#Role": "Role",
@@ -235,6 +235,141 @@ class AuthService {
     }
   }
 
+  /**
+   * Reset failed attempts, start a session and send the tokens
+   * @param {Object} [extra] - Added to the response data.
+   */
+  async _completeSignIn(user, req, res, extra = {}) {
+    await this._handleSuccessfulLogin(user.PK);
+    const session = await this.createSession(user.UserId, req);
+    const token = generateToken({
+      _id: user.UserId,
+      sessionId: session.sessionId,
+      res,
+    });
+    setRefreshCookie(res, session.refreshToken, session.expiresAt);
+
+    handlers.logger.success({
+      message: "Successful sign-in",
+      userId: user.UserId,
+      email: user.Email,
+      ip: req.ip || "unknown",
+    });
+
+    return handlers.response.success({
+      res,
+      message: "Sign-in successful",
+      data: {
+        user: this._sanitizeUserData(user),
+        token,
+        accessTokenExpiresAt: accessTokenExpiry(token),
+        refreshToken: session.refreshToken,
+        sessionId: session.sessionId,
+        expiresAt: session.expiresAt,
+        ...extra,
+      },
+    });
+  }
+
+  _mfaChallengeResponse(user, res) {
+    const setupRequired = !user.MfaEnabled;
+    const challenge = createChallengeToken(
+      user.UserId,
+      setupRequired ? "mfa_setup" : "mfa"
+    );
+
+    return handlers.response.success({
+      res,
+      message: setupRequired
+        ? "MFA setup is required for your role"
+        : "MFA verification required",
+      data: {
+        mfaRequired: true,
+        setupRequired,
+        challengeToken: challenge.token,
+        challengeExpiresAt: challenge.expiresAt,
+      },
+    });
+  }
+
+  /**
+   * POST /auth/mfa/challenge - second sign-in step. Takes the challenge
+   * token from signIn and an authenticator `code` or a `backupCode`. For a
+   * "mfa_setup" challenge the code confirms the enrollment started at
+   * /auth/mfa/challenge/setup, and the response carries the backup codes.
+   * Wrong codes count as failed logins towards the account lockout.
+   */
+  async completeMfaChallenge(req, res) {
+    try {
+      const { challengeToken, code, backupCode } = req.body || {};
+      const challenge = verifyChallengeToken(challengeToken, [
+        "mfa",
+        "mfa_setup",
+      ]);
+      const user = challenge && (await mfaService.getUser(challenge.userId));
+
+      if (!user || user.IsActive === false) {
+        return handlers.response.unauthenticated({
+          res,
+          message: "Sign-in challenge is invalid or has expired",
+          data: { error: "INVALID_CHALLENGE" },
+        });
+      }
+
+      if (this._isAccountLocked(user)) {
+        return handlers.response.failed({
+          res,
+          message:
+            "Account is temporarily locked due to multiple failed attempts. Please try again later.",
+          code: 423,
+        });
+      }
+
+      let backupCodes = null;
+      let verified;
+      if (user.MfaEnabled) {
+        verified = await mfaService.verifyUserCode(user, { code, backupCode });
+      } else if (challenge.purpose === "mfa_setup") {
+        backupCodes = await mfaService.confirmEnrollment(user, code);
+        verified = Boolean(backupCodes);
+      }
+
+      if (!verified) {
+        await this._handleFailedLogin(user);
+
+        handlers.logger.security({
+          message: "Failed sign-in attempt - incorrect MFA code",
+          userId: user.UserId,
+          attempts: (user.LoginAttempts || 0) + 1,
+          ip: req.ip || "unknown",
+        });
+
+        return handlers.response.unauthenticated({
+          res,
+          message: "Invalid verification code",
+          data: { error: "INVALID_MFA_CODE" },
+        });
+      }
+
+      return await this._completeSignIn(
+        user,
+        req,
+        res,
+        backupCodes ? { backupCodes } : {}
+      );
+    } catch (error) {
+      handlers.logger.error({
+        message: "MFA challenge error",
+        error: error.stack,
+      });
+
+      return handlers.response.error({
+        res,
+        message: "Authentication service temporarily unavailable",
+      });
+    }
+  }
+
   async _handleFailedLogin(user) {
     const loginAttempts = (user.LoginAttempts || 0) + 1;
     const shouldLock = this._shouldLockAccount(loginAttempts);
@@ -265,22 +400,20 @@ class AuthService {
     await docClient.send(command);
   }
 
-  async _handleSuccessfulLogin(userPK, token, sessionExpiry) {
+  async _handleSuccessfulLogin(userPK) {
     const updateParams = {
       TableName: TABLE_NAME,
       Key: {
         PK: userPK,
         SK: userPK,
       },
+      // Session state used to live on the user item; it is now per SESSION#
       UpdateExpression: `
-        SET SessionToken = :token,
-            SessionExpiry = :expiry,
-            LastLogin = :timestamp
-        REMOVE LoginAttempts, LockedUntil, LastFailedLogin
+        SET LastLogin = :timestamp
+        REMOVE SessionToken, SessionId, SessionExpiry, RefreshTokenHash,
+               LoginAttempts, LockedUntil, LastFailedLogin
       `,
       ExpressionAttributeValues: {
-        ":token": token,
-        ":expiry": sessionExpiry.toISOString(),
         ":timestamp": new Date().toISOString(),
       },
     };
@@ -289,45 +422,432 @@ class AuthService {
     await docClient.send(command);
   }
 
-  // Additional utility methods
-  async validateSession(token, userId) {
-    try {
-      const params = {
+  /**
+   * Start a session for the signing-in device. Each session is its own
+   * SESSION# item, so signing in elsewhere leaves other devices signed in.
+   * @returns {Promise<{sessionId: string, refreshToken: string,
+   *          expiresAt: string}>}
+   */
+  async createSession(userId, req) {
+    const sessionId = uuidv4();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.sessionTimeout);
+    const refresh = createRefreshToken(userId, sessionId);
+    const userAgent = req.headers?.["user-agent"] || null;
+    const deviceName =
+      typeof req.body?.deviceName === "string"
+        ? req.body.deviceName.trim().slice(0, 100)
+        : "";
+
+    await docClient.send(
+      new PutCommand({
         TableName: TABLE_NAME,
-        Key: {
-          PK: `USER#${userId}`,
-          SK: `USER#${userId}`,
+        Item: {
+          ...this._sessionKey(userId, sessionId),
+          EntityType: "Session",
+          SessionId: sessionId,
+          UserId: userId,
+          RefreshTokenHash: refresh.hash,
+          Device: deviceName || describeDevice(userAgent),
+          UserAgent: userAgent,
+          IpAddress: req.ip || req.connection?.remoteAddress || null,
+          CreatedAt: now.toISOString(),
+          LastSeenAt: now.toISOString(),
+          ExpiresAt: expiresAt.toISOString(),
+          TTL: Math.floor(expiresAt.getTime() / 1000),
         },
-        ProjectionExpression: "SessionToken, SessionExpiry, #Status",
-        ExpressionAttributeNames: {
-          "#Status": "Status",
+      })
+    );
+
+    return {
+      sessionId,
+      refreshToken: refresh.token,
+      expiresAt: expiresAt.toISOString(),
+    };
+  }
+
+  /**
+   * POST /auth/refresh - swap a refresh token for a new access token and a
+   * new refresh token. Presenting a refresh token that was already rotated
+   * away means it leaked, so the whole session is revoked.
+   */
+  async refresh(req, res) {
+    try {
+      const presented = req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE];
+      const parsed = parseRefreshToken(presented);
+
+      if (!parsed) {
+        return handlers.response.unauthenticated({
+          res,
+          message: "A valid refresh token is required",
+          data: { error: "INVALID_REFRESH_TOKEN" },
+        });
+      }
+
+      const { userId, sessionId, secret } = parsed;
+      const validation = await this.validateSession(sessionId, userId);
+
+      if (!validation.valid) {
+        clearAuthCookies(res);
+        return handlers.response.unauthenticated({
+          res,
+          message: validation.reason,
+          data: { error: validation.error },
+        });
+      }
+
+      const { session } = validation;
+      const nextRefresh = createRefreshToken(userId, sessionId);
+      const rotated =
+        hashToken(secret) === session.RefreshTokenHash &&
+        (await this._rotateRefreshToken(session, nextRefresh.hash, req));
+
+      if (!rotated) {
+        await this.revokeSession(userId, sessionId);
+        clearAuthCookies(res);
+
+        handlers.logger.security({
+          message: "Refresh token reuse detected - session revoked",
+          userId,
+          sessionId,
+          ip: req.ip || "unknown",
+        });
+
+        return handlers.response.unauthenticated({
+          res,
+          message: "Refresh token has already been used. Please sign in again.",
+          data: { error: "REFRESH_TOKEN_REUSED" },
+        });
+      }
+
+      const token = generateToken({ _id: userId, sessionId, res });
+      setRefreshCookie(res, nextRefresh.token, session.ExpiresAt);
+
+      return handlers.response.success({
+        res,
+        message: "Token refreshed successfully",
+        data: {
+          token,
+          accessTokenExpiresAt: accessTokenExpiry(token),
+          refreshToken: nextRefresh.token,
+          sessionId,
+          expiresAt: session.ExpiresAt,
         },
-      };
+      });
+    } catch (error) {
+      handlers.logger.error({
+        message: "Token refresh error",
+        error: error.stack,
+      });
 
-      const command = new QueryCommand(params);
-      const result = await docClient.send(command);
-      const user = result.Item;
+      return handlers.response.error({
+        res,
+        message: "Failed to refresh token",
+        data: { error: "REFRESH_FAILED" },
+      });
+    }
+  }
 
-      if (!user || user.SessionToken !== token) {
-        return { valid: false, reason: "Invalid session" };
+  /**
+   * Replace the stored refresh token hash, but only if it is still the one
+   * that was presented; a concurrent refresh with the same token loses.
+   * @returns {Promise<boolean>}
+   */
+  async _rotateRefreshToken(session, nextHash, req) {
+    try {
+      await docClient.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: this._sessionKey(session.UserId, session.SessionId),
+          UpdateExpression: `
+            SET RefreshTokenHash = :next,
+                LastRefreshAt = :timestamp,
+                LastSeenAt = :timestamp,
+                IpAddress = :ip
+          `,
+          ConditionExpression: "RefreshTokenHash = :current",
+          ExpressionAttributeValues: {
+            ":next": nextHash,
+            ":current": session.RefreshTokenHash,
+            ":timestamp": new Date().toISOString(),
+            ":ip": req.ip || session.IpAddress || null,
+          },
+        })
+      );
+      return true;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Server-side session check for an access or refresh token
+   * @returns {Promise<{valid: boolean, reason?: string, error?: string,
+   *          user?: Object, session?: Object}>}
+   */
+  async validateSession(sessionId, userId) {
+    try {
+      const [userResult, sessionResult] = await Promise.all([
+        docClient.send(
+          new GetCommand({
+            TableName: TABLE_NAME,
+            Key: {
+              PK: `USER#${userId}`,
+              SK: `USER#${userId}`,
+            },
+          })
+        ),
+        sessionId
+          ? docClient.send(
+              new GetCommand({
+                TableName: TABLE_NAME,
+                Key: this._sessionKey(userId, sessionId),
+              })
+            )
+          : {},
+      ]);
+      const user = userResult.Item;
+      const session = sessionResult.Item;
+
+      if (!user) {
+        return {
+          valid: false,
+          reason: "User not found or access revoked",
+          error: "USER_NOT_FOUND",
+        };
       }
 
-      if (user.SessionExpiry && new Date() > new Date(user.SessionExpiry)) {
-        return { valid: false, reason: "Session expired" };
+      if (user.IsActive === false || user.Status === "inactive") {
+        return {
+          valid: false,
+          reason: "Account has been deactivated",
+          error: "ACCOUNT_DEACTIVATED",
+        };
       }
 
-      if (user.Status === "inactive") {
-        return { valid: false, reason: "Account inactive" };
+      if (!session) {
+        return {
+          valid: false,
+          reason: "Session has been signed out or revoked",
+          error: "SESSION_REVOKED",
+        };
       }
 
-      return { valid: true };
+      // TTL deletion is lazy, so expired items can still be read
+      if (new Date() > new Date(session.ExpiresAt)) {
+        return {
+          valid: false,
+          reason: "Session expired",
+          error: "SESSION_EXPIRED",
+        };
+      }
+
+      await this._touchSession(session);
+
+      return { valid: true, user, session };
     } catch (error) {
       handlers.logger.error({
         message: "Session validation error",
         error: error.stack,
         userId,
       });
-      return { valid: false, reason: "Validation error" };
+      return {
+        valid: false,
+        reason: "Session validation failed",
+        error: "VALIDATION_ERROR",
+      };
+    }
+  }
+
+  async _touchSession(session) {
+    const lastSeen = new Date(session.LastSeenAt || 0).getTime();
+    if (Date.now() - lastSeen < this.lastSeenInterval) return;
+
+    try {
+      await docClient.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: this._sessionKey(session.UserId, session.SessionId),
+          UpdateExpression: "SET LastSeenAt = :timestamp",
+          // Do not bring back a session revoked in the meantime
+          ConditionExpression: "attribute_exists(PK)",
+          ExpressionAttributeValues: {
+            ":timestamp": new Date().toISOString(),
+          },
+        })
+      );
+    } catch (error) {
+      console.warn("⚠️ Failed to update session last seen:", error.message);
+    }
+  }
+
+  /**
+   * End one session so its access and refresh tokens stop working
+   * @returns {Promise<boolean>} - False when there was no such session.
+   */
+  async revokeSession(userId, sessionId) {
+    if (!sessionId) return false;
+
+    const result = await docClient.send(
+      new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: this._sessionKey(userId, sessionId),
+        ReturnValues: "ALL_OLD",
+      })
+    );
+    return Boolean(result.Attributes);
+  }
+
+  /**
+   * End every session of a user, optionally keeping one
+   * @returns {Promise<number>} - Number of sessions ended.
+   */
+  async revokeAllSessions(userId, { exceptSessionId = null } = {}) {
+    const sessions = (await this.listUserSessions(userId)).filter(
+      session => session.SessionId !== exceptSessionId
+    );
+
+    await Promise.all(
+      sessions.map(session => this.revokeSession(userId, session.SessionId))
+    );
+    return sessions.length;
+  }
+
+  /**
+   * A user's unexpired sessions, most recently used first
+   */
+  async listUserSessions(userId) {
+    const items = [];
+    let lastEvaluatedKey = null;
+    let pages = 0;
+
+    do {
+      const params = {
+        TableName: TABLE_NAME,
+        IndexName: "UserIdIndex",
+        KeyConditionExpression: "UserId = :userId",
+        FilterExpression: "EntityType = :entityType AND ExpiresAt > :now",
+        ExpressionAttributeValues: {
+          ":userId": userId,
+          ":entityType": "Session",
+          ":now": new Date().toISOString(),
+        },
+      };
+      if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+
+      const result = await docClient.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey && pages < this.MAX_QUERY_PAGES);
+
+    return items.sort((a, b) =>
+      String(b.LastSeenAt).localeCompare(String(a.LastSeenAt))
+    );
+  }
+
+  formatSession(item, currentSessionId = null) {
+    return {
+      id: item.SessionId,
+      device: item.Device,
+      userAgent: item.UserAgent,
+      ipAddress: item.IpAddress,
+      createdAt: item.CreatedAt,
+      lastSeenAt: item.LastSeenAt,
+      expiresAt: item.ExpiresAt,
+      current: item.SessionId === currentSessionId,
+    };
+  }
+
+  _sessionKey(userId, sessionId) {
+    return {
+      PK: `SESSION#${sessionId}`,
+      SK: `USER#${userId}#SESSION#${sessionId}`,
+    };
+  }
+
+  /**
+   * GET /auth/sessions - the signed-in user's devices
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await this.listUserSessions(req.user.UserId);
+      const currentSessionId = req.tokenInfo?.decoded?.sid;
+
+      return handlers.response.success({
+        res,
+        message: "Sessions fetched successfully",
+        data: {
+          sessions: sessions.map(session =>
+            this.formatSession(session, currentSessionId)
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("❌ List sessions error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to fetch sessions",
+      });
+    }
+  }
+
+  /**
+   * DELETE /auth/sessions/:sessionId - sign one device out
+   */
+  async deleteSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const revoked = await this.revokeSession(req.user.UserId, sessionId);
+
+      if (!revoked) {
+        return handlers.response.unavailable({
+          res,
+          message: "Session not found",
+        });
+      }
+
+      if (sessionId === req.tokenInfo?.decoded?.sid) clearAuthCookies(res);
+
+      return handlers.response.success({
+        res,
+        message: "Session revoked successfully",
+        data: { sessionId },
+      });
+    } catch (error) {
+      console.error("❌ Revoke session error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to revoke session",
+      });
+    }
+  }
+
+  /**
+   * DELETE /auth/sessions - sign out everywhere; ?keepCurrent=true keeps
+   * the calling device signed in
+   */
+  async deleteAllSessions(req, res) {
+    try {
+      const keepCurrent = req.query?.keepCurrent === "true";
+      const revoked = await this.revokeAllSessions(req.user.UserId, {
+        exceptSessionId: keepCurrent ? req.tokenInfo?.decoded?.sid : null,
+      });
+
+      if (!keepCurrent) clearAuthCookies(res);
+
+      return handlers.response.success({
+        res,
+        message: "Signed out of all sessions",
+        data: { revoked, keptCurrent: keepCurrent },
+      });
+    } catch (error) {
+      console.error("❌ Revoke all sessions error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to revoke sessions",
+      });
     }
   }
 
@@ -343,20 +863,21 @@ class AuthService {
         });
       }
 
-      const command = new UpdateCommand({
-        TableName: TABLE_NAME,
-        Key: {
-          PK: `USER#${userId}`,
-          SK: `USER#${userId}`,
-        },
-        UpdateExpression:
-          "REMOVE SessionToken, SessionExpiry SET LastLogout = :timestamp",
-        ExpressionAttributeValues: {
-          ":timestamp": new Date().toISOString(),
-        },
-      });
-
-      await docClient.send(command);
+      await this.revokeSession(userId, req.tokenInfo?.decoded?.sid);
+      await docClient.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: {
+            PK: `USER#${userId}`,
+            SK: `USER#${userId}`,
+          },
+          UpdateExpression: "SET LastLogout = :timestamp",
+          ExpressionAttributeValues: {
+            ":timestamp": new Date().toISOString(),
+          },
+        })
+      );
+      clearAuthCookies(res);
 
       return handlers.response.success({
         res,
@@ -1,9 +1,31 @@
-const { docClient } = require("../config/aws");
+const { docClient, s3Client } = require("../config/aws");
+const { GetObjectCommand } = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 const openaiClient = require("../config/openai");
 const getEmbedding = require("../utilities/get-embedding");
 const { handlers } = require("../utilities/handlers");
 const { saveQuery } = require("../utilities/save-query");
-const searchResults = require("../utilities/search-results");
+const conversationService = require("./conversation-service");
+const chatToolService = require("./chat-tool-service");
+const aliasService = require("./alias-service");
+const {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  resolveUnitSystem,
+  convertField,
+} = require("../utilities/units");
+const {
+  createAdvancedFilter,
+  hybridSearch,
+  SEARCH_MODES,
+} = require("../utilities/search-results");
+const { ensurePayloadIndexes } = require("../utilities/qdrant-functions");
+const {
+  openEventStream,
+  sendEvent,
+  closeEventStream,
+  wantsEventStream,
+} = require("../utilities/event-stream");
 const { QueryCommand, BatchWriteCommand } = require("@aws-sdk/lib-dynamodb");
 
 class EnhancedDrillingSearchService {
@@ -22,6 +44,21 @@ class EnhancedDrillingSearchService {
     this.MAX_CACHE_SIZE = 200; // Increased cache size
     this.MAX_DRILLING_CACHE_SIZE = 100;
 
+    // Conversation settings
+    this.CONDENSE_MODEL = process.env.CONDENSE_MODEL || "gpt-4-turbo";
+    this.MAX_HISTORY_ANSWER_CHARS = 1500;
+
+    // Retrieval mode: dense vectors, BM25 keywords, or both fused with RRF
+    this.DEFAULT_SEARCH_MODE = process.env.SEARCH_MODE || "hybrid";
+
+    // Aggregation queries may call tools over RUN#/TABLE# records
+    this.TOOLS_ENABLED = process.env.CHAT_TOOLS_ENABLED !== "false";
+    this.MAX_TOOL_ROUNDS = Number(process.env.CHAT_MAX_TOOL_ROUNDS) || 4;
+
+    // Citation settings
+    this.CITATION_URL_EXPIRES_IN =
+      Number(process.env.CITATION_URL_EXPIRES_IN) || 3600;
+
     // Enhanced metrics tracking
     this.metrics = {
       totalRequests: 0,
@@ -212,32 +249,102 @@ class EnhancedDrillingSearchService {
   }
 
   /**
-   * Enhanced search with drilling optimizations
+   * Enhanced search with drilling optimizations.
+   * Responds with a single JSON payload, or streams Server-Sent Events
+   * (sources -> delta... -> done) when the client asks for a stream.
    */
   async search(req, res) {
     const startTime = Date.now();
-    const { query, collectionName = "document_embeddings" } = req.body;
+    const {
+      query,
+      collectionName = "document_embeddings",
+      conversationId,
+      filters,
+      mode = this.DEFAULT_SEARCH_MODE,
+    } = req.body;
     const userId = req.user?.UserId;
+    const stream = wantsEventStream(req);
+    const unitSystem = resolveUnitSystem(req.body.unitSystem);
 
     if (!query) {
       return handlers.response.failed({ res, message: "Query is required" });
     }
 
+    if (!SEARCH_MODES.includes(mode)) {
+      return handlers.response.failed({
+        res,
+        message: `Invalid search mode. Use one of: ${SEARCH_MODES.join(", ")}`,
+      });
+    }
+
+    if (!unitSystem) {
+      return handlers.response.failed({
+        res,
+        message: `Invalid unitSystem. Use one of: ${UNIT_SYSTEMS.join(", ")}`,
+      });
+    }
+
     const sanitizedQuery = query.trim();
-    const queryType = this.classifyQuery(sanitizedQuery);
-    const isDrilling = this.isDrillingQuery(sanitizedQuery);
+
+    // Query text and filters are normalized with the same aliases as ingest
+    await aliasService.ensureLoaded();
+
+    // Translate metadata filters (documents, hole size, uploader, dates...)
+    let filter = null;
+    try {
+      filter = this.buildSearchFilter(filters, userId, unitSystem);
+    } catch (error) {
+      return handlers.response.failed({ res, message: error.message });
+    }
+
+    // Load the thread so follow-ups can be resolved against earlier turns
+    let conversation = null;
+    let history = [];
+    if (conversationId) {
+      conversation = await conversationService.findConversation(
+        userId,
+        conversationId
+      );
+      if (!conversation) {
+        return handlers.response.unavailable({
+          res,
+          message: "Conversation not found",
+        });
+      }
+      history = await conversationService.getRecentTurns(
+        userId,
+        conversationId
+      );
+    }
+
+    const retrievalQuery = history.length
+      ? await this.condenseQuery(sanitizedQuery, history)
+      : sanitizedQuery;
+    const queryType = this.classifyQuery(retrievalQuery);
+    const isDrilling = this.isDrillingQuery(retrievalQuery);
 
     console.log(
       `🔍 Processing ${queryType} query: "${sanitizedQuery.substring(
         0,
         100
-      )}..."`
+      )}..."${stream ? " (streaming)" : ""}`
     );
 
+    // Answers inside a thread depend on its history, and a cache hit skips
+    // recording the turn, so only stateless, unscoped queries in the
+    // default mode and units are served from the response caches
+    const useResponseCache =
+      !conversation &&
+      !filter &&
+      mode === this.DEFAULT_SEARCH_MODE &&
+      unitSystem === DEFAULT_UNIT_SYSTEM;
+
     // Check for cached response
-    const cachedResponse = this.getCachedResponse(sanitizedQuery, userId);
+    const cachedResponse =
+      useResponseCache && this.getCachedResponse(sanitizedQuery, userId);
     if (cachedResponse) {
       this.updateMetrics(Date.now() - startTime, true, queryType);
+      if (stream) return this.replayCachedResponse(res, cachedResponse);
       return handlers.response.success({
         res,
         message: "Answer from cache",
@@ -246,13 +353,14 @@ class EnhancedDrillingSearchService {
     }
 
     // Check for cached drilling analysis for complex queries
-    if (isDrilling && queryType === "aggregation") {
+    if (useResponseCache && isDrilling && queryType === "aggregation") {
       const cachedAnalysis = this.getCachedDrillingAnalysis(
         sanitizedQuery,
         userId
       );
       if (cachedAnalysis) {
         this.updateMetrics(Date.now() - startTime, true, "drilling");
+        if (stream) return this.replayCachedResponse(res, cachedAnalysis);
         return handlers.response.success({
           res,
           message: "Drilling analysis from cache",
@@ -261,16 +369,258 @@ class EnhancedDrillingSearchService {
       }
     }
 
-    // Generate or retrieve embedding
-    let embedding = this.getCachedEmbedding(sanitizedQuery);
+    const searchState = {
+      startTime,
+      userId,
+      collectionName,
+      sanitizedQuery,
+      retrievalQuery,
+      queryType,
+      isDrilling,
+      conversation,
+      history,
+      filter,
+      mode,
+      unitSystem,
+      useResponseCache,
+    };
+
+    if (stream) {
+      return this.streamSearch(req, res, searchState);
+    }
+
+    const { results, context, sources, citations, embeddingFromCache } =
+      await this.retrieveContext(searchState);
+
+    // Enhanced OpenAI completion with drilling-specific prompts
+    const { model, temperature, messages } = this.buildCompletionRequest({
+      ...searchState,
+      context,
+    });
+
+    console.log(
+      `🤖 Generating ${
+        isDrilling ? "drilling-optimized" : "standard"
+      } response...`
+    );
+
+    const toolState = this.shouldUseTools(queryType)
+      ? await this.resolveToolCalls({
+          model,
+          temperature,
+          messages,
+          userId,
+          unitSystem,
+        })
+      : null;
+
+    let content = toolState?.content ?? null;
+    let totalTokens = toolState?.totalTokens || 0;
+
+    if (content == null) {
+      const completion = await this.retryOperation(
+        () =>
+          openaiClient.chat.completions.create({
+            model,
+            temperature,
+            ...this.buildFinalMessages(messages, toolState),
+          }),
+        2,
+        "OpenAI API Call"
+      );
+      content = completion.choices[0].message.content;
+      totalTokens += completion.usage?.total_tokens || 0;
+    }
+
+    const { responseData } = await this.persistAnswer({
+      ...searchState,
+      model,
+      temperature,
+      content,
+      totalTokens,
+      toolCalls: toolState?.toolCalls,
+      sources,
+      citations,
+      resultsCount: results.length,
+      embeddingFromCache,
+    });
+
+    return handlers.response.success({
+      res,
+      message: `Answer from ${
+        isDrilling ? "drilling-optimized" : "standard"
+      } GPT`,
+      data: responseData,
+    });
+  }
+
+  /**
+   * Streaming variant of search: sources first, token deltas as they arrive,
+   * then a final event carrying metrics and the saved QueryId
+   */
+  async streamSearch(req, res, searchState) {
+    const { queryType, isDrilling, conversation } = searchState;
+
+    const abortController = new AbortController();
+    let clientClosed = false;
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        clientClosed = true;
+        abortController.abort();
+      }
+    });
+
+    openEventStream(res);
+
+    try {
+      const { results, context, sources, citations, embeddingFromCache } =
+        await this.retrieveContext(searchState);
+
+      sendEvent(res, "sources", {
+        sources,
+        citations,
+        queryType,
+        isDrillingOptimized: isDrilling,
+        conversationId: conversation?.ConversationId || null,
+      });
+
+      const { model, temperature, messages } = this.buildCompletionRequest({
+        ...searchState,
+        context,
+      });
+
+      console.log(
+        `🤖 Streaming ${
+          isDrilling ? "drilling-optimized" : "standard"
+        } response...`
+      );
+
+      // Tool rounds are not streamed; only the final answer is
+      const toolState = this.shouldUseTools(queryType)
+        ? await this.resolveToolCalls({
+            model,
+            temperature,
+            messages,
+            userId: searchState.userId,
+            unitSystem: searchState.unitSystem,
+            signal: abortController.signal,
+          })
+        : null;
+
+      let content = "";
+      let totalTokens = toolState?.totalTokens || 0;
+
+      if (toolState?.content != null) {
+        content = toolState.content;
+        sendEvent(res, "delta", { content });
+      } else {
+        const completionStream = await this.retryOperation(
+          () =>
+            openaiClient.chat.completions.create(
+              {
+                model,
+                temperature,
+                ...this.buildFinalMessages(messages, toolState),
+                stream: true,
+                stream_options: { include_usage: true },
+              },
+              { signal: abortController.signal }
+            ),
+          2,
+          "OpenAI Streaming API Call"
+        );
+
+        for await (const chunk of completionStream) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            sendEvent(res, "delta", { content: delta });
+          }
+          if (chunk.usage) totalTokens += chunk.usage.total_tokens || 0;
+        }
+      }
+
+      if (clientClosed) {
+        console.warn("⚠️ Client disconnected before stream completed");
+        return;
+      }
+
+      const { responseData, queryId } = await this.persistAnswer({
+        ...searchState,
+        model,
+        temperature,
+        content,
+        totalTokens,
+        toolCalls: toolState?.toolCalls,
+        sources,
+        citations,
+        resultsCount: results.length,
+        embeddingFromCache,
+      });
+
+      sendEvent(res, "done", {
+        queryId,
+        conversationId: responseData.conversationId,
+        metrics: responseData.metrics,
+      });
+    } catch (error) {
+      if (clientClosed) {
+        console.warn("⚠️ Streaming search aborted by client");
+        return;
+      }
+
+      console.error("❌ Streaming search failed:", error.message);
+      sendEvent(
+        res,
+        "error",
+        handlers.event.error({ message: "Failed to generate answer" })
+      );
+    } finally {
+      closeEventStream(res);
+    }
+  }
+
+  /**
+   * Cached answers are replayed through the same event sequence so
+   * streaming clients only need a single code path
+   */
+  replayCachedResponse(res, cachedResponse) {
+    openEventStream(res);
+    sendEvent(res, "sources", {
+      sources: cachedResponse.sources,
+      citations: cachedResponse.citations || [],
+      queryType: cachedResponse.queryType,
+      isDrillingOptimized: cachedResponse.isDrillingOptimized,
+    });
+    sendEvent(res, "delta", { content: cachedResponse.answer });
+    sendEvent(res, "done", {
+      queryId: cachedResponse.queryId || null,
+      metrics: cachedResponse.metrics,
+    });
+    closeEventStream(res);
+  }
+
+  /**
+   * Embed the query, search the collection and build the prompt context
+   */
+  async retrieveContext({
+    retrievalQuery,
+    collectionName,
+    queryType,
+    isDrilling,
+    filter = null,
+    mode = this.DEFAULT_SEARCH_MODE,
+  }) {
+    // Generate or retrieve embedding (keyword-only search doesn't need one)
+    let embedding = this.getCachedEmbedding(retrievalQuery);
     let embeddingFromCache = true;
 
-    if (!embedding) {
+    if (!embedding && mode !== "sparse") {
       console.log(`🧠 Generating enhanced embedding for ${queryType} query...`);
 
       embedding = await this.retryOperation(
         () =>
-          getEmbedding(sanitizedQuery, {
+          getEmbedding(retrievalQuery, {
             enhanceDrillingContext: isDrilling,
             model: "text-embedding-3-small",
           }),
@@ -278,7 +628,7 @@ class EnhancedDrillingSearchService {
         `Generate ${isDrilling ? "Drilling" : "Standard"} Embedding`
       );
 
-      this.setCachedEmbedding(sanitizedQuery, embedding);
+      this.setCachedEmbedding(retrievalQuery, embedding);
       embeddingFromCache = false;
 
       if (isDrilling) this.metrics.embeddingEnhancements++;
@@ -287,70 +637,335 @@ class EnhancedDrillingSearchService {
     // Enhanced search with drilling optimizations
     const searchOptions = this.getSearchOptions(queryType, isDrilling);
 
+    // Filtering needs payload indexes; created once per collection
+    if (filter) {
+      await ensurePayloadIndexes(collectionName);
+    }
+
     const results = await this.retryOperation(
       () =>
-        searchResults({
+        hybridSearch({
           collectionName,
           embedding,
+          query: retrievalQuery,
+          mode,
           ...searchOptions,
+          filter,
         }),
       2,
-      `${isDrilling ? "Drilling" : "Standard"} Vector Search`
+      `${isDrilling ? "Drilling" : "Standard"} ${mode} Search`
     );
 
     console.log(
-      `📊 Found ${results.length} relevant results for ${queryType} query`
+      `📊 Found ${results.length} relevant results for ${queryType} query (${mode})`
     );
 
-    // Process results with drilling-specific context
-    const context = this.buildEnhancedContext(results, queryType, isDrilling);
-    const sources = this.formatSources(results);
+    // Context and sources share one ordering so citation numbers line up
+    const orderedResults = this.orderResultsForContext(results, queryType);
+    const context = this.buildEnhancedContext(
+      orderedResults,
+      queryType,
+      isDrilling
+    );
+    const sources = this.formatSources(orderedResults);
+    const citations = await this.buildCitations(sources);
 
-    // Enhanced OpenAI completion with drilling-specific prompts
+    return { results, context, sources, citations, embeddingFromCache };
+  }
+
+  /**
+   * Build the Qdrant filter for a search request. "me" as uploader resolves
+   * to the requesting user, and hole sizes are converted from the request's
+   * units to the inches stored in payloads. Throws on invalid filter values.
+   */
+  buildSearchFilter(filters, userId, unitSystem = DEFAULT_UNIT_SYSTEM) {
+    if (!filters) return null;
+
+    const uploadedBy = Array.isArray(filters.uploadedBy)
+      ? filters.uploadedBy.map(id => (id === "me" ? userId : id))
+      : filters.uploadedBy === "me"
+      ? userId
+      : filters.uploadedBy;
+
+    return createAdvancedFilter({
+      ...filters,
+      uploadedBy,
+      holeSize: this.holeSizeToCanonical(filters.holeSize, unitSystem),
+    });
+  }
+
+  /**
+   * Hole size filter (size, sizes or {min, max}) in canonical inches
+   */
+  holeSizeToCanonical(holeSize, unitSystem) {
+    if (holeSize == null) return holeSize;
+
+    const toInches = size =>
+      convertField("holeSize", Number(size), unitSystem, { toCanonical: true });
+
+    if (Array.isArray(holeSize)) return holeSize.map(toInches);
+    if (typeof holeSize !== "object") return toInches(holeSize);
+
+    const range = { ...holeSize };
+    for (const bound of ["min", "max"]) {
+      if (range[bound] != null) range[bound] = toInches(range[bound]);
+    }
+    return range;
+  }
+
+  buildCompletionRequest({
+    context,
+    sanitizedQuery,
+    queryType,
+    isDrilling,
+    history = [],
+    unitSystem = DEFAULT_UNIT_SYSTEM,
+  }) {
     const model = "gpt-4-turbo";
     const temperature = isDrilling ? 0.1 : 0.3; // Lower temperature for technical drilling queries
 
-    const systemPrompt = this.getSystemPrompt(queryType, isDrilling);
+    const systemPrompt = [
+      this.getSystemPrompt(queryType, isDrilling),
+      this.shouldUseTools(queryType) && this.getToolPrompt(),
+      this.getUnitPrompt(unitSystem),
+    ]
+      .filter(Boolean)
+      .join("\n\n");
     const userPrompt = this.buildUserPrompt(context, sanitizedQuery, queryType);
 
-    console.log(
-      `🤖 Generating ${
-        isDrilling ? "drilling-optimized" : "standard"
-      } response...`
-    );
+    // Prior turns go in as plain chat messages; only the latest question
+    // carries the retrieved document context
+    const historyMessages = history.flatMap(turn => [
+      { role: "user", content: turn.query },
+      {
+        role: "assistant",
+        content: this.truncateText(turn.answer, this.MAX_HISTORY_ANSWER_CHARS),
+      },
+    ]);
 
-    const completion = await this.retryOperation(
-      () =>
-        openaiClient.chat.completions.create({
-          model,
-          temperature,
-          messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt },
-          ],
-        }),
-      2,
-      "OpenAI API Call"
+    return {
+      model,
+      temperature,
+      messages: [
+        { role: "system", content: systemPrompt },
+        ...historyMessages,
+        { role: "user", content: userPrompt },
+      ],
+    };
+  }
+
+  shouldUseTools(queryType) {
+    return this.TOOLS_ENABLED && queryType === "aggregation";
+  }
+
+  getToolPrompt() {
+    return `You can call tools that read the run records and report tables extracted from the uploaded files. For counts, averages, totals and rankings, call a tool and report its numbers exactly instead of calculating from the passages. Say how many runs each figure is based on, and cite tool results as [tool:<tool name>].`;
+  }
+
+  /**
+   * Passages keep the units they were written in (with converted values in
+   * brackets), so the model is told which system to answer in
+   */
+  getUnitPrompt(unitSystem) {
+    return unitSystem === "si"
+      ? `Report all measurements in SI units: depths and lengths in m, ROP in m/hr, WOB in kN, pressures in bar, flow rates in L/min, hole and tool sizes in mm, torque in kN.m. Convert imperial values from the passages and always state the unit.`
+      : `Report all measurements in oilfield imperial units: depths and lengths in ft, ROP in ft/hr, WOB in klbf, pressures in psi, flow rates in gpm, hole and tool sizes in inches, torque in kft-lbf. Convert metric values from the passages and always state the unit.`;
+  }
+
+  /**
+   * Let the model call the structured data tools before it answers.
+   * Returns the messages extended with the tool calls and results, the
+   * audit records, and the answer itself when the model gave one.
+   */
+  async resolveToolCalls({
+    model,
+    temperature,
+    messages,
+    userId,
+    unitSystem,
+    signal,
+  }) {
+    const toolMessages = [...messages];
+    const toolCalls = [];
+    let totalTokens = 0;
+
+    for (let round = 0; round < this.MAX_TOOL_ROUNDS; round++) {
+      const completion = await this.retryOperation(
+        () =>
+          openaiClient.chat.completions.create(
+            {
+              model,
+              temperature,
+              messages: toolMessages,
+              tools: chatToolService.definitions,
+              tool_choice: "auto",
+            },
+            signal && { signal }
+          ),
+        2,
+        "OpenAI Tool Call"
+      );
+
+      totalTokens += completion.usage?.total_tokens || 0;
+      const message = completion.choices[0].message;
+
+      if (!message.tool_calls?.length) {
+        return {
+          messages: toolMessages,
+          toolCalls,
+          totalTokens,
+          content: message.content,
+        };
+      }
+
+      toolMessages.push(message);
+      for (const toolCall of message.tool_calls) {
+        const { content, audit } = await chatToolService.execute(
+          toolCall,
+          userId,
+          { unitSystem }
+        );
+        console.log(
+          `🛠️ Tool ${audit.name} (${audit.durationMs}ms)${
+            audit.error ? ` failed: ${audit.error}` : ""
+          }`
+        );
+        toolMessages.push({
+          role: "tool",
+          tool_call_id: toolCall.id,
+          content,
+        });
+        toolCalls.push(audit);
+      }
+    }
+
+    console.warn(
+      `⚠️ Tool round limit (${this.MAX_TOOL_ROUNDS}) reached; answering without more calls`
     );
+    return { messages: toolMessages, toolCalls, totalTokens, content: null };
+  }
+
+  /**
+   * Messages for the answering call; after tool rounds the tools stay
+   * declared (the history references them) but can no longer be called
+   */
+  buildFinalMessages(messages, toolState) {
+    if (!toolState?.toolCalls.length) return { messages };
+    return {
+      messages: toolState.messages,
+      tools: chatToolService.definitions,
+      tool_choice: "none",
+    };
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone retrieval query using the
+   * earlier turns of the conversation. Falls back to a naive merge on failure.
+   */
+  async condenseQuery(query, history) {
+    const transcript = history
+      .map(
+        (turn, idx) =>
+          `Q${idx + 1}: ${turn.query}\nA${idx + 1}: ${this.truncateText(
+            turn.answer,
+            400
+          )}`
+      )
+      .join("\n\n");
+
+    try {
+      const completion = await this.retryOperation(
+        () =>
+          openaiClient.chat.completions.create({
+            model: this.CONDENSE_MODEL,
+            temperature: 0,
+            max_tokens: 200,
+            messages: [
+              {
+                role: "system",
+                content:
+                  "Rewrite the user's follow-up question as a single standalone search query for a drilling report database. Resolve pronouns and implicit references using the conversation, and keep well names, hole sizes, motor/bit makes and models, serial numbers and units exactly as written. Return only the rewritten query.",
+              },
+              {
+                role: "user",
+                content: `Conversation so far:\n${transcript}\n\nFollow-up question: ${query}`,
+              },
+            ],
+          }),
+        2,
+        "Condense Conversation Query"
+      );
+
+      const condensed = completion.choices[0]?.message?.content
+        ?.trim()
+        .replace(/^["']|["']$/g, "");
+
+      if (condensed) {
+        console.log(`🧵 Condensed follow-up query: "${condensed}"`);
+        return condensed;
+      }
+    } catch (error) {
+      console.warn("⚠️ Query condensation failed:", error.message);
+    }
+
+    const previousQuery = history[history.length - 1]?.query || "";
+    return `${previousQuery} ${query}`.trim();
+  }
 
-    const content = completion.choices[0].message.content;
+  truncateText(text = "", maxLength = 1500) {
+    return text.length > maxLength
+      ? `${text.substring(0, maxLength)}...`
+      : text;
+  }
+
+  /**
+   * Save the full answer, populate caches and metrics
+   */
+  async persistAnswer({
+    startTime,
+    userId,
+    sanitizedQuery,
+    retrievalQuery,
+    conversation,
+    history = [],
+    queryType,
+    isDrilling,
+    model,
+    temperature,
+    content,
+    totalTokens,
+    toolCalls = [],
+    sources,
+    citations = [],
+    resultsCount,
+    embeddingFromCache,
+    filter = null,
+    mode = this.DEFAULT_SEARCH_MODE,
+    unitSystem = DEFAULT_UNIT_SYSTEM,
+    useResponseCache = false,
+  }) {
     const totalRequestTimeMs = Date.now() - startTime;
 
     // Build enhanced response data
     const responseData = {
       answer: content,
       sources,
+      citations,
       queryType,
       isDrillingOptimized: isDrilling,
+      filtersApplied: filter,
+      searchMode: mode,
+      unitSystem,
       metrics: {
         totalRequestTimeMs,
         cached: false,
         embeddingFromCache,
-        resultsCount: results.length,
-        tokensUsed: completion.usage?.total_tokens || 0,
+        resultsCount,
+        tokensUsed: totalTokens,
         processingVersion: "2.0-drilling-optimized",
         queryComplexity: this.assessQueryComplexity(sanitizedQuery),
         technicalTermsFound: this.countTechnicalTerms(sanitizedQuery),
+        toolCallCount: toolCalls.length,
       },
     };
 
@@ -359,7 +974,7 @@ class EnhancedDrillingSearchService {
       responseData.metrics.technicalTermsFound;
 
     // Save query with enhanced metadata
-    await this.retryOperation(
+    const saved = await this.retryOperation(
       () =>
         saveQuery({
           userId,
@@ -367,50 +982,74 @@ class EnhancedDrillingSearchService {
           answer: content,
           model,
           temperature,
-          totalTokens: completion.usage?.total_tokens || null,
+          totalTokens: totalTokens || null,
           timestamp: new Date().toISOString(),
           sources,
           metrics: responseData.metrics,
           tableName: this.tableName,
+          conversationId: conversation?.ConversationId,
           metadata: {
             queryType,
             isDrillingQuery: isDrilling,
             processingVersion: "2.0-drilling-optimized",
             technicalTermsCount: responseData.metrics.technicalTermsFound,
+            ...(retrievalQuery !== sanitizedQuery && { retrievalQuery }),
+            ...(filter && { filter }),
+            ...(toolCalls.length && { toolCalls }),
+            searchMode: mode,
+            unitSystem,
           },
         }),
       2,
       "Save Enhanced Query"
     );
 
-    // Cache the response
-    this.setCachedResponse(sanitizedQuery, userId, responseData);
+    const queryId = saved?.queryId || null;
+    responseData.queryId = queryId;
+    responseData.conversationId = conversation?.ConversationId || null;
 
-    // Cache drilling analysis for aggregation queries
-    if (isDrilling && queryType === "aggregation") {
-      this.setCachedDrillingAnalysis(sanitizedQuery, userId, responseData);
+    if (conversation) {
+      try {
+        await conversationService.recordTurn(conversation, sanitizedQuery);
+      } catch (error) {
+        console.warn("⚠️ Failed to update conversation:", error.message);
+      }
+    }
+
+    if (useResponseCache) {
+      // Cache the response
+      this.setCachedResponse(sanitizedQuery, userId, responseData);
+
+      // Cache drilling analysis for aggregation queries
+      if (isDrilling && queryType === "aggregation") {
+        this.setCachedDrillingAnalysis(sanitizedQuery, userId, responseData);
+      }
     }
 
     this.updateMetrics(totalRequestTimeMs, false, queryType);
 
-    return handlers.response.success({
-      res,
-      message: `Answer from ${
-        isDrilling ? "drilling-optimized" : "standard"
-      } GPT`,
-      data: responseData,
-    });
+    return { responseData, queryId };
   }
 
   async chats(req, res) {
     try {
       const userId = req.user?.UserId;
-      const { limit = 10, lastKey, filterByType } = req.query;
+      const {
+        limit = 10,
+        lastKey,
+        filterByType,
+        view,
+        conversationId,
+      } = req.query;
 
       if (!userId) {
         return handlers.response.failed({ res, message: "Missing userId" });
       }
 
+      if (view === "conversations") {
+        return conversationService.listConversations(req, res);
+      }
+
       console.log(
         `Fetching chats for user: ${userId}, filterByType: ${filterByType}`
       );
@@ -429,11 +1068,22 @@ class EnhancedDrillingSearchService {
 
       // Only add filter if we're specifically looking for drilling queries
       // Skip EntityType filter since it might be causing issues
+      const filters = [];
       if (filterByType === "drilling") {
-        params.FilterExpression = "isDrillingQuery = :isDrilling";
+        filters.push("isDrillingQuery = :isDrilling");
         params.ExpressionAttributeValues[":isDrilling"] = true;
       }
 
+      // Restrict to the messages of a single thread
+      if (conversationId) {
+        filters.push("ConversationId = :conversationId");
+        params.ExpressionAttributeValues[":conversationId"] = conversationId;
+      }
+
+      if (filters.length > 0) {
+        params.FilterExpression = filters.join(" AND ");
+      }
+
       if (lastKey) {
         try {
           params.ExclusiveStartKey = JSON.parse(lastKey);
@@ -465,6 +1115,7 @@ class EnhancedDrillingSearchService {
         })
         .map(item => ({
           id: item.QueryId,
+          conversationId: item.ConversationId || null,
           query: item.Query || "",
           answer: item.Answer || "",
           sources: item.sources || [],
@@ -501,6 +1152,7 @@ class EnhancedDrillingSearchService {
             hasMore: !!result.LastEvaluatedKey,
             rawItemsFound: result.Items?.length || 0,
             filterApplied: filterByType || "none",
+            conversationId: conversationId || null,
           },
           analytics,
         },
@@ -777,28 +1429,48 @@ class EnhancedDrillingSearchService {
   /**
    * Build enhanced context from search results
    */
-  buildEnhancedContext(results, queryType, isDrilling) {
-    if (queryType === "aggregation") {
-      // For aggregation queries, prioritize structured data
-      const structuredResults = results.filter(
-        r =>
-          r.payload.content.includes("STRUCTURED DATA") ||
-          r.payload.content.includes("METRICS:")
-      );
+  /**
+   * Order results for the prompt; aggregation queries put structured data first
+   */
+  orderResultsForContext(results, queryType) {
+    if (queryType !== "aggregation") return results;
 
-      const regularResults = results.filter(
-        r =>
-          !r.payload.content.includes("STRUCTURED DATA") &&
-          !r.payload.content.includes("METRICS:")
-      );
+    const structuredResults = results.filter(
+      r =>
+        r.payload.content.includes("STRUCTURED DATA") ||
+        r.payload.content.includes("METRICS:")
+    );
 
-      return [...structuredResults, ...regularResults]
-        .slice(0, 20)
-        .map(r => r.payload.content)
-        .join("\n\n");
-    }
+    const regularResults = results.filter(
+      r =>
+        !r.payload.content.includes("STRUCTURED DATA") &&
+        !r.payload.content.includes("METRICS:")
+    );
+
+    return [...structuredResults, ...regularResults].slice(0, 20);
+  }
 
-    return results.map(r => r.payload.content).join("\n\n");
+  /**
+   * Number each result so the model can cite it inline as [n]
+   */
+  buildEnhancedContext(results, queryType, isDrilling) {
+    return results
+      .map((r, idx) => {
+        const page = this.formatPageRange(r.payload);
+        // Values that failed data-quality checks, for the model to discount
+        const flags = (r.payload?.qualityFlags || []).map(
+          flag => flag.message
+        );
+        const quality = flags.length
+          ? `\nData quality flags (possible extraction errors): ${flags.join(
+              "; "
+            )}`
+          : "";
+        return `[${idx + 1}] Source: ${r.payload?.name || "Unknown document"}${
+          page ? `, ${page}` : ""
+        }${quality}\n${r.payload.content}`;
+      })
+      .join("\n\n");
   }
 
   /**
@@ -806,8 +1478,17 @@ class EnhancedDrillingSearchService {
    */
   formatSources(results) {
     return results.map((r, idx) => ({
+      CitationId: idx + 1,
       FileName: r.payload?.name || `Document ${idx + 1}`,
-      ChunkIndex: idx,
+      Key: r.payload?.key || null,
+      ChunkIndex: r.payload?.chunkIndex ?? idx,
+      Page: r.payload?.pageStart ?? null,
+      PageEnd: r.payload?.pageEnd ?? null,
+      CharStart: r.payload?.charStart ?? null,
+      CharEnd: r.payload?.charEnd ?? null,
+      Sheet: r.payload?.sheetName ?? null,
+      Row: r.payload?.rowNumber ?? null,
+      Excerpt: this.getExcerpt(r.payload),
       Score: (r.score || 0).toFixed(2),
       ContentType: r.payload?.contentType || "general",
       HasStructuredData:
@@ -815,10 +1496,78 @@ class EnhancedDrillingSearchService {
     }));
   }
 
+  /**
+   * Citations returned to the client, with a short-lived link to the document.
+   * Links are generated per response and never persisted.
+   */
+  async buildCitations(sources) {
+    const urlCache = new Map();
+
+    return Promise.all(
+      sources.map(async source => {
+        if (source.Key && !urlCache.has(source.Key)) {
+          urlCache.set(source.Key, this.getSourceDocumentUrl(source.Key));
+        }
+
+        return {
+          id: source.CitationId,
+          fileName: source.FileName,
+          key: source.Key,
+          page: source.Page,
+          pageEnd: source.PageEnd,
+          sheet: source.Sheet,
+          row: source.Row,
+          excerpt: source.Excerpt,
+          url: source.Key ? await urlCache.get(source.Key) : null,
+        };
+      })
+    );
+  }
+
+  async getSourceDocumentUrl(key) {
+    try {
+      return await getSignedUrl(
+        s3Client,
+        new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+        { expiresIn: this.CITATION_URL_EXPIRES_IN }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Failed to presign source ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  getExcerpt(payload = {}) {
+    if (payload.excerpt) return payload.excerpt;
+
+    // Older points have no stored excerpt; strip the ingest header instead
+    const content = (payload.content || "").replace(
+      /^File\/Document name:.*\nChunk \d+\/\d+:\n/,
+      ""
+    );
+    return content.substring(0, 400);
+  }
+
+  formatPageRange(payload = {}) {
+    const { pageStart, pageEnd, sheetName, rowNumber } = payload;
+    if (rowNumber != null) return `sheet ${sheetName}, row ${rowNumber}`;
+    if (pageStart == null) return null;
+    return pageEnd != null && pageEnd !== pageStart
+      ? `pages ${pageStart}-${pageEnd}`
+      : `page ${pageStart}`;
+  }
+
   /**
    * Get system prompt based on query type
    **/
   getSystemPrompt(queryType, isDrilling) {
+    return `${this.getBaseSystemPrompt(
+      queryType,
+      isDrilling
+    )}\n\nEach context passage starts with a bracketed source number such as [1]. Cite the passages you rely on inline using those numbers, e.g. "Stator fit was +0.5 [2]". Only cite numbers that appear in the context.`;
+  }
+
+  getBaseSystemPrompt(queryType, isDrilling) {
     if (isDrilling && queryType === "aggregation") {
       return `You are an expert drilling engineer and data analyst. Use the provided drilling report data to answer questions about motor specifications, bit performance, BHA configurations, and operational metrics.
 
@@ -0,0 +1,232 @@
+const runService = require("./run-service");
+const tableService = require("./table-service");
+
+/**
+ * Tools the chat model can call to read structured data extracted at
+ * ingest (RUN# and TABLE# items) instead of doing arithmetic over chunks.
+ * Every call runs as the requesting user and only sees that user's data.
+ */
+class ChatToolService {
+  constructor() {
+    this.MAX_LIST_RUNS = 50;
+    this.MAX_RESULT_CHARS = 12000;
+    // Saved queries keep a shorter copy to stay under the item size limit
+    this.MAX_AUDIT_RESULT_CHARS = 4000;
+
+    const filterProperties = {
+      ...Object.fromEntries(
+        runService.TEXT_FILTERS.map(field => [
+          field,
+          {
+            type: "string",
+            description: `Exact ${field} (case-insensitive)`,
+          },
+        ])
+      ),
+      holeSize: {
+        type: "number",
+        description:
+          "Hole size in the answer's unit system: inches (12.25) or mm (311)",
+      },
+      wellId: {
+        type: "string",
+        description: "Id of the well the runs are assigned to",
+      },
+      jobId: {
+        type: "string",
+        description: "Id of the job the runs are assigned to",
+      },
+      documentType: {
+        type: "string",
+        description: "Source document type, e.g. BHA, MMR, RUN_SHEET, WITSML",
+      },
+      dateFrom: {
+        type: "string",
+        description: "Earliest run date, YYYY-MM-DD",
+      },
+      dateTo: { type: "string", description: "Latest run date, YYYY-MM-DD" },
+    };
+
+    this.definitions = [
+      {
+        type: "function",
+        function: {
+          name: "aggregate_runs",
+          description:
+            "Count motor/bit runs and compute exact avg/min/max/sum of a numeric metric, optionally grouped by a field. Use for 'most used', 'average', 'total' and comparison questions.",
+          parameters: {
+            type: "object",
+            properties: {
+              groupBy: {
+                type: "string",
+                enum: runService.GROUP_BY_FIELDS,
+                description:
+                  "Field to group runs by; omit for one overall group",
+              },
+              metric: {
+                type: "string",
+                enum: runService.METRIC_FIELDS,
+                description: "Numeric run field to summarize",
+              },
+              filters: {
+                type: "object",
+                properties: filterProperties,
+                additionalProperties: false,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+      {
+        type: "function",
+        function: {
+          name: "list_runs",
+          description:
+            "List individual motor/bit runs with their normalized values and source file, most recent first.",
+          parameters: {
+            type: "object",
+            properties: {
+              filters: {
+                type: "object",
+                properties: filterProperties,
+                additionalProperties: false,
+              },
+              limit: {
+                type: "integer",
+                minimum: 1,
+                maximum: this.MAX_LIST_RUNS,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+      {
+        type: "function",
+        function: {
+          name: "get_document_tables",
+          description:
+            "Get the typed BHA component and motor tables extracted from a report, by file name (partial match) or file id.",
+          parameters: {
+            type: "object",
+            properties: {
+              fileName: { type: "string" },
+              fileId: { type: "string" },
+              tableType: {
+                type: "string",
+                enum: ["bha_components", "motor"],
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+    ];
+
+    this.handlers = {
+      aggregate_runs: (userId, args, options) =>
+        this.aggregateRuns(userId, args, options),
+      list_runs: (userId, args, options) =>
+        this.listRuns(userId, args, options),
+      get_document_tables: (userId, args) =>
+        this.getDocumentTables(userId, args),
+    };
+  }
+
+  /**
+   * Run one tool call from the model
+   * @param {Object} toolCall - OpenAI tool call ({ id, function: { name, arguments } }).
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {string} [options.unitSystem] - Units of the returned measurements.
+   * @returns {Promise<{content: string, audit: Object}>} - `content` is what
+   *          the model sees; `audit` is saved with the query.
+   */
+  async execute(toolCall, userId, options = {}) {
+    const startTime = Date.now();
+    const name = toolCall.function?.name;
+    const record = { id: toolCall.id, name, arguments: null };
+
+    let result;
+    try {
+      const args = JSON.parse(toolCall.function?.arguments || "{}");
+      record.arguments = args;
+
+      const handler = this.handlers[name];
+      if (!handler) throw new Error(`Unknown tool '${name}'`);
+
+      result = await handler(userId, args, options);
+    } catch (error) {
+      result = { error: error.message };
+      record.error = error.message;
+    }
+
+    const serialized = JSON.stringify(result);
+    const content = this.truncate(serialized, this.MAX_RESULT_CHARS);
+
+    return {
+      content,
+      audit: {
+        ...record,
+        result: this.truncate(serialized, this.MAX_AUDIT_RESULT_CHARS),
+        truncated: serialized.length > this.MAX_AUDIT_RESULT_CHARS,
+        durationMs: Date.now() - startTime,
+      },
+    };
+  }
+
+  truncate(text, maxLength) {
+    return text.length > maxLength
+      ? `${text.substring(0, maxLength)}...`
+      : text;
+  }
+
+  async aggregateRuns(
+    userId,
+    { groupBy, metric, filters = {} },
+    { unitSystem }
+  ) {
+    const validationError = runService.validateAggregation({ groupBy, metric });
+    if (validationError) return { error: validationError };
+
+    return runService.aggregate(userId, {
+      groupBy,
+      metric,
+      filters: runService.parseFilters(filters, unitSystem),
+      unitSystem,
+    });
+  }
+
+  async listRuns(userId, { filters = {}, limit = 20 }, { unitSystem }) {
+    const runs = await runService.findRuns(
+      userId,
+      runService.parseFilters(filters, unitSystem)
+    );
+    const max = Math.min(Number(limit) || 20, this.MAX_LIST_RUNS);
+
+    return {
+      total: runs.length,
+      runs: runs
+        .slice(0, max)
+        .map(run => runService.presentRun(run, unitSystem))
+        .map(({ originalValues, source, createdAt, ...run }) => run),
+    };
+  }
+
+  async getDocumentTables(userId, { fileName, fileId, tableType }) {
+    if (!fileName && !fileId) {
+      return { error: "Provide fileName or fileId" };
+    }
+
+    const files = await tableService.findTablesForUser(userId, {
+      fileId,
+      fileName,
+      tableType,
+    });
+
+    return files.length ? { files } : { error: "No matching document found" };
+  }
+}
+
+module.exports = new ChatToolService();
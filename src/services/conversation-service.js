@@ -0,0 +1,416 @@
+const { docClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+  BatchWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+class ConversationService {
+  constructor() {
+    this.tableName = process.env.DYNAMODB_TABLE_NAME;
+    this.DEFAULT_TITLE = "New conversation";
+    this.MAX_TITLE_LENGTH = 120;
+    this.HISTORY_TURNS = Number(process.env.CONVERSATION_HISTORY_TURNS) || 6;
+    this.MAX_QUERY_PAGES = 20;
+  }
+
+  /**
+   * Create a new conversation thread for the current user
+   */
+  async createConversation(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { title } = req.body || {};
+
+      if (!userId) {
+        return handlers.response.failed({ res, message: "Missing userId" });
+      }
+
+      const conversationId = uuidv4();
+      const now = new Date().toISOString();
+
+      const item = {
+        PK: `CONVERSATION#${conversationId}`,
+        SK: `USER#${userId}#CONVERSATION#${conversationId}`,
+        EntityType: "Conversation",
+        ConversationId: conversationId,
+        UserId: userId,
+        MessageCount: 0,
+        LastMessageAt: null,
+        CreatedAt: now,
+        UpdatedAt: now,
+      };
+
+      const normalizedTitle = this.normalizeTitle(title);
+      if (normalizedTitle) item.Title = normalizedTitle;
+
+      await docClient.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK)",
+        })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Conversation created successfully",
+        data: this.formatConversation(item),
+        statusCode: 201,
+      });
+    } catch (error) {
+      console.error("❌ Create conversation error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to create conversation",
+      });
+    }
+  }
+
+  /**
+   * List the current user's conversations, most recently active first
+   */
+  async listConversations(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const limit = Math.min(Number(req.query?.limit) || 20, 100);
+
+      if (!userId) {
+        return handlers.response.failed({ res, message: "Missing userId" });
+      }
+
+      const items = await this.queryUserItems(userId, {
+        FilterExpression: "EntityType = :entityType",
+        ExpressionAttributeValues: { ":entityType": "Conversation" },
+      });
+
+      const conversations = items
+        .map(item => this.formatConversation(item))
+        .sort(
+          (a, b) =>
+            new Date(b.lastMessageAt || b.createdAt) -
+            new Date(a.lastMessageAt || a.createdAt)
+        );
+
+      return handlers.response.success({
+        res,
+        message: "Conversations fetched successfully",
+        data: {
+          conversations: conversations.slice(0, limit),
+          metadata: {
+            count: Math.min(conversations.length, limit),
+            total: conversations.length,
+            hasMore: conversations.length > limit,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("❌ List conversations error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch conversations",
+      });
+    }
+  }
+
+  /**
+   * Get a conversation together with its messages in chronological order
+   */
+  async getConversation(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { conversationId } = req.params;
+
+      const conversation = await this.findConversation(userId, conversationId);
+      if (!conversation) {
+        return handlers.response.unavailable({
+          res,
+          message: "Conversation not found",
+        });
+      }
+
+      const messages = await this.getConversationMessages(
+        userId,
+        conversationId
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Conversation fetched successfully",
+        data: {
+          ...this.formatConversation(conversation),
+          messages: messages.map(item => this.formatMessage(item)),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Get conversation error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch conversation",
+      });
+    }
+  }
+
+  async renameConversation(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { conversationId } = req.params;
+      const title = this.normalizeTitle(req.body?.title);
+
+      if (!title) {
+        return handlers.response.failed({
+          res,
+          message: "Title is required and cannot be empty",
+        });
+      }
+
+      const conversation = await this.findConversation(userId, conversationId);
+      if (!conversation) {
+        return handlers.response.unavailable({
+          res,
+          message: "Conversation not found",
+        });
+      }
+
+      const result = await docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { PK: conversation.PK, SK: conversation.SK },
+          UpdateExpression: "SET Title = :title, UpdatedAt = :now",
+          ExpressionAttributeValues: {
+            ":title": title,
+            ":now": new Date().toISOString(),
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Conversation renamed successfully",
+        data: this.formatConversation(result.Attributes),
+      });
+    } catch (error) {
+      console.error("❌ Rename conversation error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to rename conversation",
+      });
+    }
+  }
+
+  /**
+   * Delete a conversation and every message saved inside it
+   */
+  async deleteConversation(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { conversationId } = req.params;
+
+      const conversation = await this.findConversation(userId, conversationId);
+      if (!conversation) {
+        return handlers.response.unavailable({
+          res,
+          message: "Conversation not found",
+        });
+      }
+
+      const messages = await this.getConversationMessages(
+        userId,
+        conversationId
+      );
+
+      const keys = [
+        ...messages.map(item => ({ PK: item.PK, SK: item.SK })),
+        { PK: conversation.PK, SK: conversation.SK },
+      ];
+
+      await this.batchDelete(keys);
+
+      console.log(
+        `🗑️ Deleted conversation ${conversationId} with ${messages.length} messages`
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Conversation deleted successfully",
+        data: {
+          conversationId,
+          deletedMessages: messages.length,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Delete conversation error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to delete conversation",
+      });
+    }
+  }
+
+  /**
+   * Fetch a conversation owned by the user; the key includes the user id,
+   * so another user's conversation is simply not found
+   */
+  async findConversation(userId, conversationId) {
+    if (!userId || !conversationId) return null;
+
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `CONVERSATION#${conversationId}`,
+          SK: `USER#${userId}#CONVERSATION#${conversationId}`,
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * All chat items saved in a conversation, oldest first
+   */
+  async getConversationMessages(userId, conversationId) {
+    const items = await this.queryUserItems(userId, {
+      FilterExpression:
+        "EntityType = :entityType AND ConversationId = :conversationId",
+      ExpressionAttributeValues: {
+        ":entityType": "Chat",
+        ":conversationId": conversationId,
+      },
+    });
+
+    return items.sort((a, b) => new Date(a.CreatedAt) - new Date(b.CreatedAt));
+  }
+
+  /**
+   * Most recent turns of a conversation as { query, answer } pairs, oldest first
+   */
+  async getRecentTurns(userId, conversationId, maxTurns = this.HISTORY_TURNS) {
+    const messages = await this.getConversationMessages(userId, conversationId);
+
+    return messages.slice(-maxTurns).map(item => ({
+      query: item.Query || "",
+      answer: item.Answer || "",
+    }));
+  }
+
+  /**
+   * Bump counters after a turn is saved and title untitled threads
+   * from their first question
+   */
+  async recordTurn(conversation, queryText) {
+    const now = new Date().toISOString();
+
+    await docClient.send(
+      new UpdateCommand({
+        TableName: this.tableName,
+        Key: { PK: conversation.PK, SK: conversation.SK },
+        UpdateExpression:
+          "SET LastMessageAt = :now, UpdatedAt = :now, Title = if_not_exists(Title, :title) ADD MessageCount :one",
+        ExpressionAttributeValues: {
+          ":now": now,
+          ":title": this.normalizeTitle(queryText) || this.DEFAULT_TITLE,
+          ":one": 1,
+        },
+      })
+    );
+  }
+
+  /**
+   * Page through the UserIdIndex for one user with an extra filter
+   */
+  async queryUserItems(userId, { FilterExpression, ExpressionAttributeValues }) {
+    const items = [];
+    let lastEvaluatedKey = null;
+    let pages = 0;
+
+    do {
+      const params = {
+        TableName: this.tableName,
+        IndexName: "UserIdIndex",
+        KeyConditionExpression: "UserId = :userId",
+        FilterExpression,
+        ExpressionAttributeValues: {
+          ":userId": userId,
+          ...ExpressionAttributeValues,
+        },
+      };
+
+      if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+
+      const result = await docClient.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey && pages < this.MAX_QUERY_PAGES);
+
+    return items;
+  }
+
+  async batchDelete(keys) {
+    for (let i = 0; i < keys.length; i += 25) {
+      let requestItems = {
+        [this.tableName]: keys
+          .slice(i, i + 25)
+          .map(Key => ({ DeleteRequest: { Key } })),
+      };
+
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        const result = await docClient.send(
+          new BatchWriteCommand({ RequestItems: requestItems })
+        );
+
+        if (!result.UnprocessedItems?.[this.tableName]?.length) break;
+
+        if (attempt === 3) {
+          throw new Error("Failed to delete all conversation items");
+        }
+
+        requestItems = result.UnprocessedItems;
+        await new Promise(resolve => setTimeout(resolve, 200 * 2 ** attempt));
+      }
+    }
+  }
+
+  normalizeTitle(title) {
+    if (typeof title !== "string") return null;
+    const trimmed = title.trim().replace(/\s+/g, " ");
+    if (!trimmed) return null;
+    return trimmed.length > this.MAX_TITLE_LENGTH
+      ? `${trimmed.substring(0, this.MAX_TITLE_LENGTH - 3)}...`
+      : trimmed;
+  }
+
+  formatConversation(item) {
+    return {
+      id: item.ConversationId,
+      title: item.Title || this.DEFAULT_TITLE,
+      messageCount: item.MessageCount || 0,
+      lastMessageAt: item.LastMessageAt || null,
+      createdAt: item.CreatedAt,
+      updatedAt: item.UpdatedAt,
+    };
+  }
+
+  formatMessage(item) {
+    return {
+      id: item.QueryId,
+      conversationId: item.ConversationId,
+      query: item.Query || "",
+      answer: item.Answer || "",
+      sources: item.sources || [],
+      metrics: item.metrics || {},
+      timestamp: item.CreatedAt || item.UpdatedAt,
+      queryType: item.queryType || item.QueryType || "general",
+      retrievalQuery: item.retrievalQuery || null,
+    };
+  }
+}
+
+module.exports = new ConversationService();
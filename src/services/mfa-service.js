@@ -0,0 +1,625 @@
+const crypto = require("crypto");
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { docClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const comparePassword = require("../utilities/compare-password");
+const {
+  hashToken,
+  verifyChallengeToken,
+} = require("../utilities/session-tokens");
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  base32Encode,
+} = require("../utilities/totp");
+const { ROLES } = require("../config/permissions");
+
+const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+
+/**
+ * Optional TOTP multi-factor authentication. The secret is stored
+ * encrypted (AES-256-GCM, key from MFA_ENCRYPTION_KEY or JWT_SECRET) and
+ * backup codes only as SHA-256 hashes. The sign-in side lives in
+ * AuthService.signIn / completeMfaChallenge.
+ *
+ * USER# attributes: MfaEnabled, MfaEnabledAt, MfaSecret, MfaPendingSecret
+ * (until the first code is verified), MfaBackupCodes, MfaLastUsedStep
+ * (codes from this time step or earlier are refused, so they cannot be
+ * replayed).
+ */
+class MfaService {
+  constructor() {
+    this.issuer = process.env.MFA_ISSUER || "Chatbot";
+    this.backupCodeCount = 10;
+    this.policyKey = { PK: "CONFIG#MFA_POLICY", SK: "CONFIG#MFA_POLICY" };
+  }
+
+  /**
+   * GET /auth/mfa
+   */
+  async getStatus(req, res) {
+    try {
+      const user = await this.getUser(req.user.UserId);
+
+      return handlers.response.success({
+        res,
+        message: "MFA status fetched successfully",
+        data: {
+          enabled: Boolean(user.MfaEnabled),
+          enabledAt: user.MfaEnabledAt || null,
+          setupPending: Boolean(!user.MfaEnabled && user.MfaPendingSecret),
+          backupCodesRemaining: (user.MfaBackupCodes || []).length,
+          required: await this.isRequiredFor(user),
+        },
+      });
+    } catch (error) {
+      console.error("❌ MFA status error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to fetch MFA status",
+      });
+    }
+  }
+
+  /**
+   * POST /auth/mfa/setup - start enrollment; confirm with /auth/mfa/verify
+   */
+  async setup(req, res) {
+    try {
+      const user = await this.getUser(req.user.UserId);
+
+      if (user.MfaEnabled) {
+        return handlers.response.failed({
+          res,
+          message: "MFA is already enabled",
+          code: 409,
+        });
+      }
+
+      return handlers.response.success({
+        res,
+        message: "Scan the QR code and verify a code to enable MFA",
+        data: await this.startEnrollment(user),
+      });
+    } catch (error) {
+      console.error("❌ MFA setup error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to start MFA setup",
+      });
+    }
+  }
+
+  /**
+   * POST /auth/mfa/challenge/setup - enrollment during sign-in, for users
+   * whose role requires MFA
+   */
+  async setupFromChallenge(req, res) {
+    try {
+      const challenge = verifyChallengeToken(req.body?.challengeToken, [
+        "mfa_setup",
+      ]);
+      const user = challenge && (await this.getUser(challenge.userId));
+
+      if (!user || user.IsActive === false) {
+        return handlers.response.unauthenticated({
+          res,
+          message: "Sign-in challenge is invalid or has expired",
+          data: { error: "INVALID_CHALLENGE" },
+        });
+      }
+
+      if (user.MfaEnabled) {
+        return handlers.response.failed({
+          res,
+          message: "MFA is already enabled",
+          code: 409,
+        });
+      }
+
+      return handlers.response.success({
+        res,
+        message:
+          "Scan the QR code and send a code to /auth/mfa/challenge to finish signing in",
+        data: await this.startEnrollment(user),
+      });
+    } catch (error) {
+      console.error("❌ MFA challenge setup error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to start MFA setup",
+      });
+    }
+  }
+
+  /**
+   * POST /auth/mfa/verify - confirm enrollment with a first code. The
+   * backup codes are only ever shown in this response.
+   */
+  async verify(req, res) {
+    try {
+      const user = await this.getUser(req.user.UserId);
+
+      if (user.MfaEnabled) {
+        return handlers.response.failed({
+          res,
+          message: "MFA is already enabled",
+          code: 409,
+        });
+      }
+      if (!user.MfaPendingSecret) {
+        return handlers.response.failed({
+          res,
+          message: "Start MFA setup before verifying a code",
+        });
+      }
+
+      const backupCodes = await this.confirmEnrollment(user, req.body?.code);
+      if (!backupCodes) {
+        return handlers.response.failed({
+          res,
+          message: "Invalid verification code",
+          data: { error: "INVALID_MFA_CODE" },
+        });
+      }
+
+      handlers.logger.security({
+        message: "MFA enabled",
+        userId: user.UserId,
+      });
+
+      return handlers.response.success({
+        res,
+        message: "MFA enabled. Store the backup codes somewhere safe.",
+        data: { enabled: true, backupCodes },
+      });
+    } catch (error) {
+      console.error("❌ MFA verify error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to verify MFA code",
+      });
+    }
+  }
+
+  /**
+   * POST /auth/mfa/backup-codes - replace the backup codes; needs a code
+   * from the authenticator app
+   */
+  async regenerateBackupCodes(req, res) {
+    try {
+      const user = await this.getUser(req.user.UserId);
+
+      if (!user.MfaEnabled) {
+        return handlers.response.failed({
+          res,
+          message: "MFA is not enabled",
+        });
+      }
+
+      const method = await this.verifyUserCode(user, { code: req.body?.code });
+      if (method !== "totp") {
+        return handlers.response.failed({
+          res,
+          message: "Invalid verification code",
+          data: { error: "INVALID_MFA_CODE" },
+        });
+      }
+
+      const backupCodes = this.generateBackupCodes();
+      await docClient.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: { PK: user.PK, SK: user.SK },
+          UpdateExpression: "SET MfaBackupCodes = :codes",
+          ExpressionAttributeValues: {
+            ":codes": backupCodes.map(code => this.hashBackupCode(code)),
+          },
+        })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Backup codes regenerated",
+        data: { backupCodes },
+      });
+    } catch (error) {
+      console.error("❌ MFA backup codes error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to regenerate backup codes",
+      });
+    }
+  }
+
+  /**
+   * DELETE /auth/mfa - turn MFA off with the password and a current code
+   * or backup code. Not allowed when the user's role requires MFA.
+   */
+  async disable(req, res) {
+    try {
+      const user = await this.getUser(req.user.UserId);
+      const { password, code, backupCode } = req.body || {};
+
+      if (!user.MfaEnabled && !user.MfaPendingSecret) {
+        return handlers.response.failed({
+          res,
+          message: "MFA is not enabled",
+        });
+      }
+
+      if (await this.isRequiredFor(user)) {
+        return handlers.response.unauthorized({
+          res,
+          message: `MFA is required for the ${user.Role} role`,
+        });
+      }
+
+      const passwordMatched =
+        typeof password === "string" &&
+        (await comparePassword({
+          plainPassword: password,
+          hashedPassword: user.Password,
+        }));
+      // Only check the code after the password, so a wrong password does
+      // not use up the code
+      const verified =
+        passwordMatched &&
+        (!user.MfaEnabled ||
+          (await this.verifyUserCode(user, { code, backupCode })));
+
+      if (!verified) {
+        return handlers.response.failed({
+          res,
+          message: "Password or verification code is incorrect",
+        });
+      }
+
+      await this.clearMfa(user.UserId);
+
+      handlers.logger.security({
+        message: "MFA disabled",
+        userId: user.UserId,
+      });
+
+      return handlers.response.success({
+        res,
+        message: "MFA disabled",
+        data: { enabled: false },
+      });
+    } catch (error) {
+      console.error("❌ MFA disable error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to disable MFA",
+      });
+    }
+  }
+
+  /**
+   * GET /mfa/policy
+   */
+  async getPolicy(req, res) {
+    try {
+      return handlers.response.success({
+        res,
+        message: "MFA policy fetched successfully",
+        data: { requiredRoles: await this.getRequiredRoles() },
+      });
+    } catch (error) {
+      console.error("❌ Get MFA policy error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to fetch MFA policy",
+      });
+    }
+  }
+
+  /**
+   * PUT /mfa/policy { requiredRoles: ["admin"] } - roles that must sign
+   * in with MFA; users without it enroll at their next sign-in
+   */
+  async updatePolicy(req, res) {
+    try {
+      const { requiredRoles } = req.body || {};
+
+      if (
+        !Array.isArray(requiredRoles) ||
+        requiredRoles.some(role => !ROLES.includes(role))
+      ) {
+        return handlers.response.failed({
+          res,
+          message: `requiredRoles must be an array of: ${ROLES.join(", ")}`,
+        });
+      }
+
+      const roles = [...new Set(requiredRoles)];
+      await docClient.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: {
+            ...this.policyKey,
+            EntityType: "MfaPolicy",
+            RequiredRoles: roles,
+            UpdatedBy: req.user.UserId,
+            UpdatedAt: new Date().toISOString(),
+          },
+        })
+      );
+
+      handlers.logger.security({
+        message: "MFA policy updated",
+        requiredRoles: roles,
+        adminId: req.user.UserId,
+      });
+
+      return handlers.response.success({
+        res,
+        message: "MFA policy updated successfully",
+        data: { requiredRoles: roles },
+      });
+    } catch (error) {
+      console.error("❌ Update MFA policy error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to update MFA policy",
+      });
+    }
+  }
+
+  /**
+   * DELETE /users/:userId/mfa - remove a user's MFA, e.g. after a lost
+   * device. If their role requires MFA they enroll again at next sign-in.
+   */
+  async resetUserMfa(req, res) {
+    try {
+      const { userId } = req.params;
+      const user = await this.getUser(userId);
+
+      if (!user) {
+        return handlers.response.unavailable({
+          res,
+          message: "User not found",
+        });
+      }
+
+      await this.clearMfa(userId);
+
+      handlers.logger.security({
+        message: "MFA reset by admin",
+        userId,
+        adminId: req.user.UserId,
+      });
+
+      return handlers.response.success({
+        res,
+        message: "MFA reset successfully",
+        data: { userId, enabled: false },
+      });
+    } catch (error) {
+      console.error("❌ Reset MFA error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to reset MFA",
+      });
+    }
+  }
+
+  async isRequiredFor(user) {
+    return (await this.getRequiredRoles()).includes(user.Role);
+  }
+
+  /**
+   * Roles from the admin-managed policy item, else MFA_REQUIRED_ROLES
+   */
+  async getRequiredRoles() {
+    const result = await docClient.send(
+      new GetCommand({ TableName: TABLE_NAME, Key: this.policyKey })
+    );
+    if (result.Item) return result.Item.RequiredRoles || [];
+
+    return (process.env.MFA_REQUIRED_ROLES || "")
+      .split(",")
+      .map(role => role.trim())
+      .filter(role => ROLES.includes(role));
+  }
+
+  /**
+   * Store a new pending secret; an earlier unconfirmed one is replaced
+   * @returns {Promise<{secret: string, otpauthUri: string,
+   *          qrPayload: string}>} - qrPayload is the text to encode in
+   *          the QR code.
+   */
+  async startEnrollment(user) {
+    const secret = generateSecret();
+    const uri = otpauthUri({
+      secret,
+      account: user.Email,
+      issuer: this.issuer,
+    });
+
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { PK: user.PK, SK: user.SK },
+        UpdateExpression: "SET MfaPendingSecret = :secret",
+        ExpressionAttributeValues: { ":secret": this.sealSecret(secret) },
+      })
+    );
+
+    return { secret, otpauthUri: uri, qrPayload: uri };
+  }
+
+  /**
+   * Enable MFA if the code matches the pending secret
+   * @returns {Promise<string[]|null>} - New backup codes, or null.
+   */
+  async confirmEnrollment(user, code) {
+    if (!user.MfaPendingSecret) return null;
+
+    const step = verifyTotp(this.openSecret(user.MfaPendingSecret), code);
+    if (step === null) return null;
+
+    const backupCodes = this.generateBackupCodes();
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { PK: user.PK, SK: user.SK },
+        UpdateExpression: `
+          SET MfaEnabled = :enabled,
+              MfaEnabledAt = :timestamp,
+              MfaSecret = MfaPendingSecret,
+              MfaBackupCodes = :codes,
+              MfaLastUsedStep = :step
+          REMOVE MfaPendingSecret
+        `,
+        ConditionExpression: "MfaPendingSecret = :pending",
+        ExpressionAttributeValues: {
+          ":enabled": true,
+          ":timestamp": new Date().toISOString(),
+          ":codes": backupCodes.map(backup => this.hashBackupCode(backup)),
+          ":step": step,
+          ":pending": user.MfaPendingSecret,
+        },
+      })
+    );
+
+    return backupCodes;
+  }
+
+  /**
+   * Check an authenticator code or a backup code; a backup code is used up
+   * @returns {Promise<"totp"|"backup_code"|null>}
+   */
+  async verifyUserCode(user, { code, backupCode } = {}) {
+    if (!user.MfaEnabled || !user.MfaSecret) return null;
+
+    if (code) {
+      const step = verifyTotp(this.openSecret(user.MfaSecret), code, {
+        afterStep: user.MfaLastUsedStep ?? -1,
+      });
+      if (step === null) return null;
+
+      return (await this.updateIfUnchanged(user, {
+        UpdateExpression: "SET MfaLastUsedStep = :step",
+        ConditionExpression:
+          "attribute_not_exists(MfaLastUsedStep) OR MfaLastUsedStep < :step",
+        ExpressionAttributeValues: { ":step": step },
+      }))
+        ? "totp"
+        : null;
+    }
+
+    if (backupCode) {
+      const hash = this.hashBackupCode(backupCode);
+      const index = (user.MfaBackupCodes || []).indexOf(hash);
+      if (index === -1) return null;
+
+      return (await this.updateIfUnchanged(user, {
+        UpdateExpression: `REMOVE MfaBackupCodes[${index}]`,
+        ConditionExpression: `MfaBackupCodes[${index}] = :hash`,
+        ExpressionAttributeValues: { ":hash": hash },
+      }))
+        ? "backup_code"
+        : null;
+    }
+
+    return null;
+  }
+
+  // False when a concurrent request used the same code first
+  async updateIfUnchanged(user, params) {
+    try {
+      await docClient.send(
+        new UpdateCommand({
+          TableName: TABLE_NAME,
+          Key: { PK: user.PK, SK: user.SK },
+          ...params,
+        })
+      );
+      return true;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") return false;
+      throw error;
+    }
+  }
+
+  async clearMfa(userId) {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { PK: `USER#${userId}`, SK: `USER#${userId}` },
+        UpdateExpression: `
+          REMOVE MfaEnabled, MfaEnabledAt, MfaSecret, MfaPendingSecret,
+                 MfaBackupCodes, MfaLastUsedStep
+        `,
+      })
+    );
+  }
+
+  async getUser(userId) {
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { PK: `USER#${userId}`, SK: `USER#${userId}` },
+      })
+    );
+    return result.Item || null;
+  }
+
+  // "K7QD-M2XA" style: 40 random bits, easy to read out and type
+  generateBackupCodes() {
+    return Array.from({ length: this.backupCodeCount }, () =>
+      base32Encode(crypto.randomBytes(5)).replace(/^(.{4})/, "$1-")
+    );
+  }
+
+  hashBackupCode(code) {
+    return hashToken(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ""));
+  }
+
+  encryptionKey() {
+    return crypto
+      .createHash("sha256")
+      .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  sealSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.encryptionKey(),
+      iv
+    );
+    const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted]
+      .map(part => part.toString("base64url"))
+      .join(".");
+  }
+
+  openSecret(sealed) {
+    const [iv, tag, encrypted] = sealed
+      .split(".")
+      .map(part => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.encryptionKey(),
+      iv
+    );
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString();
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,407 @@
+const crypto = require("crypto");
+const {
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { docClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const { hashToken } = require("../utilities/session-tokens");
+const { sendMail } = require("../utilities/mailer");
+const hashPassword = require("../utilities/hash-password");
+const comparePassword = require("../utilities/compare-password");
+const adminService = require("./admin-service");
+const authService = require("./auth-service");
+
+const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
+
+/**
+ * Self-service password flows. Reset tokens are random, single-use and
+ * expiring; only their SHA-256 hash is stored, as the item key, so a
+ * token is looked up and consumed in one delete.
+ */
+class PasswordService {
+  constructor() {
+    this.resetTokenTtl =
+      parseInt(process.env.PASSWORD_RESET_TTL) || 60 * 60 * 1000; // 1 hour
+    // A new reset email is not sent if one went out this recently
+    this.resendInterval = 60 * 1000;
+    this.minPasswordLength = 8;
+  }
+
+  /**
+   * POST /auth/password/forgot - email a reset link. The response is the
+   * same whether or not the email belongs to an account.
+   */
+  async forgotPassword(req, res) {
+    const response = () =>
+      handlers.response.success({
+        res,
+        message:
+          "If an account exists for this email, a password reset link has been sent",
+      });
+
+    try {
+      const { email } = req.body || {};
+
+      if (typeof email !== "string" || !email.trim()) {
+        return handlers.response.failed({
+          res,
+          message: "Email is required",
+        });
+      }
+
+      const normalizedEmail = email.trim().toLowerCase();
+      const user = await adminService.getUserByEmail(normalizedEmail);
+
+      if (!user || user.IsActive === false) {
+        handlers.logger.security({
+          message: "Password reset requested for unknown or inactive email",
+          email: normalizedEmail,
+          ip: req.ip || "unknown",
+        });
+        return response();
+      }
+
+      const pending = await this.queryResetTokens(user.UserId);
+      const recent = pending.some(
+        item =>
+          Date.now() - new Date(item.CreatedAt).getTime() < this.resendInterval
+      );
+      if (recent) return response();
+
+      await this.deleteResetTokens(pending);
+      const { token, expiresAt } = await this.createResetToken(user, req);
+
+      const sent = await this.sendResetEmail(user, token, expiresAt);
+
+      handlers.logger.security({
+        message: sent
+          ? "Password reset email sent"
+          : "Password reset email could not be sent",
+        userId: user.UserId,
+        ip: req.ip || "unknown",
+      });
+
+      return response();
+    } catch (error) {
+      console.error("❌ Forgot password error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to process password reset request",
+      });
+    }
+  }
+
+  /**
+   * POST /auth/password/reset - set a new password with a reset token.
+   * Every session of the user is signed out.
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body || {};
+
+      const passwordError = this.validatePassword(password);
+      if (typeof token !== "string" || !token) {
+        return handlers.response.failed({
+          res,
+          message: "Reset token is required",
+        });
+      }
+      if (passwordError) {
+        return handlers.response.failed({ res, message: passwordError });
+      }
+
+      const resetToken = await this.consumeResetToken(token);
+      if (!resetToken) {
+        return handlers.response.failed({
+          res,
+          message: "Reset link is invalid or has expired",
+          data: { error: "INVALID_RESET_TOKEN" },
+        });
+      }
+
+      const user = await adminService.findUserById(resetToken.UserId);
+      if (!user || user.IsActive === false) {
+        return handlers.response.failed({
+          res,
+          message: "Reset link is invalid or has expired",
+          data: { error: "INVALID_RESET_TOKEN" },
+        });
+      }
+
+      await this.updatePassword(user.UserId, password);
+      await this.deleteResetTokens(await this.queryResetTokens(user.UserId));
+      const revokedSessions = await authService.revokeAllSessions(user.UserId);
+      await this.notifyPasswordChanged(user);
+
+      handlers.logger.security({
+        message: "Password reset with token",
+        userId: user.UserId,
+        revokedSessions,
+        ip: req.ip || "unknown",
+      });
+
+      return handlers.response.success({
+        res,
+        message: "Password has been reset. Please sign in again.",
+      });
+    } catch (error) {
+      console.error("❌ Reset password error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to reset password",
+      });
+    }
+  }
+
+  /**
+   * POST /auth/password/change - requires the current password. Other
+   * sessions are signed out; the calling device stays signed in.
+   */
+  async changePassword(req, res) {
+    try {
+      const userId = req.user.UserId;
+      const { currentPassword, newPassword } = req.body || {};
+
+      if (typeof currentPassword !== "string" || !currentPassword) {
+        return handlers.response.failed({
+          res,
+          message: "Current password is required",
+        });
+      }
+
+      const passwordError = this.validatePassword(newPassword);
+      if (passwordError) {
+        return handlers.response.failed({ res, message: passwordError });
+      }
+
+      const user = await adminService.findUserById(userId);
+      const matched =
+        user &&
+        (await comparePassword({
+          plainPassword: currentPassword,
+          hashedPassword: user.Password,
+        }));
+
+      if (!matched) {
+        handlers.logger.security({
+          message: "Password change with incorrect current password",
+          userId,
+          ip: req.ip || "unknown",
+        });
+        return handlers.response.failed({
+          res,
+          message: "Current password is incorrect",
+          data: { error: "INVALID_CURRENT_PASSWORD" },
+        });
+      }
+
+      if (currentPassword === newPassword) {
+        return handlers.response.failed({
+          res,
+          message: "New password must be different from the current password",
+        });
+      }
+
+      await this.updatePassword(userId, newPassword);
+      await this.deleteResetTokens(await this.queryResetTokens(userId));
+      const revokedSessions = await authService.revokeAllSessions(userId, {
+        exceptSessionId: req.tokenInfo?.decoded?.sid,
+      });
+      await this.notifyPasswordChanged(user);
+
+      return handlers.response.success({
+        res,
+        message: "Password changed successfully",
+        data: { revokedSessions },
+      });
+    } catch (error) {
+      console.error("❌ Change password error:", error);
+      return handlers.response.error({
+        res,
+        message: "Failed to change password",
+      });
+    }
+  }
+
+  validatePassword(password) {
+    if (typeof password !== "string" || !password) {
+      return "New password is required";
+    }
+    if (password.length < this.minPasswordLength) {
+      return `Password must be at least ${this.minPasswordLength} characters long`;
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Promise<{token: string, expiresAt: Date}>}
+   */
+  async createResetToken(user, req) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.resetTokenTtl);
+    const key = `PASSWORD_RESET#${hashToken(token)}`;
+
+    await docClient.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: {
+          PK: key,
+          SK: key,
+          EntityType: "PasswordReset",
+          UserId: user.UserId,
+          RequestedIp: req.ip || null,
+          CreatedAt: now.toISOString(),
+          ExpiresAt: expiresAt.toISOString(),
+          TTL: Math.floor(expiresAt.getTime() / 1000),
+        },
+      })
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Delete the token's item and return it if it had not expired, so a
+   * token works at most once even with concurrent requests
+   */
+  async consumeResetToken(token) {
+    const key = `PASSWORD_RESET#${hashToken(token)}`;
+    const result = await docClient.send(
+      new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { PK: key, SK: key },
+        ReturnValues: "ALL_OLD",
+      })
+    );
+
+    const item = result.Attributes;
+    if (!item || new Date() > new Date(item.ExpiresAt)) return null;
+    return item;
+  }
+
+  async queryResetTokens(userId) {
+    const result = await docClient.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: "UserIdIndex",
+        KeyConditionExpression: "UserId = :userId",
+        FilterExpression: "EntityType = :entityType",
+        ExpressionAttributeValues: {
+          ":userId": userId,
+          ":entityType": "PasswordReset",
+        },
+      })
+    );
+    return result.Items || [];
+  }
+
+  async deleteResetTokens(items) {
+    await Promise.all(
+      items.map(item =>
+        docClient.send(
+          new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: { PK: item.PK, SK: item.SK },
+          })
+        )
+      )
+    );
+  }
+
+  async updatePassword(userId, password) {
+    const timestamp = new Date().toISOString();
+
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: {
+          PK: `USER#${userId}`,
+          SK: `USER#${userId}`,
+        },
+        UpdateExpression: `
+          SET Password = :password,
+              PasswordChangedAt = :timestamp,
+              UpdatedAt = :timestamp
+          REMOVE LoginAttempts, LockedUntil, LastFailedLogin
+        `,
+        ExpressionAttributeValues: {
+          ":password": await hashPassword(password),
+          ":timestamp": timestamp,
+        },
+      })
+    );
+  }
+
+  resetEmailText(token, expiresAt) {
+    const minutes = Math.round((expiresAt.getTime() - Date.now()) / 60000);
+    const baseUrl = process.env.PASSWORD_RESET_URL;
+    const instructions = baseUrl
+      ? `Open this link to choose a new password:\n${baseUrl}${
+          baseUrl.includes("?") ? "&" : "?"
+        }token=${encodeURIComponent(token)}`
+      : `Use this reset token to choose a new password:\n${token}`;
+
+    return [
+      "We received a request to reset your password.",
+      "",
+      instructions,
+      "",
+      `It expires in ${minutes} minutes and can only be used once.`,
+      "If you did not ask for a reset, you can ignore this email.",
+    ].join("\n");
+  }
+
+  /**
+   * A failed send must look like any other request, or a mail outage would
+   * reveal which emails have accounts. The unsent token is dropped so the
+   * resend throttle doesn't block the retry.
+   * @returns {Promise<boolean>} - Whether the email was sent
+   */
+  async sendResetEmail(user, token, expiresAt) {
+    try {
+      await sendMail({
+        to: user.Email,
+        subject: "Reset your password",
+        text: this.resetEmailText(token, expiresAt),
+      });
+      return true;
+    } catch (error) {
+      console.error("❌ Failed to send password reset email:", error.message);
+
+      const key = `PASSWORD_RESET#${hashToken(token)}`;
+      await this.deleteResetTokens([{ PK: key, SK: key }]).catch(
+        deleteError =>
+          console.warn(
+            "⚠️ Failed to remove unsent reset token:",
+            deleteError.message
+          )
+      );
+      return false;
+    }
+  }
+
+  // Failing to notify must not undo a password change that already happened
+  async notifyPasswordChanged(user) {
+    try {
+      await sendMail({
+        to: user.Email,
+        subject: "Your password was changed",
+        text: [
+          "The password for your account was just changed.",
+          "If this was not you, reset your password and contact an administrator.",
+        ].join("\n"),
+      });
+    } catch (error) {
+      console.warn(
+        "⚠️ Failed to send password change notification:",
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = new PasswordService();
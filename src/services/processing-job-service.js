@@ -0,0 +1,372 @@
+const { docClient, lambdaClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const {
+  PutCommand,
+  GetCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { InvokeCommand } = require("@aws-sdk/client-lambda");
+const { v4: uuidv4 } = require("uuid");
+
+// Lambda events carrying this source run a queued job instead of an HTTP request
+const PROCESSING_JOB_EVENT_SOURCE = "processing-job";
+
+class ProcessingJobService {
+  constructor() {
+    this.tableName = process.env.DYNAMODB_TABLE_NAME;
+    this.jobHandlers = new Map();
+
+    // Progress writes are throttled to stage changes and 5% steps
+    this.PROGRESS_STEP_PERCENT = 5;
+    this.MAX_STORED_CHUNK_ERRORS = 50;
+  }
+
+  /**
+   * Register the function that runs jobs of a given type.
+   * Handlers receive (input, progress) and return the job result.
+   */
+  registerHandler(jobType, handler) {
+    this.jobHandlers.set(jobType, handler);
+  }
+
+  /**
+   * Persist a queued job and hand it to a worker
+   * @param {Object} params
+   * @param {string} params.jobType - Registered job type
+   * @param {string} params.userId - Owner of the job
+   * @param {Object} params.input - Handler input, stored on the job record
+   * @returns {Promise<Object>} - Stored job item
+   */
+  async enqueue({ jobType, userId, input }) {
+    if (!this.jobHandlers.has(jobType)) {
+      throw new Error(`No handler registered for job type '${jobType}'`);
+    }
+
+    const jobId = uuidv4();
+    const now = new Date().toISOString();
+
+    const item = {
+      PK: `PROCESSING_JOB#${jobId}`,
+      SK: `USER#${userId}#PROCESSING_JOB#${jobId}`,
+      EntityType: "ProcessingJob",
+      JobId: jobId,
+      JobType: jobType,
+      UserId: userId,
+      Status: "queued",
+      Stage: "queued",
+      PercentComplete: 0,
+      Input: input,
+      ChunkErrors: [],
+      CreatedAt: now,
+      UpdatedAt: now,
+    };
+
+    await docClient.send(
+      new PutCommand({
+        TableName: this.tableName,
+        Item: item,
+        ConditionExpression: "attribute_not_exists(PK)",
+      })
+    );
+
+    await this.dispatch(item);
+
+    return item;
+  }
+
+  /**
+   * Start a job outside the current request: an async self-invocation on
+   * Lambda (so it gets a fresh 15-minute budget), an in-process worker elsewhere
+   */
+  async dispatch(job) {
+    const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+    if (functionName) {
+      await lambdaClient.send(
+        new InvokeCommand({
+          FunctionName: functionName,
+          InvocationType: "Event",
+          Payload: Buffer.from(
+            JSON.stringify({
+              source: PROCESSING_JOB_EVENT_SOURCE,
+              jobId: job.JobId,
+              userId: job.UserId,
+            })
+          ),
+        })
+      );
+      console.log(`📨 Dispatched job ${job.JobId} to Lambda ${functionName}`);
+      return;
+    }
+
+    setImmediate(() => {
+      this.runJob(job.JobId, job.UserId).catch(error =>
+        console.error(`❌ Job ${job.JobId} worker crashed:`, error)
+      );
+    });
+    console.log(`🧵 Job ${job.JobId} scheduled in-process`);
+  }
+
+  /**
+   * Lambda entry point for dispatched jobs
+   */
+  async handleInvocation(event) {
+    return await this.runJob(event.jobId, event.userId);
+  }
+
+  /**
+   * Run a queued job to completion, recording progress and the outcome
+   */
+  async runJob(jobId, userId) {
+    const job = await this.findJob(userId, jobId);
+    if (!job) {
+      console.warn(`⚠️ Job ${jobId} not found, nothing to run`);
+      return null;
+    }
+
+    if (job.Status !== "queued") {
+      console.warn(`⚠️ Job ${jobId} is already ${job.Status}, skipping`);
+      return job;
+    }
+
+    const handler = this.jobHandlers.get(job.JobType);
+    if (!handler) {
+      return await this.updateJob(job, {
+        Status: "failed",
+        Error: {
+          message: `No handler registered for job type '${job.JobType}'`,
+        },
+        CompletedAt: new Date().toISOString(),
+      });
+    }
+
+    // Claim the job; a duplicate (retried) invocation loses the race
+    try {
+      await this.updateJob(
+        job,
+        {
+          Status: "running",
+          Stage: "starting",
+          StartedAt: new Date().toISOString(),
+        },
+        "queued"
+      );
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        console.warn(`⚠️ Job ${jobId} was claimed by another worker`);
+        return null;
+      }
+      throw error;
+    }
+
+    const progress = this.createProgressReporter(job);
+
+    try {
+      const result = await handler(job.Input, progress);
+      await progress.flush();
+
+      return await this.updateJob(job, {
+        Status: "succeeded",
+        Stage: "completed",
+        PercentComplete: 100,
+        Result: this.toStorable(result),
+        CompletedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`❌ Job ${jobId} failed:`, error);
+      await progress.flush();
+
+      return await this.updateJob(job, {
+        Status: "failed",
+        Error: {
+          message: error.message,
+          stage: error.stage || progress.stage,
+          ...(error.details && { details: this.toStorable(error.details) }),
+        },
+        CompletedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Progress callbacks handed to job handlers. Writes are throttled so a
+   * large document doesn't turn into one DynamoDB update per chunk.
+   */
+  createProgressReporter(job) {
+    const reporter = {
+      stage: "starting",
+      percent: 0,
+      chunkErrors: [],
+      lastWrittenStage: null,
+      lastWrittenPercent: 0,
+      dirty: false,
+    };
+
+    const write = async () => {
+      reporter.lastWrittenStage = reporter.stage;
+      reporter.lastWrittenPercent = reporter.percent;
+      reporter.dirty = false;
+
+      try {
+        await this.updateJob(job, {
+          Stage: reporter.stage,
+          PercentComplete: reporter.percent,
+          ChunkErrors: reporter.chunkErrors.slice(
+            0,
+            this.MAX_STORED_CHUNK_ERRORS
+          ),
+          FailedChunkCount: reporter.chunkErrors.length,
+        });
+      } catch (error) {
+        // Progress is informational; never fail the job over it
+        console.warn(`⚠️ Failed to record job progress: ${error.message}`);
+      }
+    };
+
+    return {
+      get stage() {
+        return reporter.stage;
+      },
+
+      /** Move to a stage and/or percent; persisted on stage change or every 5% */
+      update: async (stage, percent = reporter.percent) => {
+        reporter.stage = stage;
+        reporter.percent = Math.max(
+          reporter.percent,
+          Math.min(Math.round(percent), 99)
+        );
+        reporter.dirty = true;
+
+        if (
+          stage !== reporter.lastWrittenStage ||
+          reporter.percent - reporter.lastWrittenPercent >=
+            this.PROGRESS_STEP_PERCENT
+        ) {
+          await write();
+        }
+      },
+
+      /** Record a failed chunk; stored with the next progress write */
+      chunkFailed: ({ chunkIndex, error, stage }) => {
+        reporter.chunkErrors.push({ chunkIndex, error, stage });
+        reporter.dirty = true;
+      },
+
+      flush: async () => {
+        if (reporter.dirty) await write();
+      },
+    };
+  }
+
+  /**
+   * Set fields on a job record, optionally only while it has an expected status
+   */
+  async updateJob(job, fields, expectedStatus = null) {
+    const entries = Object.entries({
+      ...fields,
+      UpdatedAt: new Date().toISOString(),
+    });
+
+    const params = {
+      TableName: this.tableName,
+      Key: { PK: job.PK, SK: job.SK },
+      UpdateExpression: `SET ${entries
+        .map((_, idx) => `#f${idx} = :v${idx}`)
+        .join(", ")}`,
+      ExpressionAttributeNames: Object.fromEntries(
+        entries.map(([name], idx) => [`#f${idx}`, name])
+      ),
+      ExpressionAttributeValues: Object.fromEntries(
+        entries.map(([, value], idx) => [`:v${idx}`, value ?? null])
+      ),
+      ReturnValues: "ALL_NEW",
+    };
+
+    if (expectedStatus) {
+      params.ConditionExpression = "#status = :expectedStatus";
+      params.ExpressionAttributeNames["#status"] = "Status";
+      params.ExpressionAttributeValues[":expectedStatus"] = expectedStatus;
+    }
+
+    const result = await docClient.send(new UpdateCommand(params));
+
+    return result.Attributes;
+  }
+
+  /**
+   * Fetch a job owned by the user; the key includes the user id,
+   * so another user's job is simply not found
+   */
+  async findJob(userId, jobId) {
+    if (!userId || !jobId) return null;
+
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `PROCESSING_JOB#${jobId}`,
+          SK: `USER#${userId}#PROCESSING_JOB#${jobId}`,
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Report the status of a processing job
+   */
+  async getJob(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { jobId } = req.params;
+
+      const job = await this.findJob(userId, jobId);
+      if (!job) {
+        return handlers.response.unavailable({
+          res,
+          message: "Processing job not found",
+        });
+      }
+
+      return handlers.response.success({
+        res,
+        message: "Processing job fetched successfully",
+        data: this.formatJob(job),
+      });
+    } catch (error) {
+      console.error("❌ Get processing job error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch processing job",
+      });
+    }
+  }
+
+  /** Drop undefined values and class instances before writing to DynamoDB */
+  toStorable(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  formatJob(item) {
+    return {
+      jobId: item.JobId,
+      type: item.JobType,
+      status: item.Status,
+      stage: item.Stage,
+      percentComplete: item.PercentComplete || 0,
+      input: item.Input || {},
+      failedChunks: item.FailedChunkCount || 0,
+      chunkErrors: item.ChunkErrors || [],
+      result: item.Result || null,
+      error: item.Error || null,
+      createdAt: item.CreatedAt,
+      startedAt: item.StartedAt || null,
+      completedAt: item.CompletedAt || null,
+      updatedAt: item.UpdatedAt,
+    };
+  }
+}
+
+module.exports = new ProcessingJobService();
+module.exports.PROCESSING_JOB_EVENT_SOURCE = PROCESSING_JOB_EVENT_SOURCE;
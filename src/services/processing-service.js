@@ -1,7 +1,21 @@
 const { handlers } = require("../utilities/handlers");
 const extractFromPDF = require("../utilities/pdf-parser");
-const chunkText = require("../utilities/chunk-text");
-const getEmbedding = require("../utilities/get-embedding");
+const extractFromDOCX = require("../utilities/docx-parser");
+const extractFromSpreadsheet = require("../utilities/spreadsheet-parser");
+const extractFromLAS = require("../utilities/las-parser");
+const extractFromWITSML = require("../utilities/witsml-parser");
+const extractTables = require("../utilities/table-extractor");
+const {
+  normalizeRun,
+  extractReportRun,
+  formatMotorConfig,
+} = require("../utilities/run-records");
+const { extractWellContext } = require("../utilities/well-context");
+const { extractRunAssets } = require("../utilities/asset-records");
+const { checkValues, summarizeFlags } = require("../utilities/data-quality");
+const { chunkTextWithLocations } = require("../utilities/chunk-text");
+const { getBatchEmbeddings } = require("../utilities/get-embedding");
+const mapWithConcurrency = require("../utilities/map-with-concurrency");
 const { v4: uuidv4 } = require("uuid");
 const { s3Client } = require("../config/aws");
 const { GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
@@ -9,18 +23,37 @@ const path = require("path");
 const { saveFileDetails } = require("../utilities/save-query");
 const { Readable } = require("stream");
 const upsertEmbedding = require("../utilities/upsert-embedding");
+const { ensurePayloadIndexes } = require("../utilities/qdrant-functions");
+const processingJobService = require("./processing-job-service");
+const tableService = require("./table-service");
+const runService = require("./run-service");
+const aliasService = require("./alias-service");
+const wellService = require("./well-service");
 
 // 🚀 Enhanced Constants for Drilling Reports
 const MAX_CONCURRENT_EMBEDDINGS = 12; // Increased for better throughput
 const MAX_CONCURRENT_UPLOADS = 15;
+const EMBEDDING_BATCH_MAX_SIZE = 128; // Inputs per embeddings request
+const EMBEDDING_BATCH_MAX_TOKENS = 100000; // Estimated tokens per embeddings request
+const UPSERT_BATCH_SIZE = 64; // Points per Qdrant upsert
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_MS = 500;
-const SUPPORTED_FILE_TYPES = [".pdf"];
+const SPREADSHEET_FILE_TYPES = [".xlsx", ".csv"]; // Ingested row by row
+const WELL_LOG_FILE_TYPES = [".las"]; // Summarised per depth interval
+const WITSML_FILE_TYPES = [".xml"]; // WITSML 1.4/2.0 data objects
+const SUPPORTED_FILE_TYPES = [
+  ".pdf",
+  ".docx",
+  ...SPREADSHEET_FILE_TYPES,
+  ...WELL_LOG_FILE_TYPES,
+  ...WITSML_FILE_TYPES,
+];
 const MAX_FILE_SIZE = 75 * 1024 * 1024; // Increased to 75MB for larger drilling reports
 const STREAM_TIMEOUT_MS = 60000; // Increased timeout for large files
 const BATCH_PROCESSING_DELAY = 30; // Reduced delay for faster processing
 const MIN_TEXT_LENGTH = 100; // Higher minimum for technical content
 const DRILLING_QUALITY_THRESHOLD = 0.6; // Quality threshold for drilling content
+const PDF_INGESTION_JOB = "pdf-ingestion";
 
 // 📊 Enhanced Rate limiting for drilling document processing
 const EMBEDDING_RATE_LIMIT = {
@@ -74,6 +107,12 @@ class EnhancedDrillingDocumentService {
       );
     }
 
+    // Processing runs as a background job; see runPdfIngestion
+    processingJobService.registerHandler(
+      PDF_INGESTION_JOB,
+      this.runPdfIngestion.bind(this)
+    );
+
     console.log(
       "🚀 Enhanced Drilling Document Service initialized with advanced optimizations"
     );
@@ -155,6 +194,10 @@ class EnhancedDrillingDocumentService {
     return null;
   }
 
+  getCachedTextMetadata(key) {
+    return this.textCache.get(key)?.metadata || null;
+  }
+
   setCachedText(key, text, metadata = {}) {
     this.textCache.set(key, {
       text,
@@ -322,8 +365,9 @@ class EnhancedDrillingDocumentService {
 
   /**
    * 🧠 Enhanced text extraction with drilling report optimization
+   * (PDF strategies, or mammoth for Word documents)
    */
-  async extractTextFromPdf(pdfBuffer, key) {
+  async extractTextFromDocument(fileBuffer, key) {
     // Check cache first
     const cachedText = this.getCachedText(key);
     if (cachedText) {
@@ -343,10 +387,16 @@ class EnhancedDrillingDocumentService {
       );
 
       // Enhanced extraction with drilling optimizations
-      const result = await extractFromPDF(pdfBuffer, {
+      const extractor =
+        path.extname(key).toLowerCase() === ".docx"
+          ? extractFromDOCX
+          : extractFromPDF;
+      const result = await extractor(fileBuffer, {
         preserveStructure: true,
         enhanceDrillingTerms: true,
         documentType: documentType,
+        // Lets the PDF parser run Textract against the uploaded object
+        s3Location: { bucket: this.bucket, key },
       });
 
       if (
@@ -437,6 +487,229 @@ class EnhancedDrillingDocumentService {
     }
   }
 
+  /**
+   * 📊 Parse an XLSX/CSV motor run sheet into one chunk per data row.
+   * Typed row values travel in the chunk payload for filtering and aggregation.
+   */
+  extractSpreadsheetChunks(fileBuffer, key) {
+    const fileName = path.basename(key);
+    console.log(`📊 Parsing run sheet rows from ${fileName}...`);
+
+    let result;
+    try {
+      result = extractFromSpreadsheet(fileBuffer, { fileName });
+    } catch (error) {
+      this.metrics.errorTypes.textExtraction++;
+      throw new Error(`Run sheet parsing failed: ${error.message}`);
+    }
+
+    if (result.rows.length === 0) {
+      this.metrics.errorTypes.textExtraction++;
+      throw new Error(
+        "RUN_SHEET_NO_ROWS: No motor run rows found. Please make sure the sheet has a header row with columns such as SN, Hole Size or Depth In."
+      );
+    }
+
+    this.metrics.drillingSpecificMetrics.structuredDataExtractions++;
+
+    const chunks = result.rows.map(row =>
+      this.toStructuredChunk(
+        {
+          content: row.content,
+          payload: {
+            ...row.values,
+            rowData: row.values,
+            units: row.units,
+            sheetName: row.sheetName,
+            rowNumber: row.rowNumber,
+            sectionType: "run_sheet_row",
+          },
+        },
+        { sheetName: row.sheetName, rowNumber: row.rowNumber }
+      )
+    );
+
+    const runs = result.rows.flatMap(row => {
+      const run = normalizeRun(row.values, row.units);
+      return run
+        ? [
+            {
+              ...run,
+              source: {
+                kind: "run_sheet_row",
+                sheetName: row.sheetName,
+                rowNumber: row.rowNumber,
+              },
+            },
+          ]
+        : [];
+    });
+
+    return { text: result.text, sheets: result.sheets, chunks, runs };
+  }
+
+  /**
+   * 🪵 Parse a LAS 2.0 well log into header, parameter and per-interval
+   * curve statistics chunks
+   */
+  extractWellLogChunks(fileBuffer, key) {
+    const fileName = path.basename(key);
+    console.log(`🪵 Parsing LAS well log ${fileName}...`);
+
+    let result;
+    try {
+      result = extractFromLAS(fileBuffer, { fileName });
+    } catch (error) {
+      this.metrics.errorTypes.textExtraction++;
+      throw new Error(`Well log parsing failed: ${error.message}`);
+    }
+
+    this.metrics.drillingSpecificMetrics.structuredDataExtractions++;
+
+    return {
+      text: result.text,
+      chunks: result.chunks.map(chunk => this.toStructuredChunk(chunk)),
+      summary: {
+        wellName: result.well.wellName,
+        uwi: result.well.uwi,
+        startDepth: result.well.startDepth,
+        stopDepth: result.well.stopDepth,
+        depthUnit: result.well.depthUnit,
+        curves: result.curves.map(curve => curve.mnemonic),
+        intervalSize: result.intervalSize,
+        intervalCount: result.intervals.length,
+      },
+    };
+  }
+
+  /**
+   * 🛢️ Map WITSML well, wellbore, bhaRun, tubular and bitRecord objects
+   * onto the shared drilling payload fields
+   */
+  extractWitsmlChunks(fileBuffer, key) {
+    const fileName = path.basename(key);
+    console.log(`🛢️ Parsing WITSML objects from ${fileName}...`);
+
+    let result;
+    try {
+      result = extractFromWITSML(fileBuffer, { fileName });
+    } catch (error) {
+      this.metrics.errorTypes.textExtraction++;
+      throw new Error(`WITSML parsing failed: ${error.message}`);
+    }
+
+    this.metrics.drillingSpecificMetrics.structuredDataExtractions++;
+
+    const runs = result.records.flatMap(record => {
+      const run = normalizeRun(record.values, record.units);
+      return run
+        ? [
+            {
+              ...run,
+              assets: extractRunAssets(run.values, {
+                components: record.components,
+              }),
+              source: {
+                kind: "witsml",
+                witsmlObject: record.kind,
+                witsmlUid: record.uid,
+              },
+            },
+          ]
+        : [];
+    });
+
+    return {
+      text: result.text,
+      chunks: result.chunks.map(chunk => this.toStructuredChunk(chunk)),
+      runs,
+      summary: {
+        version: result.version,
+        wells: result.wells.map(well => well.name).filter(Boolean),
+        wellbores: result.wellbores.length,
+        records: result.records.reduce((counts, record) => {
+          counts[record.kind] = (counts[record.kind] || 0) + 1;
+          return counts;
+        }, {}),
+      },
+    };
+  }
+
+  /**
+   * 📋 Pull BHA component and motor tables out of report text as typed rows;
+   * each table becomes its own chunk carrying the row values in its payload
+   */
+  extractTableChunks(text, key) {
+    const fileName = path.basename(key);
+
+    let tables;
+    try {
+      tables = extractTables(text, { fileName });
+    } catch (error) {
+      // Tables are an enhancement over the text chunks; never fail ingestion
+      console.warn(
+        `⚠️ Table extraction failed for ${fileName}:`,
+        error.message
+      );
+      return { tables: [], chunks: [] };
+    }
+
+    if (tables.length) {
+      this.metrics.drillingSpecificMetrics.structuredDataExtractions++;
+      console.log(`📋 Extracted ${tables.length} tables from ${fileName}`);
+    }
+
+    const chunks = tables.map(table => {
+      const payload = {
+        tableId: table.tableId,
+        tableType: table.tableType,
+        tableIndex: table.tableIndex,
+        tableRows: table.rows,
+        sectionType: `table_${table.tableType}`,
+      };
+
+      if (table.tableType === "motor") {
+        const [motor] = table.rows;
+        if (motor.motorMake) payload.motorMake = motor.motorMake;
+        if (motor.motorModel) payload.motorModel = motor.motorModel;
+        if (motor.serialNumber) payload.serialNumber = motor.serialNumber;
+        if (motor.lobes) payload.motorConfig = formatMotorConfig(motor);
+      } else {
+        payload.components = table.rows
+          .map(row => row.description)
+          .filter(Boolean);
+        payload.serialNumbers = table.rows
+          .map(row => row.serialNumber)
+          .filter(Boolean);
+      }
+
+      return this.toStructuredChunk(
+        { content: table.content, payload },
+        { pageStart: table.page, pageEnd: table.page }
+      );
+    });
+
+    return { tables, chunks };
+  }
+
+  /**
+   * Chunk from a structured source: no page location, payload values carried as-is
+   */
+  toStructuredChunk({ content, payload }, location = {}) {
+    return {
+      content,
+      metadata: {
+        pageStart: null,
+        pageEnd: null,
+        charStart: null,
+        charEnd: null,
+        excerpt: content.substring(0, 200),
+        ...location,
+      },
+      payload,
+    };
+  }
+
   // Add these missing methods to your EnhancedDrillingDocumentService class
 
   /**
@@ -484,8 +757,9 @@ class EnhancedDrillingDocumentService {
     const startTime = Date.now();
 
     try {
-      // Enhanced chunking optimized for drilling reports
-      const chunks = await chunkText(text);
+      // Enhanced chunking optimized for drilling reports; each chunk keeps
+      // its page range and character offsets for citations
+      const chunks = await chunkTextWithLocations(text);
 
       if (!chunks || chunks.length === 0) {
         throw new Error(
@@ -495,7 +769,7 @@ class EnhancedDrillingDocumentService {
 
       // Enhanced chunk validation for drilling content
       const validChunks = chunks.filter(chunk =>
-        this.validateDrillingChunk(chunk)
+        this.validateDrillingChunk(chunk.content)
       );
 
       if (validChunks.length === 0) {
@@ -505,7 +779,9 @@ class EnhancedDrillingDocumentService {
       }
 
       // Quality assessment for chunks
-      const averageChunkQuality = this.assessChunksQuality(validChunks);
+      const averageChunkQuality = this.assessChunksQuality(
+        validChunks.map(chunk => chunk.content)
+      );
       console.log(
         `📊 Average chunk quality for drilling content: ${averageChunkQuality.toFixed(
           2
@@ -527,164 +803,158 @@ class EnhancedDrillingDocumentService {
   }
 
   /**
-   * 🚀 Enhanced batch embedding processing for drilling reports - with comprehensive debugging
+   * 🚀 Batch embedding processing for drilling reports: token-bounded
+   * embedding requests with bounded concurrency, each batch upserted as it
+   * completes. Failures are recorded per chunk.
    */
   async processEmbeddingsInBatches(
     chunks,
     collectionName,
     key,
     fileName,
-    userId
+    userId,
+    { payloadFields = {}, onProgress = null } = {}
   ) {
     console.log(
-      `🧠 Processing ${chunks.length} drilling report chunks with enhanced embeddings`
+      `🧠 Processing ${chunks.length} drilling report chunks with batched embeddings`
     );
 
-    // Pre-flight checks
-    console.log("🔍 Pre-flight checks:");
-    console.log("  - Collection name:", collectionName);
-    console.log("  - User ID:", userId);
-    console.log("  - File name:", fileName);
-    console.log("  - Key:", key);
-
-    // Check chunks
-    console.log("📋 Chunk analysis:");
-    chunks.forEach((chunk, i) => {
-      console.log(
-        `  Chunk ${i}: ${chunk.length} chars - "${chunk.substring(0, 50)}..."`
-      );
-    });
-
     const results = [];
     const errors = [];
     const startTime = Date.now();
+    const createdAt = new Date().toISOString();
+    let processed = 0;
 
-    // Process one chunk at a time for debugging
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = `File/Document name: ${fileName}\nChunk ${i + 1}/${
+    // Prepare every point up front; ids are fixed so upsert retries are idempotent
+    const points = chunks.map(({ content, metadata, payload }, i) => {
+      const location = metadata || {};
+      const text = `File/Document name: ${fileName}\nChunk ${i + 1}/${
         chunks.length
-      }:\n${chunks[i]}`;
-      console.log(`\n🔍 === Processing chunk ${i + 1}/${chunks.length} ===`);
-      console.log(`Chunk content: "${chunk.substring(0, 200)}..."`);
-      console.log(`Chunk length: ${chunk.length} characters`);
-
-      try {
-        // Test 1: Rate limiting
-        console.log("⏳ Checking rate limit...");
-        await this.checkEmbeddingRateLimit();
-        console.log("✅ Rate limit check passed");
-
-        // Test 2: Embedding generation
-        console.log("🧠 Generating embedding...");
-        console.log("  - Using enhanced drilling context: true");
-        console.log("  - Model: text-embedding-3-small");
-
-        const embeddingStartTime = Date.now();
-        const embedding = await this.retryOperation(
-          async () => {
-            console.log("  🔄 Calling getEmbedding...");
-            const result = await getEmbedding(chunk, {
-              enhanceDrillingContext: true,
-              model: "text-embedding-3-small",
-            });
-            console.log(
-              `  ✅ getEmbedding returned result with length: ${result?.length}`
-            );
-            return result;
-          },
-          3,
-          `Generate drilling embedding for chunk ${i}`
-        );
+      }:\n${content}`;
+
+      return {
+        id: uuidv4(),
+        chunkIndex: i,
+        text,
+        payload: {
+          ...payloadFields,
+          // Typed values from structured sources such as run sheet rows
+          ...payload,
+          key,
+          name: fileName,
+          content: text,
+          chunkIndex: i,
+          totalChunks: chunks.length,
+          userId,
+          createdAt,
+          processingVersion: "2.0-drilling-optimized",
+          // Source location for page-level citations
+          pageStart: location.pageStart ?? null,
+          pageEnd: location.pageEnd ?? null,
+          charStart: location.charStart ?? null,
+          charEnd: location.charEnd ?? null,
+          excerpt: location.excerpt || null,
+        },
+      };
+    });
 
-        const embeddingTime = Date.now() - embeddingStartTime;
-        console.log(`✅ Embedding generated in ${embeddingTime}ms`);
-        console.log(`   - Embedding length: ${embedding?.length}`);
-        console.log(
-          `   - First few values: [${embedding?.slice(0, 3).join(", ")}...]`
-        );
+    const recordFailure = (point, stage, message) => {
+      this.metrics.errorTypes[stage === "upload" ? "upload" : "embedding"]++;
+      const failure = {
+        chunkIndex: point.chunkIndex,
+        error: message,
+        stage,
+        chunkPreview: point.text.substring(0, 100),
+      };
+      errors.push(failure);
+      return failure;
+    };
 
-        // Test 3: Upload to Qdrant
-        console.log("📤 Uploading to Qdrant...");
-        const uploadStartTime = Date.now();
+    // Upsert one embedded batch in slices so failures map back to chunks
+    const upsertBatch = async batchPoints => {
+      const slices = [];
+      for (let i = 0; i < batchPoints.length; i += UPSERT_BATCH_SIZE) {
+        slices.push(batchPoints.slice(i, i + UPSERT_BATCH_SIZE));
+      }
 
-        const uploadResult = await this.retryOperation(
-          async () => {
-            const id = uuidv4();
-            console.log(`  🆔 Generated ID: ${id}`);
+      const failures = [];
+      await mapWithConcurrency(slices, MAX_CONCURRENT_UPLOADS, async slice => {
+        try {
+          const response = await upsertEmbedding({
+            collectionName,
+            points: slice.map(({ id, vector, payload }) => ({
+              id,
+              vector,
+              payload,
+            })),
+            withSparse: true,
+          });
+          const flagsById = new Map(
+            (response.qualityFlags || []).map(({ id, flags }) => [id, flags])
+          );
+          results.push(
+            ...slice.map(({ id, text, chunkIndex }) => ({
+              id,
+              content: text,
+              chunkIndex,
+              ...(flagsById.has(id) && { qualityFlags: flagsById.get(id) }),
+            }))
+          );
+        } catch (error) {
+          console.error(
+            `❌ Upsert of ${slice.length} chunks failed: ${error.message}`
+          );
+          failures.push(
+            ...slice.map(point => recordFailure(point, "upload", error.message))
+          );
+        }
+      });
 
-            // Simplified payload for debugging
-            const payload = {
-              key,
-              name: fileName,
-              content: chunk,
-              chunkIndex: i,
-              totalChunks: chunks.length,
-              userId,
-              createdAt: new Date().toISOString(),
-              processingVersion: "2.0-drilling-optimized",
-            };
+      return failures;
+    };
 
-            console.log("  📦 Payload prepared, calling upsertEmbedding...");
-            await upsertEmbedding({
-              collectionName,
-              points: [
-                {
-                  id,
-                  vector: embedding,
-                  payload: payload,
-                },
-              ],
-            });
+    await getBatchEmbeddings(
+      points.map(point => point.text),
+      {
+        enhanceDrillingContext: true,
+        model: "text-embedding-3-small",
+        maxBatchSize: EMBEDDING_BATCH_MAX_SIZE,
+        maxBatchTokens: EMBEDDING_BATCH_MAX_TOKENS,
+        concurrency: MAX_CONCURRENT_EMBEDDINGS,
+        beforeRequest: () => this.checkEmbeddingRateLimit(),
+        onBatchComplete: async ({ indices, embeddings, errors: batchErrors }) => {
+          const failedIndices = new Set(batchErrors.map(e => e.index));
+
+          const failedChunks = batchErrors.map(({ index, error }) =>
+            recordFailure(points[index], "embedding", error)
+          );
 
-            console.log("  ✅ upsertEmbedding completed successfully");
-            return {
-              id,
-              content: chunk,
-              embedding,
-              chunkIndex: i,
-            };
-          },
-          3,
-          `Upload drilling chunk ${i} to Qdrant`
-        );
+          const embedded = indices
+            .map((index, i) => ({ ...points[index], vector: embeddings[i] }))
+            .filter(point => !failedIndices.has(point.chunkIndex));
 
-        const uploadTime = Date.now() - uploadStartTime;
-        console.log(`✅ Upload completed in ${uploadTime}ms`);
+          if (embedded.length > 0) {
+            failedChunks.push(...(await upsertBatch(embedded)));
+          }
 
-        results.push(uploadResult);
-        console.log(
-          `🎉 Chunk ${i + 1} processed successfully! Total success: ${
-            results.length
-          }`
-        );
-      } catch (error) {
-        console.error(`❌ Chunk ${i + 1} failed:`, error.message);
-        console.error(`❌ Error stack:`, error.stack);
-        console.error(`❌ Chunk that failed: "${chunk.substring(0, 100)}..."`);
+          processed += indices.length;
+          console.log(
+            `📊 Progress: ${processed}/${chunks.length} - Success: ${results.length}, Failed: ${errors.length}`
+          );
 
-        this.metrics.errorTypes.embedding++;
-        errors.push({
-          chunkIndex: i,
-          error: error.message,
-          stage: error.message.includes("embedding")
-            ? "embedding"
-            : error.message.includes("upsert")
-            ? "upload"
-            : "unknown",
-          chunkPreview: chunk.substring(0, 100),
-        });
+          if (onProgress) {
+            await onProgress({
+              processed,
+              total: chunks.length,
+              failedChunks,
+            });
+          }
+        },
       }
+    );
 
-      // Progress update
-      const progressPercent = Math.round(((i + 1) / chunks.length) * 100);
-      console.log(
-        `📊 Progress: ${i + 1}/${
-          chunks.length
-        } (${progressPercent}%) - Success: ${results.length}, Failed: ${
-          errors.length
-        }`
-      );
-    }
+    results.sort((a, b) => a.chunkIndex - b.chunkIndex);
+    errors.sort((a, b) => a.chunkIndex - b.chunkIndex);
 
     const totalTime = Date.now() - startTime;
     console.log(`\n🏁 === Drilling embedding processing complete ===`);
@@ -962,26 +1232,17 @@ class EnhancedDrillingDocumentService {
   }
 
   /**
-   * 🎯 Main enhanced PDF processing method for drilling reports
+   * 🎯 Queue an uploaded drilling report for processing. The pipeline runs as
+   * a background job; poll GET /processing/jobs/:jobId for progress.
    */
   async processUploadedPdf(req, res) {
-    const startTime = Date.now();
-    let shouldDeleteFile = false;
-    let deleteReason = "";
-    let drillingMetadata = {};
-
     try {
-      console.log("🚀 === Starting enhanced drilling report processing ===");
-
-      const { key, collectionName } = req.body;
+      const { key, collectionName, wellId, jobId, section } = req.body;
       const userId = req.user?.UserId;
 
       // Enhanced validation
       const validation = this.validateInput({ key, collectionName, userId });
       if (!validation.isValid) {
-        shouldDeleteFile = true;
-        deleteReason = "validation_failed";
-
         return handlers.response.failed({
           res,
           message: `Drilling report validation failed: ${validation.errors.join(
@@ -991,6 +1252,149 @@ class EnhancedDrillingDocumentService {
         });
       }
 
+      // Optional well / job chosen by the uploader; without one the report
+      // header is matched against existing wells during ingest
+      let assignment = null;
+      if (wellId || jobId || section) {
+        const result = await wellService.validateAssignment(userId, {
+          wellId,
+          jobId,
+          section,
+        });
+        if (result.error) {
+          return handlers.response.failed({
+            res,
+            message: result.error,
+            code: result.code,
+          });
+        }
+        assignment = result.assignment;
+      }
+
+      const job = await processingJobService.enqueue({
+        jobType: PDF_INGESTION_JOB,
+        userId,
+        input: { key, collectionName, userId, assignment },
+      });
+
+      console.log(`📥 Queued drilling report ${key} as job ${job.JobId}`);
+
+      return handlers.response.success({
+        res,
+        code: 202,
+        message: "Drilling report queued for processing",
+        data: {
+          jobId: job.JobId,
+          status: job.Status,
+          fileName: path.basename(key),
+          collectionName,
+          statusUrl: `${req.baseUrl}/jobs/${job.JobId}`,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to queue drilling report:", error);
+      return handlers.response.error({
+        res,
+        message: `Failed to queue drilling report: ${error.message}`,
+      });
+    }
+  }
+
+  async getJob(req, res) {
+    return await processingJobService.getJob(req, res);
+  }
+
+  /**
+   * 🚩 Data-quality flags for a file: one set per run plus those raised on
+   * chunk payloads. A run sheet row yields the same flag for its run and
+   * its chunk, so duplicates are dropped.
+   */
+  collectQualityFlags(runs, chunkResults = []) {
+    const seen = new Set();
+    const flags = [];
+    const add = (flag, source) => {
+      const key = `${flag.rule}|${flag.message}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      flags.push({ ...flag, source });
+    };
+
+    runs.forEach((run, index) => {
+      for (const flag of checkValues(run.values)) {
+        add(flag, {
+          kind: "run",
+          runIndex: index,
+          runNumber: run.values.runNumber || null,
+        });
+      }
+    });
+    for (const result of chunkResults) {
+      for (const flag of result.qualityFlags || []) {
+        add(flag, { kind: "chunk", chunkIndex: result.chunkIndex });
+      }
+    }
+
+    return summarizeFlags(flags);
+  }
+
+  /**
+   * 🛢️ Well / job for an ingested report: the uploader's choice, or the
+   * existing well matching the header hints. Lookup failures leave the
+   * file unassigned rather than failing the ingest.
+   */
+  async resolveWellAssignment(userId, assignment, text, runs, metadata) {
+    const hints = extractWellContext(text, {
+      runs,
+      defaults: {
+        wellName: metadata.wellLog?.wellName || metadata.witsml?.wells?.[0],
+        uwi: metadata.wellLog?.uwi,
+      },
+    });
+
+    try {
+      const resolved = await wellService.resolveIngestAssignment(
+        userId,
+        assignment || {},
+        hints
+      );
+      console.log(
+        `🛢️ Well assignment: ${resolved.status}${
+          resolved.wellId ? ` (well ${resolved.wellId})` : ""
+        }`
+      );
+      return resolved;
+    } catch (error) {
+      console.warn("⚠️ Failed to resolve well assignment:", error.message);
+      return {
+        wellId: null,
+        jobId: null,
+        section: assignment?.section || hints.section || null,
+        status: "unassigned",
+        suggestion: hints,
+      };
+    }
+  }
+
+  /**
+   * 🏗️ Processing job: download → extract → chunk → embed → save.
+   * Reports progress through the job and returns the job result;
+   * failures are rethrown with stage and suggestions for the job record.
+   */
+  async runPdfIngestion(
+    { key, collectionName, userId, assignment = null },
+    progress
+  ) {
+    const startTime = Date.now();
+    let shouldDeleteFile = false;
+    let deleteReason = "";
+    let drillingMetadata = {};
+
+    try {
+      console.log("🚀 === Starting enhanced drilling report processing ===");
+
+      // Equipment names are canonicalized while chunks are built
+      await aliasService.ensureLoaded();
+
       const fileName = path.basename(key);
       const documentType = this.detectDocumentTypeFromFilename(key);
       console.log(
@@ -1000,9 +1404,10 @@ class EnhancedDrillingDocumentService {
       );
 
       // Step 1: Download PDF from S3
-      let pdfBuffer;
+      await progress.update("downloading", 5);
+      let fileBuffer;
       try {
-        pdfBuffer = await this.downloadPdfFromS3(key);
+        fileBuffer = await this.downloadPdfFromS3(key);
       } catch (error) {
         if (
           error.message.includes("too large") ||
@@ -1015,12 +1420,46 @@ class EnhancedDrillingDocumentService {
       }
 
       // Step 2: Extract text with enhanced drilling report processing
+      await progress.update("extracting", 15);
+      const fileExtension = path.extname(key).toLowerCase();
       let text;
+      let chunks;
+      let tables = [];
+      let runs = [];
       try {
-        text = await this.extractTextFromPdf(pdfBuffer, key);
-        drillingMetadata.extractionMethod = "enhanced";
-        drillingMetadata.documentType =
-          this.detectDocumentTypeFromFilename(key);
+        if (SPREADSHEET_FILE_TYPES.includes(fileExtension)) {
+          // Run sheets are chunked per row while parsing
+          const sheet = this.extractSpreadsheetChunks(fileBuffer, key);
+          text = sheet.text;
+          chunks = sheet.chunks;
+          runs = sheet.runs;
+          drillingMetadata.extractionMethod = "spreadsheet-rows";
+          drillingMetadata.documentType =
+            this.detectDocumentTypeFromFilename(key) || "RUN_SHEET";
+          drillingMetadata.sheets = sheet.sheets;
+        } else if (WELL_LOG_FILE_TYPES.includes(fileExtension)) {
+          // Well logs become header and depth-interval statistics chunks
+          const wellLog = this.extractWellLogChunks(fileBuffer, key);
+          text = wellLog.text;
+          chunks = wellLog.chunks;
+          drillingMetadata.extractionMethod = "las-2.0";
+          drillingMetadata.documentType = "WELL_LOG";
+          drillingMetadata.wellLog = wellLog.summary;
+        } else if (WITSML_FILE_TYPES.includes(fileExtension)) {
+          const witsml = this.extractWitsmlChunks(fileBuffer, key);
+          text = witsml.text;
+          chunks = witsml.chunks;
+          runs = witsml.runs;
+          drillingMetadata.extractionMethod = "witsml";
+          drillingMetadata.documentType = "WITSML";
+          drillingMetadata.witsml = witsml.summary;
+        } else {
+          text = await this.extractTextFromDocument(fileBuffer, key);
+          drillingMetadata.extractionMethod = "enhanced";
+          drillingMetadata.documentType =
+            this.getCachedTextMetadata(key)?.documentType ||
+            this.detectDocumentTypeFromFilename(key);
+        }
       } catch (error) {
         shouldDeleteFile = true;
         deleteReason = "text_extraction_failed";
@@ -1029,9 +1468,31 @@ class EnhancedDrillingDocumentService {
       }
 
       // Step 3: Chunk text with drilling-specific optimizations
-      let chunks;
+      await progress.update("chunking", 40);
       try {
-        chunks = await this.chunkTextWithCache(text);
+        if (!chunks) {
+          const tableResult = this.extractTableChunks(text, key);
+          tables = tableResult.tables;
+          const reportRun = extractReportRun(text, tables);
+          if (reportRun) {
+            runs = [{ ...reportRun, source: { kind: "report" } }];
+          }
+          chunks = [
+            ...(await this.chunkTextWithCache(text)),
+            ...tableResult.chunks,
+          ];
+        }
+        // Serialized equipment per run, for asset history
+        runs = runs.map(run => ({
+          ...run,
+          assets: run.assets || extractRunAssets(run.values, { tables }),
+        }));
+        drillingMetadata.tableCount = tables.length;
+        drillingMetadata.runCount = runs.length;
+        drillingMetadata.assetCount = runs.reduce(
+          (count, run) => count + run.assets.length,
+          0
+        );
         drillingMetadata.chunkCount = chunks.length;
         drillingMetadata.averageChunkLength = Math.round(
           text.length / chunks.length
@@ -1042,16 +1503,44 @@ class EnhancedDrillingDocumentService {
         throw error;
       }
 
+      // Well / job / section stamped on every chunk and run
+      const wellAssignment = await this.resolveWellAssignment(
+        userId,
+        assignment,
+        text,
+        runs,
+        drillingMetadata
+      );
+
       // Step 4: Process embeddings with drilling optimizations
       console.log(
         "🧠 Step 4: Processing embeddings with drilling-specific enhancements..."
       );
+      await progress.update("embedding", 45);
+
+      // Make sure search filters have the payload indexes they need
+      await ensurePayloadIndexes(collectionName);
+
       const embeddingResults = await this.processEmbeddingsInBatches(
         chunks,
         collectionName,
         key,
         fileName,
-        userId
+        userId,
+        {
+          payloadFields: {
+            documentType: drillingMetadata.documentType || null,
+            wellId: wellAssignment.wellId,
+            jobId: wellAssignment.jobId,
+            // Chunk-level sections (run sheet rows) take precedence
+            ...(wellAssignment.section && { section: wellAssignment.section }),
+          },
+          // Embedding is the long stage; map it onto 45-95%
+          onProgress: async ({ processed, total, failedChunks }) => {
+            failedChunks.forEach(failure => progress.chunkFailed(failure));
+            await progress.update("embedding", 45 + (processed / total) * 50);
+          },
+        }
       );
 
       // Enhanced success rate assessment for drilling content
@@ -1069,10 +1558,22 @@ class EnhancedDrillingDocumentService {
         );
       }
 
+      const dataQuality = this.collectQualityFlags(
+        runs,
+        embeddingResults.results
+      );
+      if (dataQuality.flags.length) {
+        console.warn(
+          `⚠️ Data quality: ${dataQuality.errors} error(s), ${dataQuality.warnings} warning(s) in ${fileName}`
+        );
+      }
+
       // Step 5: Save enhanced file metadata
       console.log("💾 Step 5: Saving enhanced drilling report metadata...");
+      await progress.update("saving", 97);
+      let fileRecord;
       try {
-        await this.retryOperation(
+        fileRecord = await this.retryOperation(
           () =>
             saveFileDetails({
               userId,
@@ -1093,16 +1594,67 @@ class EnhancedDrillingDocumentService {
               averageChunkLength: drillingMetadata.averageChunkLength,
               isDrillingReport: true,
               processingVersion: "2.0-drilling-optimized",
+              assignment: wellAssignment,
+              dataQuality,
             }),
           2,
           "Save drilling report metadata"
         );
+        if (!fileRecord?.success) {
+          throw fileRecord?.error || new Error("Failed to save file metadata");
+        }
       } catch (error) {
         shouldDeleteFile = true;
         deleteReason = "metadata_save_failed";
         throw error;
       }
 
+      if (tables.length) {
+        try {
+          const tableResult = await tableService.saveTables({
+            fileId: fileRecord.fileId,
+            userId,
+            fileName,
+            tables,
+          });
+          if (!tableResult.success) {
+            console.warn(
+              `⚠️ Saved ${tableResult.successfulItems}/${tables.length} tables for ${fileName}`
+            );
+          }
+        } catch (error) {
+          // The table chunks are already searchable; the records can be re-extracted
+          console.warn(
+            `⚠️ Failed to save tables for ${fileName}:`,
+            error.message
+          );
+        }
+      }
+
+      if (runs.length) {
+        try {
+          const runResult = await runService.saveRuns({
+            fileId: fileRecord.fileId,
+            userId,
+            fileName,
+            documentType: drillingMetadata.documentType,
+            wellId: wellAssignment.wellId,
+            jobId: wellAssignment.jobId,
+            runs,
+          });
+          if (!runResult.success) {
+            console.warn(
+              `⚠️ Saved ${runResult.successfulItems}/${runs.length} runs for ${fileName}`
+            );
+          }
+        } catch (error) {
+          console.warn(
+            `⚠️ Failed to save runs for ${fileName}:`,
+            error.message
+          );
+        }
+      }
+
       const totalProcessingTime = Date.now() - startTime;
 
       // Update enhanced success metrics
@@ -1118,48 +1670,61 @@ class EnhancedDrillingDocumentService {
         `🎉 === Drilling report processing completed in ${totalProcessingTime}ms ===`
       );
 
-      return handlers.response.success({
-        res,
-        message: "Drilling report processed and embeddings stored successfully",
-        data: {
-          fileName,
-          documentType: drillingMetadata.documentType,
-          totalChunks: chunks.length,
-          successfulChunks: embeddingResults.successCount,
-          failedChunks: embeddingResults.errorCount,
-          processingTimeMs: totalProcessingTime,
-          embeddingProcessingTimeMs: embeddingResults.processingTimeMs,
-          textLength: text.length,
-          collectionName,
-          successRate: Math.round(
-            (embeddingResults.successCount / chunks.length) * 100
+      return {
+        fileName,
+        documentType: drillingMetadata.documentType,
+        totalChunks: chunks.length,
+        successfulChunks: embeddingResults.successCount,
+        failedChunks: embeddingResults.errorCount,
+        processingTimeMs: totalProcessingTime,
+        embeddingProcessingTimeMs: embeddingResults.processingTimeMs,
+        textLength: text.length,
+        collectionName,
+        fileId: fileRecord.fileId,
+        dataQuality,
+        assignment: {
+          wellId: wellAssignment.wellId,
+          jobId: wellAssignment.jobId,
+          section: wellAssignment.section,
+          status: wellAssignment.status,
+          suggestion: wellAssignment.suggestion,
+        },
+        successRate: Math.round(
+          (embeddingResults.successCount / chunks.length) * 100
+        ),
+        // Enhanced drilling-specific response data
+        drillingMetadata: {
+          extractionMethod: drillingMetadata.extractionMethod,
+          averageChunkLength: drillingMetadata.averageChunkLength,
+          ...(drillingMetadata.sheets && { sheets: drillingMetadata.sheets }),
+          ...(drillingMetadata.wellLog && {
+            wellLog: drillingMetadata.wellLog,
+          }),
+          ...(drillingMetadata.witsml && { witsml: drillingMetadata.witsml }),
+          tableCount: drillingMetadata.tableCount,
+          runCount: drillingMetadata.runCount,
+          assetCount: drillingMetadata.assetCount,
+          embeddingSuccessRate: Math.round(
+            drillingMetadata.embeddingSuccessRate * 100
           ),
-          // Enhanced drilling-specific response data
-          drillingMetadata: {
-            extractionMethod: drillingMetadata.extractionMethod,
-            averageChunkLength: drillingMetadata.averageChunkLength,
-            embeddingSuccessRate: Math.round(
-              drillingMetadata.embeddingSuccessRate * 100
-            ),
-            isDrillingOptimized: true,
-            processingVersion: "2.0-drilling-optimized",
-          },
-          performance: {
-            avgChunkProcessingTime:
-              embeddingResults.processingTimeMs / chunks.length,
-            throughputChunksPerSecond: Math.round(
-              (embeddingResults.successCount /
-                embeddingResults.processingTimeMs) *
-                1000
-            ),
-            drillingOptimized: true,
-          },
-          errors:
-            embeddingResults.errors.length > 0
-              ? embeddingResults.errors.slice(0, 10)
-              : undefined,
+          isDrillingOptimized: true,
+          processingVersion: "2.0-drilling-optimized",
         },
-      });
+        performance: {
+          avgChunkProcessingTime:
+            embeddingResults.processingTimeMs / chunks.length,
+          throughputChunksPerSecond: Math.round(
+            (embeddingResults.successCount /
+              embeddingResults.processingTimeMs) *
+              1000
+          ),
+          drillingOptimized: true,
+        },
+        errors:
+          embeddingResults.errors.length > 0
+            ? embeddingResults.errors.slice(0, 10)
+            : undefined,
+      };
     } catch (error) {
       const totalProcessingTime = Date.now() - startTime;
 
@@ -1172,15 +1737,11 @@ class EnhancedDrillingDocumentService {
       );
 
       // Delete file from S3 if processing failed
-      if (shouldDeleteFile && req.body?.key) {
+      if (shouldDeleteFile && key) {
         console.log(
           `🗑️ Deleting failed drilling report from S3: ${deleteReason}`
         );
-        await this.deleteFileFromS3(
-          req.body.key,
-          deleteReason,
-          drillingMetadata
-        );
+        await this.deleteFileFromS3(key, deleteReason, drillingMetadata);
       }
 
       // Enhanced error response with drilling-specific messages
@@ -1220,23 +1781,20 @@ class EnhancedDrillingDocumentService {
         );
       }
 
-      return handlers.response.error({
-        res,
-        message: `Drilling report processing failed: ${userMessage}`,
-        statusCode: error.statusCode || 500,
-        data: {
-          processingTimeMs: totalProcessingTime,
-          stage: error.stage || deleteReason || "unknown",
-          fileDeleted: shouldDeleteFile,
-          deleteReason,
-          suggestions,
-          errorType: this.classifyDrillingError(error),
-          drillingMetadata,
-          processingVersion: "2.0-drilling-optimized",
-          error:
-            process.env.NODE_ENV === "development" ? error.stack : undefined,
-        },
-      });
+      const jobError = new Error(
+        `Drilling report processing failed: ${userMessage}`
+      );
+      jobError.stage = error.stage || deleteReason || progress.stage;
+      jobError.details = {
+        processingTimeMs: totalProcessingTime,
+        fileDeleted: shouldDeleteFile,
+        deleteReason,
+        suggestions,
+        errorType: this.classifyDrillingError(error),
+        drillingMetadata,
+        processingVersion: "2.0-drilling-optimized",
+      };
+      throw jobError;
     }
   }
 
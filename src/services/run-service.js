@@ -0,0 +1,594 @@
+const { docClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const {
+  QueryCommand,
+  BatchWriteCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+const { saveBatch } = require("../utilities/save-query");
+const { RUN_FIELDS, NUMERIC_RUN_FIELDS } = require("../utilities/run-records");
+const {
+  canonicalize,
+  canonicalizeValues,
+} = require("../utilities/entity-aliases");
+const {
+  DEFAULT_UNIT_SYSTEM,
+  UNIT_SYSTEMS,
+  normalizeMeasurements,
+  toUnitSystem,
+  convertField,
+  unitFor,
+  resolveUnitSystem,
+} = require("../utilities/units");
+const { checkValues, flaggedFields } = require("../utilities/data-quality");
+const aliasService = require("./alias-service");
+
+/**
+ * Normalized motor/bit runs (RUN# items), one per run found at ingest.
+ * Aggregations are computed from these records, not from text chunks.
+ */
+class RunService {
+  constructor() {
+    this.tableName = process.env.DYNAMODB_TABLE_NAME;
+    this.MAX_QUERY_PAGES = 20;
+    this.DEFAULT_LIMIT = 100;
+    this.MAX_LIMIT = 1000;
+
+    this.TEXT_FILTERS = [
+      "wellName",
+      "section",
+      "serialNumber",
+      "motorMake",
+      "motorModel",
+      "motorConfig",
+      "statorVendor",
+      "bitMake",
+      "bitModel",
+    ];
+    this.GROUP_BY_FIELDS = [...this.TEXT_FILTERS, "holeSize", "pullReason"];
+    this.METRIC_FIELDS = NUMERIC_RUN_FIELDS;
+    this.HOLE_SIZE_TOLERANCE = 0.01;
+  }
+
+  /**
+   * Persist the runs extracted from one file
+   * @param {Object} params
+   * @param {string} params.fileId
+   * @param {string} params.userId
+   * @param {string} params.fileName
+   * @param {string} params.documentType
+   * @param {string} [params.wellId]
+   * @param {string} [params.jobId]
+   * @param {Array<{values: Object, units?: Object, originalValues?: Object, source?: Object, assets?: Array}>} params.runs
+   *        Output of normalizeRun plus where the run came from and the
+   *        serialized equipment used (see extractRunAssets). Each asset is
+   *        saved as an AssetUsage item linking the serial to the run.
+   */
+  async saveRuns({
+    fileId,
+    userId,
+    fileName,
+    documentType,
+    wellId,
+    jobId,
+    runs,
+  }) {
+    if (!runs?.length) return { success: true, totalItems: 0 };
+
+    const now = new Date().toISOString();
+    const items = runs.flatMap(run => {
+      const { values, units, originalValues, source, assets } = run;
+      const runId = uuidv4();
+      const item = {
+        PK: `RUN#${runId}`,
+        SK: `USER#${userId}#RUN#${runId}`,
+        EntityType: "Run",
+        RunId: runId,
+        UserId: userId,
+        FileId: fileId,
+        FileName: fileName,
+        DocumentType: documentType || null,
+        WellId: wellId || null,
+        JobId: jobId || null,
+        RunData: values,
+        Source: source || {},
+        CreatedAt: now,
+        UpdatedAt: now,
+      };
+      if (units && Object.keys(units).length) item.Units = units;
+      if (originalValues && Object.keys(originalValues).length) {
+        item.OriginalValues = originalValues;
+      }
+
+      const usages = (assets || []).map(asset => ({
+        PK: `ASSET#${asset.serialKey}`,
+        SK: `USER#${userId}#RUN#${runId}`,
+        EntityType: "AssetUsage",
+        UserId: userId,
+        SerialNumber: asset.serialNumber,
+        SerialKey: asset.serialKey,
+        AssetType: asset.assetType,
+        Description: asset.description || null,
+        ...(asset.od != null && { Od: asset.od }),
+        ...(asset.length != null && { Length: asset.length }),
+        RunId: runId,
+        FileId: fileId,
+        CreatedAt: now,
+      }));
+
+      return [item, ...usages];
+    });
+
+    return saveBatch(items, this.tableName);
+  }
+
+  /**
+   * GET /runs - the current user's runs, filtered by query parameters.
+   * Measurements are returned in `unitSystem` (imperial or si).
+   */
+  async listRuns(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      if (!userId) {
+        return handlers.response.failed({ res, message: "Missing userId" });
+      }
+
+      const unitSystem = resolveUnitSystem(req.query?.unitSystem);
+      if (!unitSystem) {
+        return handlers.response.failed({
+          res,
+          message: `Invalid unitSystem. Use one of: ${UNIT_SYSTEMS.join(", ")}`,
+        });
+      }
+
+      const limit = Math.min(
+        Number(req.query?.limit) || this.DEFAULT_LIMIT,
+        this.MAX_LIMIT
+      );
+      const filters = this.parseFilters(req.query, unitSystem);
+      const runs = await this.findRuns(userId, filters);
+
+      return handlers.response.success({
+        res,
+        message: "Runs fetched successfully",
+        data: {
+          runs: runs
+            .slice(0, limit)
+            .map(run => this.presentRun(run, unitSystem)),
+          metadata: {
+            count: Math.min(runs.length, limit),
+            total: runs.length,
+            hasMore: runs.length > limit,
+            filters,
+            unitSystem,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("❌ List runs error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch runs",
+      });
+    }
+  }
+
+  /**
+   * GET /runs/aggregate?groupBy=motorMake&metric=avgROP
+   */
+  async aggregateRuns(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      if (!userId) {
+        return handlers.response.failed({ res, message: "Missing userId" });
+      }
+
+      const { groupBy, metric } = req.query || {};
+      const validationError = this.validateAggregation({ groupBy, metric });
+      if (validationError) {
+        return handlers.response.failed({ res, message: validationError });
+      }
+
+      const unitSystem = resolveUnitSystem(req.query?.unitSystem);
+      if (!unitSystem) {
+        return handlers.response.failed({
+          res,
+          message: `Invalid unitSystem. Use one of: ${UNIT_SYSTEMS.join(", ")}`,
+        });
+      }
+
+      const result = await this.aggregate(userId, {
+        groupBy,
+        metric,
+        filters: this.parseFilters(req.query, unitSystem),
+        unitSystem,
+      });
+
+      return handlers.response.success({
+        res,
+        message: "Runs aggregated successfully",
+        data: result,
+      });
+    } catch (error) {
+      console.error("❌ Aggregate runs error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to aggregate runs",
+      });
+    }
+  }
+
+  /**
+   * @returns {string|null} - Message describing the invalid parameter
+   */
+  validateAggregation({ groupBy, metric }) {
+    if (groupBy && !this.GROUP_BY_FIELDS.includes(groupBy)) {
+      return `Invalid groupBy '${groupBy}'. Allowed: ${this.GROUP_BY_FIELDS.join(
+        ", "
+      )}`;
+    }
+    if (metric && !this.METRIC_FIELDS.includes(metric)) {
+      return `Invalid metric '${metric}'. Allowed: ${this.METRIC_FIELDS.join(
+        ", "
+      )}`;
+    }
+    return null;
+  }
+
+  /**
+   * Runs matching the filters, most recent run date first
+   */
+  async findRuns(userId, filters = {}) {
+    await aliasService.ensureLoaded();
+    const items = await this.queryUserRuns(userId);
+
+    return items
+      .map(item => this.formatRun(item))
+      .filter(run => this.matchesFilters(run, filters))
+      .sort((a, b) =>
+        String(b.runDate || b.createdAt).localeCompare(
+          String(a.runDate || a.createdAt)
+        )
+      );
+  }
+
+  /**
+   * Group matching runs and compute count/avg/min/max/sum of a metric.
+   * Text keys group case-insensitively; runs without the groupBy value
+   * fall into a null group so counts always add up to totalRuns.
+   * Groups are ordered by count, or by average when a metric is given.
+   * Stats are computed in canonical units and converted at the end.
+   * Values failing a data-quality range check are left out of the stats
+   * (and a flagged groupBy value counts as missing); `excludedValues`
+   * says how many.
+   */
+  async aggregate(
+    userId,
+    { groupBy, metric, filters = {}, unitSystem = DEFAULT_UNIT_SYSTEM }
+  ) {
+    const runs = await this.findRuns(userId, filters);
+    const groups = new Map();
+
+    let excludedValues = 0;
+
+    for (const run of runs) {
+      const flagged = flaggedFields(run.qualityFlags);
+      const value = groupBy
+        ? flagged.includes(groupBy)
+          ? null
+          : run[groupBy] ?? null
+        : "all";
+      const groupKey =
+        typeof value === "string" ? value.trim().toLowerCase() : value;
+
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          key: value,
+          count: 0,
+          values: [],
+          excluded: 0,
+        });
+      }
+      const group = groups.get(groupKey);
+      group.count++;
+
+      const metricValue = metric ? run[metric] : null;
+      if (typeof metricValue === "number" && Number.isFinite(metricValue)) {
+        if (flagged.includes(metric)) {
+          group.excluded++;
+          excludedValues++;
+        } else {
+          group.values.push(metricValue);
+        }
+      }
+    }
+
+    const results = [...groups.values()].map(
+      ({ key, count, values, excluded }) => ({
+        key: convertField(groupBy, key, unitSystem),
+        count,
+        ...(metric && {
+          ...this.convertSummary(this.summarize(values), metric, unitSystem),
+          excludedValues: excluded,
+        }),
+      })
+    );
+
+    results.sort((a, b) =>
+      metric
+        ? (b.avg ?? -Infinity) - (a.avg ?? -Infinity) || b.count - a.count
+        : b.count - a.count
+    );
+
+    return {
+      groupBy: groupBy || null,
+      metric: metric || null,
+      filters,
+      unitSystem,
+      units: {
+        ...(unitFor(groupBy, unitSystem) && {
+          groupBy: unitFor(groupBy, unitSystem),
+        }),
+        ...(unitFor(metric, unitSystem) && {
+          metric: unitFor(metric, unitSystem),
+        }),
+      },
+      totalRuns: runs.length,
+      excludedValues,
+      groups: results,
+    };
+  }
+
+  convertSummary(summary, metric, unitSystem) {
+    const result = { ...summary };
+    for (const stat of ["avg", "min", "max", "sum"]) {
+      if (result[stat] != null) {
+        result[stat] = this.round(
+          convertField(metric, result[stat], unitSystem)
+        );
+      }
+    }
+    return result;
+  }
+
+  summarize(values) {
+    if (!values.length) {
+      return { metricCount: 0, avg: null, min: null, max: null, sum: null };
+    }
+
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+      sum += value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+
+    return {
+      metricCount: values.length,
+      avg: this.round(sum / values.length),
+      min,
+      max,
+      sum: this.round(sum),
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Known filters from a query string; unknown parameters are ignored.
+   * A hole size given in `unitSystem` is converted to canonical units.
+   */
+  parseFilters(query = {}, unitSystem = DEFAULT_UNIT_SYSTEM) {
+    const filters = {};
+
+    for (const field of this.TEXT_FILTERS) {
+      if (typeof query[field] === "string" && query[field].trim()) {
+        filters[field] = query[field].trim();
+      }
+    }
+
+    const holeSize = Number(query.holeSize);
+    if (query.holeSize != null && Number.isFinite(holeSize)) {
+      filters.holeSize = convertField("holeSize", holeSize, unitSystem, {
+        toCanonical: true,
+      });
+    }
+
+    for (const field of [
+      "fileId",
+      "wellId",
+      "jobId",
+      "documentType",
+      "dateFrom",
+      "dateTo",
+    ]) {
+      if (typeof query[field] === "string" && query[field].trim()) {
+        filters[field] = query[field].trim();
+      }
+    }
+
+    return filters;
+  }
+
+  matchesFilters(run, filters) {
+    for (const field of this.TEXT_FILTERS) {
+      if (
+        filters[field] &&
+        String(run[field] || "").toLowerCase() !==
+          canonicalize(field, filters[field]).toLowerCase()
+      ) {
+        return false;
+      }
+    }
+
+    if (
+      filters.holeSize != null &&
+      (run.holeSize == null ||
+        Math.abs(run.holeSize - filters.holeSize) > this.HOLE_SIZE_TOLERANCE)
+    ) {
+      return false;
+    }
+
+    if (filters.fileId && run.fileId !== filters.fileId) return false;
+    if (filters.wellId && run.wellId !== filters.wellId) return false;
+    if (filters.jobId && run.jobId !== filters.jobId) return false;
+    if (
+      filters.documentType &&
+      run.documentType !== filters.documentType.toUpperCase()
+    ) {
+      return false;
+    }
+    if (filters.dateFrom && !(run.runDate >= filters.dateFrom)) return false;
+    if (filters.dateTo && !(run.runDate <= filters.dateTo)) return false;
+
+    return true;
+  }
+
+  /**
+   * Remove the runs extracted from a file, and the equipment usages that
+   * point at them; used when the file is deleted
+   */
+  async deleteFileRuns(userId, fileId) {
+    const items = [
+      ...(await this.queryUserRuns(userId, fileId)),
+      ...(await this.queryUserRuns(userId, fileId, "AssetUsage")),
+    ];
+    const keys = items.map(item => ({ PK: item.PK, SK: item.SK }));
+
+    for (let i = 0; i < keys.length; i += 25) {
+      let requestItems = {
+        [this.tableName]: keys
+          .slice(i, i + 25)
+          .map(Key => ({ DeleteRequest: { Key } })),
+      };
+
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        const result = await docClient.send(
+          new BatchWriteCommand({ RequestItems: requestItems })
+        );
+
+        if (!result.UnprocessedItems?.[this.tableName]?.length) break;
+
+        if (attempt === 3) {
+          throw new Error("Failed to delete all run items");
+        }
+
+        requestItems = result.UnprocessedItems;
+        await new Promise(resolve => setTimeout(resolve, 200 * 2 ** attempt));
+      }
+    }
+
+    return keys.length;
+  }
+
+  /**
+   * Move a file's runs to another well / job after the file is reassigned
+   */
+  async assignFileRuns(userId, fileId, { wellId, jobId }) {
+    const items = await this.queryUserRuns(userId, fileId);
+
+    for (const item of items) {
+      await docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { PK: item.PK, SK: item.SK },
+          UpdateExpression:
+            "SET WellId = :wellId, JobId = :jobId, UpdatedAt = :now",
+          ExpressionAttributeValues: {
+            ":wellId": wellId || null,
+            ":jobId": jobId || null,
+            ":now": new Date().toISOString(),
+          },
+        })
+      );
+    }
+
+    return items.length;
+  }
+
+  /**
+   * Page through the UserIdIndex for a user's RUN# items (or another
+   * entity saved with them), optionally limited to one file
+   */
+  async queryUserRuns(userId, fileId = null, entityType = "Run") {
+    const items = [];
+    let lastEvaluatedKey = null;
+    let pages = 0;
+
+    do {
+      const params = {
+        TableName: this.tableName,
+        IndexName: "UserIdIndex",
+        KeyConditionExpression: "UserId = :userId",
+        FilterExpression: fileId
+          ? "EntityType = :entityType AND FileId = :fileId"
+          : "EntityType = :entityType",
+        ExpressionAttributeValues: {
+          ":userId": userId,
+          ":entityType": entityType,
+          ...(fileId && { ":fileId": fileId }),
+        },
+      };
+
+      if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+
+      const result = await docClient.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey && pages < this.MAX_QUERY_PAGES);
+
+    return items;
+  }
+
+  /**
+   * Alias fields are canonicalized on read as well, so runs saved before
+   * an alias was added still group and filter under the canonical name.
+   * Runs saved before unit conversion kept their source units in Units;
+   * converting again is a no-op for runs that are already canonical.
+   */
+  formatRun(item) {
+    const measured = normalizeMeasurements(
+      canonicalizeValues(item.RunData || {}),
+      item.Units || {}
+    );
+    const data = measured.values;
+    const values = Object.fromEntries(
+      RUN_FIELDS.filter(({ field }) => data[field] != null).map(({ field }) => [
+        field,
+        data[field],
+      ])
+    );
+
+    return {
+      id: item.RunId,
+      fileId: item.FileId,
+      fileName: item.FileName,
+      documentType: item.DocumentType || null,
+      wellId: item.WellId || null,
+      jobId: item.JobId || null,
+      ...values,
+      units: measured.units,
+      originalValues: item.OriginalValues || measured.originalValues,
+      // Checked on read so rule changes apply to runs already stored
+      qualityFlags: checkValues(values),
+      source: item.Source || {},
+      createdAt: item.CreatedAt,
+    };
+  }
+
+  /**
+   * A formatted run with its measurements in the given unit system
+   */
+  presentRun(run, unitSystem = DEFAULT_UNIT_SYSTEM) {
+    const { values, units } = toUnitSystem(run, unitSystem);
+    return { ...values, units: { ...run.units, ...units } };
+  }
+}
+
+module.exports = new RunService();
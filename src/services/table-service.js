@@ -0,0 +1,265 @@
+const { docClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const {
+  GetCommand,
+  QueryCommand,
+  BatchWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { saveBatch } = require("../utilities/save-query");
+
+/**
+ * Tables extracted from reports, stored as TABLE# items under the file's
+ * partition (PK FILE#<fileId>) so one query returns every table of a file.
+ * Table items never carry S3Key: the S3KeyIndex must only resolve to the
+ * FILE record itself.
+ */
+class TableService {
+  constructor() {
+    this.tableName = process.env.DYNAMODB_TABLE_NAME;
+    this.MAX_QUERY_PAGES = 20;
+  }
+
+  /**
+   * Persist extracted tables for a processed file
+   * @param {Object} params
+   * @param {string} params.fileId
+   * @param {string} params.userId
+   * @param {string} params.fileName
+   * @param {Array} params.tables - Output of extractTables
+   */
+  async saveTables({ fileId, userId, fileName, tables }) {
+    if (!tables?.length) return { success: true, totalItems: 0 };
+
+    const now = new Date().toISOString();
+    const items = tables.map(table => ({
+      PK: `FILE#${fileId}`,
+      SK: `TABLE#${String(table.tableIndex).padStart(4, "0")}#${table.tableId}`,
+      EntityType: "Table",
+      TableId: table.tableId,
+      FileId: fileId,
+      UserId: userId,
+      FileName: fileName,
+      TableIndex: table.tableIndex,
+      TableType: table.tableType,
+      Title: table.title,
+      Page: table.page ?? null,
+      Columns: table.columns,
+      Rows: table.rows,
+      RowCount: table.rows.length,
+      CreatedAt: now,
+    }));
+
+    return saveBatch(items, this.tableName);
+  }
+
+  /**
+   * List the typed tables of one of the current user's files
+   */
+  async getFileTables(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { fileId } = req.params;
+      const { type } = req.query || {};
+
+      const file = await this.findFile(userId, fileId);
+      if (!file) {
+        return handlers.response.unavailable({
+          res,
+          message: "File not found",
+        });
+      }
+
+      const items = await this.getTableItems(fileId);
+      const tables = items
+        .filter(item => !type || item.TableType === type)
+        .map(item => this.formatTable(item));
+
+      return handlers.response.success({
+        res,
+        message: "Tables fetched successfully",
+        data: {
+          fileId,
+          fileName: file.FileName,
+          tables,
+          count: tables.length,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Get file tables error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch tables",
+      });
+    }
+  }
+
+  /**
+   * Fetch a file record owned by the user
+   */
+  async findFile(userId, fileId) {
+    if (!userId || !fileId) return null;
+
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `FILE#${fileId}`,
+          SK: `USER#${userId}#FILE#${fileId}`,
+        },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * Tables of the user's files matched by id or by (partial) file name
+   * @param {string} userId
+   * @param {Object} params
+   * @param {string} [params.fileId]
+   * @param {string} [params.fileName]
+   * @param {string} [params.tableType]
+   * @param {number} [params.maxFiles]
+   */
+  async findTablesForUser(
+    userId,
+    { fileId, fileName, tableType, maxFiles = 5 } = {}
+  ) {
+    let files = [];
+    if (fileId) {
+      const file = await this.findFile(userId, fileId);
+      if (file) files = [file];
+    } else if (fileName) {
+      files = await this.findFilesByName(userId, fileName);
+    }
+
+    return Promise.all(
+      files.slice(0, maxFiles).map(async file => {
+        const items = await this.getTableItems(file.FileId);
+        return {
+          fileId: file.FileId,
+          fileName: file.FileName,
+          tables: items
+            .filter(item => !tableType || item.TableType === tableType)
+            .map(item => this.formatTable(item)),
+        };
+      })
+    );
+  }
+
+  /**
+   * The user's file records whose name contains the given text
+   */
+  async findFilesByName(userId, fileName) {
+    const items = [];
+    const needle = fileName.trim().toLowerCase();
+    let lastEvaluatedKey = null;
+    let pages = 0;
+
+    do {
+      const params = {
+        TableName: this.tableName,
+        IndexName: "UserIdIndex",
+        KeyConditionExpression: "UserId = :userId",
+        FilterExpression: "EntityType = :entityType",
+        ExpressionAttributeValues: {
+          ":userId": userId,
+          ":entityType": "File",
+        },
+      };
+
+      if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+
+      const result = await docClient.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey && pages < this.MAX_QUERY_PAGES);
+
+    // DynamoDB's contains() is case-sensitive; file names rarely are
+    return items.filter(item =>
+      String(item.FileName || "")
+        .toLowerCase()
+        .includes(needle)
+    );
+  }
+
+  /**
+   * All TABLE# items of a file, in document order
+   */
+  async getTableItems(fileId) {
+    const items = [];
+    let lastEvaluatedKey = null;
+    let pages = 0;
+
+    do {
+      const params = {
+        TableName: this.tableName,
+        KeyConditionExpression: "PK = :pk AND begins_with(SK, :prefix)",
+        ExpressionAttributeValues: {
+          ":pk": `FILE#${fileId}`,
+          ":prefix": "TABLE#",
+        },
+      };
+
+      if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+
+      const result = await docClient.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey && pages < this.MAX_QUERY_PAGES);
+
+    return items;
+  }
+
+  /**
+   * Remove every table of a file; used when the file is deleted
+   */
+  async deleteFileTables(fileId) {
+    const items = await this.getTableItems(fileId);
+    const keys = items.map(item => ({ PK: item.PK, SK: item.SK }));
+
+    for (let i = 0; i < keys.length; i += 25) {
+      let requestItems = {
+        [this.tableName]: keys
+          .slice(i, i + 25)
+          .map(Key => ({ DeleteRequest: { Key } })),
+      };
+
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        const result = await docClient.send(
+          new BatchWriteCommand({ RequestItems: requestItems })
+        );
+
+        if (!result.UnprocessedItems?.[this.tableName]?.length) break;
+
+        if (attempt === 3) {
+          throw new Error("Failed to delete all table items");
+        }
+
+        requestItems = result.UnprocessedItems;
+        await new Promise(resolve => setTimeout(resolve, 200 * 2 ** attempt));
+      }
+    }
+
+    return keys.length;
+  }
+
+  formatTable(item) {
+    return {
+      id: item.TableId,
+      fileId: item.FileId,
+      index: item.TableIndex,
+      type: item.TableType,
+      title: item.Title,
+      page: item.Page ?? null,
+      columns: item.Columns || [],
+      rows: item.Rows || [],
+      rowCount: item.RowCount ?? (item.Rows || []).length,
+      createdAt: item.CreatedAt,
+    };
+  }
+}
+
+module.exports = new TableService();
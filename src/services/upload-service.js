@@ -1,5 +1,6 @@
 const { s3Client, docClient } = require("../config/aws");
 const { handlers } = require("../utilities/handlers");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
 const {
   PutObjectCommand,
   ListObjectsV2Command,
@@ -11,6 +12,9 @@ const {
   deleteEmbeddingsByPayloadKey,
   createQdrantIndex,
 } = require("../utilities/qdrant-functions");
+const { deleteSparsePointsByKey } = require("../utilities/sparse-index");
+const tableService = require("./table-service");
+const runService = require("./run-service");
 const { QueryCommand, DeleteCommand } = require("@aws-sdk/lib-dynamodb");
 
 class S3Service {
@@ -19,10 +23,27 @@ class S3Service {
     this.dynamoTableName = process.env.DYNAMODB_TABLE_NAME || "Chatbot";
     this.defaultPresignedUrlExpiration = 300;
     this.defaultCollectionName = "document_embeddings";
-    this.allowedFileTypes = new Set(["application/pdf"]);
+    this.allowedFileTypes = new Set([
+      "application/pdf",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.ms-excel", // Some browsers report CSV uploads as this
+      "text/csv",
+      "application/xml", // WITSML exports
+      "text/xml",
+    ]);
+    // LAS has no registered MIME type; browsers send these for .las files
+    this.wellLogFileTypes = new Set(["text/plain", "application/octet-stream"]);
     this.dynamoClient = docClient;
   }
 
+  _isAllowedFileType(key, fileType) {
+    if (this.allowedFileTypes.has(fileType)) return true;
+    return (
+      /\.las$/i.test(key || "") && this.wellLogFileTypes.has(fileType || "")
+    );
+  }
+
   _validateKey(key) {
     return (
       typeof key === "string" &&
@@ -47,7 +68,7 @@ class S3Service {
     try {
       const { key, fileType, expiresIn } = req.body;
 
-      if (!key || !fileType || !this.allowedFileTypes.has(fileType)) {
+      if (!key || !fileType || !this._isAllowedFileType(key, fileType)) {
         return handlers.response.failed({
           res,
           message: "Invalid file type or key",
@@ -170,6 +191,17 @@ class S3Service {
         });
       }
 
+      // documents:delete covers the user's own files only
+      if (
+        dynamoRecord.UserId !== req.user?.UserId &&
+        !hasPermission(req.user, PERMISSIONS.DOCUMENTS_DELETE_ALL)
+      ) {
+        return handlers.response.unauthorized({
+          res,
+          message: "You can only delete files you uploaded",
+        });
+      }
+
       console.log("Found record for deletion:", {
         fileId: dynamoRecord.FileId,
         key,
@@ -241,6 +273,23 @@ class S3Service {
         throw error;
       }),
 
+      // Delete from the keyword index; it can be rebuilt, so never block deletion
+      deleteSparsePointsByKey(collectionName, key).catch(err =>
+        console.warn(`⚠️ Keyword index cleanup failed: ${err.message}`)
+      ),
+
+      // Delete extracted tables; orphaned rows are harmless, so only warn
+      tableService
+        .deleteFileTables(dynamoRecord.FileId)
+        .catch(err =>
+          console.warn(`⚠️ Table cleanup failed: ${err.message}`)
+        ),
+
+      // Delete run records so aggregates stop counting this file
+      runService
+        .deleteFileRuns(dynamoRecord.UserId, dynamoRecord.FileId)
+        .catch(err => console.warn(`⚠️ Run cleanup failed: ${err.message}`)),
+
       // Delete from DynamoDB
       this.dynamoClient
         .send(
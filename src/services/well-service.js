@@ -0,0 +1,928 @@
+const { docClient } = require("../config/aws");
+const { handlers } = require("../utilities/handlers");
+const {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+const {
+  normalizeUwi,
+  uwiMatches,
+  nameKey,
+} = require("../utilities/well-context");
+const {
+  setEmbeddingsPayloadByKey,
+} = require("../utilities/qdrant-functions");
+const { setSparsePayloadByKey } = require("../utilities/sparse-index");
+const tableService = require("./table-service");
+const runService = require("./run-service");
+
+/**
+ * Wells (WELL# items) and the jobs run on them (JOB# items), plus the
+ * assignment of uploaded files to a well, job and hole section. The
+ * assignment is copied into every Qdrant payload and RUN# item of the file
+ * so search and analytics can be scoped by well.
+ *
+ * Assignment status on a file:
+ *  - confirmed:  chosen or confirmed by the uploader
+ *  - suggested:  matched automatically from the report header at ingest
+ *  - unassigned: nothing matched; the header hints are kept as a suggestion
+ */
+class WellService {
+  constructor() {
+    this.tableName = process.env.DYNAMODB_TABLE_NAME;
+    this.MAX_QUERY_PAGES = 20;
+    this.MAX_TEXT_LENGTH = 200;
+
+    // Request field -> item attribute
+    this.WELL_FIELDS = {
+      name: "Name",
+      uwi: "Uwi",
+      operator: "Operator",
+      field: "Field",
+    };
+    this.JOB_FIELDS = {
+      jobNumber: "JobNumber",
+      rig: "Rig",
+      wellbore: "Wellbore",
+      startDate: "StartDate",
+      endDate: "EndDate",
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Wells
+
+  async createWell(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { values, error } = this.readFields(req.body, this.WELL_FIELDS);
+      if (error) return handlers.response.failed({ res, message: error });
+      if (!values.Name) {
+        return handlers.response.failed({
+          res,
+          message: "Well name is required",
+        });
+      }
+
+      const conflict = await this.findWellConflict(userId, values);
+      if (conflict) {
+        return handlers.response.failed({ res, message: conflict, code: 409 });
+      }
+
+      const wellId = uuidv4();
+      const now = new Date().toISOString();
+      const item = this.withKeys({
+        PK: `WELL#${wellId}`,
+        SK: `USER#${userId}#WELL#${wellId}`,
+        EntityType: "Well",
+        WellId: wellId,
+        UserId: userId,
+        Name: null,
+        Uwi: null,
+        Operator: null,
+        Field: null,
+        ...values,
+        CreatedAt: now,
+        UpdatedAt: now,
+      });
+
+      await docClient.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK)",
+        })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Well created successfully",
+        data: this.formatWell(item),
+        code: 201,
+      });
+    } catch (error) {
+      console.error("❌ Create well error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to create well",
+      });
+    }
+  }
+
+  /**
+   * GET /wells?q=smith - the user's wells by name, optionally searched by
+   * name, UWI, operator or field
+   */
+  async listWells(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const search = String(req.query?.q || "")
+        .trim()
+        .toLowerCase();
+
+      const wells = (await this.queryUserItems(userId, "Well"))
+        .filter(
+          item =>
+            !search ||
+            [item.Name, item.Uwi, item.Operator, item.Field].some(value =>
+              String(value || "")
+                .toLowerCase()
+                .includes(search)
+            )
+        )
+        .map(item => this.formatWell(item))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return handlers.response.success({
+        res,
+        message: "Wells fetched successfully",
+        data: { wells, count: wells.length },
+      });
+    } catch (error) {
+      console.error("❌ List wells error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch wells",
+      });
+    }
+  }
+
+  /**
+   * A well with its jobs
+   */
+  async getWell(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const well = await this.findWell(userId, req.params.wellId);
+      if (!well) {
+        return handlers.response.unavailable({ res, message: "Well not found" });
+      }
+
+      const jobs = await this.queryUserItems(userId, "Job", {
+        WellId: well.WellId,
+      });
+
+      return handlers.response.success({
+        res,
+        message: "Well fetched successfully",
+        data: {
+          ...this.formatWell(well),
+          jobs: jobs.map(item => this.formatJob(item)),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Get well error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch well",
+      });
+    }
+  }
+
+  async updateWell(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const existing = await this.findWell(userId, req.params.wellId);
+      if (!existing) {
+        return handlers.response.unavailable({ res, message: "Well not found" });
+      }
+
+      const { values, error } = this.readFields(req.body, this.WELL_FIELDS);
+      if (error) return handlers.response.failed({ res, message: error });
+      if ("Name" in values && !values.Name) {
+        return handlers.response.failed({
+          res,
+          message: "Well name cannot be empty",
+        });
+      }
+
+      const item = this.withKeys({
+        ...existing,
+        ...values,
+        UpdatedAt: new Date().toISOString(),
+      });
+
+      const conflict = await this.findWellConflict(userId, item, item.WellId);
+      if (conflict) {
+        return handlers.response.failed({ res, message: conflict, code: 409 });
+      }
+
+      await docClient.send(
+        new PutCommand({ TableName: this.tableName, Item: item })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Well updated successfully",
+        data: this.formatWell(item),
+      });
+    } catch (error) {
+      console.error("❌ Update well error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to update well",
+      });
+    }
+  }
+
+  /**
+   * Wells with jobs or assigned files are kept; remove those first
+   */
+  async deleteWell(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const well = await this.findWell(userId, req.params.wellId);
+      if (!well) {
+        return handlers.response.unavailable({ res, message: "Well not found" });
+      }
+
+      const [jobs, files] = await Promise.all([
+        this.queryUserItems(userId, "Job", { WellId: well.WellId }),
+        this.queryUserItems(userId, "File", { WellId: well.WellId }),
+      ]);
+      if (jobs.length || files.length) {
+        return handlers.response.failed({
+          res,
+          message: `Well still has ${jobs.length} job(s) and ${files.length} assigned file(s)`,
+          code: 409,
+        });
+      }
+
+      await docClient.send(
+        new DeleteCommand({
+          TableName: this.tableName,
+          Key: { PK: well.PK, SK: well.SK },
+        })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Well deleted successfully",
+        data: { id: well.WellId },
+      });
+    } catch (error) {
+      console.error("❌ Delete well error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to delete well",
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Jobs
+
+  async createJob(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { values, error } = this.readFields(req.body, this.JOB_FIELDS);
+      if (error) return handlers.response.failed({ res, message: error });
+      if (!values.JobNumber) {
+        return handlers.response.failed({
+          res,
+          message: "Job number is required",
+        });
+      }
+
+      const well = await this.findWell(userId, req.body?.wellId);
+      if (!well) {
+        return handlers.response.unavailable({ res, message: "Well not found" });
+      }
+
+      const jobId = uuidv4();
+      const now = new Date().toISOString();
+      const item = this.withKeys({
+        PK: `JOB#${jobId}`,
+        SK: `USER#${userId}#JOB#${jobId}`,
+        EntityType: "Job",
+        JobId: jobId,
+        UserId: userId,
+        WellId: well.WellId,
+        JobNumber: null,
+        Rig: null,
+        Wellbore: null,
+        StartDate: null,
+        EndDate: null,
+        ...values,
+        CreatedAt: now,
+        UpdatedAt: now,
+      });
+
+      const conflict = await this.findJobConflict(userId, item);
+      if (conflict) {
+        return handlers.response.failed({ res, message: conflict, code: 409 });
+      }
+
+      await docClient.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(PK)",
+        })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Job created successfully",
+        data: this.formatJob(item),
+        code: 201,
+      });
+    } catch (error) {
+      console.error("❌ Create job error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to create job",
+      });
+    }
+  }
+
+  /**
+   * GET /jobs?wellId=...
+   */
+  async listJobs(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const { wellId } = req.query || {};
+
+      const jobs = (
+        await this.queryUserItems(userId, "Job", wellId ? { WellId: wellId } : {})
+      )
+        .map(item => this.formatJob(item))
+        .sort((a, b) =>
+          String(b.startDate || b.createdAt).localeCompare(
+            String(a.startDate || a.createdAt)
+          )
+        );
+
+      return handlers.response.success({
+        res,
+        message: "Jobs fetched successfully",
+        data: { jobs, count: jobs.length },
+      });
+    } catch (error) {
+      console.error("❌ List jobs error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch jobs",
+      });
+    }
+  }
+
+  async getJob(req, res) {
+    try {
+      const job = await this.findJob(req.user?.UserId, req.params.jobId);
+      if (!job) {
+        return handlers.response.unavailable({ res, message: "Job not found" });
+      }
+
+      return handlers.response.success({
+        res,
+        message: "Job fetched successfully",
+        data: this.formatJob(job),
+      });
+    } catch (error) {
+      console.error("❌ Get job error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch job",
+      });
+    }
+  }
+
+  /**
+   * Jobs can move to another well only while no files are assigned to them
+   */
+  async updateJob(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const existing = await this.findJob(userId, req.params.jobId);
+      if (!existing) {
+        return handlers.response.unavailable({ res, message: "Job not found" });
+      }
+
+      const { values, error } = this.readFields(req.body, this.JOB_FIELDS);
+      if (error) return handlers.response.failed({ res, message: error });
+      if ("JobNumber" in values && !values.JobNumber) {
+        return handlers.response.failed({
+          res,
+          message: "Job number cannot be empty",
+        });
+      }
+
+      let wellId = existing.WellId;
+      if (req.body?.wellId && req.body.wellId !== existing.WellId) {
+        const well = await this.findWell(userId, req.body.wellId);
+        if (!well) {
+          return handlers.response.unavailable({
+            res,
+            message: "Well not found",
+          });
+        }
+
+        const files = await this.queryUserItems(userId, "File", {
+          JobId: existing.JobId,
+        });
+        if (files.length) {
+          return handlers.response.failed({
+            res,
+            message: `Job has ${files.length} assigned file(s); reassign them before moving the job`,
+            code: 409,
+          });
+        }
+        wellId = well.WellId;
+      }
+
+      const item = this.withKeys({
+        ...existing,
+        ...values,
+        WellId: wellId,
+        UpdatedAt: new Date().toISOString(),
+      });
+
+      const conflict = await this.findJobConflict(userId, item, item.JobId);
+      if (conflict) {
+        return handlers.response.failed({ res, message: conflict, code: 409 });
+      }
+
+      await docClient.send(
+        new PutCommand({ TableName: this.tableName, Item: item })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Job updated successfully",
+        data: this.formatJob(item),
+      });
+    } catch (error) {
+      console.error("❌ Update job error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to update job",
+      });
+    }
+  }
+
+  async deleteJob(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const job = await this.findJob(userId, req.params.jobId);
+      if (!job) {
+        return handlers.response.unavailable({ res, message: "Job not found" });
+      }
+
+      const files = await this.queryUserItems(userId, "File", {
+        JobId: job.JobId,
+      });
+      if (files.length) {
+        return handlers.response.failed({
+          res,
+          message: `Job still has ${files.length} assigned file(s)`,
+          code: 409,
+        });
+      }
+
+      await docClient.send(
+        new DeleteCommand({
+          TableName: this.tableName,
+          Key: { PK: job.PK, SK: job.SK },
+        })
+      );
+
+      return handlers.response.success({
+        res,
+        message: "Job deleted successfully",
+        data: { id: job.JobId },
+      });
+    } catch (error) {
+      console.error("❌ Delete job error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to delete job",
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // File assignment
+
+  /**
+   * GET /s3/files/:fileId/assignment - current assignment and the hints
+   * read from the document at ingest
+   */
+  async getFileAssignment(req, res) {
+    try {
+      const file = await tableService.findFile(
+        req.user?.UserId,
+        req.params.fileId
+      );
+      if (!file) {
+        return handlers.response.unavailable({ res, message: "File not found" });
+      }
+
+      return handlers.response.success({
+        res,
+        message: "File assignment fetched successfully",
+        data: this.formatAssignment(file),
+      });
+    } catch (error) {
+      console.error("❌ Get file assignment error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to fetch file assignment",
+      });
+    }
+  }
+
+  /**
+   * PUT /s3/files/:fileId/assignment - confirm the suggested assignment
+   * (empty body) or override any of wellId / jobId / section (null clears).
+   * Giving only a jobId assigns the job's well too.
+   */
+  async updateFileAssignment(req, res) {
+    try {
+      const userId = req.user?.UserId;
+      const body = req.body || {};
+
+      const file = await tableService.findFile(userId, req.params.fileId);
+      if (!file) {
+        return handlers.response.unavailable({ res, message: "File not found" });
+      }
+
+      const jobChanged = "jobId" in body && body.jobId !== file.JobId;
+      const requested = {
+        wellId:
+          "wellId" in body
+            ? body.wellId
+            : jobChanged && body.jobId
+            ? null
+            : file.WellId,
+        jobId: "jobId" in body ? body.jobId : file.JobId,
+        section: "section" in body ? body.section : file.Section,
+      };
+
+      const { assignment, error, code } = await this.validateAssignment(
+        userId,
+        requested
+      );
+      if (error) return handlers.response.failed({ res, message: error, code });
+
+      const updated = await this.applyFileAssignment(file, assignment);
+
+      return handlers.response.success({
+        res,
+        message: "File assignment updated successfully",
+        data: this.formatAssignment(updated),
+      });
+    } catch (error) {
+      console.error("❌ Update file assignment error:", error);
+      return handlers.response.error({
+        res,
+        message: error.message || "Failed to update file assignment",
+      });
+    }
+  }
+
+  /**
+   * Check that a requested well / job belong to the user and to each other
+   * @returns {Promise<{assignment: Object}|{error: string, code: number}>}
+   */
+  async validateAssignment(userId, { wellId, jobId, section } = {}) {
+    let resolvedWellId = wellId || null;
+
+    if (jobId) {
+      const job = await this.findJob(userId, jobId);
+      if (!job) return { error: "Job not found", code: 404 };
+      if (resolvedWellId && resolvedWellId !== job.WellId) {
+        return { error: "Job belongs to a different well", code: 400 };
+      }
+      resolvedWellId = job.WellId;
+    }
+
+    if (resolvedWellId && !(await this.findWell(userId, resolvedWellId))) {
+      return { error: "Well not found", code: 404 };
+    }
+
+    if (section != null && typeof section !== "string") {
+      return { error: "Section must be a string", code: 400 };
+    }
+
+    return {
+      assignment: {
+        wellId: resolvedWellId,
+        jobId: jobId || null,
+        section: section?.trim() || null,
+      },
+    };
+  }
+
+  /**
+   * Assignment used while ingesting a file: the uploader's choice when one
+   * was given, otherwise the well / job matched from the header hints
+   * @param {string} userId
+   * @param {Object} [requested] - wellId / jobId / section from the upload
+   * @param {Object} [hints] - Output of extractWellContext
+   */
+  async resolveIngestAssignment(userId, requested = {}, hints = {}) {
+    const base = { suggestion: hints };
+
+    if (requested.wellId || requested.jobId) {
+      const { assignment, error } = await this.validateAssignment(
+        userId,
+        requested
+      );
+      if (!error) {
+        return {
+          ...assignment,
+          section: assignment.section || hints.section || null,
+          status: "confirmed",
+          ...base,
+        };
+      }
+      console.warn(`⚠️ Ignoring requested assignment: ${error}`);
+    }
+
+    const match = await this.suggestAssignment(userId, hints);
+    return {
+      wellId: match.wellId,
+      jobId: match.jobId,
+      section: requested.section?.trim() || hints.section || null,
+      status: match.wellId ? "suggested" : "unassigned",
+      matchedBy: match.matchedBy,
+      ...base,
+    };
+  }
+
+  /**
+   * Existing well (by UWI, then name) and job (by job number, then rig)
+   * matching the header hints
+   */
+  async suggestAssignment(userId, hints = {}) {
+    const none = { wellId: null, jobId: null, matchedBy: null };
+    if (!hints.uwi && !hints.wellName) return none;
+
+    const wells = await this.queryUserItems(userId, "Well");
+    const wellNameKey = nameKey(hints.wellName);
+
+    let matchedBy = "uwi";
+    let well =
+      hints.uwi && wells.find(item => uwiMatches(item.Uwi, hints.uwi));
+    if (!well && wellNameKey) {
+      matchedBy = "wellName";
+      well = wells.find(item => item.NameKey === wellNameKey);
+    }
+    if (!well) return none;
+
+    const jobs = await this.queryUserItems(userId, "Job", {
+      WellId: well.WellId,
+    });
+    const job =
+      (hints.jobNumber &&
+        jobs.find(item => item.JobNumberKey === nameKey(hints.jobNumber))) ||
+      (hints.rig &&
+        jobs.find(item => nameKey(item.Rig) === nameKey(hints.rig)));
+
+    return { wellId: well.WellId, jobId: job?.JobId || null, matchedBy };
+  }
+
+  /**
+   * Write an assignment to the file's Qdrant payloads, runs and record.
+   * A null section leaves chunk-level sections (e.g. run sheet rows) as
+   * they are.
+   */
+  async applyFileAssignment(file, { wellId, jobId, section }) {
+    const payload = {
+      wellId: wellId || null,
+      jobId: jobId || null,
+      ...(section && { section }),
+    };
+
+    await setEmbeddingsPayloadByKey({
+      collectionName: file.Collection,
+      key: file.S3Key,
+      payload,
+    });
+    await setSparsePayloadByKey(file.Collection, file.S3Key, payload);
+    await runService.assignFileRuns(file.UserId, file.FileId, {
+      wellId,
+      jobId,
+    });
+
+    const result = await docClient.send(
+      new UpdateCommand({
+        TableName: this.tableName,
+        Key: { PK: file.PK, SK: file.SK },
+        UpdateExpression:
+          "SET WellId = :wellId, JobId = :jobId, #section = :section, AssignmentStatus = :status, AssignmentUpdatedAt = :now",
+        ExpressionAttributeNames: { "#section": "Section" },
+        ExpressionAttributeValues: {
+          ":wellId": wellId || null,
+          ":jobId": jobId || null,
+          ":section": section || null,
+          ":status": "confirmed",
+          ":now": new Date().toISOString(),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return result.Attributes;
+  }
+
+  // ---------------------------------------------------------------------
+  // Helpers
+
+  async findWell(userId, wellId) {
+    if (!userId || !wellId) return null;
+
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { PK: `WELL#${wellId}`, SK: `USER#${userId}#WELL#${wellId}` },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  async findJob(userId, jobId) {
+    if (!userId || !jobId) return null;
+
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { PK: `JOB#${jobId}`, SK: `USER#${userId}#JOB#${jobId}` },
+      })
+    );
+
+    return result.Item || null;
+  }
+
+  /**
+   * UWIs are unique per user; names may repeat (e.g. re-drills) only when
+   * the UWIs differ
+   */
+  async findWellConflict(userId, { UwiKey, Uwi }, ignoreWellId = null) {
+    const key = UwiKey || normalizeUwi(Uwi);
+    if (!key) return null;
+
+    const wells = await this.queryUserItems(userId, "Well");
+    const other = wells.find(
+      item => item.WellId !== ignoreWellId && item.UwiKey === key
+    );
+    return other ? `Well '${other.Name}' already has UWI ${other.Uwi}` : null;
+  }
+
+  async findJobConflict(userId, { WellId, JobNumberKey }, ignoreJobId = null) {
+    const jobs = await this.queryUserItems(userId, "Job", { WellId });
+    const other = jobs.find(
+      item => item.JobId !== ignoreJobId && item.JobNumberKey === JobNumberKey
+    );
+    return other ? `Job ${other.JobNumber} already exists on this well` : null;
+  }
+
+  /**
+   * Trimmed string values for the fields present in the body
+   * @returns {{values: Object, error?: string}} - Values keyed by attribute;
+   *          null clears a field.
+   */
+  readFields(body = {}, fields) {
+    const values = {};
+
+    for (const [field, attribute] of Object.entries(fields)) {
+      if (!(field in (body || {}))) continue;
+
+      const value = body[field];
+      if (value == null || value === "") {
+        values[attribute] = null;
+        continue;
+      }
+      if (typeof value !== "string") {
+        return { values, error: `${field} must be a string` };
+      }
+
+      const trimmed = value.trim().replace(/\s+/g, " ");
+      if (trimmed.length > this.MAX_TEXT_LENGTH) {
+        return {
+          values,
+          error: `${field} must be at most ${this.MAX_TEXT_LENGTH} characters`,
+        };
+      }
+      if (/Date$/.test(field)) {
+        const date = new Date(trimmed);
+        if (isNaN(date.getTime())) {
+          return { values, error: `${field} must be a date (YYYY-MM-DD)` };
+        }
+        values[attribute] = date.toISOString().substring(0, 10);
+        continue;
+      }
+      values[attribute] = trimmed || null;
+    }
+
+    return { values };
+  }
+
+  /**
+   * Normalized lookup keys derived from the display values
+   */
+  withKeys(item) {
+    if (item.EntityType === "Well") {
+      return {
+        ...item,
+        NameKey: nameKey(item.Name),
+        UwiKey: normalizeUwi(item.Uwi) || null,
+      };
+    }
+    return { ...item, JobNumberKey: nameKey(item.JobNumber) };
+  }
+
+  /**
+   * Page through the UserIdIndex for a user's items of one entity type,
+   * optionally matching exact attribute values
+   */
+  async queryUserItems(userId, entityType, match = {}) {
+    const items = [];
+    let lastEvaluatedKey = null;
+    let pages = 0;
+
+    const conditions = Object.keys(match).map(
+      (attribute, i) => `#a${i} = :v${i}`
+    );
+
+    do {
+      const params = {
+        TableName: this.tableName,
+        IndexName: "UserIdIndex",
+        KeyConditionExpression: "UserId = :userId",
+        FilterExpression: ["EntityType = :entityType", ...conditions].join(
+          " AND "
+        ),
+        ExpressionAttributeValues: {
+          ":userId": userId,
+          ":entityType": entityType,
+          ...Object.fromEntries(
+            Object.values(match).map((value, i) => [`:v${i}`, value])
+          ),
+        },
+      };
+      if (conditions.length) {
+        params.ExpressionAttributeNames = Object.fromEntries(
+          Object.keys(match).map((attribute, i) => [`#a${i}`, attribute])
+        );
+      }
+
+      if (lastEvaluatedKey) params.ExclusiveStartKey = lastEvaluatedKey;
+
+      const result = await docClient.send(new QueryCommand(params));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey && pages < this.MAX_QUERY_PAGES);
+
+    return items;
+  }
+
+  formatWell(item) {
+    return {
+      id: item.WellId,
+      name: item.Name,
+      uwi: item.Uwi || null,
+      operator: item.Operator || null,
+      field: item.Field || null,
+      createdAt: item.CreatedAt,
+      updatedAt: item.UpdatedAt,
+    };
+  }
+
+  formatJob(item) {
+    return {
+      id: item.JobId,
+      wellId: item.WellId,
+      jobNumber: item.JobNumber,
+      rig: item.Rig || null,
+      wellbore: item.Wellbore || null,
+      startDate: item.StartDate || null,
+      endDate: item.EndDate || null,
+      createdAt: item.CreatedAt,
+      updatedAt: item.UpdatedAt,
+    };
+  }
+
+  formatAssignment(file) {
+    return {
+      fileId: file.FileId,
+      fileName: file.FileName,
+      wellId: file.WellId || null,
+      jobId: file.JobId || null,
+      section: file.Section || null,
+      status: file.AssignmentStatus || "unassigned",
+      suggestion: file.AssignmentSuggestion || null,
+      updatedAt: file.AssignmentUpdatedAt || null,
+    };
+  }
+}
+
+module.exports = new WellService();
@@ -0,0 +1,122 @@
+/**
+ * Serialized equipment (motors, MWD tools, NMDCs, UBHOs, float and shock
+ * subs...) used on a run. Serials come from BHA component and motor tables,
+ * WITSML tubular components and the run's own motor serial, so each tool's
+ * history can be followed across runs and wells.
+ */
+const ASSET_TYPES = [
+  { type: "motor", pattern: /\bmotor\b|\bpdm\b|\bpower\s*section\b/i },
+  { type: "nmdc", pattern: /\bnmdc\b|\bnon[-\s]?mag|\bmonel\b/i },
+  { type: "mwd", pattern: /\b(?:mwd|lwd|pulser|gamma)\b/i },
+  { type: "ubho", pattern: /\bubho\b|\borient(?:ing|ation)\s+sub\b/i },
+  { type: "float_sub", pattern: /\bfloat\b/i },
+  { type: "shock_sub", pattern: /\bshock\b/i },
+  { type: "jar", pattern: /\bjars?\b/i },
+  { type: "stabilizer", pattern: /\bstab(?:ilizer|iliser)?\b/i },
+  { type: "bit", pattern: /\bbit\b(?!\s*sub)/i },
+];
+
+// Cell values that stand for "no serial"
+const SERIAL_PLACEHOLDERS = new Set([
+  "NA",
+  "N/A",
+  "TBA",
+  "TBD",
+  "NONE",
+  "UNKNOWN",
+  "-",
+  "--",
+]);
+
+/**
+ * Asset type from a component description; "other" when not recognized
+ */
+function classifyAsset(description) {
+  const text = String(description || "");
+  const match = ASSET_TYPES.find(({ pattern }) => pattern.test(text));
+  return match ? match.type : "other";
+}
+
+/**
+ * Lookup key for a serial: "sn 12-345" and "12345" differ, but case,
+ * spaces and punctuation do not matter
+ * @returns {string|null} - Null for empty or placeholder serials.
+ */
+function serialKey(serial) {
+  const text = String(serial ?? "").trim();
+  if (!text || SERIAL_PLACEHOLDERS.has(text.toUpperCase())) return null;
+
+  const key = text.toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return key.length >= 2 ? key : null;
+}
+
+/**
+ * Serialized equipment used on one run
+ * @param {Object} values - Normalized run values (see normalizeRun).
+ * @param {Object} [sources]
+ * @param {Array} [sources.tables] - Output of extractTables for the report.
+ * @param {Array} [sources.components] - { description, serialNumber } from
+ *        WITSML tubular components.
+ * @returns {Array<{serialNumber: string, serialKey: string, assetType: string,
+ *          description: string|null, od?: number, length?: number}>} -
+ *          One entry per serial.
+ */
+function extractRunAssets(values = {}, { tables = [], components = [] } = {}) {
+  const assets = new Map();
+
+  const add = (serialNumber, description, assetType, extra = {}) => {
+    const key = serialKey(serialNumber);
+    if (!key) return;
+
+    const existing = assets.get(key);
+    const type = assetType || classifyAsset(description);
+    if (existing && existing.assetType !== "other") return;
+
+    assets.set(key, {
+      serialNumber: String(serialNumber).trim(),
+      serialKey: key,
+      assetType: type,
+      description: description || existing?.description || null,
+      ...extra,
+    });
+  };
+
+  for (const table of tables) {
+    for (const row of table.rows || []) {
+      if (table.tableType === "motor") {
+        const description = [row.motorMake, row.motorModel]
+          .filter(Boolean)
+          .join(" ");
+        add(row.serialNumber, description || null, "motor", measures(row));
+      } else if (table.tableType === "bha_components") {
+        add(row.serialNumber, row.description, null, measures(row));
+      }
+    }
+  }
+
+  for (const component of components) {
+    add(component.serialNumber, component.description);
+  }
+
+  // Run sheets and WITSML runs carry the motor serial on the run itself
+  const motorDescription = [values.motorMake, values.motorModel]
+    .filter(Boolean)
+    .join(" ");
+  add(values.serialNumber, motorDescription || null, "motor");
+
+  return [...assets.values()];
+}
+
+function measures(row) {
+  return {
+    ...(typeof row.od === "number" && { od: row.od }),
+    ...(typeof row.length === "number" && { length: row.length }),
+  };
+}
+
+module.exports = {
+  ASSET_TYPES: ASSET_TYPES.map(({ type }) => type).concat("other"),
+  classifyAsset,
+  serialKey,
+  extractRunAssets,
+};
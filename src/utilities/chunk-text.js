@@ -1,4 +1,13 @@
 const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
+const {
+  buildPageIndex,
+  getPageAt,
+  locateInText,
+  stripPageMarkers,
+} = require("./page-index");
+const { detectUnit, toCanonical } = require("./units");
+
+const EXCERPT_LENGTH = 400; // Characters of source text kept for citations
 
 /**
  * Enhanced generalized text chunking optimized for drilling reports (BHA, MMR, RVEN)
@@ -6,6 +15,17 @@ const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
  * @returns {Promise<string[]>} - Returns array of enhanced chunk strings
  */
 async function chunkText(text) {
+  const chunks = await chunkTextWithLocations(text);
+  return chunks.map(chunk => chunk.content);
+}
+
+/**
+ * Chunk text and keep track of where each chunk came from
+ * @param {string} text - Full input text, optionally containing "=== PAGE n ===" markers
+ * @returns {Promise<Array<{content: string, metadata: Object}>>} - Enhanced chunks with
+ *   pageStart/pageEnd, charStart/charEnd (offsets into the trimmed input) and an excerpt
+ */
+async function chunkTextWithLocations(text) {
   const chunkSize = Number(process.env.CHUNK_SIZE || 1350);
   const chunkOverlap = Number(process.env.CHUNK_OVERLAP || 250);
 
@@ -30,7 +50,7 @@ async function chunkText(text) {
     console.warn(
       "⚠️ Text too short to chunk reliably. Returning enhanced single chunk."
     );
-    return [enhanceChunkWithDrillingContext(cleanText)];
+    return attachLocations(cleanText, [createChunk(cleanText)]);
   }
 
   try {
@@ -50,76 +70,128 @@ async function chunkText(text) {
 
     if (!docs || docs.length === 0) {
       console.warn("⚠️ Splitter returned no chunks. Using enhanced full text.");
-      return [enhanceChunkWithDrillingContext(cleanText)];
+      return attachLocations(cleanText, [createChunk(cleanText)]);
     }
 
     // Process chunks with drilling-specific enhancements
     let chunks = docs
       .map(doc => doc.pageContent.trim())
       .filter(chunk => chunk.length >= 50) // Higher minimum for technical content
-      .map(chunk => enhanceChunkWithDrillingContext(chunk))
-      .filter(chunk => isValidDrillingChunk(chunk));
+      .map(chunk => createChunk(chunk))
+      .filter(chunk => isValidDrillingChunk(chunk.content));
 
     // If filtering removed all chunks, use original with basic enhancement
     if (chunks.length === 0) {
       console.warn(
         "⚠️ All enhanced chunks filtered out. Using basic enhanced chunks."
       );
-      chunks = docs.map(doc =>
-        enhanceChunkWithDrillingContext(doc.pageContent.trim())
-      );
+      chunks = docs.map(doc => createChunk(doc.pageContent.trim()));
     }
 
     // Ensure we have valid chunks
     const validChunks = chunks.filter(chunk => {
-      return chunk && typeof chunk === "string" && chunk.trim().length > 0;
+      return (
+        chunk.content &&
+        typeof chunk.content === "string" &&
+        chunk.content.trim().length > 0
+      );
     });
 
     if (validChunks.length === 0) {
       console.warn(
         "⚠️ No valid chunks created. Returning enhanced original text."
       );
-      return [enhanceChunkWithDrillingContext(cleanText)];
+      return attachLocations(cleanText, [createChunk(cleanText)]);
     }
 
+    const locatedChunks = attachLocations(cleanText, validChunks);
+
     // Add structured data summary chunk if significant metrics found
     const structuredSummary = extractStructuredDataSummary(cleanText);
     if (structuredSummary) {
-      validChunks.unshift(structuredSummary);
+      locatedChunks.unshift({
+        content: structuredSummary,
+        metadata: {
+          pageStart: null,
+          pageEnd: null,
+          charStart: null,
+          charEnd: null,
+          excerpt: structuredSummary.substring(0, EXCERPT_LENGTH),
+          isSummary: true,
+        },
+      });
     }
 
     console.log(
       `✅ Enhanced drilling chunking complete: ${
-        validChunks.length
+        locatedChunks.length
       } chunks created (avg ${Math.round(
-        cleanText.length / validChunks.length
+        cleanText.length / locatedChunks.length
       )} chars)`
     );
 
     // Enhanced debugging with drilling context
-    validChunks.forEach((chunk, i) => {
-      const type = identifyDrillingContentType(chunk);
-      const metrics = countTechnicalMetrics(chunk);
+    locatedChunks.forEach(({ content, metadata }, i) => {
+      const type = identifyDrillingContentType(content);
+      const metrics = countTechnicalMetrics(content);
       console.log(
         `📄 Chunk ${i}: ${
-          chunk.length
-        } chars - Type: ${type} - Metrics: ${metrics} - "${chunk.substring(
-          0,
-          50
-        )}..."`
+          content.length
+        } chars - Type: ${type} - Metrics: ${metrics} - Page: ${
+          metadata.pageStart ?? "n/a"
+        } - "${content.substring(0, 50)}..."`
       );
     });
 
-    return validChunks;
+    return locatedChunks;
   } catch (error) {
     console.error("❌ Enhanced text chunking error:", error.message);
     console.warn("⚠️ Falling back to enhanced simple text splitting");
 
     // Enhanced fallback
-    return enhancedSimpleTextSplit(cleanText, chunkSize, chunkOverlap);
+    return attachLocations(
+      cleanText,
+      enhancedSimpleTextSplit(cleanText, chunkSize, chunkOverlap)
+    );
   }
 }
 
+/**
+ * Pair the enhanced chunk with its cleaned source body for location lookup
+ */
+function createChunk(rawChunk) {
+  return {
+    body: stripPreprocessingMarkers(rawChunk),
+    content: enhanceChunkWithDrillingContext(rawChunk),
+  };
+}
+
+/**
+ * Resolve page numbers and character offsets for each chunk body
+ */
+function attachLocations(sourceText, chunks) {
+  const pageIndex = buildPageIndex(sourceText);
+  let cursor = 0;
+
+  return chunks.map(({ body, content }) => {
+    const location = locateInText(sourceText, body, cursor);
+    if (location) cursor = location.charStart + 1;
+
+    return {
+      content,
+      metadata: {
+        pageStart: location ? getPageAt(pageIndex, location.charStart) : null,
+        pageEnd: location
+          ? getPageAt(pageIndex, Math.max(location.charEnd - 1, 0))
+          : null,
+        charStart: location?.charStart ?? null,
+        charEnd: location?.charEnd ?? null,
+        excerpt: stripPageMarkers(body).substring(0, EXCERPT_LENGTH),
+      },
+    };
+  });
+}
+
 /**
  * Get drilling-aware separators that preserve technical relationships
  */
@@ -210,7 +282,7 @@ function enhanceChunkWithDrillingContext(chunk) {
   }
 
   // Remove preprocessing markers
-  let cleanChunk = chunk.replace(/[🔧🔩🏭⚡🔽🔄⚖️📏🎯⏱️]\s*/g, "");
+  let cleanChunk = stripPreprocessingMarkers(chunk);
 
   // Identify content type and add appropriate context
   const contentType = identifyDrillingContentType(cleanChunk);
@@ -225,6 +297,13 @@ function enhanceChunkWithDrillingContext(chunk) {
   return `${contextPrefix}${cleanChunk}${metricsContext}`;
 }
 
+/**
+ * Remove the context markers added by preprocessDrillingText
+ */
+function stripPreprocessingMarkers(chunk) {
+  return chunk.replace(/[🔧🔩🏭⚡🔽🔄⚖️📏🎯⏱️]\s*/g, "");
+}
+
 /**
  * Identify drilling content type from chunk content
  */
@@ -301,28 +380,59 @@ function getDrillingContextPrefix(contentType) {
 }
 
 /**
- * Extract key metrics from individual chunks - enhanced for LLM queries
+ * Extract key metrics from individual chunks - enhanced for LLM queries.
+ * Values with a non-canonical unit next to them (m, kN, bar, L/min...) are
+ * converted, with the value as written kept in brackets.
  */
 function extractChunkMetrics(chunk) {
   const metrics = [];
 
-  // Enhanced metric patterns targeting specific query types
+  // Enhanced metric patterns targeting specific query types; a second
+  // capture group, when present, is the unit
   const metricPatterns = [
     // Weight & Force
-    { pattern: /(\d+\.?\d*)\s*klbs/gi, type: "WEIGHT" },
-    { pattern: /WOB[^:]*[:\s]+(\d+\.?\d*)/gi, type: "WOB" },
-    { pattern: /PU\s+WT[:\s]+(\d+\.?\d*)/gi, type: "PICKUP_WT" },
+    {
+      pattern: /(\d+\.?\d*)\s*(klbs|kdaN|kN)\b/gi,
+      type: "WEIGHT",
+      quantity: "force",
+    },
+    { pattern: /WOB[^:]*[:\s]+(\d+\.?\d*)/gi, type: "WOB", quantity: "force" },
+    {
+      pattern: /PU\s+WT[:\s]+(\d+\.?\d*)/gi,
+      type: "PICKUP_WT",
+      quantity: "force",
+    },
 
     // Performance
-    { pattern: /(\d+\.?\d*)\s*usft\/hr/gi, type: "ROP" },
-    { pattern: /Avg ROP[:\s]+(\d+\.?\d*)/gi, type: "AVG_ROP" },
-    { pattern: /Slide ROP[:\s]+(\d+\.?\d*)/gi, type: "SLIDE_ROP" },
-    { pattern: /Rot ROP[:\s]+(\d+\.?\d*)/gi, type: "ROT_ROP" },
+    {
+      pattern: /(\d+\.?\d*)\s*(usft\/hr|ft\/hr|m\/hr|m\/h)\b/gi,
+      type: "ROP",
+      quantity: "rop",
+    },
+    { pattern: /Avg ROP[:\s]+(\d+\.?\d*)/gi, type: "AVG_ROP", quantity: "rop" },
+    {
+      pattern: /Slide ROP[:\s]+(\d+\.?\d*)/gi,
+      type: "SLIDE_ROP",
+      quantity: "rop",
+    },
+    { pattern: /Rot ROP[:\s]+(\d+\.?\d*)/gi, type: "ROT_ROP", quantity: "rop" },
 
     // Drilling data
-    { pattern: /Total Drilled[:\s]+(\d+\.?\d*)/gi, type: "TOTAL_DRILLED" },
-    { pattern: /Rotary Drilled[:\s]+(\d+\.?\d*)/gi, type: "ROTARY_DRILLED" },
-    { pattern: /Slide Drilled[:\s]+(\d+\.?\d*)/gi, type: "SLIDE_DRILLED" },
+    {
+      pattern: /Total Drilled[:\s]+(\d+\.?\d*)/gi,
+      type: "TOTAL_DRILLED",
+      quantity: "length",
+    },
+    {
+      pattern: /Rotary Drilled[:\s]+(\d+\.?\d*)/gi,
+      type: "ROTARY_DRILLED",
+      quantity: "length",
+    },
+    {
+      pattern: /Slide Drilled[:\s]+(\d+\.?\d*)/gi,
+      type: "SLIDE_DRILLED",
+      quantity: "length",
+    },
 
     // Time data
     { pattern: /Drill Hrs[:\s]+(\d+\.?\d*)/gi, type: "DRILL_HRS" },
@@ -331,36 +441,75 @@ function extractChunkMetrics(chunk) {
 
     // Technical specs
     { pattern: /(\d+\.?\d*)\s*rpm/gi, type: "RPM" },
-    { pattern: /(\d+\.?\d*)\s*gpm/gi, type: "FLOW" },
-    { pattern: /(\d+\.?\d*)\s*psi/gi, type: "PRESSURE" },
-    { pattern: /Diff Press[:\s]+(\d+\.?\d*)/gi, type: "DIFF_PRESS" },
-    { pattern: /Max DiffP[:\s]+(\d+\.?\d*)/gi, type: "MAX_DIFF_P" },
-    { pattern: /Max Torque[:\s]+(\d+\.?\d*)/gi, type: "MAX_TORQUE" },
+    {
+      pattern: /(\d+\.?\d*)\s*(gpm|L\/min|lpm)/gi,
+      type: "FLOW",
+      quantity: "flow",
+    },
+    {
+      pattern: /(\d+\.?\d*)\s*(psi|bar|kPa)\b/gi,
+      type: "PRESSURE",
+      quantity: "pressure",
+    },
+    {
+      pattern: /Diff Press[:\s]+(\d+\.?\d*)/gi,
+      type: "DIFF_PRESS",
+      quantity: "pressure",
+    },
+    {
+      pattern: /Max DiffP[:\s]+(\d+\.?\d*)/gi,
+      type: "MAX_DIFF_P",
+      quantity: "pressure",
+    },
+    {
+      pattern: /Max Torque[:\s]+(\d+\.?\d*)/gi,
+      type: "MAX_TORQUE",
+      quantity: "torque",
+    },
 
     // Percentages
     { pattern: /%Slide[:\s]+(\d+\.?\d*)/gi, type: "SLIDE_PERCENT" },
     { pattern: /%Rotary[:\s]+(\d+\.?\d*)/gi, type: "ROTARY_PERCENT" },
 
     // Dimensions
-    { pattern: /(\d+\.?\d*)\s*usft/gi, type: "LENGTH" },
-    { pattern: /Total Length[:\s]+(\d+\.?\d*)/gi, type: "TOTAL_LENGTH" },
-    { pattern: /Fishneck OD[:\s]+(\d+\.?\d*)/gi, type: "FISHNECK_OD" },
+    {
+      pattern: /(\d+\.?\d*)\s*(usft|m)(?![\w/])/gi,
+      type: "LENGTH",
+      quantity: "length",
+    },
+    {
+      pattern: /Total Length[:\s]+(\d+\.?\d*)/gi,
+      type: "TOTAL_LENGTH",
+      quantity: "length",
+    },
+    {
+      pattern: /Fishneck OD[:\s]+(\d+\.?\d*)/gi,
+      type: "FISHNECK_OD",
+      quantity: "diameter",
+    },
 
     // Motor specs
     { pattern: /([+-]?\d+\.?\d*)\s*(?:stator fit)/gi, type: "STATOR_FIT" },
-    { pattern: /TFA[:\s]+(\d+\.?\d*)/gi, type: "TFA" },
+    { pattern: /TFA[:\s]+(\d+\.?\d*)/gi, type: "TFA", quantity: "area" },
 
     // Hole sizes
-    { pattern: /(\d+\.?\d*)["\s]*(?:hole|section)/gi, type: "HOLE_SIZE" },
+    {
+      pattern: /(\d+\.?\d*)\s*(mm|in|")?\s*(?:hole|section)/gi,
+      type: "HOLE_SIZE",
+      quantity: "diameter",
+    },
   ];
 
-  for (const { pattern, type } of metricPatterns) {
+  for (const { pattern, type, quantity } of metricPatterns) {
     const matches = [...chunk.matchAll(pattern)];
     matches.forEach(match => {
       const value = match[1];
-      const fullMatch = match[0];
       if (value && !isNaN(parseFloat(value))) {
-        const metric = `${type}:${value}`;
+        const end = match.index + match[0].length;
+        const unit =
+          match[2] ||
+          (quantity && detectUnit(chunk.slice(end, end + 20), quantity));
+        const metric = formatChunkMetric(type, parseFloat(value), unit);
         if (
           !metrics.some(m => m.startsWith(`${type}:`)) &&
           metrics.length < 10
@@ -374,6 +523,17 @@ function extractChunkMetrics(chunk) {
   return metrics;
 }
 
+/**
+ * "WOB:24.729 klbf (110 kN)" for converted values, "WOB:25" otherwise
+ */
+function formatChunkMetric(type, value, unit) {
+  const canonical = unit ? toCanonical(value, unit) : null;
+  if (!canonical?.converted) return `${type}:${value}`;
+
+  const rounded = Math.round(canonical.value * 1000) / 1000;
+  return `${type}:${rounded} ${canonical.unit} (${value} ${unit})`;
+}
+
 /**
  * Count technical metrics in chunk for debugging
  */
@@ -521,7 +681,7 @@ function enhancedSimpleTextSplit(text, chunkSize, chunkOverlap) {
 
     const chunk = text.substring(start, end).trim();
     if (chunk.length > 0) {
-      chunks.push(enhanceChunkWithDrillingContext(chunk));
+      chunks.push(createChunk(chunk));
     }
 
     start = end - chunkOverlap;
@@ -530,7 +690,8 @@ function enhancedSimpleTextSplit(text, chunkSize, chunkOverlap) {
   console.log(
     `✅ Enhanced simple chunking complete: ${chunks.length} drilling-aware chunks created`
   );
-  return chunks.length > 0 ? chunks : [enhanceChunkWithDrillingContext(text)];
+  return chunks.length > 0 ? chunks : [createChunk(text)];
 }
 
 module.exports = chunkText;
+module.exports.chunkTextWithLocations = chunkTextWithLocations;
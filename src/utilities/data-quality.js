@@ -0,0 +1,176 @@
+const RULES = require("../config/data-quality-rules");
+const { unitFor } = require("./units");
+
+/**
+ * Data-quality checks on extracted drilling values (canonical units).
+ * Range violations are errors by default: the value is almost certainly
+ * an OCR or parsing mistake and is left out of aggregations and payload
+ * filters. Consistency violations are warnings by default, since the
+ * check cannot tell which of the values is wrong.
+ */
+
+/**
+ * Check values against the range and consistency rules
+ * @param {Object} values - Values keyed by field, in canonical units.
+ * @param {Object} [rules] - Defaults to config/data-quality-rules.
+ * @returns {Array<{rule: string, type: string, severity: string,
+ *          fields: string[], message: string}>}
+ */
+function checkValues(values = {}, rules = RULES) {
+  const flags = [];
+
+  for (const [field, rule] of Object.entries(rules.ranges || {})) {
+    if (rule.enabled === false) continue;
+    const flag = checkRange(field, values[field], rule, values.holeSize);
+    if (flag) flags.push(flag);
+  }
+
+  for (const [id, rule] of Object.entries(rules.consistency || {})) {
+    if (rule.enabled === false) continue;
+    const flag = checkConsistency(id, rule, values);
+    if (flag) flags.push(flag);
+  }
+
+  return flags;
+}
+
+function checkRange(field, value, rule, holeSize) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return null;
+
+  const band =
+    typeof holeSize === "number" && field !== "holeSize"
+      ? (rule.byHoleSize || [])
+          .slice()
+          .sort((a, b) => a.maxHoleSize - b.maxHoleSize)
+          .find(({ maxHoleSize }) => holeSize <= maxHoleSize)
+      : null;
+  const min = band?.min ?? rule.min;
+  const max = band?.max ?? rule.max;
+
+  if ((min == null || value >= min) && (max == null || value <= max)) {
+    return null;
+  }
+
+  const unit = unitFor(field);
+  const withUnit = number => (unit ? `${number} ${unit}` : `${number}`);
+  return {
+    rule: `range:${field}`,
+    type: "range",
+    severity: rule.severity || "error",
+    fields: [field],
+    message: `${field} ${withUnit(value)} is outside ${withUnit(
+      min ?? "-∞"
+    )} to ${withUnit(max ?? "∞")}${
+      band ? ` for a ${holeSize}" hole` : ""
+    }`,
+  };
+}
+
+function checkConsistency(id, rule, values) {
+  const number = field =>
+    typeof field === "number"
+      ? field
+      : typeof values[field] === "number"
+      ? values[field]
+      : null;
+
+  if (rule.type === "lessThan") {
+    const value = number(rule.field);
+    const limit = number(rule.than);
+    if (value == null || limit == null || value < limit) return null;
+
+    return {
+      rule: id,
+      type: "consistency",
+      severity: rule.severity || "warning",
+      fields: [rule.field, rule.than],
+      message: `${rule.field} ${value} is not less than ${rule.than} ${limit}`,
+    };
+  }
+
+  const operands = (rule.fields || []).map(number);
+  const expected = number(rule.equals);
+  if (operands.some(value => value == null) || expected == null) return null;
+
+  let actual;
+  let description;
+  if (rule.type === "sum") {
+    actual = operands.reduce((total, value) => total + value, 0);
+    description = rule.fields.join(" + ");
+  } else if (rule.type === "difference") {
+    actual = operands[0] - operands[1];
+    description = rule.fields.join(" - ");
+  } else {
+    return null;
+  }
+
+  const tolerance = rule.relative
+    ? Math.abs(expected) * (rule.tolerance ?? 0)
+    : rule.tolerance ?? 0;
+  if (Math.abs(actual - expected) <= tolerance) return null;
+
+  return {
+    rule: id,
+    type: "consistency",
+    severity: rule.severity || "warning",
+    fields: [
+      ...rule.fields,
+      ...(typeof rule.equals === "string" ? [rule.equals] : []),
+    ],
+    message: `${description} = ${round(actual)}, expected ≈ ${round(
+      expected
+    )}${typeof rule.equals === "string" ? ` (${rule.equals})` : ""}`,
+  };
+}
+
+/**
+ * Fields flagged with the given severity
+ */
+function flaggedFields(flags = [], severity = "error") {
+  return [
+    ...new Set(
+      flags
+        .filter(flag => flag.severity === severity)
+        .flatMap(flag => flag.fields)
+    ),
+  ];
+}
+
+/**
+ * Values with error-flagged fields moved out of the way
+ * @returns {{values: Object, flaggedValues: Object}}
+ */
+function withoutFlaggedValues(values = {}, flags = []) {
+  const result = { ...values };
+  const flaggedValues = {};
+
+  for (const field of flaggedFields(flags)) {
+    if (result[field] === undefined) continue;
+    flaggedValues[field] = result[field];
+    delete result[field];
+  }
+
+  return { values: result, flaggedValues };
+}
+
+/**
+ * Counts and messages for a file record or processing response
+ */
+function summarizeFlags(flags = []) {
+  return {
+    errors: flags.filter(flag => flag.severity === "error").length,
+    warnings: flags.filter(flag => flag.severity !== "error").length,
+    flags,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  checkValues,
+  flaggedFields,
+  withoutFlaggedValues,
+  summarizeFlags,
+};
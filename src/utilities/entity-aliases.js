@@ -0,0 +1,105 @@
+/**
+ * In-memory alias dictionary for equipment names ("N.O.V.", "National
+ * Oilwell", "NOV Downhole" -> "NOV"). The entries are managed by admins and
+ * loaded from DynamoDB by the alias service; the parsers and search helpers
+ * only read from here, so they stay synchronous.
+ */
+const ALIAS_FIELDS = ["motorMake", "statorVendor", "bitMake", "bitModel"];
+
+let lookups = new Map(); // field -> Map(alias key -> canonical name)
+let textReplacements = []; // [{ pattern, canonical }], longest alias first
+
+/**
+ * Replace the active dictionary
+ * @param {Array<{field: string, canonical: string, aliases: string[]}>} entries
+ */
+function setAliasDictionary(entries = []) {
+  const nextLookups = new Map(ALIAS_FIELDS.map(field => [field, new Map()]));
+  const phrases = new Map();
+
+  for (const { field, canonical, aliases = [] } of entries) {
+    const lookup = nextLookups.get(field);
+    if (!lookup || !canonical) continue;
+
+    for (const name of [canonical, ...aliases]) {
+      const key = aliasKey(name);
+      if (key) lookup.set(key, canonical);
+
+      // Free text only needs the spellings that differ from the canonical name
+      const phrase = String(name).trim();
+      if (phrase && phrase.toLowerCase() !== canonical.toLowerCase()) {
+        phrases.set(phrase.toLowerCase(), { phrase, canonical });
+      }
+    }
+  }
+
+  lookups = nextLookups;
+  textReplacements = [...phrases.values()]
+    .sort((a, b) => b.phrase.length - a.phrase.length)
+    .map(({ phrase, canonical }) => ({
+      pattern: new RegExp(
+        `(?<![A-Za-z0-9])${escapeRegExp(phrase)}(?![A-Za-z0-9])`,
+        "gi"
+      ),
+      canonical,
+    }));
+}
+
+/**
+ * Canonical name for a field value; unknown values are returned trimmed
+ */
+function canonicalize(field, value) {
+  if (typeof value !== "string") return value;
+
+  const trimmed = value.trim();
+  return lookups.get(field)?.get(aliasKey(trimmed)) || trimmed;
+}
+
+/**
+ * Copy of `values` with every alias field canonicalized
+ */
+function canonicalizeValues(values = {}) {
+  const result = { ...values };
+  for (const field of ALIAS_FIELDS) {
+    if (result[field] != null) {
+      result[field] = canonicalize(field, result[field]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Rewrite alias spellings in free text to their canonical names
+ */
+function canonicalizeText(text) {
+  if (!text || typeof text !== "string" || textReplacements.length === 0) {
+    return text;
+  }
+
+  return textReplacements.reduce(
+    (result, { pattern, canonical }) => result.replace(pattern, canonical),
+    text
+  );
+}
+
+/**
+ * Case, spacing and punctuation-insensitive key: "N.O.V." and "nov" match
+ */
+function aliasKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+}
+
+module.exports = {
+  ALIAS_FIELDS,
+  setAliasDictionary,
+  canonicalize,
+  canonicalizeValues,
+  canonicalizeText,
+  aliasKey,
+};
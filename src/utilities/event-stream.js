@@ -0,0 +1,38 @@
+/**
+ * Server-Sent Events helpers for streaming responses over plain HTTP
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx, ALB)
+  });
+  res.flushHeaders();
+}
+
+/** Write a single named event; data is always JSON encoded */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return false;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  return true;
+}
+
+function closeEventStream(res) {
+  if (!res.writableEnded) res.end();
+}
+
+/** Client asked for a stream through the body flag or the Accept header */
+function wantsEventStream(req) {
+  const flag = req.body?.stream;
+  if (flag === true || flag === "true") return true;
+  return (req.headers?.accept || "").includes("text/event-stream");
+}
+
+module.exports = {
+  openEventStream,
+  sendEvent,
+  closeEventStream,
+  wantsEventStream,
+};
@@ -3,10 +3,11 @@ function formatDocumentAnalysis(blocks) {
   const keyMap = {};
   const valueMap = {};
   const tableCells = [];
+  const cellTables = {};
 
   for (const block of blocks) {
     if (block.BlockType === "KEY_VALUE_SET") {
-      const isKey = block.EntityTypes.includes("KEY");
+      const isKey = (block.EntityTypes || []).includes("KEY");
       if (isKey) keyMap[block.Id] = block;
       else valueMap[block.Id] = block;
     }
@@ -14,6 +15,14 @@ function formatDocumentAnalysis(blocks) {
     if (block.BlockType === "CELL") {
       tableCells.push(block);
     }
+
+    // Cells belong to the TABLE block that lists them as children
+    if (block.BlockType === "TABLE") {
+      (block.Relationships || [])
+        .filter((r) => r.Type === "CHILD")
+        .flatMap((r) => r.Ids)
+        .forEach((id) => (cellTables[id] = block.Id));
+    }
   }
 
   // Extract key-value pairs
@@ -24,19 +33,21 @@ function formatDocumentAnalysis(blocks) {
     const valueTexts = valueIds.map((id) => getText(valueMap[id], blockMap));
     return {
       key: getText(keyBlock, blockMap),
-      value: valueTexts.join(" ")
+      value: valueTexts.join(" "),
+      page: keyBlock.Page || 1
     };
   });
 
   // Extract tables
   const tables = {};
   for (const cell of tableCells) {
-    const tableId = cell.TableId || "default";
+    const tableId = cellTables[cell.Id] || cell.TableId || "default";
     if (!tables[tableId]) tables[tableId] = [];
     tables[tableId].push({
       row: cell.RowIndex,
       col: cell.ColumnIndex,
-      text: getText(cell, blockMap)
+      text: getText(cell, blockMap),
+      page: cell.Page || 1
     });
   }
 
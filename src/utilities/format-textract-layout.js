@@ -0,0 +1,104 @@
+const formatDocumentAnalysis = require("./format-document-analysis");
+const { pageMarker } = require("./page-index");
+
+/**
+ * Lay out Textract results page by page in the structure the PDF parser
+ * produces: page markers, free text lines, "Key: Value" form fields and
+ * tables as " | " separated rows (header row first), so
+ * preserveTabularStructure and the chunker see the same shapes.
+ * Lines that fall inside a table or form field are dropped to avoid
+ * repeating the same values as loose text.
+ * @param {Object} params
+ * @param {Array} params.analysisBlocks - TABLES/FORMS analysis blocks
+ * @param {Array} params.textBlocks - Text detection blocks
+ * @returns {{text: string, pageCount: number, tableCount: number, formFieldCount: number}}
+ */
+function formatTextractLayout({ analysisBlocks = [], textBlocks = [] }) {
+  const { forms, tables } = formatDocumentAnalysis(analysisBlocks);
+
+  const structuredBoxes = analysisBlocks.filter(
+    (block) =>
+      (block.BlockType === "TABLE" || block.BlockType === "KEY_VALUE_SET") &&
+      block.Geometry?.BoundingBox
+  );
+
+  const pages = new Map();
+  const pageFor = (number) => {
+    if (!pages.has(number)) {
+      pages.set(number, { lines: [], forms: [], tables: [] });
+    }
+    return pages.get(number);
+  };
+
+  for (const line of textBlocks.filter((b) => b.BlockType === "LINE")) {
+    const page = line.Page || 1;
+    if (isInside(line, structuredBoxes, page)) continue;
+    pageFor(page).lines.push(line.Text);
+  }
+
+  for (const field of forms) {
+    if (!field.key?.trim()) continue;
+    pageFor(field.page).forms.push(
+      `${cleanLabel(field.key)}: ${field.value.trim()}`
+    );
+  }
+
+  const tableList = Object.values(tables);
+  for (const cells of tableList) {
+    pageFor(cells[0]?.page || 1).tables.push(formatTable(cells));
+  }
+
+  const text = [...pages.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([number, page]) =>
+      [
+        pageMarker(number),
+        ...page.lines,
+        ...(page.forms.length ? ["", "FORM FIELDS:", ...page.forms] : []),
+        ...page.tables.flatMap((table) => ["", table])
+      ].join("\n")
+    )
+    .join("\n\n");
+
+  return {
+    text,
+    pageCount: pages.size,
+    tableCount: tableList.length,
+    formFieldCount: forms.length
+  };
+}
+
+function formatTable(cells) {
+  const rows = {};
+  for (const cell of cells) {
+    rows[cell.row] = rows[cell.row] || [];
+    rows[cell.row][cell.col - 1] = cell.text.trim();
+  }
+
+  return Object.keys(rows)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((row) => Array.from(rows[row], (value) => value || "").join(" | "))
+    .join("\n");
+}
+
+function cleanLabel(label) {
+  return label.trim().replace(/[:\s]+$/, "");
+}
+
+/** Whether a line's center lies inside a table or form box on the same page */
+function isInside(line, boxes, page) {
+  const box = line.Geometry?.BoundingBox;
+  if (!box) return false;
+
+  const x = box.Left + box.Width / 2;
+  const y = box.Top + box.Height / 2;
+
+  return boxes.some((block) => {
+    if ((block.Page || 1) !== page) return false;
+    const { Left, Top, Width, Height } = block.Geometry.BoundingBox;
+    return x >= Left && x <= Left + Width && y >= Top && y <= Top + Height;
+  });
+}
+
+module.exports = formatTextractLayout;
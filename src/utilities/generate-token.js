@@ -2,15 +2,16 @@ const jwt = require("jsonwebtoken");
 const { handlers } = require("../utilities/handlers");
 
 const secretKey = process.env.JWT_SECRET;
-const tokenExpirationTime = process.env.TOKEN_EXPIRATION;
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const tokenExpirationTime = process.env.ACCESS_TOKEN_EXPIRATION || "15m";
 
 const secureEnv = process.env.NODE_ENV;
 const sameSite = process.env.SAME_SITE;
 const maxAge = process.env.MAX_AGE;
 
-const generateToken = ({ _id, res }) => {
+const generateToken = ({ _id, sessionId, res }) => {
   try {
-    const token = jwt.sign({ _id }, secretKey, {
+    const token = jwt.sign({ _id, sid: sessionId }, secretKey, {
       expiresIn: tokenExpirationTime
     });
 
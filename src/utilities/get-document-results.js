@@ -8,12 +8,21 @@ async function wait(ms) {
   return new Promise((res) => setTimeout(res, ms));
 }
 
-async function pollTextractJob(JobId, type, maxRetries = 40, interval = 3000) {
+async function pollTextractJob(
+  JobId,
+  type,
+  { client = textractClient, maxRetries = 40, interval = 3000, signal } = {}
+) {
   let retries = 0;
   let nextToken = null;
   let blocks = [];
 
   while (true) {
+    // The caller gave up (e.g. a strategy timeout); stop polling
+    if (signal?.aborted) {
+      throw new Error(`Textract ${type} polling aborted`);
+    }
+
     const params = { JobId };
     if (nextToken) params.NextToken = nextToken;
 
@@ -22,7 +31,10 @@ async function pollTextractJob(JobId, type, maxRetries = 40, interval = 3000) {
         ? new GetDocumentAnalysisCommand(params)
         : new GetDocumentTextDetectionCommand(params);
 
-    const result = await textractClient.send(command);
+    const result = await client.send(
+      command,
+      signal && { abortSignal: signal }
+    );
 
     if (result.JobStatus === "FAILED") {
       throw new Error(`Textract ${type} job failed`);
@@ -43,17 +55,33 @@ async function pollTextractJob(JobId, type, maxRetries = 40, interval = 3000) {
 }
 
 /**
- * Get and combine results of both analysis and text detection jobs
+ * Get and combine results of both analysis and text detection jobs.
+ * Without a text job, the LINE and WORD blocks of the analysis stand in
+ * for the text detection blocks.
  * @param {Object} params
  * @param {string} params.analysisJobId
- * @param {string} params.textJobId
+ * @param {string|null} [params.textJobId]
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Textract client (defaults to the shared one)
+ * @param {number} [options.maxRetries=40] - Polls before giving up on a job
+ * @param {number} [options.interval=3000] - Delay between polls in ms
+ * @param {AbortSignal} [options.signal] - Stops polling when aborted
  */
-async function getDocumentResults({ analysisJobId, textJobId }) {
+async function getDocumentResults({ analysisJobId, textJobId }, options = {}) {
   const [analysisBlocks, textBlocks] = await Promise.all([
-    pollTextractJob(analysisJobId, "ANALYSIS"),
-    pollTextractJob(textJobId, "TEXT")
+    pollTextractJob(analysisJobId, "ANALYSIS", options),
+    textJobId ? pollTextractJob(textJobId, "TEXT", options) : null
   ]);
 
+  if (!textBlocks) {
+    const textTypes = ["PAGE", "LINE", "WORD"];
+    return {
+      analysisBlocks,
+      textBlocks: analysisBlocks.filter((b) => textTypes.includes(b.BlockType)),
+      combinedBlocks: analysisBlocks
+    };
+  }
+
   return {
     analysisBlocks,
     textBlocks,
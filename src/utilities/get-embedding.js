@@ -1,4 +1,6 @@
 const openaiClient = require("../config/openai");
+const mapWithConcurrency = require("./map-with-concurrency");
+const { canonicalizeText } = require("./entity-aliases");
 
 /**
  * Enhanced embedding generation optimized for drilling reports and technical queries
@@ -8,7 +10,9 @@ const openaiClient = require("../config/openai");
  * @param {number} [options.maxLength=8191] - Truncation limit per input.
  * @param {boolean} [options.enhanceDrillingContext=true] - Add drilling-specific context enhancement.
  * @param {number} [options.retries=2] - Number of retry attempts on failure.
+ *   Input errors (see isInputError) are not retried.
  * @returns {Promise<number[] | number[][]>} - Single or batch embedding(s).
+ * @throws {Error} - With the API error's `status` and the error as `cause`.
  */
 async function getEmbedding(inputText, options = {}) {
   const {
@@ -49,15 +53,16 @@ async function getEmbedding(inputText, options = {}) {
       );
       return Array.isArray(inputText) ? embeddings : embeddings[0];
     } catch (error) {
-      const isLastAttempt = attempt === retries + 1;
+      const isLastAttempt = attempt === retries + 1 || isInputError(error);
 
       if (isLastAttempt) {
         console.error(`❌ Final embedding attempt failed: ${error.message}`);
-        throw new Error(
-          `Embedding generation failed after ${retries + 1} attempts: ${
-            error.message
-          }`
+        const failure = new Error(
+          `Embedding generation failed after ${attempt} attempt(s): ${error.message}`,
+          { cause: error }
         );
+        failure.status = error.status;
+        throw failure;
       }
 
       console.warn(
@@ -133,7 +138,8 @@ function normalizeDrillingTerminology(text) {
     "hole size": "hole_diameter_size",
   };
 
-  let normalized = text;
+  // Equipment names first, so "National Oilwell" and "NOV" embed alike
+  let normalized = canonicalizeText(text);
   for (const [term, replacement] of Object.entries(terminology)) {
     const regex = new RegExp(term, "gi");
     normalized = normalized.replace(regex, replacement);
@@ -281,37 +287,140 @@ function validateEmbeddings(embeddings, originalTexts) {
 }
 
 /**
- * Batch embedding generation with optimized processing
+ * Errors caused by the request's input (invalid input, too many tokens) fail
+ * the same way every time. Rate limits, server errors and timeouts don't.
+ */
+function isInputError(error) {
+  return [400, 413, 422].includes(error?.status);
+}
+
+/**
+ * Rough token estimate for batching (~4 characters per token for English text)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Split texts into request batches bounded by input count and estimated tokens
+ */
+function createTokenBoundedBatches(textArray, maxBatchSize, maxBatchTokens) {
+  const batches = [];
+  let current = { indices: [], tokens: 0 };
+
+  textArray.forEach((text, index) => {
+    const tokens = estimateTokens(text);
+
+    if (
+      current.indices.length > 0 &&
+      (current.indices.length >= maxBatchSize ||
+        current.tokens + tokens > maxBatchTokens)
+    ) {
+      batches.push(current);
+      current = { indices: [], tokens: 0 };
+    }
+
+    current.indices.push(index);
+    current.tokens += tokens;
+  });
+
+  if (current.indices.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * Batch embedding generation: token-bounded requests with bounded concurrency.
+ * A batch rejected for its input is split in half until the failing input is
+ * isolated, so one bad chunk doesn't cost the whole batch. Other failures
+ * (rate limits, server errors) were already retried by getEmbedding and fail
+ * the whole batch; splitting would only multiply the requests.
+ * @param {string[]} textArray - Texts to embed.
+ * @param {Object} [options] - getEmbedding options plus batching controls.
+ * @param {number} [options.maxBatchSize=256] - Maximum inputs per request.
+ * @param {number} [options.maxBatchTokens=100000] - Estimated token budget per request.
+ * @param {number} [options.concurrency=4] - Requests in flight at once.
+ * @param {Function} [options.beforeRequest] - Awaited before each request (rate limiting).
+ * @param {Function} [options.onBatchComplete] - Called with ({ indices, embeddings, errors }) per batch.
+ * @returns {Promise<{embeddings: Array<number[]|null>, errors: Array<{index: number, error: string}>}>}
+ *          - Embeddings aligned with the input (null where generation failed).
  */
 async function getBatchEmbeddings(textArray, options = {}) {
-  const batchSize = options.batchSize || 100;
-  const results = [];
+  const {
+    maxBatchSize = 256,
+    maxBatchTokens = 100000,
+    concurrency = 4,
+    beforeRequest = null,
+    onBatchComplete = null,
+    ...embeddingOptions
+  } = options;
+
+  const embeddings = new Array(textArray.length).fill(null);
+  const errors = [];
+  const batches = createTokenBoundedBatches(
+    textArray,
+    maxBatchSize,
+    maxBatchTokens
+  );
 
   console.log(
-    `🧠 Processing ${textArray.length} texts in batches of ${batchSize}`
+    `🧠 Processing ${textArray.length} texts in ${batches.length} token-bounded batch(es), concurrency ${concurrency}`
   );
 
-  for (let i = 0; i < textArray.length; i += batchSize) {
-    const batch = textArray.slice(i, i + batchSize);
+  const embedIndices = async indices => {
+    const batchErrors = [];
+
+    try {
+      if (beforeRequest) await beforeRequest();
+      const batchEmbeddings = await getEmbedding(
+        indices.map(index => textArray[index]),
+        embeddingOptions
+      );
+      indices.forEach((index, i) => {
+        embeddings[index] = batchEmbeddings[i];
+      });
+    } catch (error) {
+      if (indices.length === 1 || !isInputError(error)) {
+        batchErrors.push(
+          ...indices.map(index => ({ index, error: error.message }))
+        );
+      } else {
+        const middle = Math.ceil(indices.length / 2);
+        console.warn(
+          `⚠️ Batch of ${indices.length} failed, splitting to isolate bad input`
+        );
+        batchErrors.push(...(await embedIndices(indices.slice(0, middle))));
+        batchErrors.push(...(await embedIndices(indices.slice(middle))));
+      }
+    }
+
+    return batchErrors;
+  };
+
+  await mapWithConcurrency(batches, concurrency, async (batch, batchIndex) => {
     console.log(
-      `📦 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(
-        textArray.length / batchSize
-      )}`
+      `📦 Embedding batch ${batchIndex + 1}/${batches.length} (${
+        batch.indices.length
+      } texts, ~${batch.tokens} tokens)`
     );
 
-    const batchEmbeddings = await getEmbedding(batch, options);
-    results.push(...batchEmbeddings);
+    const batchErrors = await embedIndices(batch.indices);
+    errors.push(...batchErrors);
 
-    // Small delay between batches to respect rate limits
-    if (i + batchSize < textArray.length) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+    if (onBatchComplete) {
+      await onBatchComplete({
+        indices: batch.indices,
+        embeddings: batch.indices.map(index => embeddings[index]),
+        errors: batchErrors,
+      });
     }
-  }
+  });
 
   console.log(
-    `✅ Batch processing complete: ${results.length} embeddings generated`
+    `✅ Batch processing complete: ${
+      textArray.length - errors.length
+    } embeddings generated, ${errors.length} failed`
   );
-  return results;
+  return { embeddings, errors };
 }
 
 /**
@@ -347,4 +456,5 @@ function generateCacheKey(inputText, options) {
 // Export main function and utilities
 module.exports = getEmbedding;
 module.exports.getBatchEmbeddings = getBatchEmbeddings;
+module.exports.estimateTokens = estimateTokens;
 module.exports.getEmbeddingWithCache = getEmbeddingWithCache;
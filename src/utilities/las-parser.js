@@ -0,0 +1,410 @@
+/**
+ * LAS 2.0 well-log parser. Header sections become metadata chunks and the
+ * ~A data block is summarised per curve over fixed depth intervals, so
+ * interval questions ("average ROP between 8,000 and 9,000 ft") can be
+ * answered from indexed chunks instead of raw samples.
+ */
+
+// Interval width per depth unit; overridable with LAS_DEPTH_INTERVAL
+const DEFAULT_INTERVALS = { ft: 1000, m: 300 };
+
+// Header lines look like "MNEM.UNIT   DATA : DESCRIPTION"; the last colon
+// delimits the description so values such as times may contain colons
+const HEADER_LINE_PATTERN = /^\s*([^.\s]+)\s*\.(\S*)\s*(.*):([^:]*)$/;
+
+/**
+ * Parse a LAS 2.0 file into header metadata, curve statistics and chunks
+ * @param {Buffer|string} input - LAS file contents.
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Used in chunk headers.
+ * @param {number} [options.intervalSize] - Depth interval width for statistics.
+ * @returns {{version: Object, well: Object, curves: Array, parameters: Array,
+ *           intervals: Array, chunks: Array, text: string}}
+ */
+function extractFromLAS(input, options = {}) {
+  const { fileName = "well.las" } = options;
+
+  const raw = Buffer.isBuffer(input) ? input.toString("latin1") : input;
+  if (typeof raw !== "string" || !raw.trim()) {
+    throw new Error("Invalid LAS file: empty or not a buffer");
+  }
+
+  const sections = splitSections(raw);
+  if (!sections.V || !sections.C || !sections.A) {
+    throw new Error(
+      "Invalid LAS file: ~Version, ~Curve and ~ASCII sections are required"
+    );
+  }
+
+  const version = toLookup(parseHeaderSection(sections.V));
+  if (version.VERS && !String(version.VERS.value).startsWith("2")) {
+    throw new Error(
+      `Unsupported LAS version ${version.VERS.value}; only LAS 2.0 is supported`
+    );
+  }
+
+  const wellItems = parseHeaderSection(sections.W || []);
+  const well = describeWell(toLookup(wellItems));
+  const curves = parseHeaderSection(sections.C).map(item => ({
+    mnemonic: item.mnemonic,
+    unit: item.unit || null,
+    description: item.description || null,
+  }));
+  const parameters = parseHeaderSection(sections.P || []);
+
+  if (curves.length < 2) {
+    throw new Error("Invalid LAS file: expected a depth curve and data curves");
+  }
+
+  const samples = parseDataSection(sections.A, curves.length, well.nullValue);
+  const depthUnit = normalizeDepthUnit(curves[0].unit || well.depthUnit);
+  const intervalSize =
+    options.intervalSize ||
+    Number(process.env.LAS_DEPTH_INTERVAL) ||
+    DEFAULT_INTERVALS[depthUnit] ||
+    1000;
+
+  const dataCurves = curves.slice(1);
+  const overall = summarizeCurves(samples, dataCurves);
+  const intervals = groupByInterval(samples, intervalSize).map(group => ({
+    depthFrom: group.depthFrom,
+    depthTo: group.depthTo,
+    sampleCount: group.samples.length,
+    curves: summarizeCurves(group.samples, dataCurves),
+  }));
+
+  curves.forEach((curve, idx) => {
+    if (idx > 0) curve.stats = overall[curve.mnemonic] || null;
+  });
+
+  const context = { fileName, well, depthUnit };
+  const chunks = [
+    buildHeaderChunk(context, curves, parameters, samples.length),
+    ...(parameters.length ? [buildParameterChunk(context, parameters)] : []),
+    buildIntervalChunk(context, dataCurves, {
+      depthFrom: samples[0]?.[0] ?? well.startDepth,
+      depthTo: samples[samples.length - 1]?.[0] ?? well.stopDepth,
+      sampleCount: samples.length,
+      curves: overall,
+      scope: "whole_log",
+    }),
+    ...intervals
+      .filter(interval => interval.sampleCount > 0)
+      .map(interval =>
+        buildIntervalChunk(context, dataCurves, {
+          ...interval,
+          scope: "interval",
+        })
+      ),
+  ];
+
+  console.log(
+    `🪵 LAS parsed: ${well.wellName || "unknown well"}, ${curves.length} curves, ${
+      samples.length
+    } samples, ${intervals.length} intervals of ${intervalSize} ${depthUnit}`
+  );
+
+  return {
+    version: {
+      version: version.VERS?.value || null,
+      wrap: version.WRAP?.value || null,
+    },
+    well: { ...well, depthUnit },
+    curves,
+    parameters: parameters.map(({ mnemonic, unit, value, description }) => ({
+      mnemonic,
+      unit,
+      value,
+      description,
+    })),
+    intervalSize,
+    intervals,
+    chunks,
+    text: chunks.map(chunk => chunk.content).join("\n\n"),
+  };
+}
+
+/**
+ * Group lines by section letter (~V, ~W, ~C, ~P, ~O, ~A); comments dropped
+ */
+function splitSections(raw) {
+  const sections = {};
+  let current = null;
+
+  for (const line of raw.split(/\r?\n/)) {
+    if (line.startsWith("#")) continue;
+
+    const header = line.match(/^\s*~\s*([A-Za-z])/);
+    if (header) {
+      current = header[1].toUpperCase();
+      sections[current] = sections[current] || [];
+      continue;
+    }
+
+    if (current && line.trim()) sections[current].push(line);
+  }
+
+  return sections;
+}
+
+function parseHeaderSection(lines) {
+  return lines
+    .map(line => {
+      const match = line.match(HEADER_LINE_PATTERN);
+      if (!match) return null;
+
+      const [, mnemonic, unit, value, description] = match;
+      return {
+        mnemonic: mnemonic.toUpperCase(),
+        unit: unit || null,
+        value: value.trim() === "" ? null : value.trim(),
+        description: description.trim() || null,
+      };
+    })
+    .filter(Boolean);
+}
+
+function toLookup(items) {
+  return Object.fromEntries(items.map(item => [item.mnemonic, item]));
+}
+
+/**
+ * Well identity and depth range from the ~Well section. LAS 2.0 puts the
+ * value before the colon; older files put it in the description, so fall back.
+ */
+function describeWell(lookup) {
+  const text = mnemonic => {
+    const item = lookup[mnemonic];
+    const value = item?.value || item?.description;
+    return value ? String(value).trim() : null;
+  };
+  const number = mnemonic => {
+    const value = parseFloat(lookup[mnemonic]?.value);
+    return Number.isFinite(value) ? value : null;
+  };
+
+  return {
+    wellName: text("WELL"),
+    uwi: text("UWI") || text("API"),
+    company: text("COMP"),
+    field: text("FLD"),
+    location: text("LOC"),
+    serviceCompany: text("SRVC"),
+    logDate: text("DATE"),
+    startDepth: number("STRT"),
+    stopDepth: number("STOP"),
+    step: number("STEP"),
+    nullValue: number("NULL") ?? -999.25,
+    depthUnit: lookup.STRT?.unit || null,
+  };
+}
+
+/**
+ * Numeric samples from the ~A section. Values are read as one stream so
+ * wrapped (WRAP YES) and unwrapped files parse the same way.
+ */
+function parseDataSection(lines, curveCount, nullValue) {
+  const values = lines
+    .join(" ")
+    .trim()
+    .split(/\s+/)
+    .map(Number);
+
+  const samples = [];
+  for (let i = 0; i + curveCount <= values.length; i += curveCount) {
+    const row = values
+      .slice(i, i + curveCount)
+      .map(v => (!Number.isFinite(v) || v === nullValue ? null : v));
+    if (row[0] != null) samples.push(row);
+  }
+
+  return samples;
+}
+
+function normalizeDepthUnit(unit) {
+  const normalized = String(unit || "ft")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  if (["m", "meter", "meters", "metre", "metres"].includes(normalized)) {
+    return "m";
+  }
+  return "ft";
+}
+
+/**
+ * Bucket samples into [from, to) intervals aligned to multiples of the size
+ */
+function groupByInterval(samples, intervalSize) {
+  const groups = new Map();
+
+  for (const sample of samples) {
+    const depthFrom = Math.floor(sample[0] / intervalSize) * intervalSize;
+    if (!groups.has(depthFrom)) {
+      groups.set(depthFrom, {
+        depthFrom,
+        depthTo: depthFrom + intervalSize,
+        samples: [],
+      });
+    }
+    groups.get(depthFrom).samples.push(sample);
+  }
+
+  return [...groups.values()].sort((a, b) => a.depthFrom - b.depthFrom);
+}
+
+/**
+ * min / max / average / count per curve, ignoring null samples
+ */
+function summarizeCurves(samples, dataCurves) {
+  const stats = {};
+
+  dataCurves.forEach((curve, idx) => {
+    const values = samples
+      .map(sample => sample[idx + 1])
+      .filter(value => value != null);
+    if (values.length === 0) return;
+
+    // Logs can hold many thousands of samples, so no Math.min(...values)
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+      sum += value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+
+    stats[curve.mnemonic] = {
+      avg: round(sum / values.length),
+      min: round(min),
+      max: round(max),
+      count: values.length,
+    };
+  });
+
+  return stats;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function wellLabel(well) {
+  return well.wellName || well.uwi || "unknown well";
+}
+
+function basePayload({ well, depthUnit }) {
+  return {
+    wellName: well.wellName,
+    uwi: well.uwi,
+    depthUnit,
+  };
+}
+
+function buildHeaderChunk(context, curves, parameters, sampleCount) {
+  const { fileName, well, depthUnit } = context;
+  const metrics = [
+    ["WELL", well.wellName],
+    ["UWI", well.uwi],
+    ["COMPANY", well.company],
+    ["FIELD", well.field],
+    ["LOCATION", well.location],
+    ["SERVICE_COMPANY", well.serviceCompany],
+    ["LOG_DATE", well.logDate],
+    ["START_DEPTH", well.startDepth],
+    ["STOP_DEPTH", well.stopDepth],
+    ["STEP", well.step],
+    ["DEPTH_UNIT", depthUnit],
+    ["SAMPLES", sampleCount],
+  ]
+    .filter(([, value]) => value != null)
+    .map(([label, value]) => `${label}: ${value}`);
+
+  const curveList = curves.map(
+    curve =>
+      `${curve.mnemonic}${curve.unit ? ` (${curve.unit})` : ""}${
+        curve.description ? ` - ${curve.description}` : ""
+      }`
+  );
+
+  return {
+    content: [
+      `LAS WELL LOG STRUCTURED DATA: ${fileName} / ${wellLabel(well)} / header`,
+      `METRICS: ${metrics.join(" | ")}`,
+      `CURVES: ${curveList.join(" | ")}`,
+    ].join("\n"),
+    payload: {
+      ...basePayload(context),
+      lasSection: "header",
+      sectionType: "las_header",
+      depthFrom: well.startDepth,
+      depthTo: well.stopDepth,
+      curveMnemonics: curves.map(curve => curve.mnemonic),
+      curveUnits: Object.fromEntries(
+        curves.map(curve => [curve.mnemonic, curve.unit])
+      ),
+      parameterCount: parameters.length,
+    },
+  };
+}
+
+function buildParameterChunk(context, parameters) {
+  const { fileName, well } = context;
+  const values = parameters.map(
+    param =>
+      `${param.mnemonic}: ${param.value ?? ""}${param.unit ? ` ${param.unit}` : ""}${
+        param.description ? ` (${param.description})` : ""
+      }`
+  );
+
+  return {
+    content: [
+      `LAS WELL LOG STRUCTURED DATA: ${fileName} / ${wellLabel(well)} / parameters`,
+      `PARAMETERS: ${values.join(" | ")}`,
+    ].join("\n"),
+    payload: {
+      ...basePayload(context),
+      lasSection: "parameters",
+      sectionType: "las_parameters",
+    },
+  };
+}
+
+/**
+ * Curve statistics over a depth range, written as METRICS so each line
+ * reads on its own ("ROP avg 85.2 ft/hr over 8000-9000 ft")
+ */
+function buildIntervalChunk(context, dataCurves, interval) {
+  const { fileName, well, depthUnit } = context;
+  const { depthFrom, depthTo, sampleCount, curves, scope } = interval;
+  const range = `${depthFrom}-${depthTo} ${depthUnit}`;
+
+  const metrics = dataCurves
+    .filter(curve => curves[curve.mnemonic])
+    .map(curve => {
+      const { avg, min, max, count } = curves[curve.mnemonic];
+      const unit = curve.unit ? ` ${curve.unit}` : "";
+      return `${curve.mnemonic}: avg ${avg}${unit}, min ${min}, max ${max}, samples ${count}`;
+    });
+
+  return {
+    content: [
+      `LAS CURVE STATISTICS: ${fileName} / ${wellLabel(well)} / ${
+        scope === "whole_log" ? `whole log ${range}` : `interval ${range}`
+      }`,
+      `METRICS: WELL: ${wellLabel(well)} | DEPTH_FROM: ${depthFrom} | DEPTH_TO: ${depthTo} | DEPTH_UNIT: ${depthUnit} | SAMPLES: ${sampleCount}`,
+      ...metrics,
+    ].join("\n"),
+    payload: {
+      ...basePayload(context),
+      lasSection: scope,
+      sectionType: "las_curve_statistics",
+      depthFrom,
+      depthTo,
+      sampleCount,
+      curveStats: curves,
+    },
+  };
+}
+
+module.exports = extractFromLAS;
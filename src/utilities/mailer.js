@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+
+/**
+ * Outgoing mail goes through one transport, picked by MAIL_TRANSPORT.
+ * A transport is any object with `async send(message)`; register others
+ * (SES, SMTP...) with registerTransport, or swap the instance in tests with
+ * setTransport.
+ *
+ * message: { from, to, subject, text, html? }
+ */
+const transports = {
+  // Development: print the message to the server log. Bodies carry reset
+  // links, so production logs only the envelope
+  console: () => ({
+    async send(message) {
+      const id = crypto.randomUUID();
+      const body =
+        process.env.NODE_ENV === "production" ? "" : `\n${message.text}`;
+      console.log(`📧 Mail ${id} to ${message.to}: ${message.subject}${body}`);
+      return { id };
+    },
+  }),
+
+  // Development and tests: one JSON file per message in MAIL_FILE_DIR
+  file: () => {
+    const directory =
+      process.env.MAIL_FILE_DIR ||
+      path.join(
+        process.env.AWS_LAMBDA_FUNCTION_NAME ? "/tmp" : os.tmpdir(),
+        "mail"
+      );
+
+    return {
+      async send(message) {
+        const id = crypto.randomUUID();
+        const filePath = path.join(directory, `${Date.now()}-${id}.json`);
+
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(
+          filePath,
+          JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2)
+        );
+        console.log(`📧 Mail ${id} to ${message.to} written to ${filePath}`);
+        return { id, filePath };
+      },
+    };
+  },
+};
+
+let activeTransport = null;
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+function getTransport() {
+  if (activeTransport) return activeTransport;
+
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(
+        transports
+      ).join(", ")}`
+    );
+  }
+
+  if (name === "console" && process.env.NODE_ENV === "production") {
+    console.warn(
+      "⚠️ MAIL_TRANSPORT is console in production; mail is not delivered"
+    );
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+}
+
+/**
+ * Send one message through the configured transport
+ * @returns {Promise<{id: string}>}
+ */
+async function sendMail({ to, subject, text, html }) {
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  });
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport,
+  getTransport,
+};
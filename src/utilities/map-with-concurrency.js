@@ -0,0 +1,26 @@
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Results keep the input order; a rejection stops scheduling and rejects.
+ * @param {Array} items - Items to process.
+ * @param {number} limit - Maximum concurrent calls.
+ * @param {(item: *, index: number) => Promise<*>} fn - Async mapper.
+ * @returns {Promise<Array>} - Mapped results in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = mapWithConcurrency;
@@ -0,0 +1,82 @@
+/**
+ * Page marker helpers shared by the PDF parser and the chunker.
+ * Extractors prefix every page with "=== PAGE n ===" so page numbers
+ * survive text post-processing and can be recovered for any char offset.
+ */
+const PAGE_MARKER_PATTERN = /=== PAGE (\d+) ===/g;
+
+function pageMarker(pageNumber) {
+  return `=== PAGE ${pageNumber} ===`;
+}
+
+/**
+ * Build a sorted list of { page, charStart, charEnd } ranges from page markers
+ * @param {string} text - Extracted document text containing page markers
+ * @returns {Array<{page: number, charStart: number, charEnd: number}>}
+ */
+function buildPageIndex(text) {
+  if (!text) return [];
+
+  const markers = [...text.matchAll(PAGE_MARKER_PATTERN)].map(match => ({
+    page: Number(match[1]),
+    charStart: match.index,
+  }));
+
+  return markers.map((marker, idx) => ({
+    ...marker,
+    charEnd: idx + 1 < markers.length ? markers[idx + 1].charStart : text.length,
+  }));
+}
+
+/** Page number containing a character offset, or null when the text has no markers */
+function getPageAt(pageIndex, offset) {
+  if (!pageIndex?.length || offset == null || offset < 0) return null;
+
+  let page = pageIndex[0].page;
+  for (const entry of pageIndex) {
+    if (entry.charStart > offset) break;
+    page = entry.page;
+  }
+  return page;
+}
+
+/**
+ * Locate a chunk body inside the source text, searching forward from a cursor
+ * so overlapping chunks resolve to successive positions
+ */
+function locateInText(text, body, fromIndex = 0) {
+  if (!text || !body) return null;
+
+  let charStart = text.indexOf(body, fromIndex);
+  if (charStart === -1) charStart = text.indexOf(body);
+
+  // Fall back to the opening of the chunk when the full body was altered
+  if (charStart === -1) {
+    const probe = body.substring(0, 80);
+    charStart = text.indexOf(probe, fromIndex);
+    if (charStart === -1) charStart = text.indexOf(probe);
+  }
+
+  if (charStart === -1) return null;
+
+  return {
+    charStart,
+    charEnd: Math.min(charStart + body.length, text.length),
+  };
+}
+
+function stripPageMarkers(text = "") {
+  return text
+    .replace(/\s*=== PAGE \d+ ===\s*/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = {
+  PAGE_MARKER_PATTERN,
+  pageMarker,
+  buildPageIndex,
+  getPageAt,
+  locateInText,
+  stripPageMarkers,
+};
@@ -5,6 +5,14 @@ const path = require("path");
 const os = require("os");
 const { spawn } = require("child_process");
 const pdf2pic = require("pdf2pic");
+const { pageMarker, buildPageIndex } = require("./page-index");
+const startDocumentAnalysis = require("./start-document-analysis");
+const getDocumentResults = require("./get-document-results");
+const formatTextractLayout = require("./format-textract-layout");
+
+// Textract polls every 3s; 80 polls keeps a job inside the strategy timeout
+const TEXTRACT_POLL_INTERVAL_MS = 3000;
+const TEXTRACT_MAX_POLLS = 80;
 
 function getTempDir() {
   return process.env.AWS_LAMBDA_FUNCTION_NAME ? "/tmp" : os.tmpdir();
@@ -50,6 +58,30 @@ async function hasExtractableText(buffer) {
   }
 }
 
+/**
+ * pdf-parse page renderer that prefixes each page with a page marker so
+ * downstream chunking can map text back to page numbers
+ */
+async function renderPageWithMarker(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = "";
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += "\n" + item.str;
+    }
+    lastY = item.transform[5];
+  }
+
+  return `${pageMarker(pageData.pageIndex + 1)}\n${text}`;
+}
+
 /**
  * Enhanced PDF text extraction optimized for drilling reports (BHA, MMR, RVEN)
  * @param {Buffer} buffer - PDF file buffer
@@ -57,13 +89,23 @@ async function hasExtractableText(buffer) {
  * @param {boolean} [options.preserveStructure=true] - Maintain table and section structure
  * @param {boolean} [options.enhanceDrillingTerms=true] - Apply drilling-specific text enhancement
  * @param {string} [options.documentType] - Document type hint ('BHA', 'MMR', 'RVEN')
- * @returns {Promise<Object>} - Extraction result with enhanced drilling content
+ * @param {{bucket: string, key: string}} [options.s3Location] - Where the PDF is
+ *        stored; Textract reads multi-page documents from S3, so the Textract
+ *        strategy only runs when this is given
+ * @param {Object} [options.textract] - Textract overrides: `client` (anything
+ *        with a `send(command)` method, e.g. one replaying recorded blocks),
+ *        `interval` and `maxRetries` for polling
+ * @returns {Promise<Object>} - Extraction result with enhanced drilling content.
+ *   `text` carries "=== PAGE n ===" markers and `pages` maps each page to its
+ *   character range in `text`.
  */
 async function extractFromPDF(buffer, options = {}) {
   const {
     preserveStructure = true,
     enhanceDrillingTerms = true,
     documentType = null,
+    s3Location = null,
+    textract = {},
   } = options;
 
   console.log(`🔍 Starting enhanced PDF extraction for drilling reports...`);
@@ -78,6 +120,9 @@ async function extractFromPDF(buffer, options = {}) {
   console.log(`📄 PDF has extractable text: ${hasText}`);
 
   const ocrAvailable = await testOCRmyPDFAvailable();
+  const textractAvailable =
+    Boolean(s3Location?.bucket && s3Location?.key) &&
+    process.env.TEXTRACT_ENABLED !== "false";
 
   // Enhanced extraction strategies optimized for drilling reports
   const strategies = [
@@ -93,6 +138,20 @@ async function extractFromPDF(buffer, options = {}) {
       timeout: 60000,
       priority: 2,
     },
+    // Textract keeps table cells and form fields apart, which matters for
+    // table-heavy BHA reports. It is a billed async job, so it only runs
+    // first for scanned BHA reports; otherwise it comes after the text layer
+    // (see tablesLost below) and before OCR
+    ...(textractAvailable
+      ? [
+          {
+            name: "textract-tables-forms",
+            handler: extractWithTextract,
+            timeout: 300000,
+            priority: documentType === "BHA" && !hasText ? 0 : 2.5,
+          },
+        ]
+      : []),
     // Only use OCRmyPDF if text extraction fails or produces poor results
     ...(ocrAvailable && !hasText
       ? [
@@ -110,7 +169,7 @@ async function extractFromPDF(buffer, options = {}) {
       timeout: 180000,
       priority: hasText ? 5 : 4, // Lower priority if text exists
     },
-  ];
+  ].sort((a, b) => a.priority - b.priority);
 
   const results = [];
   let bestResult = null;
@@ -119,11 +178,19 @@ async function extractFromPDF(buffer, options = {}) {
     try {
       console.log(`🔧 Trying extraction strategy: ${strategy.name}`);
       const start = Date.now();
+      const controller = new AbortController();
 
       const result = await withTimeout(
-        strategy.handler(buffer, { documentType, preserveStructure }),
+        strategy.handler(buffer, {
+          documentType,
+          preserveStructure,
+          s3Location,
+          textract,
+          signal: controller.signal,
+        }),
         strategy.timeout,
-        strategy.name
+        strategy.name,
+        controller
       );
 
       const duration = Date.now() - start;
@@ -147,8 +214,19 @@ async function extractFromPDF(buffer, options = {}) {
         } chars, quality: ${quality.score.toFixed(2)}`
       );
 
+      // BHA text layers that lose their tables still leave Textract to try
+      const tablesLost =
+        documentType === "BHA" &&
+        textractAvailable &&
+        strategy.name !== "textract-tables-forms" &&
+        !result.metadata?.tablesDetected;
+
       // Accept result if it meets drilling content quality threshold
-      if (quality.score >= 0.7 && result.text?.trim().length >= 200) {
+      if (
+        quality.score >= 0.7 &&
+        result.text?.trim().length >= 200 &&
+        !tablesLost
+      ) {
         bestResult = enhancedResult;
         break;
       }
@@ -188,7 +266,8 @@ async function extractFromPDF(buffer, options = {}) {
       : bestResult.qualityScore < 0.7
       ? "\n\n[Note: Some drilling data may be missing or unclear.]"
       : bestResult.strategy.includes("ocr") ||
-        bestResult.strategy.includes("tesseract")
+        bestResult.strategy.includes("tesseract") ||
+        bestResult.strategy.includes("textract")
       ? "\n\n[Note: Content extracted using OCR - verify technical values.]"
       : "";
 
@@ -198,8 +277,11 @@ async function extractFromPDF(buffer, options = {}) {
     }' with quality score ${bestResult.qualityScore.toFixed(2)}`
   );
 
+  const text = finalText + qualityNote;
+
   return {
-    text: finalText + qualityNote,
+    text,
+    pages: buildPageIndex(text),
     method: bestResult.strategy,
     extractionTime: bestResult.extractionTime,
     qualityScore: bestResult.qualityScore,
@@ -227,6 +309,7 @@ async function extractEnhancedDigitalText(buffer, options = {}) {
     normalizeWhitespace: false, // Preserve spacing for tables
     disableCombineTextItems: true, // Keep text items separate
     useOnlyCSSZoom: true, // Better handling of scaled content
+    pagerender: renderPageWithMarker,
   });
 
   if (!result.text || result.text.trim().length < 50) {
@@ -263,6 +346,7 @@ async function extractStructurePreservingText(buffer, options = {}) {
     disableCombineTextItems: true,
     max: 0, // Process all pages
     version: "v1.10.100", // Use specific version for consistency
+    pagerender: renderPageWithMarker,
   });
 
   if (!result.text || result.text.trim().length < 100) {
@@ -286,6 +370,52 @@ async function extractStructurePreservingText(buffer, options = {}) {
   };
 }
 
+/**
+ * Textract TABLES + FORMS analysis laid out as page-marked text with
+ * "Key: Value" fields and row-per-line tables
+ */
+async function extractWithTextract(buffer, options = {}) {
+  console.log("🧾 Textract table and form analysis for drilling reports...");
+
+  const { s3Location, textract = {} } = options;
+  const clientOptions = {
+    ...(textract.client && { client: textract.client }),
+  };
+
+  // The analysis blocks include LINE and WORD, so no text detection job
+  const jobs = await startDocumentAnalysis(s3Location.bucket, s3Location.key, {
+    ...clientOptions,
+    textDetection: false,
+  });
+  const { analysisBlocks, textBlocks } = await getDocumentResults(jobs, {
+    ...clientOptions,
+    interval: textract.interval ?? TEXTRACT_POLL_INTERVAL_MS,
+    maxRetries: textract.maxRetries ?? TEXTRACT_MAX_POLLS,
+    signal: options.signal,
+  });
+
+  const layout = formatTextractLayout({ analysisBlocks, textBlocks });
+
+  if (!layout.text || layout.text.trim().length < 100) {
+    throw new Error("Textract produced insufficient text");
+  }
+
+  const structuredText = options.preserveStructure
+    ? preserveTabularStructure(layout.text, options.documentType)
+    : layout.text;
+
+  return {
+    text: structuredText,
+    method: "textract-tables-forms",
+    metadata: {
+      pageCount: layout.pageCount,
+      tablesDetected: layout.tableCount,
+      formFieldsDetected: layout.formFieldCount,
+      ocrProcessed: true,
+    },
+  };
+}
+
 /**
  * Enhanced OCRmyPDF with drilling-specific optimizations
  */
@@ -304,7 +434,10 @@ async function extractWithEnhancedOCRmyPDF(buffer, options = {}) {
     await runEnhancedOCRmyPDF(inputPath, outputPath, options.documentType);
 
     const ocrBuffer = fs.readFileSync(outputPath);
-    const result = await pdf(ocrBuffer, { normalizeWhitespace: false });
+    const result = await pdf(ocrBuffer, {
+      normalizeWhitespace: false,
+      pagerender: renderPageWithMarker,
+    });
 
     if (!result.text || result.text.trim().length < 100) {
       throw new Error("OCR produced insufficient text");
@@ -390,7 +523,7 @@ async function extractWithEnhancedTesseract(buffer, options = {}) {
 
         const pageText = result.data.text.trim();
         if (pageText.length > 20) {
-          allText += `\n\n=== PAGE ${i} ===\n${pageText}`;
+          allText += `\n\n${pageMarker(i)}\n${pageText}`;
           successfulPages++;
         }
       } catch (err) {
@@ -785,18 +918,23 @@ function countSections(text) {
 }
 
 /**
- * Timeout wrapper for extraction strategies
+ * Timeout wrapper for extraction strategies. The optional controller is
+ * aborted on timeout so strategies that poll (Textract) stop working.
  */
-async function withTimeout(promise, ms, operationName) {
+async function withTimeout(promise, ms, operationName, controller = null) {
+  let timer;
   return Promise.race([
     promise,
-    new Promise((_, reject) =>
-      setTimeout(
-        () => reject(new Error(`${operationName} timed out after ${ms}ms`)),
-        ms
-      )
-    ),
-  ]);
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller?.abort();
+        reject(new Error(`${operationName} timed out after ${ms}ms`));
+      }, ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
 }
 
 module.exports = extractFromPDF;
+module.exports.assessDrillingContentQuality = assessDrillingContentQuality;
+module.exports.detectDocumentType = detectDocumentType;
+module.exports.enhanceDrillingText = enhanceDrillingText;
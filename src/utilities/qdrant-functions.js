@@ -21,6 +21,77 @@ async function createQdrantIndex(collectionName) {
   }
 }
 
+// Payload fields used by search filters and the index schema each one needs
+const FILTER_PAYLOAD_INDEXES = {
+  key: "keyword",
+  userId: "keyword",
+  documentType: "keyword",
+  documentSection: "keyword",
+  motorMake: "keyword",
+  holeSize: "float",
+  wellName: "keyword",
+  wellId: "keyword",
+  jobId: "keyword",
+  section: "keyword",
+  depthFrom: "float",
+  depthTo: "float",
+  createdAt: "datetime",
+};
+
+// Collections whose filter indexes were already ensured by this process
+const ensuredIndexCollections = new Set();
+
+/**
+ * Create a single payload index, treating "already exists" as success
+ * @param {string} collectionName - Name of the collection
+ * @param {string} fieldName - Payload field to index
+ * @param {string} fieldSchema - Qdrant schema type (keyword, float, integer, datetime, ...)
+ */
+async function createPayloadIndex(collectionName, fieldName, fieldSchema) {
+  try {
+    await qdrantClient.createPayloadIndex(collectionName, {
+      field_name: fieldName,
+      field_schema: fieldSchema,
+      wait: true,
+    });
+    return true;
+  } catch (err) {
+    if (
+      err?.data?.status?.error?.includes("already exists") ||
+      err?.message?.includes("already exists")
+    ) {
+      return true;
+    }
+    console.error(`Error creating Qdrant index ${fieldName}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Ensure every payload index needed by search filters exists on a collection.
+ * Runs once per collection per process.
+ * @param {string} collectionName - Name of the collection
+ * @param {Object} [indexes] - Map of field name to schema type
+ */
+async function ensurePayloadIndexes(
+  collectionName,
+  indexes = FILTER_PAYLOAD_INDEXES
+) {
+  if (ensuredIndexCollections.has(collectionName)) return;
+
+  const results = await Promise.all(
+    Object.entries(indexes).map(([fieldName, fieldSchema]) =>
+      createPayloadIndex(collectionName, fieldName, fieldSchema)
+    )
+  );
+
+  // Only remember collections where every index is in place
+  if (results.every(Boolean)) {
+    ensuredIndexCollections.add(collectionName);
+    console.log(`Qdrant filter indexes ensured for '${collectionName}'`);
+  }
+}
+
 /**
  * Upsert an embedding to Qdrant
  * @param {Object} params - Parameters for upserting
@@ -261,11 +332,97 @@ async function getEmbeddingsByPayloadKey({
   }
 }
 
+/**
+ * One page of points with (part of) their payload, for batch jobs that
+ * walk a whole collection
+ * @param {Object} params
+ * @param {string} params.collectionName - Name of the collection
+ * @param {Object} [params.filter] - Qdrant filter
+ * @param {boolean|Object} [params.withPayload=true] - Payload selector
+ * @param {number} [params.limit=256] - Page size
+ * @param {string|number} [params.offset] - Offset returned by the previous page
+ * @returns {Promise<{points: Array, nextOffset: string|number|null}>}
+ */
+async function scrollEmbeddings({
+  collectionName,
+  filter,
+  withPayload = true,
+  limit = 256,
+  offset,
+}) {
+  try {
+    const scrollResult = await qdrantClient.scroll(collectionName, {
+      ...(filter && { filter }),
+      ...(offset != null && { offset }),
+      limit,
+      with_payload: withPayload,
+      with_vector: false,
+    });
+
+    return {
+      points: scrollResult.points || [],
+      nextOffset: scrollResult.next_page_offset ?? null,
+    };
+  } catch (err) {
+    console.error(`Error scrolling embeddings in ${collectionName}:`, err);
+    throw err;
+  }
+}
+
+/**
+ * Set payload fields on specific points, leaving other fields untouched
+ * @param {Object} params
+ * @param {string} params.collectionName - Name of the collection
+ * @param {Array<string|number>} params.pointIds - Points to update
+ * @param {Object} params.payload - Fields to set
+ */
+async function setEmbeddingsPayload({ collectionName, pointIds, payload }) {
+  try {
+    await qdrantClient.setPayload(collectionName, {
+      payload,
+      points: pointIds,
+      wait: true,
+    });
+  } catch (err) {
+    console.error(`Error setting payload in ${collectionName}:`, err);
+    throw err;
+  }
+}
+
+/**
+ * Set payload fields on every point of a document
+ * @param {Object} params
+ * @param {string} params.collectionName - Name of the collection
+ * @param {string} params.key - Document key (S3 key) stored in the payload
+ * @param {Object} params.payload - Fields to set
+ */
+async function setEmbeddingsPayloadByKey({ collectionName, key, payload }) {
+  try {
+    await qdrantClient.setPayload(collectionName, {
+      payload,
+      filter: { must: [{ key: "key", match: { value: key } }] },
+      wait: true,
+    });
+  } catch (err) {
+    console.error(
+      `Error setting payload for ${key} in ${collectionName}:`,
+      err
+    );
+    throw err;
+  }
+}
+
 module.exports = {
+  FILTER_PAYLOAD_INDEXES,
   createQdrantIndex,
+  createPayloadIndex,
+  ensurePayloadIndexes,
   upsertEmbeddings,
   deleteEmbeddingsByPayloadKey,
   deleteEmbeddingsByMultipleFilters,
   countEmbeddingsByPayloadKey,
   getEmbeddingsByPayloadKey,
+  scrollEmbeddings,
+  setEmbeddingsPayload,
+  setEmbeddingsPayloadByKey,
 };
@@ -0,0 +1,229 @@
+const { RUN_SHEET_COLUMNS, toNumber } = require("./spreadsheet-parser");
+const { canonicalize } = require("./entity-aliases");
+const {
+  FIELD_QUANTITIES,
+  detectUnit,
+  normalizeMeasurements,
+} = require("./units");
+
+/**
+ * Normalized motor/bit run records. Every source (run sheet rows, WITSML
+ * runs, BHA/MMR report text) is reduced to the same typed fields, which
+ * are the run sheet fields, so runs can be filtered and aggregated exactly
+ * instead of being read back out of text chunks.
+ */
+const RUN_FIELD_NAMES = [
+  "wellName",
+  "runNumber",
+  "runDate",
+  "holeSize",
+  "section",
+  "serialNumber",
+  "motorMake",
+  "motorModel",
+  "motorConfig",
+  "statorVendor",
+  "statorFit",
+  "bitMake",
+  "bitModel",
+  "tfa",
+  "depthIn",
+  "depthOut",
+  "totalDrilled",
+  "slideFootage",
+  "rotaryFootage",
+  "avgROP",
+  "slideROP",
+  "rotROP",
+  "slidePercent",
+  "rotaryPercent",
+  "drillingHours",
+  "circulationHours",
+  "wob",
+  "diffPress",
+  "maxDiffPress",
+  "flowRate",
+  "rpm",
+  "pullReason",
+];
+
+const columnTypes = new Map(
+  RUN_SHEET_COLUMNS.map(column => [column.field, column.type])
+);
+
+const RUN_FIELDS = RUN_FIELD_NAMES.map(field => ({
+  field,
+  type: columnTypes.get(field) || "string",
+}));
+
+const NUMERIC_RUN_FIELDS = RUN_FIELDS.filter(f => f.type === "number").map(
+  f => f.field
+);
+
+// Values that identify the equipment or describe performance; a record
+// with none of these is not a run
+const RUN_EVIDENCE_FIELDS = [
+  "motorMake",
+  "motorModel",
+  "bitModel",
+  "serialNumber",
+  "totalDrilled",
+  "avgROP",
+  "drillingHours",
+];
+
+const NUMBER = "([+-]?\\d[\\d,]*(?:\\.\\d+)?(?:\\s+\\d+/\\d+)?)";
+const TEXT = "([^\\n|]+?)";
+
+/**
+ * Labelled values in BHA/MMR report text; first match wins
+ */
+const REPORT_PATTERNS = {
+  wellName: new RegExp(`^\\s*Well(?:\\s+Name)?\\s*:\\s*${TEXT}\\s*$`, "im"),
+  runNumber: new RegExp(
+    `(?:BHA|Run)\\s*(?:#|No\\.?|Number)\\s*:?\\s*(\\w+)`,
+    "i"
+  ),
+  holeSize: new RegExp(`Hole\\s+Size\\s*:?\\s*${NUMBER}`, "i"),
+  section: new RegExp(`^\\s*(?:Hole\\s+)?Section\\s*:\\s*${TEXT}\\s*$`, "im"),
+  motorMake: new RegExp(`Motor\\s+Make\\s*:\\s*${TEXT}\\s*$`, "im"),
+  motorModel: new RegExp(`Motor\\s+Model\\s*:\\s*${TEXT}\\s*$`, "im"),
+  statorVendor: new RegExp(`Stator\\s+Vendor\\s*:\\s*${TEXT}\\s*$`, "im"),
+  statorFit: /Stator\s+Fit\s*:?\s*([+-]?\d*\.?\d+)/i,
+  bitMake: new RegExp(`Bit\\s+Make\\s*:\\s*${TEXT}\\s*$`, "im"),
+  bitModel: /Bit\s+Model\s*:\s*([A-Za-z0-9\-_]+)/i,
+  tfa: new RegExp(`TFA\\s*:?\\s*${NUMBER}`, "i"),
+  depthIn: new RegExp(`Depth\\s+In\\s*:?\\s*${NUMBER}`, "i"),
+  depthOut: new RegExp(`Depth\\s+Out\\s*:?\\s*${NUMBER}`, "i"),
+  totalDrilled: new RegExp(`Total\\s+Drilled\\s*:?\\s*${NUMBER}`, "i"),
+  slideFootage: new RegExp(
+    `Slide\\s+(?:Footage|Ftg|Drilled)\\s*:?\\s*${NUMBER}`,
+    "i"
+  ),
+  rotaryFootage: new RegExp(
+    `Rot(?:ary|ate)?\\s+(?:Footage|Ftg|Drilled)\\s*:?\\s*${NUMBER}`,
+    "i"
+  ),
+  avgROP: new RegExp(`Avg\\.?\\s+ROP\\s*:?\\s*${NUMBER}`, "i"),
+  slideROP: new RegExp(`Slide\\s+ROP\\s*:?\\s*${NUMBER}`, "i"),
+  rotROP: new RegExp(`Rot(?:ary)?\\s+ROP\\s*:?\\s*${NUMBER}`, "i"),
+  slidePercent: new RegExp(`%\\s*Slide\\s*:?\\s*${NUMBER}`, "i"),
+  rotaryPercent: new RegExp(`%\\s*Rot(?:ary|ate)?\\s*:?\\s*${NUMBER}`, "i"),
+  drillingHours: new RegExp(
+    `(?:Total\\s+)?Drill(?:ing)?\\s+H(?:ou)?rs\\s*:?\\s*${NUMBER}`,
+    "i"
+  ),
+  circulationHours: new RegExp(
+    `(?:Off\\s+Btm\\s+)?Circ(?:ulating)?\\s+H(?:ou)?rs\\s*:?\\s*${NUMBER}`,
+    "i"
+  ),
+  wob: new RegExp(`WOB[^:\\n]*:\\s*${NUMBER}`, "i"),
+  rpm: new RegExp(`(?:Surface\\s+)?RPM\\s*:?\\s*${NUMBER}`, "i"),
+  flowRate: new RegExp(`Flow(?:\\s+Rate)?\\s*:?\\s*${NUMBER}`, "i"),
+  diffPress: new RegExp(`(?:Avg\\s+)?Diff\\s+Press\\s*:?\\s*${NUMBER}`, "i"),
+  maxDiffPress: new RegExp(`Max\\s+DiffP\\s*:?\\s*${NUMBER}`, "i"),
+  pullReason: new RegExp(
+    `(?:(?:Pull|POOH)\\s+Reason|Reason\\s+(?:for\\s+)?(?:Pull|POOH))\\s*:\\s*${TEXT}\\s*$`,
+    "im"
+  ),
+};
+
+/**
+ * Reduce source values to typed run fields, with measurements converted
+ * to canonical units
+ * @param {Object} values - Values keyed by run field name.
+ * @param {Object} [units] - Units as written, keyed by run field name.
+ * @returns {{values: Object, units: Object, originalValues: Object}|null} -
+ *          Typed run values, or null when nothing identifies a run.
+ */
+function normalizeRun(values = {}, units = {}) {
+  const run = {};
+
+  for (const { field, type } of RUN_FIELDS) {
+    const value = values[field];
+    if (value == null || value === "") continue;
+
+    if (type === "number") {
+      const number = toNumber(value);
+      if (number != null) run[field] = number;
+    } else {
+      const text = canonicalize(field, String(value).trim());
+      if (text) run[field] = text;
+    }
+  }
+
+  if (!RUN_EVIDENCE_FIELDS.some(field => run[field] != null)) return null;
+
+  const measured = normalizeMeasurements(run, units);
+  Object.assign(run, measured.values);
+
+  if (
+    run.totalDrilled == null &&
+    run.depthIn != null &&
+    run.depthOut != null &&
+    run.depthOut > run.depthIn
+  ) {
+    // Rounded so converted depths don't leave float noise
+    run.totalDrilled = Math.round((run.depthOut - run.depthIn) * 1e6) / 1e6;
+    measured.units.totalDrilled = measured.units.depthOut;
+  }
+
+  return {
+    values: run,
+    units: measured.units,
+    originalValues: measured.originalValues,
+  };
+}
+
+/**
+ * One run from a BHA/MMR report: labelled values in the text, with motor
+ * identity taken from an extracted motor table when there is one
+ * @param {string} text - Extracted report text.
+ * @param {Array} [tables] - Output of extractTables.
+ * @returns {Object|null} - See normalizeRun.
+ */
+function extractReportRun(text, tables = []) {
+  if (!text || typeof text !== "string") return null;
+
+  const values = {};
+  const units = {};
+  for (const [field, pattern] of Object.entries(REPORT_PATTERNS)) {
+    const match = text.match(pattern);
+    if (!match?.[1]) continue;
+
+    values[field] = match[1].trim();
+    const quantity = FIELD_QUANTITIES[field];
+    if (quantity) {
+      const end = match.index + match[0].length;
+      const unit = detectUnit(text.slice(end, end + 20), quantity);
+      if (unit) units[field] = unit;
+    }
+  }
+
+  const motorTable = tables.find(table => table.tableType === "motor");
+  const motor = motorTable?.rows[0];
+  if (motor) {
+    if (motor.motorMake) values.motorMake = motor.motorMake;
+    if (motor.motorModel) values.motorModel = motor.motorModel;
+    if (motor.serialNumber) values.serialNumber = motor.serialNumber;
+    if (motor.lobes) values.motorConfig = formatMotorConfig(motor);
+  }
+
+  return normalizeRun(values, units);
+}
+
+/**
+ * "7/8 5 stg" from a motor table row's lobes and stages
+ */
+function formatMotorConfig({ lobes, stages }) {
+  if (!lobes) return null;
+  return stages ? `${lobes} ${stages} stg` : lobes;
+}
+
+module.exports = {
+  RUN_FIELDS,
+  NUMERIC_RUN_FIELDS,
+  normalizeRun,
+  extractReportRun,
+  formatMotorConfig,
+};
@@ -0,0 +1,20 @@
+// Attributes of a USER# item that never leave the server
+const SENSITIVE_USER_FIELDS = [
+  "Password",
+  "SessionToken",
+  "RefreshTokenHash",
+  "MfaSecret",
+  "MfaPendingSecret",
+  "MfaBackupCodes",
+  "MfaLastUsedStep",
+];
+
+function sanitizeUser(user) {
+  if (!user) return user;
+
+  const sanitized = { ...user };
+  for (const field of SENSITIVE_USER_FIELDS) delete sanitized[field];
+  return sanitized;
+}
+
+module.exports = sanitizeUser;
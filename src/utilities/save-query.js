@@ -6,6 +6,9 @@ const { docClient } = require("../config/aws");
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_MS = 1000;
 const BATCH_SIZE = 25; // DynamoDB batch write limit
+const REPORT_DOCUMENT_TYPES = ["BHA", "MMR", "RVEN"];
+// Document types assigned by the run sheet, LAS and WITSML ingestion paths
+const STRUCTURED_DOCUMENT_TYPES = ["RUN_SHEET", "WELL_LOG", "WITSML"];
 
 /**
  * Utility function for delays with exponential backoff
@@ -113,6 +116,7 @@ const executeWithRetry = async (
  * @param {Array} [payload.sources] - Array of source documents/chunks used
  * @param {Object} [payload.metrics] - Performance and processing metrics
  * @param {Object} [payload.metadata] - Additional metadata including drilling-specific fields
+ * @param {string} [payload.conversationId] - Conversation thread the query belongs to
  * @returns {Promise<Object>} - Enhanced save result
  */
 const saveQuery = async ({
@@ -127,6 +131,7 @@ const saveQuery = async ({
   sources = [],
   metrics = {},
   metadata = {},
+  conversationId = null,
 }) => {
   // Enhanced validation for drilling queries
   const commonValidation = validateCommonParams({
@@ -233,6 +238,7 @@ const saveQuery = async ({
     EntityType: "Chat",
     QueryId: queryId,
     UserId: userId,
+    ...(conversationId && { ConversationId: conversationId }),
     Query: queryText.trim(),
     Answer: answer.trim(),
     Model: model,
@@ -548,6 +554,10 @@ const saveFileDetails = async ({
   isDrillingReport = false,
   processingVersion = "2.0-drilling-optimized",
   qualityMetrics = {},
+  // Well / job assignment (see well-service)
+  assignment = null,
+  // Data-quality flags (see utilities/data-quality)
+  dataQuality = null,
   metadata = {},
 }) => {
   console.log("💾 Saving enhanced drilling report details to DynamoDB...", {
@@ -590,7 +600,11 @@ const saveFileDetails = async ({
   if (isDrillingReport) {
     if (
       documentType &&
-      !["BHA", "MMR", "RVEN", "DRILLING"].includes(documentType)
+      ![
+        ...REPORT_DOCUMENT_TYPES,
+        ...STRUCTURED_DOCUMENT_TYPES,
+        "DRILLING",
+      ].includes(documentType)
     ) {
       additionalErrors.push("Invalid document type for drilling report");
     }
@@ -617,8 +631,15 @@ const saveFileDetails = async ({
 
   // Enhanced file analysis
   const fileExtension = fileName.split(".").pop()?.toLowerCase() || "";
-  const mimeType =
-    fileExtension === "pdf" ? "application/pdf" : "application/octet-stream";
+  const mimeTypes = {
+    pdf: "application/pdf",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    csv: "text/csv",
+    las: "text/plain",
+    xml: "application/xml",
+  };
+  const mimeType = mimeTypes[fileExtension] || "application/octet-stream";
 
   // Enhanced drilling document type detection
   const detectedDocType = detectDrillingDocumentType(fileName, documentType);
@@ -712,6 +733,24 @@ const saveFileDetails = async ({
       isDrillingReport,
     }),
 
+    // Well / job hierarchy
+    WellId: assignment?.wellId || null,
+    JobId: assignment?.jobId || null,
+    Section: assignment?.section || null,
+    AssignmentStatus: assignment?.status || "unassigned",
+    AssignmentSuggestion: assignment?.suggestion || null,
+
+    // Data-quality flags on extracted values
+    ...(dataQuality && {
+      DataQuality: {
+        errors: dataQuality.errors,
+        warnings: dataQuality.warnings,
+        // Bounded so a badly scanned file stays under the item size limit
+        flags: dataQuality.flags.slice(0, 100),
+        truncated: dataQuality.flags.length > 100,
+      },
+    }),
+
     // Timestamps and TTL
     CreatedAt: timestamp,
     UpdatedAt: timestamp,
@@ -793,7 +832,12 @@ const saveFileDetails = async ({
  * Detect drilling document type from filename and provided type
  */
 function detectDrillingDocumentType(fileName, providedType) {
-  if (providedType && ["BHA", "MMR", "RVEN"].includes(providedType)) {
+  if (
+    providedType &&
+    [...REPORT_DOCUMENT_TYPES, ...STRUCTURED_DOCUMENT_TYPES].includes(
+      providedType
+    )
+  ) {
     return providedType;
   }
 
@@ -816,6 +860,9 @@ function categorizeDrillingDocument(documentType) {
     MMR: "Motor_Reports",
     RVEN: "Evaluation_Reports",
     DRILLING: "General_Drilling",
+    RUN_SHEET: "Run_Sheets",
+    WELL_LOG: "Well_Logs",
+    WITSML: "WITSML_Data",
   };
 
   return categories[documentType] || "Unknown";
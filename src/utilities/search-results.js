@@ -1,4 +1,8 @@
 const qdrantClient = require("../config/qdrant");
+const { sparseSearch } = require("./sparse-index");
+const { canonicalize } = require("./entity-aliases");
+
+const SEARCH_MODES = ["dense", "sparse", "hybrid"];
 
 /**
  * Enhanced semantic vector search optimized for drilling report queries
@@ -230,6 +234,12 @@ function applyDrillingReranking(results, queryType) {
         boostScore += Math.min(dataPointCount * 0.01, 0.08);
       }
 
+      // Down-weight chunks whose values failed data-quality checks
+      const qualityErrors = (result.payload.qualityFlags || []).filter(
+        flag => flag.severity === "error"
+      ).length;
+      boostScore -= Math.min(qualityErrors * 0.05, 0.15);
+
       // Apply boost to score (capped to not exceed 1.0)
       const boostedScore = Math.min(result.score + boostScore, 1.0);
 
@@ -253,8 +263,11 @@ function enhanceForAggregation(results) {
   return results.map(result => {
     const content = result.payload.content || "";
 
-    // Extract numerical values for aggregation
+    // Extract numerical values for aggregation, minus flagged ones
     const numericalValues = extractNumericalValues(content);
+    for (const field of Object.keys(result.payload.flaggedValues || {})) {
+      delete numericalValues[field];
+    }
 
     // Identify data categories
     const dataCategories = identifyDataCategories(content);
@@ -341,7 +354,10 @@ function extractIdentifiers(content) {
   for (const [key, pattern] of Object.entries(patterns)) {
     const matches = [...content.matchAll(pattern)];
     if (matches.length > 0) {
-      identifiers[key] = matches.map(m => m[1].trim()).filter(Boolean);
+      const values = matches
+        .map(m => canonicalize(key, m[1].trim()))
+        .filter(Boolean);
+      identifiers[key] = [...new Set(values)];
     }
   }
 
@@ -388,101 +404,358 @@ function logSearchSummary(results, queryType) {
 }
 
 /**
- * Advanced filtering helper for complex queries
+ * Translate search filter conditions into a Qdrant filter
+ * @param {Object} conditions
+ * @param {string|string[]} [conditions.keys] - S3 keys of the documents to search
+ * @param {string|string[]} [conditions.documentType] - BHA, MMR, RVEN
+ * @param {number|number[]|{min?: number, max?: number}} [conditions.holeSize] - Hole size(s) in inches
+ * @param {string|string[]} [conditions.motorMake] - Motor make(s)
+ * @param {string|string[]} [conditions.uploadedBy] - Uploader user id(s)
+ * @param {{from?: string, to?: string}} [conditions.createdAt] - Upload date range (ISO or DD-MM-YYYY)
+ * @param {string} [conditions.sectionType] - Document section type
+ * @param {string|string[]} [conditions.wellName] - Well name(s) from well logs
+ * @param {string|string[]} [conditions.wellId] - Assigned well id(s)
+ * @param {string|string[]} [conditions.jobId] - Assigned job id(s)
+ * @param {string|string[]} [conditions.section] - Hole section(s)
+ * @param {{min?: number, max?: number}} [conditions.depth] - Depth range; matches
+ *        well log intervals overlapping it
+ * @returns {Object|null} - Qdrant filter, or null when no conditions apply
+ * @throws {Error} - When a condition has an invalid value
  */
-function createAdvancedFilter(conditions) {
-  const filter = { must: [] };
-
-  // Add conditions based on different criteria
-  if (conditions.holeSize) {
-    filter.must.push({
-      match: {
-        key: "payload.holeSize",
-        value: conditions.holeSize,
-      },
-    });
+function createAdvancedFilter(conditions = {}) {
+  if (!conditions || typeof conditions !== "object") {
+    throw new Error("Invalid filter: filters must be an object");
   }
 
-  if (conditions.sectionType) {
-    filter.must.push({
-      match: {
-        key: "payload.sectionType",
-        value: conditions.sectionType,
-      },
+  const must = [];
+
+  const keywordConditions = {
+    keys: "key",
+    documentType: "documentType",
+    motorMake: "motorMake",
+    uploadedBy: "userId",
+    sectionType: "documentSection",
+    wellName: "wellName",
+    wellId: "wellId",
+    jobId: "jobId",
+    section: "section",
+  };
+
+  for (const [condition, field] of Object.entries(keywordConditions)) {
+    const values = toFilterValues(conditions[condition]);
+    if (values.length === 0) continue;
+
+    if (values.some(v => typeof v !== "string" || !v.trim())) {
+      throw new Error(`Invalid filter: '${condition}' must be string values`);
+    }
+
+    const normalized = values.map(v => {
+      if (condition === "documentType") return v.trim().toUpperCase();
+      if (condition === "motorMake") return canonicalize("motorMake", v);
+      return v.trim();
     });
+
+    must.push(
+      normalized.length === 1
+        ? { key: field, match: { value: normalized[0] } }
+        : { key: field, match: { any: normalized } }
+    );
   }
 
-  if (conditions.dateRange) {
-    filter.must.push({
-      range: {
-        key: "payload.createdAt",
-        gte: conditions.dateRange.start,
-        lte: conditions.dateRange.end,
-      },
-    });
+  if (conditions.holeSize != null) {
+    must.push(createHoleSizeCondition(conditions.holeSize));
+  }
+
+  if (conditions.depth != null) {
+    must.push(...createDepthConditions(conditions.depth));
   }
 
-  return filter.must.length > 0 ? filter : null;
+  if (conditions.createdAt) {
+    const { from, to } = conditions.createdAt;
+    const range = {};
+    if (from) range.gte = normalizeFilterDate(from, false);
+    if (to) range.lte = normalizeFilterDate(to, true);
+
+    if (Object.keys(range).length === 0) {
+      throw new Error("Invalid filter: 'createdAt' needs 'from' and/or 'to'");
+    }
+    must.push({ key: "createdAt", range });
+  }
+
+  return must.length > 0 ? { must } : null;
+}
+
+function toFilterValues(value) {
+  if (value == null || value === "") return [];
+  return Array.isArray(value) ? value : [value];
 }
 
 /**
- * Hybrid search combining vector similarity with keyword matching
+ * Hole sizes are floats, so exact values are matched with a small tolerance
+ */
+function createHoleSizeCondition(holeSize) {
+  const tolerance = 0.01;
+
+  if (typeof holeSize === "object" && !Array.isArray(holeSize)) {
+    const range = {};
+    if (holeSize.min != null) range.gte = Number(holeSize.min);
+    if (holeSize.max != null) range.lte = Number(holeSize.max);
+
+    if (
+      Object.keys(range).length === 0 ||
+      Object.values(range).some(v => !Number.isFinite(v))
+    ) {
+      throw new Error("Invalid filter: 'holeSize' range needs numeric min/max");
+    }
+    return { key: "holeSize", range };
+  }
+
+  const sizes = toFilterValues(holeSize).map(Number);
+  if (sizes.length === 0 || sizes.some(size => !Number.isFinite(size))) {
+    throw new Error("Invalid filter: 'holeSize' must be numeric");
+  }
+
+  const conditions = sizes.map(size => ({
+    key: "holeSize",
+    range: { gte: size - tolerance, lte: size + tolerance },
+  }));
+
+  return conditions.length === 1 ? conditions[0] : { should: conditions };
+}
+
+/**
+ * Interval chunks overlap [min, max] when they start before max and end after min
+ */
+function createDepthConditions(depth) {
+  const min = depth?.min != null ? Number(depth.min) : null;
+  const max = depth?.max != null ? Number(depth.max) : null;
+
+  if (
+    (min == null && max == null) ||
+    [min, max].some(v => v != null && !Number.isFinite(v))
+  ) {
+    throw new Error("Invalid filter: 'depth' range needs numeric min/max");
+  }
+
+  const conditions = [];
+  if (min != null) conditions.push({ key: "depthTo", range: { gt: min } });
+  if (max != null) conditions.push({ key: "depthFrom", range: { lt: max } });
+  return conditions;
+}
+
+function normalizeFilterDate(value, endOfDay) {
+  let date;
+  const ddmmyyyy = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value);
+
+  if (ddmmyyyy) {
+    const [, day, month, year] = ddmmyyyy;
+    date = new Date(
+      `${year}-${month}-${day}T${endOfDay ? "23:59:59.999Z" : "00:00:00.000Z"}`
+    );
+  } else {
+    date = new Date(value);
+  }
+
+  if (isNaN(date)) {
+    throw new Error(
+      "Invalid filter: 'createdAt' dates must be ISO 8601 or DD-MM-YYYY"
+    );
+  }
+  return date.toISOString();
+}
+
+/**
+ * Hybrid retrieval: dense vector search and BM25 keyword search fused with
+ * reciprocal rank fusion. Exact identifiers (serial numbers, bit models) that
+ * embeddings miss are picked up by the keyword side.
+ * @param {Object} params
+ * @param {string} params.collectionName - Name of the dense Qdrant collection.
+ * @param {number[]} params.embedding - Query embedding (dense and hybrid modes).
+ * @param {string} params.query - Raw query text (sparse and hybrid modes).
+ * @param {string} [params.mode="hybrid"] - "dense", "sparse" or "hybrid".
+ * @param {number} [params.limit=20] - Number of results to return.
+ * @param {number} [params.scoreThreshold=0.6] - Dense similarity threshold.
+ * @param {Object} [params.filter] - Qdrant filter applied to both indexes.
+ * @param {boolean} [params.enableReranking=true] - Apply drilling-specific reranking after fusion.
+ * @param {string} [params.queryType="general"] - Query type used for parameter tuning.
+ * @param {number} [params.rrfK=60] - RRF rank constant.
+ * @returns {Promise<Array>} - Results shaped like searchResults output.
  */
 async function hybridSearch({
   collectionName,
   embedding,
-  keywords = [],
+  query,
+  mode = "hybrid",
   limit = 20,
-  hybridWeight = 0.7, // Weight for vector search vs keyword search
+  scoreThreshold = 0.6,
+  filter = null,
+  enableReranking = true,
+  queryType = "general",
+  rrfK = 60,
 }) {
-  try {
-    // Get vector search results
-    const vectorResults = await searchResults({
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid search mode '${mode}'. Use one of: ${SEARCH_MODES.join(", ")}`
+    );
+  }
+
+  if (mode === "dense") {
+    return searchResults({
       collectionName,
       embedding,
-      limit: limit * 2, // Get more for hybrid ranking
-      enableReranking: false, // We'll do custom ranking
+      limit,
+      scoreThreshold,
+      filter,
+      enableReranking,
+      queryType,
     });
+  }
 
-    if (keywords.length === 0) {
-      return vectorResults.slice(0, limit);
-    }
-
-    // Apply keyword boosting
-    const hybridResults = vectorResults.map(result => {
-      const content = (result.payload.content || "").toLowerCase();
-      let keywordScore = 0;
+  const { limit: candidateLimit } = optimizeSearchParams({
+    limit,
+    scoreThreshold,
+    queryType,
+  });
 
-      keywords.forEach(keyword => {
-        const keywordLower = keyword.toLowerCase();
-        const matches = (content.match(new RegExp(keywordLower, "g")) || [])
-          .length;
-        keywordScore += matches * 0.1; // Each match adds 0.1
+  try {
+    if (mode === "sparse") {
+      const keywordResults = await sparseSearch({
+        collectionName,
+        query,
+        limit: candidateLimit,
+        filter,
       });
 
-      // Combine vector and keyword scores
-      const hybridScore =
-        result.score * hybridWeight + keywordScore * (1 - hybridWeight);
+      return finalizeResults(
+        keywordResults.map((r, idx) => ({
+          id: r.id,
+          score: r.score,
+          payload: r.payload || {},
+          rank: idx + 1,
+          keywordScore: r.score,
+        })),
+        { limit: candidateLimit, enableReranking, queryType, normalize: true }
+      );
+    }
 
-      return {
-        ...result,
-        hybridScore,
-        keywordScore,
-        vectorScore: result.score,
-      };
-    });
+    // Keyword search failing must not take the dense side down with it
+    const [vectorResults, keywordResults] = await Promise.all([
+      searchResults({
+        collectionName,
+        embedding,
+        limit,
+        scoreThreshold,
+        filter,
+        enableReranking: false,
+        queryType,
+      }),
+      sparseSearch({ collectionName, query, limit: candidateLimit, filter }).catch(
+        error => {
+          console.warn(
+            `⚠️ Keyword search failed, using dense results only: ${error.message}`
+          );
+          return [];
+        }
+      ),
+    ]);
+
+    const fused = reciprocalRankFusion(
+      [
+        { name: "vector", results: vectorResults },
+        { name: "keyword", results: keywordResults },
+      ],
+      rrfK
+    );
+
+    console.log(
+      `🔀 Fused ${vectorResults.length} vector + ${keywordResults.length} keyword results into ${fused.length}`
+    );
 
-    // Sort by hybrid score and return top results
-    return hybridResults
-      .sort((a, b) => b.hybridScore - a.hybridScore)
-      .slice(0, limit);
+    return finalizeResults(fused, {
+      limit: candidateLimit,
+      enableReranking,
+      queryType,
+    });
   } catch (error) {
     console.error("❌ Hybrid search failed:", error);
     throw error;
   }
 }
 
+/**
+ * Reciprocal rank fusion: each list contributes 1 / (k + rank) per result.
+ * Scores are normalised to 0-1 against a result ranked first in every list,
+ * so downstream relevance categories and reranking keep working.
+ * @param {Array<{name: string, results: Array}>} rankedLists
+ * @param {number} [k=60]
+ * @returns {Array} - Fused results, best first
+ */
+function reciprocalRankFusion(rankedLists, k = 60) {
+  const fused = new Map();
+  const maxScore = rankedLists.length / (k + 1);
+
+  for (const { name, results } of rankedLists) {
+    results.forEach((result, idx) => {
+      const entry = fused.get(result.id) || {
+        id: result.id,
+        payload: result.payload || {},
+        rrfScore: 0,
+        vectorScore: null,
+        keywordScore: null,
+      };
+
+      entry.rrfScore += 1 / (k + idx + 1);
+      entry[`${name}Score`] = result.score;
+      entry[`${name}Rank`] = idx + 1;
+      fused.set(result.id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.rrfScore - a.rrfScore)
+    .map((entry, idx) => ({
+      ...entry,
+      score: entry.rrfScore / maxScore,
+      hybridScore: entry.rrfScore / maxScore,
+      rank: idx + 1,
+    }));
+}
+
+/**
+ * Shared post-processing for fused and keyword-only results
+ */
+function finalizeResults(
+  results,
+  { limit, enableReranking, queryType, normalize = false }
+) {
+  // BM25 scores are unbounded; scale to the top hit for relevance categories
+  const topScore = normalize && results.length ? results[0].score : 1;
+
+  let processedResults = results.slice(0, limit).map(result => {
+    const score = topScore > 0 ? result.score / topScore : 0;
+    return {
+      ...result,
+      score,
+      relevanceCategory: categorizeRelevance(score),
+    };
+  });
+
+  if (enableReranking) {
+    processedResults = applyDrillingReranking(processedResults, queryType);
+  }
+
+  if (queryType === "aggregation") {
+    processedResults = enhanceForAggregation(processedResults);
+  }
+
+  logSearchSummary(processedResults, queryType);
+
+  return processedResults;
+}
+
 // Export main function and utilities
 module.exports = searchResults;
 module.exports.createAdvancedFilter = createAdvancedFilter;
 module.exports.hybridSearch = hybridSearch;
+module.exports.reciprocalRankFusion = reciprocalRankFusion;
+module.exports.SEARCH_MODES = SEARCH_MODES;
@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const REFRESH_COOKIE = "refreshToken";
+// Time allowed between the password step and the MFA step of a sign-in
+const CHALLENGE_EXPIRATION = "5m";
+
+const secureEnv = process.env.NODE_ENV;
+const sameSite = process.env.SAME_SITE;
+
+/**
+ * Refresh tokens are "<userId>.<sessionId>.<secret>". Only a SHA-256 hash
+ * of the secret is stored on the session, and every refresh replaces it, so
+ * a token that was already rotated away is recognisable as reused.
+ */
+function createRefreshToken(userId, sessionId) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return {
+    token: `${userId}.${sessionId}.${secret}`,
+    hash: hashToken(secret),
+  };
+}
+
+/**
+ * @returns {{userId: string, sessionId: string, secret: string}|null}
+ */
+function parseRefreshToken(token) {
+  if (typeof token !== "string") return null;
+
+  const [userId, sessionId, secret, ...rest] = token.split(".");
+  if (!userId || !sessionId || !secret || rest.length) return null;
+
+  return { userId, sessionId, secret };
+}
+
+function hashToken(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+/**
+ * Expiry of a signed access token as an ISO string
+ */
+function accessTokenExpiry(token) {
+  const { exp } = jwt.decode(token) || {};
+  return exp ? new Date(exp * 1000).toISOString() : null;
+}
+
+/**
+ * Short-lived token for the second step of a sign-in. It carries a
+ * `purpose` and no session id, so authenticate never accepts it.
+ * @param {string} purpose - "mfa" or "mfa_setup".
+ */
+function createChallengeToken(userId, purpose) {
+  const token = jwt.sign({ _id: userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRATION,
+  });
+  return { token, expiresAt: accessTokenExpiry(token) };
+}
+
+/**
+ * @returns {{userId: string, purpose: string}|null}
+ */
+function verifyChallengeToken(token, purposes) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded._id || !purposes.includes(decoded.purpose)) return null;
+    return { userId: decoded._id, purpose: decoded.purpose };
+  } catch (error) {
+    return null;
+  }
+}
+
+const BROWSERS = [
+  ["Edge", /\bEdg(?:e|A|iOS)?\//],
+  ["Opera", /\bOPR\//],
+  ["Firefox", /\bFirefox\//],
+  ["Chrome", /\b(?:Chrome|CriOS)\//],
+  ["Safari", /\bSafari\//],
+];
+const PLATFORMS = [
+  ["iOS", /\b(?:iPhone|iPad|iPod)\b/],
+  ["Android", /\bAndroid\b/],
+  ["Windows", /\bWindows\b/],
+  ["macOS", /\bMac OS X\b/],
+  ["Linux", /\bLinux\b/],
+];
+
+/**
+ * Short label such as "Chrome on Windows" for the session list
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return "Unknown device";
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return userAgent.slice(0, 60);
+  return [browser?.[0], platform?.[0]].filter(Boolean).join(" on ");
+}
+
+// Only sent to the auth routes, not with every API call
+function refreshCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: secureEnv === "production",
+    sameSite: sameSite,
+    path: `/api/${process.env.VERSION}/auth`,
+  };
+}
+
+function setRefreshCookie(res, token, expiresAt) {
+  res.cookie(REFRESH_COOKIE, token, {
+    ...refreshCookieOptions(),
+    maxAge: Math.max(new Date(expiresAt).getTime() - Date.now(), 0),
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie("authorization");
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  createRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  accessTokenExpiry,
+  createChallengeToken,
+  verifyChallengeToken,
+  describeDevice,
+  setRefreshCookie,
+  clearAuthCookies,
+};
@@ -0,0 +1,275 @@
+const crypto = require("crypto");
+const qdrantClient = require("../config/qdrant");
+const { ensurePayloadIndexes } = require("./qdrant-functions");
+
+/**
+ * BM25 keyword index kept in a companion Qdrant collection with sparse vectors.
+ * Points share ids and payloads with the dense collection so results can be
+ * fused by id. Tokens are hashed into the sparse index space; document values
+ * carry the BM25 term-frequency part and Qdrant applies IDF at query time.
+ */
+const SPARSE_VECTOR_NAME = "bm25";
+const SPARSE_COLLECTION_SUFFIX = "_sparse";
+
+// BM25 parameters; average chunk length in tokens for length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const BM25_AVG_DOC_LENGTH = Number(process.env.BM25_AVG_DOC_LENGTH) || 256;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be by for from has in is it of on or that the this to " +
+    "was were what which with how many much did does do show me all any give " +
+    "list tell about"
+  ).split(" ")
+);
+
+// Words such as "SN-12345", "MM65D" or "8.5" including their separators
+const WORD_PATTERN = /[a-z0-9]+(?:[.\-_/#][a-z0-9]+)*/g;
+
+const ensuredSparseCollections = new Set();
+
+function sparseCollectionName(collectionName) {
+  return `${collectionName}${SPARSE_COLLECTION_SUFFIX}`;
+}
+
+/**
+ * Split text into BM25 terms. Identifiers with separators are indexed both as
+ * their parts and joined ("MM-65D" -> mm, 65d, mm65d), and short prefixes are
+ * joined to a following number ("SN 12345" -> sn12345), so either spelling matches.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text = "") {
+  const tokens = [];
+  const words = String(text).toLowerCase().match(WORD_PATTERN) || [];
+
+  words.forEach((word, idx) => {
+    const previous = words[idx - 1];
+    if (
+      previous &&
+      /^[a-z]{1,4}$/.test(previous) &&
+      !STOPWORDS.has(previous) &&
+      /^\d/.test(word)
+    ) {
+      tokens.push(`${previous}${word.replace(/[.\-_/#]/g, "")}`);
+    }
+
+    // Keep decimals whole, 8.5 and 85 are different hole sizes
+    if (/^\d+\.\d+$/.test(word)) {
+      tokens.push(word);
+      return;
+    }
+
+    const parts = word.split(/[.\-_/#]/).filter(Boolean);
+    for (const part of parts) {
+      if (STOPWORDS.has(part)) continue;
+      if (part.length < 2 && !/\d/.test(part)) continue;
+      tokens.push(part);
+    }
+
+    if (parts.length > 1) tokens.push(parts.join(""));
+  });
+
+  return tokens;
+}
+
+/** Map a term to an unsigned 32-bit sparse index */
+function hashToken(token) {
+  return crypto.createHash("md5").update(token).digest().readUInt32BE(0);
+}
+
+/**
+ * Group tokens by hashed index; colliding terms share a slot
+ */
+function countTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    const index = hashToken(token);
+    counts.set(index, (counts.get(index) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Sparse document vector with BM25 term-frequency saturation
+ * @param {string} text - Chunk content
+ * @returns {{indices: number[], values: number[]}}
+ */
+function toDocumentVector(text) {
+  const tokens = tokenize(text);
+  const counts = countTerms(tokens);
+  const lengthNorm =
+    1 - BM25_B + BM25_B * (tokens.length / BM25_AVG_DOC_LENGTH);
+
+  const indices = [];
+  const values = [];
+  for (const [index, tf] of counts) {
+    indices.push(index);
+    values.push((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm));
+  }
+
+  return { indices, values };
+}
+
+/**
+ * Sparse query vector, one unit weight per distinct term
+ * @param {string} query
+ * @returns {{indices: number[], values: number[]}}
+ */
+function toQueryVector(query) {
+  const indices = [...countTerms(tokenize(query)).keys()];
+  return { indices, values: indices.map(() => 1) };
+}
+
+/**
+ * Create the companion sparse collection (and its filter indexes) if missing
+ * @param {string} collectionName - Dense collection name
+ */
+async function ensureSparseCollection(collectionName) {
+  const sparseName = sparseCollectionName(collectionName);
+  if (ensuredSparseCollections.has(sparseName)) return sparseName;
+
+  const { exists } = await qdrantClient.collectionExists(sparseName);
+
+  if (!exists) {
+    console.log(`🏗️ Creating BM25 collection: ${sparseName}`);
+    try {
+      await qdrantClient.createCollection(sparseName, {
+        sparse_vectors: {
+          [SPARSE_VECTOR_NAME]: { modifier: "idf" },
+        },
+      });
+    } catch (error) {
+      // Another worker may have created it in the meantime
+      if (!error?.message?.includes("already exists")) throw error;
+    }
+  }
+
+  await ensurePayloadIndexes(sparseName);
+  ensuredSparseCollections.add(sparseName);
+  return sparseName;
+}
+
+/**
+ * Index points in the BM25 collection using their payload content
+ * @param {string} collectionName - Dense collection name
+ * @param {Array<{id: string|number, payload: Object}>} points
+ * @param {boolean} [wait=true]
+ */
+async function upsertSparsePoints(collectionName, points, wait = true) {
+  const indexable = points.filter(point => point.payload?.content);
+  if (indexable.length === 0) return { indexed: 0 };
+
+  const sparseName = await ensureSparseCollection(collectionName);
+
+  await qdrantClient.upsert(sparseName, {
+    wait,
+    points: indexable.map(({ id, payload }) => ({
+      id,
+      vector: {
+        [SPARSE_VECTOR_NAME]: toDocumentVector(payload.content),
+      },
+      payload,
+    })),
+  });
+
+  return { indexed: indexable.length };
+}
+
+/**
+ * BM25 keyword search over the companion collection
+ * @param {Object} params
+ * @param {string} params.collectionName - Dense collection name
+ * @param {string} params.query - Raw query text
+ * @param {number} [params.limit=20]
+ * @param {Object} [params.filter] - Qdrant filter
+ * @returns {Promise<Array<{id, score, payload}>>} - Empty when nothing is indexed yet
+ */
+async function sparseSearch({ collectionName, query, limit = 20, filter = null }) {
+  const vector = toQueryVector(query);
+  if (vector.indices.length === 0) return [];
+
+  const sparseName = sparseCollectionName(collectionName);
+  const { exists } = await qdrantClient.collectionExists(sparseName);
+  if (!exists) {
+    console.warn(`⚠️ No BM25 index for '${collectionName}' yet`);
+    return [];
+  }
+
+  const results = await qdrantClient.search(sparseName, {
+    vector: { name: SPARSE_VECTOR_NAME, vector },
+    limit,
+    with_payload: true,
+    ...(filter && { filter }),
+  });
+
+  return results || [];
+}
+
+/**
+ * Remove every BM25 point for a document key; no-op when the collection is missing
+ */
+async function deleteSparsePointsByKey(collectionName, key) {
+  const sparseName = sparseCollectionName(collectionName);
+  const { exists } = await qdrantClient.collectionExists(sparseName);
+  if (!exists) return { deleted: false };
+
+  await qdrantClient.delete(sparseName, {
+    wait: true,
+    filter: { must: [{ key: "key", match: { value: key } }] },
+  });
+
+  return { deleted: true };
+}
+
+/**
+ * Set payload fields on every BM25 point of a document key, keeping the
+ * companion payloads in step with the dense collection
+ */
+async function setSparsePayloadByKey(collectionName, key, payload) {
+  const sparseName = sparseCollectionName(collectionName);
+  const { exists } = await qdrantClient.collectionExists(sparseName);
+  if (!exists) return { updated: false };
+
+  await qdrantClient.setPayload(sparseName, {
+    wait: true,
+    payload,
+    filter: { must: [{ key: "key", match: { value: key } }] },
+  });
+
+  return { updated: true };
+}
+
+/**
+ * Set payload fields on BM25 points by id. The companion shares ids with
+ * the dense collection but skips points without content, so ids are
+ * matched with a filter and missing ones are ignored.
+ */
+async function setSparsePayloadByIds(collectionName, pointIds, payload) {
+  const sparseName = sparseCollectionName(collectionName);
+  const { exists } = await qdrantClient.collectionExists(sparseName);
+  if (!exists) return { updated: false };
+
+  await qdrantClient.setPayload(sparseName, {
+    wait: true,
+    payload,
+    filter: { must: [{ has_id: pointIds }] },
+  });
+
+  return { updated: true };
+}
+
+module.exports = {
+  SPARSE_VECTOR_NAME,
+  sparseCollectionName,
+  tokenize,
+  toDocumentVector,
+  toQueryVector,
+  ensureSparseCollection,
+  upsertSparsePoints,
+  sparseSearch,
+  deleteSparsePointsByKey,
+  setSparsePayloadByKey,
+  setSparsePayloadByIds,
+};
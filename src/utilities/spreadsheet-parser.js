@@ -0,0 +1,505 @@
+const XLSX = require("xlsx");
+const { FIELD_QUANTITIES, parseUnit, detectUnit } = require("./units");
+
+/**
+ * Known run sheet columns. `label` is the key written into row chunks and
+ * matches the METRICS keys search-results extracts for aggregation.
+ */
+const RUN_SHEET_COLUMNS = [
+  {
+    field: "wellName",
+    label: "WELL",
+    type: "string",
+    aliases: ["well", "wellname", "well name", "lease", "lease well"],
+  },
+  {
+    field: "runNumber",
+    label: "RUN",
+    type: "string",
+    aliases: ["run", "run no", "run number", "run #", "bha #", "bha no"],
+  },
+  {
+    field: "runDate",
+    label: "DATE",
+    type: "date",
+    aliases: ["date", "run date", "date in", "start date"],
+  },
+  {
+    field: "holeSize",
+    label: "HOLE_SIZE",
+    type: "number",
+    aliases: ["hole size", "hole", "hole sz", "bit size"],
+  },
+  {
+    field: "serialNumber",
+    label: "SN",
+    type: "string",
+    aliases: [
+      "sn",
+      "serial",
+      "serial no",
+      "serial number",
+      "motor sn",
+      "motor serial",
+    ],
+  },
+  {
+    field: "motorMake",
+    label: "MOTOR_MAKE",
+    type: "string",
+    aliases: ["make", "motor make", "motor manufacturer", "manufacturer"],
+  },
+  {
+    field: "motorModel",
+    label: "MOTOR_MODEL",
+    type: "string",
+    aliases: ["model", "motor model", "motor type"],
+  },
+  {
+    field: "motorConfig",
+    label: "LOBES_STAGES",
+    type: "string",
+    aliases: ["lobes", "lobe config", "lobes stages", "lobe stage", "config"],
+  },
+  {
+    field: "statorVendor",
+    label: "STATOR_VENDOR",
+    type: "string",
+    aliases: ["stator vendor", "stator make", "stator"],
+  },
+  {
+    field: "statorFit",
+    label: "STATOR_FIT",
+    type: "number",
+    aliases: ["stator fit", "fit"],
+  },
+  {
+    field: "bitMake",
+    label: "BIT_MAKE",
+    type: "string",
+    aliases: ["bit make", "bit manufacturer"],
+  },
+  {
+    field: "bitModel",
+    label: "BIT_MODEL",
+    type: "string",
+    aliases: ["bit model", "bit type"],
+  },
+  {
+    field: "tfa",
+    label: "TFA",
+    type: "number",
+    aliases: ["tfa", "total flow area"],
+  },
+  {
+    field: "depthIn",
+    label: "DEPTH_IN",
+    type: "number",
+    aliases: ["depth in", "md in", "start depth"],
+  },
+  {
+    field: "depthOut",
+    label: "DEPTH_OUT",
+    type: "number",
+    aliases: ["depth out", "md out", "end depth"],
+  },
+  {
+    field: "totalDrilled",
+    label: "TOTAL_DRILLED",
+    type: "number",
+    aliases: ["total drilled", "footage", "drilled", "ftg"],
+  },
+  {
+    field: "slideFootage",
+    label: "SLIDE_FTG",
+    type: "number",
+    aliases: ["slide footage", "slide ftg", "slide drilled", "footage slid"],
+  },
+  {
+    field: "rotaryFootage",
+    label: "ROT_FTG",
+    type: "number",
+    aliases: [
+      "rotary footage",
+      "rot ftg",
+      "rotary ftg",
+      "rotary drilled",
+      "footage rotated",
+    ],
+  },
+  {
+    field: "avgROP",
+    label: "AVG_ROP",
+    type: "number",
+    aliases: ["avg rop", "average rop", "rop"],
+  },
+  {
+    field: "slideROP",
+    label: "SLIDE_ROP",
+    type: "number",
+    aliases: ["slide rop"],
+  },
+  {
+    field: "rotROP",
+    label: "ROT_ROP",
+    type: "number",
+    aliases: ["rot rop", "rotary rop", "rotate rop"],
+  },
+  {
+    field: "slidePercent",
+    label: "SLIDE_PERCENT",
+    type: "number",
+    aliases: ["% slide", "slide %", "slide percent", "%slide"],
+  },
+  {
+    field: "rotaryPercent",
+    label: "ROT_PERCENT",
+    type: "number",
+    aliases: ["% rotary", "rotary %", "rotary percent", "%rotary", "% rot"],
+  },
+  {
+    field: "drillingHours",
+    label: "DRILL_HRS",
+    type: "number",
+    aliases: ["drill hrs", "drilling hours", "drilling hrs", "drill hours"],
+  },
+  {
+    field: "circulationHours",
+    label: "CIRC_HRS",
+    type: "number",
+    aliases: [
+      "circ hrs",
+      "circulation hours",
+      "circ hours",
+      "off btm circ hrs",
+    ],
+  },
+  {
+    field: "wob",
+    label: "WOB",
+    type: "number",
+    aliases: ["wob", "avg wob", "weight on bit"],
+  },
+  {
+    field: "diffPress",
+    label: "DIFF_PRESS",
+    type: "number",
+    aliases: ["diff press", "avg diff press", "differential pressure", "diffp"],
+  },
+  {
+    field: "maxDiffPress",
+    label: "MAX_DIFFP",
+    type: "number",
+    aliases: ["max diffp", "max diff press"],
+  },
+  {
+    field: "pickupWeight",
+    label: "PICKUP_WT",
+    type: "number",
+    aliases: ["pu wt", "pickup weight", "pick up weight"],
+  },
+  {
+    field: "flowRate",
+    label: "FLOW_RATE",
+    type: "number",
+    aliases: ["flow rate", "gpm", "flow"],
+  },
+  {
+    field: "rpm",
+    label: "RPM",
+    type: "number",
+    aliases: ["rpm", "surface rpm"],
+  },
+  {
+    field: "pullReason",
+    label: "POOH_REASON",
+    type: "string",
+    aliases: ["pooh reason", "reason pulled", "pull reason", "reason for pooh"],
+  },
+  {
+    field: "comments",
+    label: "COMMENTS",
+    type: "string",
+    aliases: ["comments", "notes", "remarks"],
+  },
+];
+
+const HEADER_SCAN_ROWS = 20; // Title blocks usually sit above the header row
+const MIN_HEADER_MATCHES = 2;
+
+const columnsByAlias = new Map(
+  RUN_SHEET_COLUMNS.flatMap(column =>
+    column.aliases.map(alias => [normalizeHeader(alias), column])
+  )
+);
+
+/**
+ * Parse an XLSX or CSV run sheet into one record per data row
+ * @param {Buffer} buffer - Spreadsheet file buffer.
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Used in chunk headers.
+ * @returns {{sheets: Array, rows: Array, text: string}} - Parsed sheets, row records
+ *          with typed values and self-describing chunk content, and the joined text.
+ */
+function extractFromSpreadsheet(buffer, options = {}) {
+  const { fileName = "spreadsheet" } = options;
+
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error("Invalid spreadsheet buffer: empty or not a buffer");
+  }
+
+  // CSV cells are left as text: SheetJS would otherwise read fractional
+  // sizes such as "12 1/4" as dates. toNumber and toIsoDate parse the text.
+  const workbook = XLSX.read(buffer, {
+    type: "buffer",
+    cellDates: true,
+    raw: !isZipArchive(buffer),
+  });
+  const sheets = [];
+  const rows = [];
+
+  for (const sheetName of workbook.SheetNames) {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet["!ref"]) continue;
+
+    // Keep blank rows so grid indices map back to spreadsheet row numbers
+    const firstRow = XLSX.utils.decode_range(sheet["!ref"]).s.r;
+    const grid = XLSX.utils.sheet_to_json(sheet, {
+      header: 1,
+      raw: true,
+      defval: null,
+      blankrows: true,
+    });
+
+    const header = detectHeaderRow(grid);
+    if (!header) {
+      console.warn(`⚠️ No run sheet header found in sheet '${sheetName}'`);
+      continue;
+    }
+
+    const sheetRows = [];
+    for (let r = header.rowIndex + 1; r < grid.length; r++) {
+      const record = buildRowRecord(grid[r], header.columns);
+      if (!record) continue;
+
+      const rowNumber = firstRow + r + 1; // 1-based, as shown in Excel
+      sheetRows.push({
+        sheetName,
+        rowNumber,
+        ...record,
+        content: formatRowChunk({
+          fileName,
+          sheetName,
+          rowNumber,
+          ...record,
+        }),
+      });
+    }
+
+    console.log(
+      `📊 Sheet '${sheetName}': header on row ${firstRow + header.rowIndex + 1}, ${
+        sheetRows.length
+      } data rows, ${header.matched} known columns`
+    );
+
+    sheets.push({
+      name: sheetName,
+      headerRow: firstRow + header.rowIndex + 1,
+      columns: header.columns.map(({ header: label, column, unit }) => ({
+        header: label,
+        field: column?.field || null,
+        unit,
+      })),
+      rowCount: sheetRows.length,
+    });
+    rows.push(...sheetRows);
+  }
+
+  return {
+    sheets,
+    rows,
+    text: rows.map(row => row.content).join("\n\n"),
+  };
+}
+
+/**
+ * Pick the row among the first few that matches the most known column names
+ */
+function detectHeaderRow(grid) {
+  let best = null;
+
+  grid.slice(0, HEADER_SCAN_ROWS).forEach((row, rowIndex) => {
+    const columns = (row || []).map(cell => {
+      const label = cell == null ? "" : String(cell).trim();
+      return {
+        header: label,
+        column: columnsByAlias.get(normalizeHeader(label)),
+        unit: headerUnit(label),
+      };
+    });
+    const matched = columns.filter(c => c.column).length;
+
+    if (matched >= MIN_HEADER_MATCHES && (!best || matched > best.matched)) {
+      best = { rowIndex, columns, matched };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Typed values for known columns plus raw values for the rest;
+ * null for rows without any data. Units come from the header ("ROP (m/hr)")
+ * or from the cell itself ("85 m/hr").
+ */
+function buildRowRecord(row, columns) {
+  if (!row || row.every(cell => cell == null || String(cell).trim() === "")) {
+    return null;
+  }
+
+  const values = {};
+  const extra = {};
+  const units = {};
+  const seenFields = new Set();
+
+  columns.forEach(({ header, column, unit }, idx) => {
+    const cell = row[idx];
+    if (cell == null || String(cell).trim() === "") return;
+
+    // First matching column wins when a sheet repeats a header
+    if (column && !seenFields.has(column.field)) {
+      const value = convertValue(cell, column.type);
+      if (value != null) {
+        values[column.field] = value;
+        seenFields.add(column.field);
+
+        const quantity = FIELD_QUANTITIES[column.field];
+        const cellUnit =
+          quantity && typeof cell === "string"
+            ? detectUnit(cell.replace(/^[\s\d.,+\-/]+/, ""), quantity)
+            : null;
+        if (cellUnit || (unit && parseUnit(unit)?.quantity === quantity)) {
+          units[column.field] = cellUnit || unit;
+        }
+        return;
+      }
+    }
+
+    if (header) extra[header] = cell instanceof Date ? toIsoDate(cell) : cell;
+  });
+
+  if (Object.keys(values).length === 0) return null;
+
+  return { values, extra, units };
+}
+
+/**
+ * Self-describing chunk in the STRUCTURED DATA / METRICS: convention
+ */
+function formatRowChunk({
+  fileName,
+  sheetName,
+  rowNumber,
+  values,
+  extra,
+  units = {},
+}) {
+  const metrics = RUN_SHEET_COLUMNS.filter(
+    column => values[column.field] != null
+  ).map(column =>
+    units[column.field]
+      ? `${column.label}: ${values[column.field]} ${units[column.field]}`
+      : `${column.label}: ${values[column.field]}`
+  );
+
+  const other = Object.entries(extra).map(
+    ([header, value]) => `${header}: ${value}`
+  );
+
+  return [
+    `MOTOR RUN SHEET STRUCTURED DATA: ${fileName} / ${sheetName} / row ${rowNumber}`,
+    `METRICS: ${metrics.join(" | ")}`,
+    other.length ? `OTHER: ${other.join(" | ")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Unit written in a header, e.g. "ft/hr" in "Avg ROP (ft/hr)"
+ */
+function headerUnit(label) {
+  const match = String(label || "").match(/\(([^)]*)\)|\[([^\]]*)\]/);
+  const unit = match && (match[1] || match[2]).trim();
+  return unit && parseUnit(unit) ? unit : null;
+}
+
+function normalizeHeader(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, "") // Drop units such as "(ft/hr)"
+    .replace(/[^a-z0-9%#]/g, "");
+}
+
+function convertValue(cell, type) {
+  if (type === "number") return toNumber(cell);
+  if (type === "date") return toIsoDate(cell);
+  return String(cell).trim() || null;
+}
+
+/**
+ * XLSX workbooks are zip archives; anything else is read as CSV text
+ */
+function isZipArchive(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304;
+}
+
+/**
+ * Numbers from cells such as 85, "1,250", "+0.012", "85 ft/hr" or "8 1/2"
+ */
+function toNumber(cell) {
+  if (typeof cell === "number") return Number.isFinite(cell) ? cell : null;
+
+  const text = String(cell).replace(/,/g, "").trim();
+
+  const fraction = text.match(/^([+-]?\d+)(?:\s+|-)(\d+)\/(\d+)/);
+  if (fraction) {
+    const whole = Number(fraction[1]);
+    const part = Number(fraction[2]) / Number(fraction[3]);
+    return whole < 0 ? whole - part : whole + part;
+  }
+
+  const match = text.match(/^[+-]?\d*\.?\d+/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * ISO date (YYYY-MM-DD) from Date cells, Excel serials, ISO or DD-MM-YYYY text
+ */
+function toIsoDate(cell) {
+  let date = null;
+
+  if (cell instanceof Date) {
+    date = cell;
+  } else if (typeof cell === "number") {
+    const parsed = XLSX.SSF.parse_date_code(cell);
+    if (parsed) date = new Date(Date.UTC(parsed.y, parsed.m - 1, parsed.d));
+  } else {
+    const text = String(cell).trim();
+    const dmy = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (dmy) {
+      const [, day, month, year] = dmy.map(Number);
+      date = new Date(Date.UTC(year, month - 1, day));
+    } else {
+      date = new Date(text);
+    }
+  }
+
+  return date && !isNaN(date.getTime())
+    ? date.toISOString().substring(0, 10)
+    : null;
+}
+
+module.exports = extractFromSpreadsheet;
+module.exports.RUN_SHEET_COLUMNS = RUN_SHEET_COLUMNS;
+module.exports.toNumber = toNumber;
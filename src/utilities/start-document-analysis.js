@@ -8,9 +8,18 @@ const {
  * Starts both Document Analysis (FORMS + TABLES) and Text Detection jobs.
  * @param {string} bucket - S3 bucket name
  * @param {string} key - S3 object key
- * @returns {Promise<{ analysisJobId: string, textJobId: string }>}
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Textract client (defaults to the shared one)
+ * @param {boolean} [options.textDetection=true] - Also start the Text Detection
+ *   job. Analysis blocks already carry LINE and WORD blocks, so callers that
+ *   only need those can skip the second billed job.
+ * @returns {Promise<{ analysisJobId: string, textJobId: string|null }>}
  */
-async function startDocumentAnalysis(bucket, key) {
+async function startDocumentAnalysis(
+  bucket,
+  key,
+  { client = textractClient, textDetection = true } = {}
+) {
   const documentLocation = { S3Object: { Bucket: bucket, Name: key } };
 
   // Start Document Analysis job (FORMS + TABLES)
@@ -18,13 +27,17 @@ async function startDocumentAnalysis(bucket, key) {
     DocumentLocation: documentLocation,
     FeatureTypes: ["TABLES", "FORMS"]
   });
-  const analysisResult = await textractClient.send(analysisCommand);
+  const analysisResult = await client.send(analysisCommand);
+
+  if (!textDetection) {
+    return { analysisJobId: analysisResult.JobId, textJobId: null };
+  }
 
   // Start Text Detection job
   const textCommand = new StartDocumentTextDetectionCommand({
     DocumentLocation: documentLocation
   });
-  const textResult = await textractClient.send(textCommand);
+  const textResult = await client.send(textCommand);
 
   return {
     analysisJobId: analysisResult.JobId,
@@ -0,0 +1,405 @@
+const { v4: uuidv4 } = require("uuid");
+const { toNumber } = require("./spreadsheet-parser");
+
+/**
+ * Table extraction for BHA/MMR report text. Finds BHA component tables and
+ * motor data (as a table or as "Key: Value" fields) in extracted text and
+ * returns typed row records, so values come from the table layout instead
+ * of being re-scraped with regexes downstream.
+ */
+const TABLE_TYPES = {
+  bha_components: {
+    title: "BHA COMPONENT TABLE",
+    minHeaderMatches: 3,
+    columns: [
+      {
+        field: "description",
+        label: "DESCRIPTION",
+        type: "string",
+        aliases: ["description", "component", "item", "component description"],
+      },
+      {
+        field: "serialNumber",
+        label: "SN",
+        type: "string",
+        aliases: ["sn", "serial", "serial no", "serial number", "s/n"],
+      },
+      {
+        field: "od",
+        label: "OD",
+        type: "number",
+        aliases: ["od", "o.d.", "outer diameter", "max od"],
+      },
+      {
+        field: "id",
+        label: "ID",
+        type: "number",
+        aliases: ["id", "i.d.", "inner diameter", "bore"],
+      },
+      {
+        field: "length",
+        label: "LENGTH",
+        type: "number",
+        aliases: ["length", "len", "lgth"],
+      },
+      {
+        field: "cnxTop",
+        label: "CNX_TOP",
+        type: "string",
+        aliases: ["cnx top", "top cnx", "top connection", "connection top"],
+      },
+      {
+        field: "cnxBottom",
+        label: "CNX_BTM",
+        type: "string",
+        aliases: [
+          "cnx btm",
+          "cnx bottom",
+          "btm cnx",
+          "bottom connection",
+          "connection btm",
+        ],
+      },
+    ],
+  },
+  motor: {
+    title: "MOTOR DATA TABLE",
+    minHeaderMatches: 2,
+    // Make/Model/SN alone could just as well be a bit table
+    requiredFields: ["lobes", "stages", "bend"],
+    columns: [
+      {
+        field: "motorMake",
+        label: "MAKE",
+        type: "string",
+        aliases: ["make", "motor make", "manufacturer"],
+      },
+      {
+        field: "motorModel",
+        label: "MODEL",
+        type: "string",
+        aliases: ["model", "motor model", "motor type"],
+      },
+      {
+        field: "lobes",
+        label: "LOBES",
+        type: "string",
+        aliases: ["lobe", "lobes", "lobe config", "lobe configuration"],
+      },
+      {
+        field: "stages",
+        label: "STAGES",
+        type: "number",
+        aliases: ["stage", "stages", "no of stages"],
+      },
+      {
+        field: "bend",
+        label: "BEND",
+        type: "number",
+        aliases: ["bend", "bend setting", "bent housing", "abh"],
+      },
+      {
+        field: "serialNumber",
+        label: "SN",
+        type: "string",
+        aliases: ["sn", "serial", "serial no", "serial number", "motor sn"],
+      },
+      {
+        field: "od",
+        label: "OD",
+        type: "number",
+        aliases: ["od", "motor od"],
+      },
+    ],
+  },
+};
+
+// Headings that end a key/value section
+const SECTION_HEADINGS =
+  /^(?:#+\s*)?(?:Run Data|Motor data|Bit Data|Drilling Parameters|BHA Details|Additional Comments|Mud Data)\b/i;
+const MOTOR_SECTION = /^(?:#+\s*)?Motor data\b/i;
+const PAGE_MARKER = /^=== PAGE (\d+) ===$/;
+const KEY_VALUE_LINE = /^([A-Za-z][A-Za-z /#.%-]{0,40}?)\s*:\s*(.+)$/;
+const MAX_KEY_VALUE_LINES = 30;
+
+const aliasLookups = Object.fromEntries(
+  Object.entries(TABLE_TYPES).map(([type, definition]) => [
+    type,
+    new Map(
+      definition.columns.flatMap(column =>
+        column.aliases.map(alias => [normalizeLabel(alias), column])
+      )
+    ),
+  ])
+);
+
+/**
+ * Extract typed tables from report text
+ * @param {string} text - Extracted document text (may contain page markers)
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Used in chunk headers.
+ * @returns {Array<{tableId: string, tableIndex: number, tableType: string,
+ *          title: string, page: number|null, columns: Array, rows: Array,
+ *          content: string}>}
+ */
+function extractTables(text, options = {}) {
+  const { fileName = "document" } = options;
+  if (!text || typeof text !== "string") return [];
+
+  const lines = text.split(/\r?\n/);
+  const tables = [
+    ...findDelimitedTables(lines),
+    ...findMotorFields(lines),
+  ].sort((a, b) => a.lineIndex - b.lineIndex);
+
+  return dedupeMotorTables(tables).map((table, idx) => {
+    const { lineIndex, ...rest } = table;
+    const record = {
+      tableId: uuidv4(),
+      tableIndex: idx,
+      ...rest,
+    };
+    return { ...record, content: formatTableChunk(fileName, record) };
+  });
+}
+
+/**
+ * Header rows followed by data rows, with cells separated by "|", tabs or
+ * runs of two or more spaces
+ */
+function findDelimitedTables(lines) {
+  const tables = [];
+  let page = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const marker = lines[i].trim().match(PAGE_MARKER);
+    if (marker) {
+      page = Number(marker[1]);
+      continue;
+    }
+
+    const header = matchHeader(splitCells(lines[i]));
+    if (!header) continue;
+
+    const rows = [];
+    let j = i + 1;
+    for (; j < lines.length; j++) {
+      const line = lines[j].trim();
+      if (!line) {
+        if (rows.length) break;
+        continue;
+      }
+      if (PAGE_MARKER.test(line) || SECTION_HEADINGS.test(line)) break;
+
+      const cells = splitCells(lines[j]);
+      if (cells.length < 2 || matchHeader(cells)) break;
+
+      const row = buildRow(cells, header.columns);
+      if (row) rows.push(row);
+    }
+
+    if (rows.length) {
+      tables.push({
+        lineIndex: i,
+        tableType: header.tableType,
+        title: TABLE_TYPES[header.tableType].title,
+        page,
+        columns: describeColumns(header.columns),
+        rows,
+      });
+    }
+    i = j - 1;
+  }
+
+  return tables;
+}
+
+/**
+ * Motor data written as "Key: Value" lines under a "Motor data" heading
+ */
+function findMotorFields(lines) {
+  const tables = [];
+  const lookup = aliasLookups.motor;
+  let page = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const marker = lines[i].trim().match(PAGE_MARKER);
+    if (marker) {
+      page = Number(marker[1]);
+      continue;
+    }
+    if (!MOTOR_SECTION.test(lines[i].trim())) continue;
+
+    const row = {};
+    const end = Math.min(lines.length, i + 1 + MAX_KEY_VALUE_LINES);
+    for (let j = i + 1; j < end; j++) {
+      const line = lines[j].trim();
+      if (PAGE_MARKER.test(line) || SECTION_HEADINGS.test(line)) break;
+
+      const match = line.match(KEY_VALUE_LINE);
+      const column = match && lookup.get(normalizeLabel(match[1]));
+      if (!column || row[column.field] != null) continue;
+
+      const value = convertCell(match[2], column.type);
+      if (value != null) row[column.field] = value;
+    }
+
+    splitLobeStage(row);
+    if (Object.keys(row).length >= 2) {
+      tables.push({
+        lineIndex: i,
+        tableType: "motor",
+        title: TABLE_TYPES.motor.title,
+        page,
+        columns: TABLE_TYPES.motor.columns
+          .filter(column => row[column.field] != null)
+          .map(({ field, label }) => ({ field, label, header: label })),
+        rows: [row],
+      });
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * The same motor often appears both as fields and as a table; keep the
+ * richer one per page
+ */
+function dedupeMotorTables(tables) {
+  const bestByPage = new Map();
+
+  for (const table of tables) {
+    if (table.tableType !== "motor") continue;
+    const best = bestByPage.get(table.page);
+    if (!best || fieldCount(table) > fieldCount(best)) {
+      bestByPage.set(table.page, table);
+    }
+  }
+
+  return tables.filter(
+    table =>
+      table.tableType !== "motor" || bestByPage.get(table.page) === table
+  );
+}
+
+function fieldCount(table) {
+  return table.rows.reduce((count, row) => count + Object.keys(row).length, 0);
+}
+
+function splitCells(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return [];
+
+  let cells;
+  if (trimmed.includes("|")) cells = trimmed.split("|");
+  else if (trimmed.includes("\t")) cells = trimmed.split("\t");
+  else cells = trimmed.split(/\s{2,}/);
+
+  return cells.map(cell => cell.trim());
+}
+
+/**
+ * Match header cells against each table type; best type wins
+ */
+function matchHeader(cells) {
+  if (cells.length < 2) return null;
+
+  let best = null;
+  for (const [tableType, definition] of Object.entries(TABLE_TYPES)) {
+    const lookup = aliasLookups[tableType];
+    const columns = cells.map(cell => ({
+      header: cell,
+      column: lookup.get(normalizeLabel(cell)) || null,
+    }));
+    const matched = columns.filter(c => c.column).length;
+    const hasRequired =
+      !definition.requiredFields ||
+      columns.some(c => definition.requiredFields.includes(c.column?.field));
+
+    if (
+      hasRequired &&
+      matched >= definition.minHeaderMatches &&
+      (!best || matched > best.matched)
+    ) {
+      best = { tableType, columns, matched };
+    }
+  }
+
+  return best;
+}
+
+function buildRow(cells, columns) {
+  const row = {};
+
+  columns.forEach(({ column }, idx) => {
+    if (!column || row[column.field] != null) return;
+    const value = convertCell(cells[idx], column.type);
+    if (value != null) row[column.field] = value;
+  });
+
+  splitLobeStage(row);
+  return Object.keys(row).length ? row : null;
+}
+
+function describeColumns(columns) {
+  return columns
+    .filter(c => c.column)
+    .map(({ header, column }) => ({
+      field: column.field,
+      label: column.label,
+      header,
+    }));
+}
+
+/**
+ * "7/8 5.0" in a lobe column carries the stage count too
+ */
+function splitLobeStage(row) {
+  if (typeof row.lobes !== "string") return;
+
+  const match = row.lobes.match(/^(\d+\s*\/\s*\d+)\s+(\d+(?:\.\d+)?)/);
+  if (match) {
+    row.lobes = match[1].replace(/\s+/g, "");
+    if (row.stages == null) row.stages = Number(match[2]);
+  }
+}
+
+function convertCell(cell, type) {
+  if (cell == null) return null;
+  const text = String(cell).trim();
+  if (!text || /^[-–]+$/.test(text)) return null;
+
+  return type === "number" ? toNumber(text) : text;
+}
+
+function normalizeLabel(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, "") // Drop units such as "(in)"
+    .replace(/[^a-z0-9#/]/g, "");
+}
+
+/**
+ * Self-describing chunk: one line per row in the METRICS label convention
+ */
+function formatTableChunk(fileName, table) {
+  const { title, page, columns, rows } = table;
+
+  const rowLines = rows.map(
+    (row, idx) =>
+      `ROW ${idx + 1}: ${columns
+        .filter(column => row[column.field] != null)
+        .map(column => `${column.label}: ${row[column.field]}`)
+        .join(" | ")}`
+  );
+
+  return [
+    `${title} STRUCTURED DATA: ${fileName}${page ? ` / page ${page}` : ""}`,
+    `COLUMNS: ${columns.map(column => column.label).join(" | ")}`,
+    ...rowLines,
+  ].join("\n");
+}
+
+module.exports = extractTables;
+module.exports.TABLE_TYPES = TABLE_TYPES;
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30 second steps, base32 secrets.
+ */
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret, base32 encoded (160 bits, as RFC 4226 recommends)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, "0");
+}
+
+function generateTotp(secret, time = Date.now()) {
+  return hotp(secret, timeStep(time));
+}
+
+/**
+ * Check a code against the current step and `window` steps either side
+ * for clock drift. Steps up to `afterStep` are refused so a code cannot be
+ * replayed.
+ * @returns {number|null} - The matching time step.
+ */
+function verifyTotp(
+  secret,
+  code,
+  { window = 1, time = Date.now(), afterStep = -1 } = {}
+) {
+  const candidate = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    if (
+      crypto.timingSafeEqual(
+        Buffer.from(hotp(secret, step)),
+        Buffer.from(candidate)
+      )
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps import, usually from a QR code
+ */
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+  base32Encode,
+  base32Decode,
+};
@@ -0,0 +1,313 @@
+/**
+ * Units of the drilling measurements we extract. Values are stored in the
+ * canonical (oilfield imperial) unit of their quantity, with the original
+ * value and unit kept next to them, and converted to the caller's preferred
+ * unit system on the way out.
+ */
+const UNIT_SYSTEMS = ["imperial", "si"];
+const DEFAULT_UNIT_SYSTEM = "imperial";
+
+const FT_PER_M = 3.280839895;
+
+/**
+ * Units per quantity; `factor` converts a value to the canonical unit
+ * (factor 1). `aliases` are the spellings found in reports, run sheet
+ * headers and WITSML uom attributes.
+ */
+const QUANTITIES = {
+  length: {
+    imperial: "ft",
+    si: "m",
+    units: [
+      { unit: "ft", factor: 1, aliases: ["usft", "ft", "feet", "foot"] },
+      { unit: "m", factor: FT_PER_M, aliases: ["m", "meters", "metres"] },
+    ],
+  },
+  diameter: {
+    imperial: "in",
+    si: "mm",
+    units: [
+      { unit: "in", factor: 1, aliases: ["in", "inch", "inches", '"'] },
+      { unit: "mm", factor: 1 / 25.4, aliases: ["mm"] },
+      { unit: "cm", factor: 1 / 2.54, aliases: ["cm"] },
+    ],
+  },
+  rop: {
+    imperial: "ft/hr",
+    si: "m/hr",
+    units: [
+      {
+        unit: "ft/hr",
+        factor: 1,
+        aliases: ["usft/hr", "usft/h", "ft/hr", "ft/h", "fph"],
+      },
+      { unit: "m/hr", factor: FT_PER_M, aliases: ["m/hr", "m/h"] },
+    ],
+  },
+  force: {
+    imperial: "klbf",
+    si: "kN",
+    units: [
+      {
+        unit: "klbf",
+        factor: 1,
+        aliases: ["klbf", "klbs", "klb", "kips", "kip", "1000lbf"],
+      },
+      { unit: "lbf", factor: 0.001, aliases: ["lbf", "lbs"] },
+      { unit: "kN", factor: 0.224808943, aliases: ["kN"] },
+      { unit: "kdaN", factor: 2.24808943, aliases: ["kdaN"] },
+      { unit: "daN", factor: 0.00224808943, aliases: ["daN"] },
+    ],
+  },
+  pressure: {
+    imperial: "psi",
+    si: "bar",
+    units: [
+      { unit: "psi", factor: 1, aliases: ["psi", "psig"] },
+      { unit: "bar", factor: 14.503773773, aliases: ["bar", "barg"] },
+      { unit: "kPa", factor: 0.145037738, aliases: ["kPa"] },
+      { unit: "MPa", factor: 145.037738, aliases: ["MPa"] },
+    ],
+  },
+  flow: {
+    imperial: "gpm",
+    si: "L/min",
+    units: [
+      {
+        unit: "gpm",
+        factor: 1,
+        aliases: ["gpm", "usgpm", "gal/min", "galUS/min"],
+      },
+      { unit: "L/min", factor: 0.264172052, aliases: ["L/min", "lpm"] },
+      { unit: "m3/min", factor: 264.172052, aliases: ["m3/min", "m³/min"] },
+      { unit: "bbl/min", factor: 42, aliases: ["bbl/min", "bpm"] },
+    ],
+  },
+  torque: {
+    imperial: "kft-lbf",
+    si: "kN.m",
+    units: [
+      {
+        unit: "kft-lbf",
+        factor: 1,
+        aliases: ["kft-lbf", "kft-lbs", "kft-lb", "kft.lbf"],
+      },
+      { unit: "ft-lbf", factor: 0.001, aliases: ["ft-lbf", "ft-lbs", "ft-lb"] },
+      { unit: "kN.m", factor: 0.737562149, aliases: ["kN.m", "kNm", "kN-m"] },
+      { unit: "N.m", factor: 0.000737562149, aliases: ["N.m", "Nm", "N-m"] },
+    ],
+  },
+  area: {
+    imperial: "in2",
+    si: "mm2",
+    units: [
+      { unit: "in2", factor: 1, aliases: ["in2", "in²", "sq in", "sqin"] },
+      { unit: "mm2", factor: 0.0015500031, aliases: ["mm2", "mm²"] },
+    ],
+  },
+  time: {
+    imperial: "h",
+    si: "h",
+    units: [
+      { unit: "h", factor: 1, aliases: ["hrs", "hr", "h", "hours", "hour"] },
+      { unit: "min", factor: 1 / 60, aliases: ["min", "mins", "minutes"] },
+    ],
+  },
+};
+
+/**
+ * Quantity of every measured field, across run records and chunk payloads
+ */
+const FIELD_QUANTITIES = {
+  holeSize: "diameter",
+  motorOD: "diameter",
+  statorFit: "diameter",
+  tfa: "area",
+  depthIn: "length",
+  depthOut: "length",
+  totalDrilled: "length",
+  slideFootage: "length",
+  rotaryFootage: "length",
+  avgROP: "rop",
+  slideROP: "rop",
+  rotROP: "rop",
+  drillingHours: "time",
+  circulationHours: "time",
+  wob: "force",
+  diffPress: "pressure",
+  maxDiffPress: "pressure",
+  flowRate: "flow",
+};
+
+const unitsByKey = new Map();
+for (const [quantity, { units }] of Object.entries(QUANTITIES)) {
+  for (const definition of units) {
+    for (const alias of definition.aliases) {
+      unitsByKey.set(unitKey(alias), { ...definition, quantity });
+    }
+  }
+}
+
+// Unit right after a number, e.g. "110 kN", "12.25\"", "450 L/min"
+const UNIT_AFTER_NUMBER = new RegExp(
+  `^\\s*(${Object.values(QUANTITIES)
+    .flatMap(({ units }) => units.flatMap(definition => definition.aliases))
+    .sort((a, b) => b.length - a.length)
+    .map(alias =>
+      alias
+        .split(/[\s.-]/)
+        .map(part => part.replace(/[*+?^${}()|[\]\\/]/g, "\\$&"))
+        .join("[\\s.-]?")
+    )
+    .join("|")})(?![A-Za-z0-9²³/])`,
+  "i"
+);
+
+/**
+ * Unit definition for a unit string, or null when it is not known
+ */
+function parseUnit(unit) {
+  if (unit == null) return null;
+  return unitsByKey.get(unitKey(unit)) || null;
+}
+
+/**
+ * Unit written directly after a value
+ * @param {string} textAfterValue - Text starting right after the number.
+ * @param {string} [quantity] - Only accept units of this quantity.
+ * @returns {string|null} - The unit as written.
+ */
+function detectUnit(textAfterValue, quantity) {
+  const match = String(textAfterValue || "").match(UNIT_AFTER_NUMBER);
+  if (!match) return null;
+
+  const definition = parseUnit(match[1]);
+  if (!definition || (quantity && definition.quantity !== quantity)) {
+    return null;
+  }
+  return match[1];
+}
+
+/**
+ * Unit of a field in the given unit system
+ */
+function unitFor(field, unitSystem = DEFAULT_UNIT_SYSTEM) {
+  const quantity = FIELD_QUANTITIES[field];
+  return quantity ? QUANTITIES[quantity][unitSystem] : null;
+}
+
+/**
+ * A value in the canonical unit of its quantity; null for unknown units
+ * @returns {{value: number, unit: string, converted: boolean}|null}
+ */
+function toCanonical(value, unit) {
+  const definition = parseUnit(unit);
+  if (!definition || typeof value !== "number") return null;
+
+  return {
+    value: round(value * definition.factor, 6),
+    unit: QUANTITIES[definition.quantity].imperial,
+    converted: definition.factor !== 1,
+  };
+}
+
+/**
+ * Convert measured fields to their canonical units. Values whose unit is
+ * missing or unrecognized are taken to be canonical already, which is what
+ * every report assumed before units were detected.
+ * @param {Object} values - Values keyed by field.
+ * @param {Object} [units] - Unit as written, keyed by field.
+ * @returns {{values: Object, units: Object, originalValues: Object}} -
+ *          Converted values, canonical units of the measured fields, and
+ *          { value, unit } for every converted field.
+ */
+function normalizeMeasurements(values = {}, units = {}) {
+  const result = { ...values };
+  const resultUnits = { ...units };
+  const originalValues = {};
+
+  for (const [field, quantity] of Object.entries(FIELD_QUANTITIES)) {
+    const value = result[field];
+    if (typeof value !== "number" || !Number.isFinite(value)) continue;
+
+    resultUnits[field] = QUANTITIES[quantity].imperial;
+
+    const definition = parseUnit(units[field]);
+    if (!definition || definition.quantity !== quantity) continue;
+    if (definition.factor === 1) continue;
+
+    result[field] = round(value * definition.factor, 6);
+    originalValues[field] = { value, unit: units[field] };
+  }
+
+  return { values: result, units: resultUnits, originalValues };
+}
+
+/**
+ * Convert canonical measured fields to a unit system
+ * @returns {{values: Object, units: Object}}
+ */
+function toUnitSystem(values = {}, unitSystem = DEFAULT_UNIT_SYSTEM) {
+  const result = { ...values };
+  const units = {};
+
+  for (const field of Object.keys(FIELD_QUANTITIES)) {
+    if (typeof result[field] !== "number") continue;
+    result[field] = convertField(field, result[field], unitSystem);
+    units[field] = unitFor(field, unitSystem);
+  }
+
+  return { values: result, units };
+}
+
+/**
+ * Canonical value of a field to the unit system, or the reverse
+ */
+function convertField(field, value, unitSystem, { toCanonical = false } = {}) {
+  const unit = parseUnit(unitFor(field, unitSystem));
+  if (!unit || typeof value !== "number" || unit.factor === 1) return value;
+
+  return toCanonical
+    ? round(value * unit.factor, 6)
+    : round(value / unit.factor, 4);
+}
+
+/**
+ * "imperial" or "si" from user input (defaults to imperial, "metric" means
+ * si); null when the value is not a unit system
+ */
+function resolveUnitSystem(value) {
+  if (value == null || value === "") return DEFAULT_UNIT_SYSTEM;
+
+  const system = String(value).trim().toLowerCase();
+  if (system === "metric") return "si";
+  return UNIT_SYSTEMS.includes(system) ? system : null;
+}
+
+function unitKey(unit) {
+  return String(unit)
+    .trim()
+    .toLowerCase()
+    .replace(/²/g, "2")
+    .replace(/³/g, "3")
+    .replace(/[\s.\-·_]/g, "");
+}
+
+function round(value, decimals) {
+  const scale = 10 ** decimals;
+  return Math.round(value * scale) / scale;
+}
+
+module.exports = {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  FIELD_QUANTITIES,
+  parseUnit,
+  detectUnit,
+  unitFor,
+  toCanonical,
+  normalizeMeasurements,
+  toUnitSystem,
+  convertField,
+  resolveUnitSystem,
+};
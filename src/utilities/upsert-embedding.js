@@ -1,4 +1,12 @@
 const qdrantClient = require("../config/qdrant");
+const { upsertSparsePoints } = require("./sparse-index");
+const { canonicalize, canonicalizeValues } = require("./entity-aliases");
+const {
+  FIELD_QUANTITIES,
+  detectUnit,
+  normalizeMeasurements,
+} = require("./units");
+const { checkValues, withoutFlaggedValues } = require("./data-quality");
 
 /**
  * Enhanced upserts embedding vectors into a Qdrant collection with drilling-specific optimizations
@@ -11,6 +19,7 @@ const qdrantClient = require("../config/qdrant");
  * @param {number} [params.batchSize=100] - Batch size for large upserts.
  * @param {number} [params.retries=3] - Number of retry attempts on failure.
  * @param {boolean} [params.validate=true] - Validate points before upserting.
+ * @param {boolean} [params.withSparse=false] - Also index payload content in the collection's BM25 companion.
  * @returns {Promise<Object>} - Enhanced Qdrant response with operation details.
  */
 async function upsertEmbedding({
@@ -21,6 +30,7 @@ async function upsertEmbedding({
   batchSize = 100,
   retries = 3,
   validate = true,
+  withSparse = false,
 }) {
   // Input validation
   if (!collectionName || typeof collectionName !== "string") {
@@ -47,29 +57,58 @@ async function upsertEmbedding({
       : points;
 
     // Process in batches if necessary
-    if (processedPoints.length > batchSize) {
-      return await batchUpsert({
+    const response =
+      processedPoints.length > batchSize
+        ? await batchUpsert({
+            collectionName,
+            points: processedPoints,
+            wait,
+            batchSize,
+            retries,
+          })
+        : await performUpsert({
+            collectionName,
+            points: processedPoints,
+            wait,
+            retries,
+          });
+
+    // Data-quality flags raised while enhancing, for the caller's report
+    response.qualityFlags = processedPoints
+      .filter(point => point.payload?.qualityFlags?.length)
+      .map(point => ({ id: point.id, flags: point.payload.qualityFlags }));
+
+    if (withSparse) {
+      response.sparseIndexed = await indexSparsePoints(
         collectionName,
-        points: processedPoints,
-        wait,
-        batchSize,
-        retries,
-      });
+        processedPoints,
+        wait
+      );
     }
 
-    // Single batch upsert
-    return await performUpsert({
-      collectionName,
-      points: processedPoints,
-      wait,
-      retries,
-    });
+    return response;
   } catch (error) {
     console.error(`❌ Upsert operation failed: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Index points in the BM25 companion collection. Dense points are already
+ * stored at this point, so a failure is reported instead of thrown to keep
+ * callers from retrying (and duplicating) the dense upsert.
+ */
+async function indexSparsePoints(collectionName, points, wait) {
+  try {
+    const { indexed } = await upsertSparsePoints(collectionName, points, wait);
+    console.log(`🔤 Indexed ${indexed} point(s) for keyword search`);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Keyword indexing failed: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Validate points structure and content
  */
@@ -129,16 +168,42 @@ function enhancePointPayload(point) {
     originalPayload
   );
 
+  // Typed values supplied by the caller (e.g. run sheet rows) beat
+  // values inferred from the text; both end up in canonical units
+  const measured = normalizeMeasurements(
+    { ...drillingMetadata, ...originalPayload },
+    { ...drillingMetadata.units, ...originalPayload.units }
+  );
+  const originalValues = {
+    ...drillingMetadata.originalValues,
+    ...measured.originalValues,
+  };
+
+  // Implausible values (bad OCR) are kept out of the filterable fields
+  const qualityFlags = checkValues(measured.values);
+  const { values, flaggedValues } = withoutFlaggedValues(
+    measured.values,
+    qualityFlags
+  );
+  // Categories derived from a flagged value go with it
+  if (flaggedValues.holeSize != null) delete values.holeSizeCategory;
+  if (flaggedValues.avgROP != null) delete values.ropCategory;
+
   // Create enhanced payload
-  const enhancedPayload = {
-    ...originalPayload,
+  const enhancedPayload = canonicalizeValues({
+    // Drilling-specific metadata and the caller's values
+    ...values,
+    ...(typeof values.holeSize === "number" && {
+      holeSizeCategory: categorizeHoleSize(values.holeSize),
+    }),
+    units: measured.units,
+    ...(Object.keys(originalValues).length && { originalValues }),
+    ...(qualityFlags.length && { qualityFlags }),
+    ...(Object.keys(flaggedValues).length && { flaggedValues }),
 
     // Original content preserved
     content,
 
-    // Drilling-specific metadata
-    ...drillingMetadata,
-
     // Search optimization
     ...searchOptimization,
 
@@ -149,11 +214,12 @@ function enhancePointPayload(point) {
       originalPayloadKeys: Object.keys(originalPayload),
       contentLength: content.length,
       hasStructuredData: content.includes("STRUCTURED DATA"),
-      hasTechnicalMetrics: /\d+\.?\d*\s*(?:klbs|rpm|gpm|psi|usft\/hr)/i.test(
-        content
-      ),
+      hasTechnicalMetrics:
+        /\d+\.?\d*\s*(?:klbs|kN|rpm|gpm|L\/min|psi|bar|usft\/hr|m\/hr)/i.test(
+          content
+        ),
     },
-  };
+  });
 
   return {
     ...point,
@@ -162,78 +228,129 @@ function enhancePointPayload(point) {
 }
 
 /**
- * Extract drilling-specific metadata from content
+ * Extract drilling-specific metadata from content. Measurements are
+ * converted to canonical units using the unit written next to them;
+ * `units` and `originalValues` record what was converted.
  */
 function extractDrillingMetadata(content) {
   const metadata = {};
+  const units = {};
 
   // Hole size detection
-  const holeSizeMatch = content.match(/(\d+\.?\d*)["\s]*(?:hole|section)/i);
+  const holeSizeMatch = content.match(
+    /(\d+\.?\d*)\s*(mm|in|")?\s*(?:hole|section)/i
+  );
   if (holeSizeMatch) {
     metadata.holeSize = parseFloat(holeSizeMatch[1]);
-    metadata.holeSizeCategory = categorizeHoleSize(metadata.holeSize);
+    if (holeSizeMatch[2]) units.holeSize = holeSizeMatch[2];
   }
 
   // Motor specifications
   const motorMakeMatch = content.match(/motor_make[:\s]*([A-Za-z\s-]+)/i);
   if (motorMakeMatch) {
-    metadata.motorMake = motorMakeMatch[1].trim();
+    metadata.motorMake = canonicalize("motorMake", motorMakeMatch[1]);
   }
 
   const statorVendorMatch = content.match(/stator_vendor[:\s]*([A-Za-z\s-]+)/i);
   if (statorVendorMatch) {
-    metadata.statorVendor = statorVendorMatch[1].trim();
+    metadata.statorVendor = canonicalize(
+      "statorVendor",
+      statorVendorMatch[1]
+    );
   }
 
-  const statorFitMatch = content.match(/stator_fit[:\s]*([+-]?\d+\.?\d*)/i);
-  if (statorFitMatch) {
-    metadata.statorFit = parseFloat(statorFitMatch[1]);
-  }
+  assignMeasure(
+    metadata,
+    units,
+    "statorFit",
+    content,
+    content.match(/stator_fit[:\s]*([+-]?\d+\.?\d*)/i)
+  );
 
   // Bit specifications
   const bitModelMatch = content.match(/equipment_model_([A-Za-z0-9\-_]+)/i);
   if (bitModelMatch) {
-    metadata.bitModel = bitModelMatch[1];
+    metadata.bitModel = canonicalize("bitModel", bitModelMatch[1]);
   }
 
-  const tfaMatch = content.match(/TFA[:\s]*(\d+\.?\d*)/i);
-  if (tfaMatch) {
-    metadata.tfa = parseFloat(tfaMatch[1]);
-  }
+  assignMeasure(
+    metadata,
+    units,
+    "tfa",
+    content,
+    content.match(/TFA[:\s]*(\d+\.?\d*)/i)
+  );
 
   // Performance metrics
-  const avgROPMatch = content.match(
-    /average_rate_of_penetration[:\s]*(\d+\.?\d*)/i
+  assignMeasure(
+    metadata,
+    units,
+    "avgROP",
+    content,
+    content.match(/average_rate_of_penetration[:\s]*(\d+\.?\d*)/i)
+  );
+  assignMeasure(
+    metadata,
+    units,
+    "wob",
+    content,
+    content.match(/weight_on_bit[:\s]*(\d+\.?\d*)/i)
+  );
+  assignMeasure(
+    metadata,
+    units,
+    "totalDrilled",
+    content,
+    content.match(/total_drilled[:\s]*(\d+\.?\d*)/i)
   );
-  if (avgROPMatch) {
-    metadata.avgROP = parseFloat(avgROPMatch[1]);
-    metadata.ropCategory = categorizeROP(metadata.avgROP);
-  }
 
-  const wobMatch = content.match(/weight_on_bit[:\s]*(\d+\.?\d*)/i);
-  if (wobMatch) {
-    metadata.wob = parseFloat(wobMatch[1]);
-  }
+  // Operational data
+  assignMeasure(
+    metadata,
+    units,
+    "drillingHours",
+    content,
+    content.match(/drilling_hours[:\s]*(\d+\.?\d*)/i)
+  );
+  assignMeasure(
+    metadata,
+    units,
+    "circulationHours",
+    content,
+    content.match(/circulation_hours[:\s]*(\d+\.?\d*)/i)
+  );
 
-  const totalDrilledMatch = content.match(/total_drilled[:\s]*(\d+\.?\d*)/i);
-  if (totalDrilledMatch) {
-    metadata.totalDrilled = parseFloat(totalDrilledMatch[1]);
-  }
+  const measured = normalizeMeasurements(metadata, units);
+  Object.assign(metadata, measured.values);
 
-  // Operational data
-  const drillingHoursMatch = content.match(/drilling_hours[:\s]*(\d+\.?\d*)/i);
-  if (drillingHoursMatch) {
-    metadata.drillingHours = parseFloat(drillingHoursMatch[1]);
+  if (metadata.holeSize != null) {
+    metadata.holeSizeCategory = categorizeHoleSize(metadata.holeSize);
   }
-
-  const circHoursMatch = content.match(/circulation_hours[:\s]*(\d+\.?\d*)/i);
-  if (circHoursMatch) {
-    metadata.circulationHours = parseFloat(circHoursMatch[1]);
+  if (metadata.avgROP != null) {
+    metadata.ropCategory = categorizeROP(metadata.avgROP);
+  }
+  if (Object.keys(measured.units).length) metadata.units = measured.units;
+  if (Object.keys(measured.originalValues).length) {
+    metadata.originalValues = measured.originalValues;
   }
 
   return metadata;
 }
 
+/**
+ * Store a matched number and the unit written right after it
+ */
+function assignMeasure(metadata, units, field, content, match) {
+  if (!match) return;
+
+  metadata[field] = parseFloat(match[1]);
+
+  const end = match.index + match[0].length;
+  const quantity = FIELD_QUANTITIES[field];
+  const unit = detectUnit(content.slice(end, end + 20), quantity);
+  if (unit) units[field] = unit;
+}
+
 /**
  * Create search optimization fields
  */
@@ -0,0 +1,113 @@
+/**
+ * Well / job hints read from a document's header block: the well name,
+ * API/UWI, operator, field, rig, job number, wellbore and hole section a
+ * report is about. They are only suggestions; the uploader confirms or
+ * overrides the assignment.
+ */
+const HEADER_CHARS = 6000; // Report headers sit on the first page
+
+const LINE_VALUE = "([^\\n|]+?)";
+
+const HEADER_PATTERNS = {
+  wellName: new RegExp(
+    `^\\s*(?:Well(?:\\s+Name)?|Lease(?:\\s*/\\s*Well)?)\\s*:\\s*${LINE_VALUE}\\s*(?:\\||$)`,
+    "im"
+  ),
+  uwi: /\b(?:API|UWI)\s*(?:#|No\.?|Number)?\s*:?\s*(\d{2}-?\d{3}-?\d{5}(?:-?\d{2}){0,2}|[A-Z0-9][A-Z0-9/.-]{9,})/i,
+  operator: new RegExp(
+    `^\\s*(?:Operator|Company|Client)\\s*:\\s*${LINE_VALUE}\\s*(?:\\||$)`,
+    "im"
+  ),
+  field: new RegExp(
+    `^\\s*(?:Field|Area)\\s*:\\s*${LINE_VALUE}\\s*(?:\\||$)`,
+    "im"
+  ),
+  rig: new RegExp(
+    `\\bRig(?:\\s+(?:Name|No\\.?|#))?\\s*:\\s*${LINE_VALUE}\\s*(?:\\||$)`,
+    "im"
+  ),
+  jobNumber: /\bJob\s*(?:#|No\.?|Number|ID)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i,
+  wellbore: new RegExp(
+    `^\\s*Wellbore(?:\\s+Name)?\\s*:\\s*${LINE_VALUE}\\s*(?:\\||$)`,
+    "im"
+  ),
+  section: new RegExp(
+    `^\\s*(?:Hole\\s+)?Section\\s*:\\s*${LINE_VALUE}\\s*(?:\\||$)`,
+    "im"
+  ),
+};
+
+/**
+ * Hints for the well / job a document belongs to
+ * @param {string} text - Extracted document text.
+ * @param {Object} [options]
+ * @param {Array} [options.runs] - Runs extracted from the document; their
+ *        well name and section fill in what the header does not say.
+ * @param {Object} [options.defaults] - Hints known from the source format
+ *        (e.g. WITSML well names).
+ * @returns {Object} - Hint values keyed by field; missing hints are omitted.
+ */
+function extractWellContext(text, { runs = [], defaults = {} } = {}) {
+  const header = String(text || "").substring(0, HEADER_CHARS);
+  const hints = {};
+
+  for (const [field, pattern] of Object.entries(HEADER_PATTERNS)) {
+    const match = header.match(pattern);
+    const value = match?.[1]?.trim();
+    if (value) hints[field] = value;
+  }
+
+  for (const field of ["wellName", "section"]) {
+    const fromRun = runs.find(run => run.values?.[field])?.values[field];
+    if (!hints[field] && fromRun) hints[field] = fromRun;
+  }
+
+  for (const [field, value] of Object.entries(defaults)) {
+    if (!hints[field] && value) hints[field] = value;
+  }
+
+  return hints;
+}
+
+/**
+ * API/UWI without punctuation, so "42-501-20130" matches "4250120130"
+ */
+function normalizeUwi(uwi) {
+  return String(uwi || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+/**
+ * Same well by API/UWI. US API numbers share their first 10 digits across
+ * sidetracks and completions (the optional 12/14 digit suffixes), so those
+ * match the well too.
+ */
+function uwiMatches(a, b) {
+  const left = normalizeUwi(a);
+  const right = normalizeUwi(b);
+  if (!left || !right) return false;
+  if (left === right) return true;
+
+  return (
+    /^\d{10,14}$/.test(left) &&
+    /^\d{10,14}$/.test(right) &&
+    left.substring(0, 10) === right.substring(0, 10)
+  );
+}
+
+/**
+ * Case and punctuation-insensitive name key: "SMITH 1H" matches "Smith #1-H"
+ */
+function nameKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+module.exports = {
+  extractWellContext,
+  normalizeUwi,
+  uwiMatches,
+  nameKey,
+};
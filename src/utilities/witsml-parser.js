@@ -0,0 +1,572 @@
+const { XMLParser } = require("fast-xml-parser");
+const { RUN_SHEET_COLUMNS } = require("./spreadsheet-parser");
+
+/**
+ * WITSML 1.4.1 / 2.0 import. well, wellbore, bhaRun, tubular and bitRecord
+ * objects are mapped onto the same payload fields the PDF and run sheet
+ * paths produce (motorMake, bitModel, tfa, holeSize, avgROP, ...), so runs
+ * from every source can be filtered and aggregated together.
+ */
+const OBJECT_KINDS = ["well", "wellbore", "bhaRun", "tubular", "bitRecord"];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  removeNSPrefix: true,
+  parseTagValue: false, // Serial numbers such as "00123" must stay strings
+  trimValues: true,
+  // WITSML 2.0 uses PascalCase element names; 1.4 uses camelCase
+  transformTagName: name => name.charAt(0).toLowerCase() + name.slice(1),
+});
+
+/**
+ * Parse a WITSML XML document into run records and chunks
+ * @param {Buffer|string} input - WITSML XML.
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Used in chunk headers.
+ * @returns {{version: string|null, wells: Array, wellbores: Array,
+ *           records: Array, chunks: Array, text: string}}
+ */
+function extractFromWITSML(input, options = {}) {
+  const { fileName = "witsml.xml" } = options;
+
+  const xml = Buffer.isBuffer(input) ? input.toString("utf8") : input;
+  if (typeof xml !== "string" || !xml.trim()) {
+    throw new Error("Invalid WITSML file: empty or not a buffer");
+  }
+
+  let tree;
+  try {
+    tree = parser.parse(xml);
+  } catch (error) {
+    throw new Error(`Invalid WITSML file: ${error.message}`);
+  }
+
+  const objects = collectObjects(tree);
+  const version = detectVersion(tree);
+
+  const wells = objects.well.map(describeWell);
+  const wellsByUid = indexByUid(wells);
+  const wellbores = objects.wellbore.map(node =>
+    describeWellbore(node, wellsByUid)
+  );
+  const wellboresByUid = indexByUid(wellbores);
+
+  const tubulars = objects.tubular.map(describeTubular);
+  const tubularsByUid = indexByUid(tubulars);
+  const usedTubulars = new Set();
+
+  const records = [];
+
+  for (const node of objects.bhaRun) {
+    const run = describeBhaRun(node, wellsByUid, wellboresByUid);
+    const tubular = tubularsByUid.get(run.tubularRef);
+    if (tubular) usedTubulars.add(tubular.uid);
+
+    records.push(
+      buildRecord("bhaRun", run.uid, {
+        values: {
+          wellName: run.wellName || tubular?.wellName,
+          wellboreName: run.wellboreName || tubular?.wellboreName,
+          bhaName: tubular?.name,
+          ...tubular?.values,
+          ...run.values,
+        },
+        units: { ...tubular?.units, ...run.units },
+        components: tubular?.components,
+      })
+    );
+  }
+
+  // Assemblies without a run still describe motors and bits
+  for (const tubular of tubulars) {
+    if (usedTubulars.has(tubular.uid)) continue;
+    records.push(
+      buildRecord("tubular", tubular.uid, {
+        values: {
+          wellName: tubular.wellName,
+          wellboreName: tubular.wellboreName,
+          bhaName: tubular.name,
+          ...tubular.values,
+        },
+        units: tubular.units,
+        components: tubular.components,
+      })
+    );
+  }
+
+  // Top-level bit records (outside any tubular)
+  for (const node of objects.bitRecord) {
+    const bit = describeBit(node);
+    records.push(
+      buildRecord("bitRecord", uidOf(node), {
+        values: {
+          wellName: text(node, "nameWell"),
+          wellboreName: text(node, "nameWellbore"),
+          ...bit.values,
+        },
+        units: bit.units,
+      })
+    );
+  }
+
+  if (wells.length === 0 && wellbores.length === 0 && records.length === 0) {
+    throw new Error(
+      "Invalid WITSML file: no well, wellbore, bhaRun, tubular or bitRecord objects found"
+    );
+  }
+
+  const chunks = [
+    ...wells.map(well => buildWellChunk(fileName, well)),
+    ...wellbores.map(wellbore => buildWellboreChunk(fileName, wellbore)),
+    ...records.map(record => buildRecordChunk(fileName, record)),
+  ];
+
+  console.log(
+    `🛢️ WITSML ${version || "unknown version"} parsed: ${wells.length} wells, ${
+      wellbores.length
+    } wellbores, ${records.length} run/equipment records`
+  );
+
+  return {
+    version,
+    wells,
+    wellbores,
+    records,
+    chunks,
+    text: chunks.map(chunk => chunk.content).join("\n\n"),
+  };
+}
+
+/**
+ * Walk the document collecting data objects by kind. Objects are not
+ * descended into, so references such as bhaRun > tubular aren't collected.
+ */
+function collectObjects(tree) {
+  const objects = Object.fromEntries(OBJECT_KINDS.map(kind => [kind, []]));
+
+  const walk = node => {
+    if (!node || typeof node !== "object") return;
+
+    for (const [name, value] of Object.entries(node)) {
+      if (name.startsWith("@_")) continue;
+
+      if (OBJECT_KINDS.includes(name)) {
+        objects[name].push(...asArray(value).filter(isObject));
+      } else {
+        asArray(value).forEach(walk);
+      }
+    }
+  };
+
+  walk(tree);
+  return objects;
+}
+
+function detectVersion(tree) {
+  const root = Object.values(tree).find(isObject);
+  if (!root) return null;
+  return root["@_schemaVersion"] || root["@_version"] || null;
+}
+
+function describeWell(node) {
+  return {
+    uid: uidOf(node),
+    name: text(node, "name"),
+    field: text(node, "field"),
+    operator: text(node, "operator"),
+    country: text(node, "country"),
+    state: text(node, "state"),
+    county: text(node, "county"),
+    uwi: text(node, "uwi") || text(node, "numAPI") || text(node, "numGovt"),
+  };
+}
+
+function describeWellbore(node, wellsByUid) {
+  const wellUid = node["@_uidWell"] || refUid(node.well);
+  return {
+    uid: uidOf(node),
+    name: text(node, "name"),
+    number: text(node, "number"),
+    wellUid,
+    wellName:
+      text(node, "nameWell") ||
+      refTitle(node.well) ||
+      wellsByUid.get(wellUid)?.name ||
+      null,
+    mdCurrent: measure(node, "md", "mdCurrent"),
+  };
+}
+
+/**
+ * Motor and bit values from an assembly's components
+ */
+function describeTubular(node) {
+  const values = {};
+  const units = {};
+  const components = asArray(node.tubularComponent);
+
+  const componentType = c =>
+    text(c, "typeTubularComp", "typeTubularComponent") || "";
+
+  const motor = components.find(c => /motor|pdm/i.test(componentType(c)));
+  if (motor) {
+    values.serialNumber = text(motor, "serialNumber");
+    values.motorMake = text(motor, "manufacturer", "vendor");
+    values.motorModel = text(motor, "model", "description");
+
+    const details = motor.motor || {};
+    const lobeRotor = number(details, "lobeRotor");
+    const lobeStator = number(details, "lobeStator");
+    const stages = number(details, "numStage", "stages");
+    if (lobeRotor != null && lobeStator != null) {
+      values.motorConfig = `${lobeRotor}/${lobeStator}${
+        stages != null ? ` ${stages} stg` : ""
+      }`;
+    }
+    assignMeasure(values, units, "motorOD", measure(motor, "od"));
+  }
+
+  const bitComponent = components.find(
+    c => c.bitRecord || /^bit$/i.test(componentType(c))
+  );
+  if (bitComponent) {
+    const bit = describeBit(
+      asArray(bitComponent.bitRecord)[0] || {},
+      bitComponent
+    );
+    Object.assign(values, bit.values);
+    Object.assign(units, bit.units);
+  }
+
+  return {
+    uid: uidOf(node),
+    name: text(node, "name"),
+    wellName: text(node, "nameWell"),
+    wellboreName: text(node, "nameWellbore"),
+    values: compact(values),
+    units,
+    // Serialized components, for equipment history
+    components: components
+      .filter(c => text(c, "serialNumber"))
+      .map(c => ({
+        description: [componentType(c), text(c, "description")]
+          .filter(Boolean)
+          .join(" - "),
+        serialNumber: text(c, "serialNumber"),
+      })),
+  };
+}
+
+/**
+ * Bit size doubles as hole size, matching how run sheets and reports use it
+ */
+function describeBit(record, component = {}) {
+  const values = {
+    bitNumber: text(record, "numBit"),
+    bitMake: text(record, "manufacturer") || text(component, "manufacturer"),
+    bitModel:
+      text(record, "codeMfg", "typeBit") ||
+      text(component, "model", "description"),
+    bitIADC: text(record, "codeIADC"),
+    bitSerialNumber: text(component, "serialNumber"),
+  };
+  const units = {};
+
+  assignMeasure(
+    values,
+    units,
+    "holeSize",
+    measure(record, "diaBit") || measure(component, "od")
+  );
+  assignMeasure(
+    values,
+    units,
+    "tfa",
+    measure(record, "tfa", "flowArea") || nozzleFlowArea(component)
+  );
+
+  return { values: compact(values), units };
+}
+
+/**
+ * Total flow area from nozzle diameters given in inches or 32nds
+ */
+function nozzleFlowArea(component) {
+  const nozzles = asArray(component.nozzle)
+    .map(nozzle => measure(nozzle, "diaNozzle"))
+    .filter(Boolean);
+  if (nozzles.length === 0) return null;
+
+  const area = nozzles.reduce((total, { value, uom }) => {
+    const inches = /32/.test(uom || "") ? value / 32 : value;
+    return total + (Math.PI / 4) * inches * inches;
+  }, 0);
+
+  return { value: Math.round(area * 1000) / 1000, uom: "in2" };
+}
+
+function describeBhaRun(node, wellsByUid, wellboresByUid) {
+  const wellbore = wellboresByUid.get(
+    node["@_uidWellbore"] || refUid(node.wellbore)
+  );
+  const wellUid = node["@_uidWell"] || wellbore?.wellUid;
+  const params = asArray(node.drillingParams)[0] || {};
+
+  const values = {
+    runNumber: text(node, "numStringRun", "numBitRun") || text(node, "name"),
+    runDate: isoDate(text(node, "dTimStart")),
+    runEndDate: isoDate(text(node, "dTimStop")),
+    pullReason: text(node, "reasonTrip"),
+    objectiveBha: text(node, "objectiveBha"),
+  };
+  const units = {};
+
+  const start = measure(params, "mdHoleStart");
+  const stop = measure(params, "mdHoleStop");
+  assignMeasure(values, units, "depthIn", start);
+  assignMeasure(values, units, "depthOut", stop);
+  if (start && stop) {
+    assignMeasure(values, units, "totalDrilled", {
+      value: stop.value - start.value,
+      uom: stop.uom,
+    });
+  }
+
+  const mapped = {
+    avgROP: ["ropAv"],
+    wob: ["wobAv"],
+    rpm: ["rpmAv"],
+    flowRate: ["flowrateMudAv", "flowrateAv", "flowrateBit"],
+    diffPress: ["presDiffAv", "presDiff"],
+    drillingHours: ["eTimOpBit"],
+  };
+  for (const [field, names] of Object.entries(mapped)) {
+    assignMeasure(values, units, field, measure(params, ...names));
+  }
+
+  // eTimOpBit is often reported in minutes
+  if (values.drillingHours != null && /^min/i.test(units.drillingHours)) {
+    values.drillingHours = Math.round((values.drillingHours / 60) * 100) / 100;
+    units.drillingHours = "h";
+  }
+
+  return {
+    uid: uidOf(node),
+    tubularRef: refUid(node.tubular),
+    wellName:
+      text(node, "nameWell") ||
+      wellbore?.wellName ||
+      wellsByUid.get(wellUid)?.name ||
+      null,
+    wellboreName:
+      text(node, "nameWellbore") ||
+      refTitle(node.wellbore) ||
+      wellbore?.name ||
+      null,
+    values: compact(values),
+    units,
+  };
+}
+
+function buildRecord(kind, uid, { values, units = {}, components = [] }) {
+  return { kind, uid, values: compact(values), units, components };
+}
+
+function buildWellChunk(fileName, well) {
+  const metrics = labelled([
+    ["WELL", well.name],
+    ["UWI", well.uwi],
+    ["FIELD", well.field],
+    ["OPERATOR", well.operator],
+    ["COUNTRY", well.country],
+    ["STATE", well.state],
+    ["COUNTY", well.county],
+  ]);
+
+  return {
+    content: [
+      `WITSML WELL STRUCTURED DATA: ${fileName} / ${well.name || well.uid}`,
+      `METRICS: ${metrics}`,
+    ].join("\n"),
+    payload: {
+      witsmlObject: "well",
+      witsmlUid: well.uid,
+      wellName: well.name,
+      uwi: well.uwi,
+      sectionType: "witsml_well",
+    },
+  };
+}
+
+function buildWellboreChunk(fileName, wellbore) {
+  const metrics = labelled([
+    ["WELL", wellbore.wellName],
+    ["WELLBORE", wellbore.name],
+    ["NUMBER", wellbore.number],
+    [
+      "MD_CURRENT",
+      wellbore.mdCurrent &&
+        `${wellbore.mdCurrent.value} ${wellbore.mdCurrent.uom || ""}`.trim(),
+    ],
+  ]);
+
+  return {
+    content: [
+      `WITSML WELLBORE STRUCTURED DATA: ${fileName} / ${
+        wellbore.wellName || "unknown well"
+      } / ${wellbore.name || wellbore.uid}`,
+      `METRICS: ${metrics}`,
+    ].join("\n"),
+    payload: {
+      witsmlObject: "wellbore",
+      witsmlUid: wellbore.uid,
+      wellName: wellbore.wellName,
+      wellboreName: wellbore.name,
+      sectionType: "witsml_wellbore",
+    },
+  };
+}
+
+/**
+ * Run records use the run sheet METRICS labels so chunks read the same
+ * whichever source they came from
+ */
+function buildRecordChunk(fileName, record) {
+  const { kind, uid, values, units, components = [] } = record;
+  const withUnit = (field, value) =>
+    units[field] ? `${value} ${units[field]}` : value;
+
+  const known = new Set(RUN_SHEET_COLUMNS.map(column => column.field));
+  const metrics = RUN_SHEET_COLUMNS.filter(
+    column => values[column.field] != null
+  ).map(
+    column =>
+      `${column.label}: ${withUnit(column.field, values[column.field])}`
+  );
+  const other = Object.entries(values)
+    .filter(([field]) => !known.has(field))
+    .map(([field, value]) => `${field}: ${withUnit(field, value)}`);
+
+  const title =
+    kind === "bhaRun"
+      ? `run ${values.runNumber || uid}`
+      : `${kind} ${values.bhaName || uid}`;
+
+  return {
+    content: [
+      `WITSML ${kind.toUpperCase()} STRUCTURED DATA: ${fileName} / ${
+        values.wellName || "unknown well"
+      } / ${title}`,
+      metrics.length ? `METRICS: ${metrics.join(" | ")}` : null,
+      other.length ? `OTHER: ${other.join(" | ")}` : null,
+      components.length
+        ? `COMPONENTS: ${components
+            .map(c => `${c.description || "component"} SN ${c.serialNumber}`)
+            .join(" | ")}`
+        : null,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    payload: {
+      ...values,
+      units,
+      witsmlObject: kind,
+      witsmlUid: uid,
+      sectionType: `witsml_${kind.toLowerCase()}`,
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Node helpers
+
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isObject(value) {
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+function indexByUid(items) {
+  return new Map(items.filter(item => item.uid).map(item => [item.uid, item]));
+}
+
+function uidOf(node) {
+  return node?.["@_uid"] || node?.["@_uuid"] || null;
+}
+
+/** uidRef (1.4) or DataObjectReference Uuid (2.0) */
+function refUid(ref) {
+  const node = asArray(ref)[0];
+  if (node == null) return null;
+  if (!isObject(node)) return String(node);
+  return node["@_uidRef"] || text(node, "uuid") || null;
+}
+
+function refTitle(ref) {
+  const node = asArray(ref)[0];
+  return isObject(node) ? text(node, "title") : null;
+}
+
+/** First non-empty text value among the named children */
+function text(node, ...names) {
+  if (!isObject(node)) return null;
+
+  for (const name of names) {
+    const value = asArray(node[name])[0];
+    const raw = isObject(value) ? value["#text"] : value;
+    if (raw != null && String(raw).trim() !== "") return String(raw).trim();
+  }
+  return null;
+}
+
+function number(node, ...names) {
+  const value = parseFloat(text(node, ...names));
+  return Number.isFinite(value) ? value : null;
+}
+
+/** Numeric value with its uom attribute */
+function measure(node, ...names) {
+  if (!isObject(node)) return null;
+
+  for (const name of names) {
+    const child = asArray(node[name])[0];
+    if (child == null) continue;
+
+    const value = parseFloat(isObject(child) ? child["#text"] : child);
+    if (Number.isFinite(value)) {
+      return { value, uom: isObject(child) ? child["@_uom"] || null : null };
+    }
+  }
+  return null;
+}
+
+function assignMeasure(values, units, field, measured) {
+  if (!measured) return;
+  values[field] = measured.value;
+  if (measured.uom) units[field] = measured.uom;
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+function labelled(pairs) {
+  return pairs
+    .filter(([, value]) => value != null && value !== "")
+    .map(([label, value]) => `${label}: ${value}`)
+    .join(" | ");
+}
+
+function compact(values) {
+  return Object.fromEntries(
+    Object.entries(values).filter(([, value]) => value != null && value !== "")
+  );
+}
+
+module.exports = extractFromWITSML;